@@ -0,0 +1,44 @@
+/**
+ * @file functions/src/app.js
+ * @description Admin SDK set-up and the checks every callable shares
+ * @version 2.0.0
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { HttpsError } from 'firebase-functions/v2/https';
+import { roleFromClaims, can } from '../../js/utils/roles.js';
+
+initializeApp();
+
+export const db = getFirestore();
+
+// `firebase emulators:start` sets this; the mock gateway only works there
+export const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
+
+/**
+ * The caller's uid (guests have an anonymous session)
+ * @param {CallableRequest} request
+ * @returns {string}
+ * @throws {HttpsError} unauthenticated
+ */
+export function requireUser(request) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue');
+  }
+  return request.auth.uid;
+}
+
+/**
+ * Same role check as requirePermission in js/firebase.js and can() in firestore.rules
+ * @param {CallableRequest} request
+ * @param {string} permission - Value of PERMISSIONS
+ * @throws {HttpsError} unauthenticated or permission-denied
+ */
+export function requirePermission(request, permission) {
+  requireUser(request);
+  const role = roleFromClaims(request.auth.token);
+  if (!can(role, permission)) {
+    throw new HttpsError('permission-denied', `Your role (${role || 'none'}) does not allow ${permission}`);
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * @file functions/src/gateways.js
+ * @description Server side of the payment providers in js/services/payments.js
+ * @version 2.0.0
+ *
+ * The browser only ever reports that a payment went through. Before an order
+ * is marked paid, the payment is fetched from the gateway with the secret key
+ * and checked against the order. Amounts are integer paise throughout.
+ *
+ * Keys are Secret Manager secrets (`firebase functions:secrets:set`); for the
+ * emulators put them in functions/.secret.local (see .secret.local.example).
+ */
+
+import crypto from 'node:crypto';
+import { HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import Razorpay from 'razorpay';
+import Stripe from 'stripe';
+import { isEmulator } from './app.js';
+
+export const RAZORPAY_KEY_ID = defineSecret('RAZORPAY_KEY_ID');
+export const RAZORPAY_KEY_SECRET = defineSecret('RAZORPAY_KEY_SECRET');
+export const RAZORPAY_WEBHOOK_SECRET = defineSecret('RAZORPAY_WEBHOOK_SECRET');
+export const STRIPE_SECRET_KEY = defineSecret('STRIPE_SECRET_KEY');
+export const STRIPE_WEBHOOK_SECRET = defineSecret('STRIPE_WEBHOOK_SECRET');
+
+// Secrets a function needs to verify or refund a payment with any provider
+export const GATEWAY_SECRETS = [RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, STRIPE_SECRET_KEY];
+
+/**
+ * @returns {Razorpay}
+ * @throws {HttpsError} failed-precondition when the keys aren't set
+ */
+export function razorpayClient() {
+  if (!RAZORPAY_KEY_ID.value() || !RAZORPAY_KEY_SECRET.value()) {
+    throw new HttpsError('failed-precondition', 'Razorpay is not configured');
+  }
+  return new Razorpay({ key_id: RAZORPAY_KEY_ID.value(), key_secret: RAZORPAY_KEY_SECRET.value() });
+}
+
+/**
+ * @returns {Stripe}
+ * @throws {HttpsError} failed-precondition when the key isn't set
+ */
+export function stripeClient() {
+  if (!STRIPE_SECRET_KEY.value()) {
+    throw new HttpsError('failed-precondition', 'Stripe is not configured');
+  }
+  return new Stripe(STRIPE_SECRET_KEY.value());
+}
+
+/**
+ * Constant-time comparison of a hex HMAC-SHA256 signature
+ * @param {string|Buffer} payload
+ * @param {string} secret
+ * @param {string} signature - Hex digest sent by the gateway
+ * @returns {boolean}
+ */
+export function hasValidSignature(payload, secret, signature) {
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const given = String(signature || '');
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+/**
+ * Gateway SDKs throw plain objects; callers get an HttpsError with the
+ * gateway's own description
+ */
+function gatewayError(provider, error) {
+  const message = error?.error?.description || error?.message || 'Gateway request failed';
+  return new HttpsError('unavailable', `${provider}: ${message}`);
+}
+
+/**
+ * Check a payment reported by the browser with the gateway
+ * @param {string} orderId - Our order ID (stored on the gateway order/intent)
+ * @param {Object} payment - { provider, paymentId, amount, status } from PaymentService.pay
+ * @returns {Promise<Object>} The payment as the gateway sees it:
+ *   { provider, paymentId, amount, status: 'succeeded' | 'pending' }
+ * @throws {HttpsError} If the payment isn't for this order or hasn't gone through
+ */
+export async function verifyPayment(orderId, { provider, paymentId, amount } = {}) {
+  if (provider === 'cod') {
+    // Nothing collected yet - the courier takes the order total
+    return { provider, paymentId: `cod_${orderId}`, amount: null, status: 'pending' };
+  }
+
+  if (provider === 'mock') {
+    if (!isEmulator) {
+      throw new HttpsError('permission-denied', 'The mock gateway only works against the emulators');
+    }
+    return { provider, paymentId: String(paymentId), amount: Number(amount), status: 'succeeded' };
+  }
+
+  if (typeof paymentId !== 'string' || !paymentId) {
+    throw new HttpsError('invalid-argument', 'paymentId is required');
+  }
+
+  if (provider === 'razorpay') {
+    const razorpay = razorpayClient();
+    let entity;
+    let gatewayOrder;
+    try {
+      entity = await razorpay.payments.fetch(paymentId);
+      gatewayOrder = entity.order_id ? await razorpay.orders.fetch(entity.order_id) : null;
+    } catch (error) {
+      throw gatewayError(provider, error);
+    }
+
+    if (gatewayOrder?.notes?.orderId !== orderId) {
+      throw new HttpsError('permission-denied', 'This payment is for a different order');
+    }
+    if (entity.status === 'authorized') {
+      // Accounts without auto-capture: take the money now that the order is confirmed
+      try {
+        await razorpay.payments.capture(paymentId, entity.amount, entity.currency);
+      } catch (error) {
+        throw gatewayError(provider, error);
+      }
+    } else if (entity.status !== 'captured') {
+      throw new HttpsError('failed-precondition', `Payment is ${entity.status}`);
+    }
+
+    return { provider, paymentId, amount: Number(entity.amount), status: 'succeeded' };
+  }
+
+  if (provider === 'stripe') {
+    let intent;
+    try {
+      intent = await stripeClient().paymentIntents.retrieve(paymentId);
+    } catch (error) {
+      throw gatewayError(provider, error);
+    }
+
+    if (intent.metadata?.orderId !== orderId) {
+      throw new HttpsError('permission-denied', 'This payment is for a different order');
+    }
+    if (intent.status !== 'succeeded') {
+      throw new HttpsError('failed-precondition', `Payment is ${intent.status}`);
+    }
+
+    return { provider, paymentId, amount: intent.amount, status: 'succeeded' };
+  }
+
+  throw new HttpsError('invalid-argument', `Unknown payment method: ${provider}`);
+}
+
+/**
+ * Refund a payment through its gateway
+ * @param {Object} payment - { provider, paymentId }
+ * @param {number} amount - Paise
+ * @returns {Promise<string>} Refund ID
+ */
+export async function refund({ provider, paymentId }, amount) {
+  try {
+    if (provider === 'razorpay') {
+      const result = await razorpayClient().payments.refund(paymentId, { amount });
+      return result.id;
+    }
+    if (provider === 'stripe') {
+      const result = await stripeClient().refunds.create({ payment_intent: paymentId, amount });
+      return result.id;
+    }
+  } catch (error) {
+    throw error instanceof HttpsError ? error : gatewayError(provider, error);
+  }
+
+  if (provider === 'mock' && isEmulator) {
+    return `mock_re_${Date.now().toString(36)}`;
+  }
+  // Cash refunds are paid out by hand (bank transfer / UPI)
+  if (provider === 'cod') {
+    return `manual_${paymentId}`;
+  }
+  throw new HttpsError('invalid-argument', `Cannot refund ${provider} payments`);
+}
@@ -0,0 +1,23 @@
+/**
+ * @file functions/src/index.js
+ * @description Cloud Functions entry point (bundled to lib/index.js by `npm run build`)
+ * @version 2.0.0
+ *
+ * Shares pricing, roles, validation and message text with the site (js/), so
+ * the server prices orders, checks staff permissions and words alerts exactly
+ * as the browser does.
+ */
+
+export { confirmOrder } from './orders.js';
+export {
+  createRazorpayOrder,
+  verifyRazorpayPayment,
+  createPaymentIntent,
+  refundPayment,
+  razorpayWebhook,
+  stripeWebhook
+} from './payments.js';
+export { pruneHolds } from './stock.js';
+export { subscribe, confirmSubscription } from './subscriptions.js';
+export { deliverMessage } from './notifications.js';
+export { setUserRole } from './users.js';
@@ -0,0 +1,263 @@
+/**
+ * @file functions/src/orders.js
+ * @description Price orders and confirm them once they are paid
+ * @version 2.0.0
+ *
+ * Customers can only place a `pending` order with no payment (firestore.rules).
+ * Everything that has to be trusted happens here: the amount to charge is
+ * priced from the catalogue, the payment is checked with the gateway, and
+ * only then is the order marked paid, its totals stored, its coupon counted
+ * as used and its stock sold - in one transaction with the buyer's stock
+ * holds, which it replaces.
+ *
+ * Money that has been taken is never just dropped. If an order can't be
+ * confirmed after payment (sold out while the hold had lapsed, a product
+ * went away, the amount doesn't match),
+ * it is refunded and cancelled; if the refund fails too it is flagged
+ * `needsReview` for support.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineInt } from 'firebase-functions/params';
+import { FieldValue } from 'firebase-admin/firestore';
+import { PricingEngine, catalogPrice } from '../../js/utils/pricing.js';
+import { db, requireUser } from './app.js';
+import { GATEWAY_SECRETS, verifyPayment, refund } from './gateways.js';
+import { holdKey, shortages, sellUpdate, withoutHolds, writeStockCounters } from './stock.js';
+
+// Largest Cash on Delivery order in rupees - keep in step with VITE_COD_MAX_AMOUNT
+const COD_MAX_AMOUNT = defineInt('COD_MAX_AMOUNT', { default: 20000 });
+
+// Per-day sales counters use the shop's day, as statsDay in js/firebase.js
+const STATS_TIME_ZONE = 'Asia/Kolkata';
+
+/**
+ * Totals stored on the order, as OrderService.calculateTotals in js/firebase.js
+ * @param {Object} pricing - PricingEngine.price result
+ * @returns {Object} Amounts in paise
+ */
+function totalsOf(pricing) {
+  return {
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    tax: pricing.tax,
+    shipping: pricing.shipping,
+    total: pricing.total,
+    itemCount: pricing.itemCount,
+    currency: pricing.currency,
+    coupon: pricing.coupon
+  };
+}
+
+/**
+ * Count a paid order: its coupon use and the dashboard's sales counters,
+ * written in the order's transaction. OrderService.updateStatus takes them
+ * back out when a paid order is cancelled or returned.
+ * @param {Transaction} transaction
+ * @param {Object} totals
+ */
+function countPaid(transaction, totals) {
+  if (totals.coupon) {
+    transaction.update(db.collection('coupons').doc(totals.coupon.code), { usedCount: FieldValue.increment(1) });
+  }
+
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone: STATS_TIME_ZONE }).format(Date.now());
+  transaction.set(db.collection('stats').doc('orders'), {
+    count: FieldValue.increment(1),
+    revenue: FieldValue.increment(totals.total),
+    byDay: { [day]: { count: FieldValue.increment(1), revenue: FieldValue.increment(totals.total) } },
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Price an order from the catalogue and its coupon as they are now
+ * @param {Object} order - Order document data
+ * @param {Function} [read] - ref => snapshot; pass transaction.get inside a transaction
+ * @returns {Promise<{pricing: Object, products: Map, unavailable: Array<string>}>}
+ *   PricingEngine breakdown, product data by ID, and names of lines no longer sold
+ */
+export async function quoteOrder(order, read = (ref) => ref.get()) {
+  const productIds = [...new Set(order.items.map((item) => item.productId))];
+  const snaps = await Promise.all(productIds.map((id) => read(db.collection('products').doc(id))));
+  const products = new Map(snaps.map((snap) => [snap.id, snap.exists ? snap.data() : null]));
+
+  const couponSnap = order.couponCode ? await read(db.collection('coupons').doc(order.couponCode)) : null;
+  const coupon = couponSnap?.exists ? { code: couponSnap.id, ...couponSnap.data() } : null;
+
+  const unavailable = [];
+  const lines = order.items.map((item) => {
+    const product = products.get(item.productId);
+    const unitPrice = catalogPrice(product, item.sku);
+    if (unitPrice === null) unavailable.push(item.name || item.productId);
+    return { ...item, category: product?.category, unitPrice: unitPrice || 0 };
+  });
+
+  const pricing = PricingEngine.price(lines, { pincode: order.address?.pincode, coupon });
+  return { pricing, products, unavailable };
+}
+
+/**
+ * The caller's own order
+ * @param {CallableRequest} request - data.orderId
+ * @param {Object} [options]
+ * @param {boolean} [options.pending] - Also require it to be waiting for payment
+ * @returns {Promise<{orderId: string, order: Object}>}
+ * @throws {HttpsError}
+ */
+export async function ownOrder(request, { pending = false } = {}) {
+  const uid = requireUser(request);
+  const orderId = request.data?.orderId;
+  if (typeof orderId !== 'string' || !orderId) {
+    throw new HttpsError('invalid-argument', 'orderId is required');
+  }
+
+  const snap = await db.collection('orders').doc(orderId).get();
+  if (!snap.exists || snap.data().userId !== uid) {
+    throw new HttpsError('not-found', `Order ${orderId} not found`);
+  }
+  if (pending && (snap.data().status !== 'pending' || snap.data().payment)) {
+    throw new HttpsError('failed-precondition', `Order ${snap.data().orderNumber} is ${snap.data().status}`);
+  }
+
+  return { orderId, order: snap.data() };
+}
+
+/**
+ * Why an order can't be confirmed with this payment, if anything
+ * @returns {string|null}
+ */
+function settlementProblem(order, payment, { pricing, unavailable, products }, now) {
+  if (order.status !== 'pending') return 'The order was cancelled before the payment arrived';
+  if (unavailable.length) return `No longer available: ${unavailable.join(', ')}`;
+
+  const soldOut = shortages(order.items, products, holdKey(order.userId), now);
+  if (soldOut.length) return `Sold out: ${soldOut.join(', ')}`;
+
+  if (payment.status === 'succeeded' && payment.amount !== pricing.total) {
+    return 'The amount paid does not match the order total';
+  }
+  if (payment.provider === 'cod' && pricing.total > COD_MAX_AMOUNT.value() * 100) {
+    return `Cash on Delivery is available for orders up to ₹${COD_MAX_AMOUNT.value()}`;
+  }
+  return null;
+}
+
+/**
+ * Record a verified payment on an order: paid (or still pending for cash on
+ * delivery), or cancelled and refunded when the order can't take it. Safe to
+ * call twice - the callable and the gateway webhook race, and whichever comes
+ * second finds the payment already recorded.
+ * @param {string} orderId
+ * @param {Object} payment - From verifyPayment
+ * @returns {Promise<{id: string, status: string}>}
+ */
+export async function settleOrder(orderId, payment) {
+  const orderRef = db.collection('orders').doc(orderId);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(orderRef);
+    if (!snap.exists) {
+      throw new HttpsError('not-found', `Order ${orderId} not found`);
+    }
+
+    const order = snap.data();
+    if (order.payment) {
+      return { id: orderId, status: order.status, settled: true };
+    }
+
+    const quote = await quoteOrder(order, (ref) => transaction.get(ref));
+    const at = Date.now();
+    const problem = settlementProblem(order, payment, quote, at);
+    const recorded = { ...payment, amount: payment.amount ?? quote.pricing.total };
+    const totals = totalsOf(quote.pricing);
+    const key = holdKey(order.userId);
+
+    if (problem) {
+      // Nothing is sold: just let go of the buyer's holds
+      quote.products.forEach((product, productId) => {
+        const update = product && withoutHolds(product, (holder) => holder === key);
+        if (update) transaction.update(db.collection('products').doc(productId), update);
+      });
+      transaction.update(orderRef, {
+        status: 'cancelled',
+        payment: recorded,
+        totals,
+        statusHistory: FieldValue.arrayUnion({ status: 'cancelled', at, by: 'system', note: problem }),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      return { id: orderId, status: 'cancelled', problem, payment: recorded };
+    }
+
+    // Sold - cash on delivery too, the courier is on the way with it
+    const stockChanges = [];
+    quote.products.forEach((product, productId) => {
+      const update = sellUpdate(product, order.items.filter((item) => item.productId === productId), key, at);
+      transaction.update(db.collection('products').doc(productId), update);
+      stockChanges.push({ before: product, after: { ...product, ...update } });
+    });
+    writeStockCounters(transaction, stockChanges);
+
+    // Cash on delivery is counted when staff mark it paid (OrderService.updateStatus)
+    const status = payment.status === 'succeeded' ? 'paid' : 'pending';
+    if (status === 'paid') countPaid(transaction, totals);
+
+    transaction.update(orderRef, {
+      status,
+      payment: recorded,
+      totals,
+      stockCommitted: true,
+      // What makes a review of these products a verified purchase (firestore.rules)
+      productIds: [...quote.products.keys()],
+      ...(status !== order.status
+        ? { statusHistory: FieldValue.arrayUnion({ status, at, by: 'system', note: `Paid via ${payment.provider}` }) }
+        : {}),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return { id: orderId, status };
+  });
+
+  if (outcome.problem && outcome.payment.status === 'succeeded') {
+    await refundCancelled(orderRef, outcome.payment, outcome.problem);
+  }
+
+  return { id: outcome.id, status: outcome.status };
+}
+
+/**
+ * Give the money back for an order that was cancelled after payment
+ */
+async function refundCancelled(orderRef, payment, reason) {
+  try {
+    const refundId = await refund(payment, payment.amount);
+    await orderRef.update({
+      'payment.status': 'refunded',
+      'payment.refundId': refundId,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`Refund failed for order ${orderRef.id}:`, error);
+    await orderRef.update({
+      needsReview: true,
+      reviewReason: `${reason}. Refund failed: ${error.message}`,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  }
+}
+
+/**
+ * Callable: the customer has paid (or chosen cash on delivery).
+ * data: { orderId, payment: { provider, paymentId, amount, status } }
+ * Returns { id, status } - `paid`, `pending` (COD) or `cancelled` (refunded).
+ */
+export const confirmOrder = onCall({ secrets: GATEWAY_SECRETS }, async (request) => {
+  const { orderId, order } = await ownOrder(request);
+
+  // The gateway webhook got there first
+  if (order.payment) {
+    return { id: orderId, status: order.status };
+  }
+
+  const payment = await verifyPayment(orderId, request.data.payment);
+  return settleOrder(orderId, payment);
+});
@@ -0,0 +1,158 @@
+/**
+ * @file functions/src/payments.js
+ * @description Callables and webhooks behind RazorpayProvider and StripeProvider
+ * @version 2.0.0
+ *
+ * Gateway orders and intents are created for the amount priced here, never
+ * the amount the browser sends, and carry our order ID so a payment can be
+ * matched back to its order. The webhooks confirm an order when the customer
+ * paid but the browser never called confirmOrder (tab closed, network lost).
+ */
+
+import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https';
+import { PERMISSIONS } from '../../js/utils/roles.js';
+import { requirePermission } from './app.js';
+import {
+  GATEWAY_SECRETS,
+  RAZORPAY_KEY_SECRET,
+  RAZORPAY_WEBHOOK_SECRET,
+  STRIPE_WEBHOOK_SECRET,
+  razorpayClient,
+  stripeClient,
+  hasValidSignature,
+  refund
+} from './gateways.js';
+import { ownOrder, quoteOrder, settleOrder } from './orders.js';
+
+/**
+ * Amount to charge for one of the caller's pending orders, in paise
+ * @returns {Promise<{orderId: string, order: Object, amount: number}>}
+ */
+async function chargeFor(request) {
+  const { orderId, order } = await ownOrder(request, { pending: true });
+  const { pricing, unavailable } = await quoteOrder(order);
+  if (unavailable.length) {
+    throw new HttpsError('failed-precondition', `No longer available: ${unavailable.join(', ')}`);
+  }
+  return { orderId, order, amount: pricing.total };
+}
+
+/**
+ * Callable: Razorpay order for Checkout.js. data: { orderId }
+ * Returns { razorpayOrderId, amount }
+ */
+export const createRazorpayOrder = onCall({ secrets: GATEWAY_SECRETS }, async (request) => {
+  const { orderId, order, amount } = await chargeFor(request);
+
+  try {
+    const gatewayOrder = await razorpayClient().orders.create({
+      amount,
+      currency: 'INR',
+      receipt: order.orderNumber,
+      notes: { orderId }
+    });
+    return { razorpayOrderId: gatewayOrder.id, amount };
+  } catch (error) {
+    throw error instanceof HttpsError ? error : new HttpsError('unavailable', error.error?.description || 'Razorpay is unavailable');
+  }
+});
+
+/**
+ * Callable: check the signature Checkout.js hands back.
+ * data: { orderId, razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ * Returns { verified }. confirmOrder still fetches the payment itself.
+ */
+export const verifyRazorpayPayment = onCall({ secrets: [RAZORPAY_KEY_SECRET] }, async (request) => {
+  const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = request.data || {};
+  await ownOrder(request);
+
+  return {
+    verified: hasValidSignature(`${razorpayOrderId}|${razorpayPaymentId}`, RAZORPAY_KEY_SECRET.value(), razorpaySignature)
+  };
+});
+
+/**
+ * Callable: Stripe PaymentIntent for the card form. data: { orderId }
+ * Returns { clientSecret, paymentIntentId, amount }
+ */
+export const createPaymentIntent = onCall({ secrets: GATEWAY_SECRETS }, async (request) => {
+  const { orderId, order, amount } = await chargeFor(request);
+
+  try {
+    const intent = await stripeClient().paymentIntents.create({
+      amount,
+      currency: 'inr',
+      payment_method_types: ['card'],
+      description: `Order ${order.orderNumber}`,
+      metadata: { orderId }
+    }, { idempotencyKey: `order-${orderId}` });
+    return { clientSecret: intent.client_secret, paymentIntentId: intent.id, amount };
+  } catch (error) {
+    throw error instanceof HttpsError ? error : new HttpsError('unavailable', error.message);
+  }
+});
+
+/**
+ * Callable: refund a payment (owners only). data: { provider, paymentId, amount }
+ * Returns { refundId }
+ */
+export const refundPayment = onCall({ secrets: GATEWAY_SECRETS }, async (request) => {
+  requirePermission(request, PERMISSIONS.PAYMENTS);
+
+  const { provider, paymentId, amount } = request.data || {};
+  if (typeof paymentId !== 'string' || !Number.isInteger(amount) || amount <= 0) {
+    throw new HttpsError('invalid-argument', 'paymentId and a whole number of paise are required');
+  }
+
+  return { refundId: await refund({ provider, paymentId }, amount) };
+});
+
+/**
+ * Razorpay webhook (payment.captured). Point the dashboard webhook at this
+ * function's URL with RAZORPAY_WEBHOOK_SECRET as its secret.
+ */
+export const razorpayWebhook = onRequest({ secrets: [...GATEWAY_SECRETS, RAZORPAY_WEBHOOK_SECRET] }, async (req, res) => {
+  if (!hasValidSignature(req.rawBody, RAZORPAY_WEBHOOK_SECRET.value(), req.get('x-razorpay-signature'))) {
+    res.status(400).send('Invalid signature');
+    return;
+  }
+
+  const event = req.body;
+  if (event.event !== 'payment.captured') {
+    res.status(200).send('Ignored');
+    return;
+  }
+
+  const payment = event.payload.payment.entity;
+  const gatewayOrder = await razorpayClient().orders.fetch(payment.order_id);
+  const orderId = gatewayOrder.notes?.orderId;
+  if (!orderId) {
+    res.status(200).send('Not one of our orders');
+    return;
+  }
+
+  await settleOrder(orderId, { provider: 'razorpay', paymentId: payment.id, amount: Number(payment.amount), status: 'succeeded' });
+  res.status(200).send('OK');
+});
+
+/**
+ * Stripe webhook (payment_intent.succeeded), signed with STRIPE_WEBHOOK_SECRET
+ */
+export const stripeWebhook = onRequest({ secrets: [...GATEWAY_SECRETS, STRIPE_WEBHOOK_SECRET] }, async (req, res) => {
+  let event;
+  try {
+    event = stripeClient().webhooks.constructEvent(req.rawBody, req.get('stripe-signature'), STRIPE_WEBHOOK_SECRET.value());
+  } catch (error) {
+    res.status(400).send(`Invalid signature: ${error.message}`);
+    return;
+  }
+
+  const intent = event.data.object;
+  if (event.type !== 'payment_intent.succeeded' || !intent.metadata?.orderId) {
+    res.status(200).send('Ignored');
+    return;
+  }
+
+  await settleOrder(intent.metadata.orderId, { provider: 'stripe', paymentId: intent.id, amount: intent.amount, status: 'succeeded' });
+  res.status(200).send('OK');
+});
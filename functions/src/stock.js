@@ -0,0 +1,143 @@
+/**
+ * @file functions/src/stock.js
+ * @description Stock holds on the server: selling held stock and dropping lapsed holds
+ * @version 2.0.0
+ *
+ * Holds are written by shoppers (ReservationService in js/firebase.js) as
+ * `reservations: { [holdKey]: { quantity, expiresAt, skus? } }` plus `held`,
+ * the sum of every hold's quantity. Shoppers can only touch their own key,
+ * so lapsed holds are cleared here, and `held` is recounted from what is left.
+ */
+
+import crypto from 'node:crypto';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineInt } from 'firebase-functions/params';
+import { FieldValue } from 'firebase-admin/firestore';
+import { stockOf, stockAfter } from '../../js/utils/variants.js';
+import { db } from './app.js';
+
+// Products at or below this count as low stock - keep in step with VITE_LOW_STOCK_THRESHOLD
+const LOW_STOCK_THRESHOLD = defineInt('LOW_STOCK_THRESHOLD', { default: 3 });
+
+/**
+ * Key of a shopper's hold, same as ReservationService.holdKey
+ * @param {string} uid
+ * @returns {string} Lowercase hex SHA-256
+ */
+export function holdKey(uid) {
+  return crypto.createHash('sha256').update(uid).digest('hex');
+}
+
+/**
+ * Units of a line held by other shoppers whose holds haven't lapsed
+ * @param {Object} product
+ * @param {string} key - The buyer's hold key
+ * @param {Object} line - { sku?, quantity }
+ * @param {number} now
+ * @returns {number}
+ */
+function heldByOthers(product, key, line, now) {
+  return Object.entries(product.reservations || {})
+    .filter(([holder, hold]) => holder !== key && hold.expiresAt > now)
+    .reduce((sum, [, hold]) => sum + (line.sku ? hold.skus?.[line.sku] || 0 : hold.quantity), 0);
+}
+
+/**
+ * Lines that can't be sold: not enough stock once other shoppers' live
+ * holds are set aside (the buyer's own hold is theirs to use)
+ * @param {Array} items - Order items
+ * @param {Map<string, Object|null>} products - Product data by ID
+ * @param {string} key - The buyer's hold key
+ * @param {number} now
+ * @returns {Array<string>} Names of the lines
+ */
+export function shortages(items, products, key, now) {
+  return items
+    .filter((item) => {
+      const product = products.get(item.productId);
+      return product && item.quantity > stockOf(product, item.sku) - heldByOthers(product, key, item, now);
+    })
+    .map((item) => item.name || item.productId);
+}
+
+/**
+ * Update that removes some holds and recounts `held` from the rest
+ * @param {Object} product
+ * @param {Function} drop - (holder, hold) => boolean
+ * @returns {Object|null} null when nothing is dropped
+ */
+export function withoutHolds(product, drop) {
+  const entries = Object.entries(product.reservations || {});
+  const dropped = entries.filter(([holder, hold]) => drop(holder, hold));
+  if (!dropped.length && product.held !== undefined) return null;
+
+  const update = Object.fromEntries(dropped.map(([holder]) => [`reservations.${holder}`, FieldValue.delete()]));
+  update.held = entries
+    .filter((entry) => !dropped.includes(entry))
+    .reduce((sum, [, hold]) => sum + hold.quantity, 0);
+  return update;
+}
+
+/**
+ * Update that sells an order's lines of one product: stock goes down and the
+ * buyer's hold (with any that have lapsed) goes away
+ * @param {Object} product
+ * @param {Array} items - The order's lines for this product
+ * @param {string} key - The buyer's hold key
+ * @param {number} now
+ * @returns {Object}
+ */
+export function sellUpdate(product, items, key, now) {
+  return {
+    ...withoutHolds(product, (holder, hold) => holder === key || hold.expiresAt <= now),
+    ...stockAfter(product, items.map((item) => ({ sku: item.sku, quantity: -item.quantity })))
+  };
+}
+
+/**
+ * Dashboard stock counters for a product, as STAT_COUNTERS.products in js/firebase.js
+ */
+function stockCounters(product) {
+  return {
+    soldOut: product.sold ? 1 : 0,
+    lowStock: !product.sold && typeof product.stock === 'number' && product.stock <= LOW_STOCK_THRESHOLD.value() ? 1 : 0
+  };
+}
+
+/**
+ * Move stats/products in the same transaction as stock changes
+ * @param {Transaction} transaction
+ * @param {Array<{before: Object, after: Object}>} changes - Product data before and after
+ */
+export function writeStockCounters(transaction, changes) {
+  const delta = { soldOut: 0, lowStock: 0 };
+  changes.forEach(({ before, after }) => {
+    const was = stockCounters(before);
+    const now = stockCounters(after);
+    delta.soldOut += now.soldOut - was.soldOut;
+    delta.lowStock += now.lowStock - was.lowStock;
+  });
+  if (!delta.soldOut && !delta.lowStock) return;
+
+  transaction.set(db.collection('stats').doc('products'), {
+    byStatus: {
+      soldOut: FieldValue.increment(delta.soldOut),
+      lowStock: FieldValue.increment(delta.lowStock)
+    },
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Every ten minutes, drop holds that have lapsed so their stock can be held again
+ */
+export const pruneHolds = onSchedule('every 10 minutes', async () => {
+  const snapshot = await db.collection('products').where('held', '>', 0).get();
+
+  await Promise.all(snapshot.docs.map((doc) => db.runTransaction(async (transaction) => {
+    const fresh = await transaction.get(doc.ref);
+    const now = Date.now();
+    const update = withoutHolds(fresh.data(), (holder, hold) => hold.expiresAt <= now);
+    if (update) transaction.update(doc.ref, update);
+  })));
+});
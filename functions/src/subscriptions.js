@@ -0,0 +1,151 @@
+/**
+ * @file functions/src/subscriptions.js
+ * @description "Notify me" sign-ups with double opt-in, behind SubscriptionService in js/firebase.js
+ * @version 2.0.0
+ *
+ * A subscription's ID is a hash of product, SKU, channel and contact, so
+ * signing up twice finds the same document. A new sign-up - or one for a
+ * contact that unsubscribed - waits as `pending` until the link in its
+ * confirmation message is opened, so nobody can sign up someone else's
+ * email or number. Only `active` subscriptions get alerts (StockNotifier).
+ */
+
+import crypto from 'node:crypto';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineString } from 'firebase-functions/params';
+import { FieldValue } from 'firebase-admin/firestore';
+import { stockSubscriptionSchema } from '../../js/utils/validation.js';
+import { variantLabel } from '../../js/utils/variants.js';
+import { db } from './app.js';
+
+// Origin for links in messages
+export const SITE_URL = defineString('SITE_URL', { default: 'https://jeelani-textiles.web.app' });
+
+// A pending sign-up gets at most one confirmation message this often
+const CONFIRMATION_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Subscription ID, so signing up twice finds the same document
+ * @returns {string} Hex SHA-256 of what makes a subscription unique
+ */
+function subscriptionId({ productId, sku, channel, contact }) {
+  return crypto.createHash('sha256').update([productId, sku || '', channel, contact].join('|')).digest('hex');
+}
+
+/**
+ * @returns {string} Random URL-safe token for confirm and unsubscribe links
+ */
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Callable: sign up for a back-in-stock (and optionally price-drop) message.
+ * data: see stockSubscriptionSchema. Product name, variant and price are read
+ * from the catalogue, never taken from the caller.
+ * Returns { id, status }: `active` if the contact is already signed up,
+ * otherwise `pending` with a confirmation message on its way.
+ */
+export const subscribe = onCall(async (request) => {
+  const parsed = stockSubscriptionSchema.safeParse(request.data || {});
+  if (!parsed.success) {
+    throw new HttpsError('invalid-argument', parsed.error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join('; '));
+  }
+  const input = parsed.data;
+
+  const productSnap = await db.collection('products').doc(input.productId).get();
+  const product = productSnap.exists ? productSnap.data() : null;
+  const variant = input.sku ? product?.variants?.find((v) => v.sku === input.sku) : null;
+  if (!product || product.deletedAt || (input.sku && !variant)) {
+    throw new HttpsError('not-found', 'This product is no longer available');
+  }
+
+  const id = subscriptionId(input);
+  const ref = db.collection('subscriptions').doc(id);
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const existing = snap.exists ? snap.data() : null;
+    const now = Date.now();
+
+    if (existing?.status === 'active') {
+      return { id, status: 'active' };
+    }
+    if (existing?.status === 'pending' && now - existing.confirmationSentAt.toMillis() < CONFIRMATION_INTERVAL_MS) {
+      return { id, status: 'pending' };
+    }
+
+    const confirmToken = randomToken();
+    const productName = product.name;
+    const label = variant ? variantLabel(variant) : null;
+    transaction.set(ref, {
+      productId: input.productId,
+      sku: input.sku || null,
+      productName,
+      variant: label,
+      channel: input.channel,
+      contact: input.contact,
+      events: input.priceDrop ? ['restock', 'price-drop'] : ['restock'],
+      status: 'pending',
+      confirmToken,
+      confirmationSentAt: FieldValue.serverTimestamp(),
+      // A new token, so links from before an unsubscribe stay dead
+      unsubscribeToken: randomToken(),
+      lastPrice: variant?.price ?? product.price,
+      createdAt: existing?.createdAt || FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    // Sent by deliverMessage (notifications.js)
+    transaction.create(db.collection('notificationOutbox').doc(`${id}-confirm-${now}`), {
+      id: `${id}-confirm-${now}`,
+      channel: input.channel,
+      to: input.contact,
+      template: 'confirm-subscription',
+      subscriptionId: id,
+      productId: input.productId,
+      sku: input.sku || null,
+      params: {
+        productName,
+        variant: label,
+        priceDrop: input.priceDrop,
+        confirmUrl: `${SITE_URL.value()}/?confirmAlert=${id}&token=${encodeURIComponent(confirmToken)}`
+      },
+      status: 'queued',
+      attempts: 0,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    return { id, status: 'pending' };
+  });
+});
+
+/**
+ * Callable: the link in a confirmation message was opened. data: { id, token }
+ * Returns { id, status: 'active' }. Opening it again is fine.
+ */
+export const confirmSubscription = onCall(async (request) => {
+  const { id, token } = request.data || {};
+  if (typeof id !== 'string' || !id || typeof token !== 'string' || !token) {
+    throw new HttpsError('invalid-argument', 'id and token are required');
+  }
+
+  const ref = db.collection('subscriptions').doc(id);
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const subscription = snap.exists ? snap.data() : null;
+
+    if (!subscription || subscription.status === 'unsubscribed' || subscription.confirmToken !== token) {
+      throw new HttpsError('permission-denied', 'This link has expired or is not valid');
+    }
+
+    if (subscription.status === 'pending') {
+      transaction.update(ref, {
+        status: 'active',
+        confirmedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+    return { id, status: 'active' };
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @file functions/src/users.js
+ * @description Staff roles: the `role` custom claim read by js/utils/roles.js and firestore.rules
+ * @version 2.0.0
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getAuth } from 'firebase-admin/auth';
+import { PERMISSIONS, ROLES } from '../../js/utils/roles.js';
+import { requirePermission } from './app.js';
+
+/**
+ * Callable (owners only): give a staff member a role, or take it away.
+ * data: { email, role } - role is a key of ROLES, or null for no access.
+ * Returns { uid, role }. The change reaches their next ID token.
+ */
+export const setUserRole = onCall(async (request) => {
+  requirePermission(request, PERMISSIONS.USERS);
+
+  const email = String(request.data?.email || '').trim().toLowerCase();
+  const role = request.data?.role ?? null;
+  if (!email) {
+    throw new HttpsError('invalid-argument', 'email is required');
+  }
+  if (role !== null && !ROLES[role]) {
+    throw new HttpsError('invalid-argument', `Unknown role: ${role}`);
+  }
+  if (email === request.auth.token.email?.toLowerCase()) {
+    throw new HttpsError('failed-precondition', 'You cannot change your own role');
+  }
+
+  let user;
+  try {
+    user = await getAuth().getUserByEmail(email);
+  } catch (error) {
+    throw new HttpsError('not-found', `No account for ${email}`);
+  }
+
+  // `admin: true` predates roles and would otherwise keep them an owner
+  const { admin, role: previous, ...claims } = user.customClaims || {};
+  await getAuth().setCustomUserClaims(user.uid, role ? { ...claims, role } : claims);
+
+  return { uid: user.uid, role };
+});
@@ -31,6 +31,10 @@ import { ContactManager } from './managers/contact.js';
 import { AdminManager } from './managers/admin.js';
 import { TestimonialManager } from './managers/testimonial.js';
 import { RecommendationManager } from './managers/recommendation.js';
+import { AccountManager } from './managers/account.js';
+import { WishlistManager } from './managers/wishlist.js';
+import { StockAlertManager } from './managers/stock-alert.js';
+import { ReviewManager } from './managers/review.js';
 
 // Components
 import { ModalManager } from './components/modal.js';
@@ -76,6 +80,7 @@ export class JeelaniTextilesApp {
         EventManager.init(),
         SEOManager.init(),
         SettingsManager.init(),
+        Router.init(),
         this.initPageSpecificManagers(),
         this.registerServiceWorker(),
         this.setupGlobalKeyboardShortcuts(),
@@ -111,11 +116,27 @@ export class JeelaniTextilesApp {
 
     try {
       // Home page / Product pages
-      if (path === '/' || path === '/index.html' || path.includes('products.html')) {
+      if (path === '/' || path === '/index.html' || path.includes('products.html') || path.startsWith('/products/')) {
+        ReviewManager.init(this.services);
         await ProductManager.init(this.services);
         await TestimonialManager.init(this.services);
-        CartManager.init(this.services);
-        RecommendationManager.init();
+        RecommendationManager.init(this.services);
+      }
+
+      // Every page has the cart button in the navbar
+      CartManager.init(this.services);
+
+      // Customer sign-in (staff sign in on the admin pages instead), the
+      // wishlist hearts, count and page, and "Notify me" for sold-out products
+      if (!path.includes('admin')) {
+        AccountManager.watchAuth(this.services);
+        WishlistManager.init(this.services);
+        StockAlertManager.init(this.services);
+      }
+
+      // Account page
+      if (path.includes('account.html')) {
+        AccountManager.init(this.services);
       }
 
       // Contact page
@@ -359,16 +380,27 @@ export class JeelaniTextilesApp {
   }
 
   /**
-   * Setup offline cart sync
+   * Setup offline cart sync and queued-write replay progress
    */
   static setupOfflineSync() {
+    const replayer = this.services.offlineReplayer;
+
+    if (replayer) {
+      replayer.onProgress((progress) => this.renderSyncProgress(progress));
+
+      // Replay anything left queued from a previous session
+      if (navigator.onLine) {
+        replayer.replay().catch((error) => console.error('Offline replay failed:', error));
+      }
+    }
+
     window.addEventListener('online', async () => {
       const state = useAppState.getState();
       
       if (state.cart.length && this.services.cartService) {
         try {
           await this.services.cartService.syncCart(state.cart);
-          state.setCart([]);
+          state.clearCart();
           DOMUtils.showToast('Offline cart synced successfully', 'success');
         } catch (error) {
           console.error('Cart sync failed:', error);
@@ -377,6 +409,40 @@ export class JeelaniTextilesApp {
     });
   }
 
+  /**
+   * Show offline replay progress in a status banner
+   * @param {Object} progress - { phase, total, processed, replayed, failed }
+   */
+  static renderSyncProgress(progress) {
+    let banner = document.getElementById('syncStatus');
+
+    if (!banner) {
+      banner = DOMUtils.createElement('div', {
+        id: 'syncStatus',
+        class: 'sync-status',
+        role: 'status',
+        'aria-live': 'polite'
+      });
+      document.body.appendChild(banner);
+    }
+
+    if (progress.phase === 'start' || progress.phase === 'progress') {
+      banner.textContent = `${t('Syncing offline changes')} (${progress.processed}/${progress.total})`;
+      banner.classList.add('active');
+      return;
+    }
+
+    banner.classList.remove('active');
+
+    if (progress.phase === 'done' && progress.replayed) {
+      DOMUtils.showToast(`${progress.replayed} ${t('offline changes synced')}`, 'success');
+    }
+
+    if (progress.failed) {
+      DOMUtils.showToast(`${progress.failed} ${t('offline changes could not be synced')}`, 'error');
+    }
+  }
+
   /**
    * Setup Google Analytics tracking
    */
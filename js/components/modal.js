@@ -5,23 +5,39 @@
  */
 
 import { DOMUtils } from '../utils/dom.js';
+import {
+  hasVariants,
+  isSoldOut,
+  isVariantSoldOut,
+  getVariantOptions,
+  findVariant,
+  isOptionAvailable
+} from '../utils/variants.js';
+import { galleryOf } from '../utils/images.js';
+import { WishlistButton } from './wishlist-button.js';
+import { StarRating } from './star-rating.js';
 
 /**
  * Modal Manager - Handle product detail modals
  */
 export class ModalManager {
   static modal = null;
+  static onHide = null;
+  static detailListeners = [];
 
   /**
    * Show product detail modal
    * @param {Object} product - Product data
+   * @param {Object} [options]
+   * @param {Function} [options.onHide] - Called once when this modal is closed
    */
-  static show(product) {
+  static show(product, { onHide = null } = {}) {
     if (!this.modal) {
       this.modal = this.createModal();
       document.body.appendChild(this.modal);
     }
 
+    this.onHide = onHide;
     this.modal.innerHTML = this.createModalContent(product);
     this.modal.classList.add('active');
     this.modal.setAttribute('aria-hidden', 'false');
@@ -33,13 +49,7 @@ export class ModalManager {
       el.addEventListener('click', () => this.hide());
     });
 
-    // Thumbnail click handlers
-    DOMUtils.$$('.thumbnail', this.modal).forEach((thumb) => {
-      thumb.addEventListener('click', () => {
-        const modalImg = DOMUtils.$('#modalImg', this.modal);
-        if (modalImg) modalImg.src = thumb.src;
-      });
-    });
+    this.bindDetails(this.modal, product);
 
     // Keyboard handler
     this.modal.addEventListener('keydown', (e) => {
@@ -55,6 +65,56 @@ export class ModalManager {
     }
   }
 
+  /**
+   * Render the same product details as a full page (direct visits to /products/:slug)
+   * @param {Object} product - Product data
+   * @param {Element} container - Host element (#productPage)
+   */
+  static showPage(product, container) {
+    container.innerHTML = `
+      <article class="product-page__content">
+        <a href="/pages/products.html" class="product-page__back">← Back to collection</a>
+        ${this.createDetails(product, 'h1')}
+      </article>
+    `;
+    container.hidden = false;
+    this.bindDetails(container, product);
+  }
+
+  /**
+   * Thumbnail and variant picker handlers for rendered details
+   * @param {Element} root - Modal or page container
+   * @param {Object} product - Product data
+   */
+  static bindDetails(root, product) {
+    if (hasVariants(product)) {
+      this.setupVariantPicker(product, root);
+    }
+
+    this.detailListeners.forEach((listener) => listener(root, product));
+
+    // Thumbnail click handlers
+    DOMUtils.$$('.thumbnail', root).forEach((thumb) => {
+      thumb.addEventListener('click', () => {
+        const modalImg = DOMUtils.$('#modalImg', root);
+        if (modalImg) modalImg.src = thumb.dataset.full || thumb.src;
+      });
+    });
+  }
+
+  /**
+   * Be told each time product details are rendered, to fill in parts that
+   * need services (the reviews are loaded this way)
+   * @param {Function} listener - (root, product) => void
+   * @returns {Function} Unsubscribe
+   */
+  static onDetails(listener) {
+    this.detailListeners.push(listener);
+    return () => {
+      this.detailListeners = this.detailListeners.filter((l) => l !== listener);
+    };
+  }
+
   /**
    * Create modal container
    * @returns {Element}
@@ -76,11 +136,29 @@ export class ModalManager {
    * @returns {string}
    */
   static createModalContent(product) {
-    const thumbnails = product.images?.length > 1
-      ? product.images
+    return `
+      <div class="modal-overlay" data-close="modal"></div>
+      <div class="modal-content">
+        <button class="modal-close" data-close="modal" aria-label="Close modal">✕</button>
+        ${this.createDetails(product, 'h2')}
+        <button class="btn secondary" data-close="modal">Close</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Product details shared by the modal and the product page
+   * @param {Object} product - Product data
+   * @param {string} heading - Heading tag for the product name
+   * @returns {string}
+   */
+  static createDetails(product, heading) {
+    const gallery = galleryOf(product);
+    const thumbnails = gallery.length > 1
+      ? gallery
           .map(
-            (img, i) => `
-        <img src="${img}" alt="${product.name} view ${i + 1}" class="thumbnail" data-index="${i}" role="button" aria-label="View image ${i + 1}">
+            (set, i) => `
+        <img src="${set.thumbnail || set.image}" data-full="${set.image}" alt="${product.name} view ${i + 1}" class="thumbnail" data-index="${i}" role="button" aria-label="View image ${i + 1}">
       `
           )
           .join('')
@@ -89,27 +167,129 @@ export class ModalManager {
     const arButton = 'AR' in window ? '<button id="arPreview" class="btn">View in AR</button>' : '';
 
     return `
-      <div class="modal-overlay" data-close="modal"></div>
-      <div class="modal-content">
-        <button class="modal-close" data-close="modal" aria-label="Close modal">✕</button>
-        <div class="modal-gallery">
-          <img id="modalImg" src="${product.image}" alt="${product.name}">
-          ${thumbnails ? `<div class="thumbnail-track">${thumbnails}</div>` : ''}
-        </div>
-        <h2>${product.name}</h2>
-        <p class="modal-price">₹${product.price.toFixed(2)}</p>
-        <p class="modal-description">${product.description || 'No description available'}</p>
-        <a href="https://wa.me/919845677415?text=I'm interested in ${encodeURIComponent(product.name)} (SKU: ${product.id})" 
-           target="_blank" 
-           class="btn" 
-           id="modalWhatsApp" 
-           aria-label="Order ${product.name} on WhatsApp">Order on WhatsApp</a>
-        <button class="btn secondary" data-close="modal">Close</button>
-        ${arButton}
+      <div class="modal-gallery">
+        <img id="modalImg" src="${product.image}" alt="${product.name}">
+        ${thumbnails ? `<div class="thumbnail-track">${thumbnails}</div>` : ''}
       </div>
+      <${heading}>${product.name}</${heading}>
+      <p class="modal-price">₹${product.price.toFixed(2)}</p>
+      ${StarRating.summary(product.rating, { className: 'modal-rating' })}
+      ${this.createVariantPicker(product)}
+      <p class="modal-description">${product.description || 'No description available'}</p>
+      <a href="https://wa.me/919845677415?text=I'm interested in ${encodeURIComponent(product.name)} (SKU: ${product.id})" 
+         target="_blank" 
+         class="btn" 
+         id="modalWhatsApp" 
+         aria-label="Order ${product.name} on WhatsApp">Order on WhatsApp</a>
+      ${isSoldOut(product) ? '' : `<button class="btn btn--primary add-to-cart" data-id="${product.id}">Add to Cart</button>`}
+      <button type="button" class="btn notify-me" data-id="${product.id}" ${isSoldOut(product) ? '' : 'hidden'}>Notify me when available</button>
+      ${WishlistButton.render(product, 'modal-wishlist')}
+      ${arButton}
+      <section class="product-reviews" id="productReviews" data-product-id="${product.id}" aria-labelledby="productReviewsTitle">
+        <h3 id="productReviewsTitle">Customer reviews</h3>
+      </section>
     `;
   }
 
+  /**
+   * Variant pickers: colour swatches, chips for fabric/size/blouse
+   * @param {Object} product - Product data
+   * @returns {string}
+   */
+  static createVariantPicker(product) {
+    if (!hasVariants(product)) return '';
+
+    const fieldsets = getVariantOptions(product).map(({ key, label, values }) => `
+      <fieldset class="variant-option">
+        <legend>${label}: <span data-selected-for="${key}"></span></legend>
+        ${values.map((value) => key === 'colour'
+          ? `<button type="button" class="variant-swatch" data-option="${key}" data-value="${value}"
+                     style="--swatch: ${product.swatches?.[value] || '#ccc'}"
+                     aria-label="${value}" aria-pressed="false" title="${value}"></button>`
+          : `<button type="button" class="variant-chip" data-option="${key}" data-value="${value}"
+                     aria-pressed="false">${value}</button>`
+        ).join('')}
+      </fieldset>
+    `).join('');
+
+    return `
+      <div class="variant-picker">
+        ${fieldsets}
+        <p class="variant-stock" aria-live="polite"></p>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up variant pickers: keep the selection on an in-stock variant and
+   * point the price, image and Add to Cart button at it
+   * @param {Object} product - Product data
+   * @param {Element} [root] - Modal or page container
+   */
+  static setupVariantPicker(product, root = this.modal) {
+    const firstInStock = product.variants.find((v) => !isVariantSoldOut(v)) || product.variants[0];
+    const selection = { ...firstInStock.options };
+
+    const update = () => {
+      const variant = findVariant(product, selection);
+
+      DOMUtils.$$('[data-option]', root).forEach((btn) => {
+        const { option, value } = btn.dataset;
+        btn.setAttribute('aria-pressed', String(selection[option] === value));
+        btn.classList.toggle('is-unavailable', !isOptionAvailable(product, selection, option, value));
+      });
+
+      DOMUtils.$$('[data-selected-for]', root).forEach((el) => {
+        el.textContent = selection[el.dataset.selectedFor] || '';
+      });
+
+      const price = DOMUtils.$('.modal-price', root);
+      if (price && variant) price.textContent = `₹${variant.price.toFixed(2)}`;
+
+      const modalImg = DOMUtils.$('#modalImg', root);
+      if (modalImg && variant?.image) modalImg.src = variant.image;
+
+      const stock = DOMUtils.$('.variant-stock', root);
+      if (stock) {
+        stock.textContent = !variant || isVariantSoldOut(variant)
+          ? 'This option is sold out'
+          : variant.stock <= 3 ? `Only ${variant.stock} left` : 'In stock';
+      }
+
+      const addBtn = DOMUtils.$('.add-to-cart', root);
+      if (addBtn) {
+        addBtn.dataset.sku = variant?.sku || '';
+        addBtn.disabled = !variant || isVariantSoldOut(variant);
+      }
+
+      // A sold-out option can still be picked - offer an alert for it
+      const notifyBtn = DOMUtils.$('.notify-me', root);
+      if (notifyBtn) {
+        notifyBtn.dataset.sku = variant?.sku || '';
+        notifyBtn.hidden = !!variant && !isVariantSoldOut(variant);
+      }
+    };
+
+    DOMUtils.$$('[data-option]', root).forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const { option, value } = btn.dataset;
+        selection[option] = value;
+
+        // Switching e.g. colour can leave the other options on a combination we
+        // don't make - move them to the nearest in-stock variant with this value
+        const variant = findVariant(product, selection);
+        if (!variant || isVariantSoldOut(variant)) {
+          const fallback = product.variants.find((v) => v.options[option] === value && !isVariantSoldOut(v));
+          if (fallback) Object.assign(selection, fallback.options);
+        }
+
+        update();
+      });
+    });
+
+    update();
+  }
+
   /**
    * Hide modal
    */
@@ -121,6 +301,10 @@ export class ModalManager {
     modal.setAttribute('aria-hidden', 'true');
     document.body.classList.remove('modal-open');
 
+    const onHide = this.onHide;
+    this.onHide = null;
+    if (onHide) onHide();
+
     // Restore focus
     const lastTrigger = document.activeElement?.closest('.product-card__btn');
     const productGrid = DOMUtils.$('#productGrid');
@@ -0,0 +1,52 @@
+/**
+ * @file components/star-rating.js
+ * @description Read-only star ratings for reviews and product aggregates
+ * @version 2.0.0
+ */
+
+/**
+ * Star Rating - markup only
+ */
+export class StarRating {
+  /**
+   * "★★★★☆"
+   * @param {number} rating - 1-5, rounded to whole stars
+   * @returns {string}
+   */
+  static stars(rating) {
+    const full = Math.round(rating);
+    return '★'.repeat(full) + '☆'.repeat(5 - full);
+  }
+
+  /**
+   * Stars for one review
+   * @param {number} rating - 1-5
+   * @returns {string}
+   */
+  static render(rating) {
+    return `<span class="star-display" role="img" aria-label="Rated ${rating} out of 5">${this.stars(rating)}</span>`;
+  }
+
+  /**
+   * Average and count from a product's `rating` ({count, average}), or
+   * nothing for unrated products
+   * @param {Object} [rating]
+   * @param {Object} [options]
+   * @param {string} [options.className] - Extra class, e.g. for placement on a card
+   * @returns {string}
+   */
+  static summary(rating, { className = '' } = {}) {
+    if (!rating?.count) return '';
+
+    const label = `Rated ${rating.average.toFixed(1)} out of 5 from ${rating.count} review${rating.count === 1 ? '' : 's'}`;
+    return `
+      <p class="rating-summary ${className}">
+        <span class="star-display" aria-hidden="true">${this.stars(rating.average)}</span>
+        <span aria-hidden="true">${rating.average.toFixed(1)} (${rating.count})</span>
+        <span class="visually-hidden">${label}</span>
+      </p>
+    `;
+  }
+}
+
+export default StarRating;
@@ -0,0 +1,181 @@
+/**
+ * @file components/variant-editor.js
+ * @description Admin variant matrix editor - generate and edit per-variant SKU, price and stock
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { VARIANT_OPTIONS, generateVariants, variantLabel } from '../utils/variants.js';
+
+/**
+ * Variant Matrix Editor - one row per option combination
+ */
+export class VariantMatrixEditor {
+  static container = null;
+  static variants = [];
+  static swatches = {};
+
+  /**
+   * Render the editor into a container
+   * @param {Element} container - Host element (#variantEditor)
+   */
+  static mount(container) {
+    if (!container) return;
+    this.container = container;
+
+    container.innerHTML = `
+      <div class="variant-editor__options">
+        <div class="form-group">
+          <label for="variantBaseSku" class="form-label">Base SKU</label>
+          <input type="text" id="variantBaseSku" class="form-control" placeholder="e.g. JT-SAR-014">
+        </div>
+        ${VARIANT_OPTIONS.map(({ key, label }) => `
+          <div class="form-group">
+            <label for="variantValues-${key}" class="form-label">${label} values</label>
+            <input type="text" id="variantValues-${key}" class="form-control" data-option-values="${key}"
+                   placeholder="Comma separated, leave empty if not used">
+          </div>
+        `).join('')}
+        <button type="button" class="btn secondary" id="generateVariants">Generate variants</button>
+      </div>
+      <div class="variant-editor__swatches"></div>
+      <div class="table-responsive">
+        <table class="admin-table variant-editor__table" aria-label="Product variants">
+          <thead>
+            <tr>
+              <th scope="col">SKU</th>
+              <th scope="col">Variant</th>
+              <th scope="col">Price (₹)</th>
+              <th scope="col">Stock</th>
+              <th scope="col"><span class="sr-only">Remove</span></th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <span class="form-error" id="productVariantsError"></span>
+    `;
+
+    DOMUtils.$('#generateVariants', container).addEventListener('click', () => this.generate());
+
+    // Keep edits in this.variants so regenerating the matrix doesn't lose them
+    container.addEventListener('input', (e) => {
+      const row = e.target.closest('[data-sku]');
+      if (row && e.target.dataset.field) {
+        const variant = this.variants.find((v) => v.sku === row.dataset.sku);
+        const value = e.target.dataset.field === 'price' ? parseFloat(e.target.value) : parseInt(e.target.value, 10);
+        if (variant) variant[e.target.dataset.field] = Number.isNaN(value) ? 0 : value;
+      }
+
+      if (e.target.dataset.swatchFor) {
+        this.swatches[e.target.dataset.swatchFor] = e.target.value;
+      }
+    });
+
+    container.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-remove-variant]');
+      if (!remove) return;
+      this.variants = this.variants.filter((v) => v.sku !== remove.dataset.removeVariant);
+      this.render();
+    });
+
+    this.render();
+  }
+
+  /**
+   * Build the matrix from the option value inputs, keeping rows that still exist
+   */
+  static generate() {
+    const base = DOMUtils.$('#variantBaseSku', this.container).value.trim();
+    if (!base) {
+      DOMUtils.showToast('Enter a base SKU first', 'error');
+      return;
+    }
+
+    const optionValues = {};
+    DOMUtils.$$('[data-option-values]', this.container).forEach((input) => {
+      const values = input.value.split(',').map((v) => v.trim()).filter(Boolean);
+      if (values.length) optionValues[input.dataset.optionValues] = [...new Set(values)];
+    });
+
+    const basePrice = parseFloat(DOMUtils.$('#productPrice')?.value) || 0;
+    this.variants = generateVariants(base, optionValues, { price: basePrice, stock: 0 }, this.variants);
+    this.render();
+  }
+
+  /**
+   * Draw the swatch pickers and variant rows
+   */
+  static render() {
+    if (!this.container) return;
+
+    const colours = [...new Set(this.variants.map((v) => v.options.colour).filter(Boolean))];
+    DOMUtils.$('.variant-editor__swatches', this.container).innerHTML = colours.map((colour) => `
+      <label class="variant-editor__swatch">
+        <input type="color" data-swatch-for="${colour}" value="${this.swatches[colour] || '#cccccc'}">
+        ${colour}
+      </label>
+    `).join('');
+
+    DOMUtils.$('tbody', this.container).innerHTML = this.variants.length
+      ? this.variants.map((variant) => `
+          <tr data-sku="${variant.sku}">
+            <td><code>${variant.sku}</code></td>
+            <td>${variantLabel(variant.options)}</td>
+            <td><input type="number" class="form-control" min="0" step="0.01" data-field="price"
+                       value="${variant.price ?? ''}" aria-label="Price for ${variant.sku}"></td>
+            <td><input type="number" class="form-control" min="0" step="1" data-field="stock"
+                       value="${variant.stock ?? 0}" aria-label="Stock for ${variant.sku}"></td>
+            <td><button type="button" class="btn icon-btn danger" data-remove-variant="${variant.sku}"
+                        aria-label="Remove ${variant.sku}">✕</button></td>
+          </tr>
+        `).join('')
+      : '<tr class="empty-state"><td colspan="5">No variants - the product uses its own price and stock</td></tr>';
+  }
+
+  /**
+   * Load an existing product's variants for editing
+   * @param {Object} product
+   */
+  static load(product) {
+    this.variants = (product.variants || []).map((v) => ({ ...v, options: { ...v.options } }));
+    this.swatches = { ...(product.swatches || {}) };
+
+    if (this.container) {
+      const base = this.variants[0]?.sku.split('-').slice(0, -Object.keys(this.variants[0].options).length).join('-');
+      DOMUtils.$('#variantBaseSku', this.container).value = base || '';
+
+      VARIANT_OPTIONS.forEach(({ key }) => {
+        const values = [...new Set(this.variants.map((v) => v.options[key]).filter(Boolean))];
+        DOMUtils.$(`#variantValues-${key}`, this.container).value = values.join(', ');
+      });
+    }
+
+    this.render();
+  }
+
+  /**
+   * Variants and swatches to save on the product
+   * @returns {{variants: Array, swatches: Object}}
+   */
+  static getValue() {
+    const colours = new Set(this.variants.map((v) => v.options.colour).filter(Boolean));
+    const swatches = Object.fromEntries(Object.entries(this.swatches).filter(([colour]) => colours.has(colour)));
+
+    return { variants: this.variants.map((v) => ({ ...v })), swatches };
+  }
+
+  /**
+   * Clear the editor after saving
+   */
+  static reset() {
+    this.variants = [];
+    this.swatches = {};
+    DOMUtils.$$('input', this.container || document.createElement('div')).forEach((input) => {
+      input.value = '';
+    });
+    this.render();
+  }
+}
+
+export default VariantMatrixEditor;
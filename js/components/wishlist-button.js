@@ -0,0 +1,48 @@
+/**
+ * @file components/wishlist-button.js
+ * @description Heart toggle that saves a product to the wishlist
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { useAppState } from '../state/store.js';
+
+/**
+ * Wishlist Button - markup and pressed state. Clicks are handled once, by
+ * delegation, in WishlistManager.
+ */
+export class WishlistButton {
+  /**
+   * @param {Object} product - Product data
+   * @param {string} [className] - Extra class, e.g. for placement on a card
+   * @returns {string}
+   */
+  static render(product, className = '') {
+    const saved = useAppState.getState().isInWishlist(product.id);
+
+    return `
+      <button type="button" class="wishlist-toggle ${className}" data-wishlist-toggle data-id="${product.id}"
+              aria-pressed="${saved}" aria-label="Save ${product.name} to wishlist" title="${saved ? 'Saved to wishlist' : 'Save to wishlist'}">
+        <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">
+          <path d="M12 21s-7.5-4.6-9.6-9.2C.9 8.4 3 4.5 6.7 4.5c2.1 0 3.6 1.2 4.3 2.4.7-1.2 2.2-2.4 4.3-2.4 3.7 0 5.8 3.9 4.3 7.3C19.5 16.4 12 21 12 21z"/>
+        </svg>
+      </button>
+    `;
+  }
+
+  /**
+   * Bring every heart on the page in line with the wishlist
+   * @param {Element|Document} [root]
+   */
+  static sync(root = document) {
+    const { isInWishlist } = useAppState.getState();
+
+    DOMUtils.$$('[data-wishlist-toggle]', root).forEach((button) => {
+      const saved = isInWishlist(button.dataset.id);
+      button.setAttribute('aria-pressed', String(saved));
+      button.title = saved ? 'Saved to wishlist' : 'Save to wishlist';
+    });
+  }
+}
+
+export default WishlistButton;
@@ -67,6 +67,32 @@ export const config = {
         publicKey: getOptionalEnv('VITE_STRIPE_PUBLIC_KEY', '')
     },
     
+    razorpay: {
+        keyId: getOptionalEnv('VITE_RAZORPAY_KEY_ID', '')
+    },
+    
+    payments: {
+        // Local mock gateway for test checkouts. Only the functions emulator
+        // confirms its payments, so it is only offered against the emulators.
+        mockGateway: getOptionalEnv('VITE_USE_FIREBASE_EMULATORS', 'false') === 'true'
+            && (ENV.isDevelopment || getOptionalEnv('VITE_ENABLE_MOCK_PAYMENTS', 'false') === 'true'),
+        mockScenario: getOptionalEnv('VITE_MOCK_PAYMENT_SCENARIO', 'success'),
+        codMaxAmount: Number(getOptionalEnv('VITE_COD_MAX_AMOUNT', '20000'))
+    },
+    
+    auth: {
+        // Phone sign-in without reCAPTCHA or real SMS: against the Auth emulator the
+        // code is read back from it, otherwise only the console's test numbers work
+        otpTestMode: getOptionalEnv('VITE_USE_FIREBASE_EMULATORS', 'false') === 'true'
+            || getOptionalEnv('VITE_AUTH_OTP_TEST_MODE', 'false') === 'true'
+    },
+    
+    notifications: {
+        // Back-in-stock / price-drop alerts: 'functions' leaves them in the
+        // outbox for the server to send by email or WhatsApp template,
+        // 'console' has the admin page log them instead
+        channel: getOptionalEnv('VITE_NOTIFICATION_CHANNEL', ENV.isDevelopment ? 'console' : 'functions')
+    },
     analytics: {
         gaId: getOptionalEnv('VITE_GA_MEASUREMENT_ID', 'G-K66820664B')
     },
@@ -75,6 +101,26 @@ export const config = {
         phoneNumber: getOptionalEnv('VITE_WHATSAPP_NUMBER', '919845677415')
     },
     
+    trash: {
+        // Soft-deleted products, FAQs and contacts are purged after this many days
+        retentionDays: Number(getOptionalEnv('VITE_TRASH_RETENTION_DAYS', '30'))
+    },
+    
+    inventory: {
+        // Products at or below this stock count as low stock on the dashboard
+        lowStockThreshold: Number(getOptionalEnv('VITE_LOW_STOCK_THRESHOLD', '3'))
+    },
+    
+    // Firebase Local Emulator Suite (firebase emulators:start)
+    emulators: {
+        enabled: getOptionalEnv('VITE_USE_FIREBASE_EMULATORS', 'false') === 'true',
+        host: getOptionalEnv('VITE_FIREBASE_EMULATOR_HOST', '127.0.0.1'),
+        firestorePort: Number(getOptionalEnv('VITE_FIRESTORE_EMULATOR_PORT', '8080')),
+        authPort: Number(getOptionalEnv('VITE_AUTH_EMULATOR_PORT', '9099')),
+        storagePort: Number(getOptionalEnv('VITE_STORAGE_EMULATOR_PORT', '9199')),
+        functionsPort: Number(getOptionalEnv('VITE_FUNCTIONS_EMULATOR_PORT', '5001'))
+    },
+    
     // Environment flags
     isDevelopment: ENV.isDevelopment,
     isProduction: ENV.isProduction,
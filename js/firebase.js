@@ -18,6 +18,7 @@
  * - Rate limiting (token bucket)
  * - Connection monitoring and auto-reconnect
  * - Retry logic with exponential backoff
+ * - Idempotent writes replayed in order after reconnecting (dead-letter on failure)
  * - Comprehensive metrics tracking
  */
 
@@ -28,18 +29,25 @@
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
+    connectAuthEmulator,
     signInWithEmailAndPassword, 
+    createUserWithEmailAndPassword,
+    sendPasswordResetEmail,
+    updateProfile,
+    RecaptchaVerifier,
+    signInWithPhoneNumber,
+    signInAnonymously,
     signOut, 
     onAuthStateChanged 
 } from 'firebase/auth';
 import { 
-    getFirestore, 
+    initializeFirestore, 
+    connectFirestoreEmulator,
     collection, 
     getDocs, 
     getDoc, 
-    addDoc, 
+    setDoc,
     updateDoc, 
-    deleteDoc, 
     doc, 
     serverTimestamp, 
     query, 
@@ -51,37 +59,63 @@ import {
     writeBatch, 
     enableIndexedDbPersistence,
     runTransaction,
-    increment
+    documentId,
+    increment,
+    arrayUnion,
+    deleteField,
+    Timestamp,
+    getAggregateFromServer,
+    count,
+    average
 } from 'firebase/firestore';
 import { 
     getStorage, 
+    connectStorageEmulator,
     ref, 
     uploadBytes, 
     getDownloadURL, 
     deleteObject 
 } from 'firebase/storage';
+import { 
+    getFunctions,
+    connectFunctionsEmulator,
+    httpsCallable
+} from 'firebase/functions';
 import { 
     getAnalytics, 
-    logEvent,
     isSupported as isAnalyticsSupported
 } from 'firebase/analytics';
 
 // Import config
 import { config } from './config.js';
+import {
+    orderSchema,
+    contactStatusSchema,
+    faqSchema,
+    testimonialSchema,
+    testimonialStatusSchema,
+    reviewSchema,
+    reviewStatusSchema,
+    savedAddressSchema,
+    profileSchema,
+    signUpSchema,
+    phoneSchema,
+    otpSchema,
+    cartSchema,
+    wishlistShareSchema,
+    stockSubscriptionSchema,
+    MAX_SAVED_ADDRESSES,
+    MAX_WISHLIST_ITEMS
+} from './utils/validation.js';
+import { PricingEngine, catalogPrice } from './utils/pricing.js';
+import { productSearch } from './utils/search.js';
+import { hasVariants, isSoldOut, stockOf, stockAfter } from './utils/variants.js';
+import { PERMISSIONS, COLLECTION_PERMISSIONS, roleFromClaims, can } from './utils/roles.js';
 
 // ============================================================================
 // ENVIRONMENT & CONFIGURATION
 // ============================================================================
 
-/**
- * Environment detection
- */
-const ENV = {
-    isDevelopment: config.isDevelopment,
-    isProduction: config.isProduction,
-    isTest: typeof process !== 'undefined' && process.env?.NODE_ENV === 'test'
-};
-
 /**
  * Get Firebase configuration from imported config
  * @returns {Object} Firebase configuration
@@ -116,7 +150,7 @@ function validateConfig(config) {
     }
     
     // Validate project ID format
-    if (!/^[a-z0-9\-]+$/.test(config.projectId)) {
+    if (!/^[a-z0-9-]+$/.test(config.projectId)) {
         throw new Error('Invalid Firebase project ID format');
     }
     
@@ -154,6 +188,25 @@ class ValidationError extends FirebaseError {
     }
 }
 
+class PermissionError extends FirebaseError {
+    constructor(message, permission) {
+        super(message, 'permission-denied');
+        this.name = 'PermissionError';
+        this.permission = permission;
+    }
+}
+
+/**
+ * Nobody (or only a guest session) is signed in yet. Not permanent: a queued
+ * write that hits this is replayed again once the user has signed in.
+ */
+class AuthRequiredError extends FirebaseError {
+    constructor(message) {
+        super(message, 'auth-required');
+        this.name = 'AuthRequiredError';
+    }
+}
+
 class RateLimitError extends FirebaseError {
     constructor(message) {
         super(message, 'rate-limit-error');
@@ -161,6 +214,23 @@ class RateLimitError extends FirebaseError {
     }
 }
 
+class OutOfStockError extends FirebaseError {
+    constructor(message, productId, available) {
+        super(message, 'out-of-stock');
+        this.name = 'OutOfStockError';
+        this.productId = productId;
+        this.available = available;
+    }
+}
+
+class ReservationExpiredError extends FirebaseError {
+    constructor(message, productId) {
+        super(message, 'reservation-expired');
+        this.name = 'ReservationExpiredError';
+        this.productId = productId;
+    }
+}
+
 // ============================================================================
 // LRU CACHE IMPLEMENTATION
 // ============================================================================
@@ -205,6 +275,18 @@ class LRUCache {
         this.cache.clear();
     }
 
+    /**
+     * Drop every entry whose key starts with prefix
+     * @param {string} prefix - Cache key prefix
+     */
+    invalidatePrefix(prefix) {
+        for (const key of [...this.cache.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
     size() {
         return this.cache.size;
     }
@@ -260,7 +342,7 @@ class OfflineQueue {
 
     async init() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, 1);
+            const request = indexedDB.open(this.dbName, 2);
 
             request.onerror = () => reject(new Error('Failed to open IndexedDB'));
 
@@ -276,6 +358,11 @@ class OfflineQueue {
                     store.createIndex('timestamp', 'timestamp', { unique: false });
                     store.createIndex('type', 'type', { unique: false });
                 }
+                // v2: operations that failed permanently during replay
+                if (!db.objectStoreNames.contains('deadLetters')) {
+                    const deadLetters = db.createObjectStore('deadLetters', { keyPath: 'id' });
+                    deadLetters.createIndex('failedAt', 'failedAt', { unique: false });
+                }
             };
         });
     }
@@ -324,6 +411,19 @@ class OfflineQueue {
         });
     }
 
+    async update(operation) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['operations'], 'readwrite');
+            const store = transaction.objectStore('operations');
+            const request = store.put(operation);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(new Error('Failed to update queued operation'));
+        });
+    }
+
     async clear() {
         if (!this.db) await this.init();
 
@@ -336,6 +436,70 @@ class OfflineQueue {
             request.onerror = () => reject(new Error('Failed to clear queue'));
         });
     }
+
+    /**
+     * Move an operation to the dead-letter store in a single transaction
+     * @param {Object} operation - Queued operation record
+     * @param {Error} error - Error that made the operation fail permanently
+     */
+    async moveToDeadLetter(operation, error) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['operations', 'deadLetters'], 'readwrite');
+
+            transaction.objectStore('deadLetters').put({
+                ...operation,
+                status: 'failed',
+                failedAt: Date.now(),
+                error: { message: error.message, code: error.code || 'unknown' }
+            });
+            transaction.objectStore('operations').delete(operation.id);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error('Failed to move operation to dead-letter store'));
+        });
+    }
+
+    async getDeadLetters() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['deadLetters'], 'readonly');
+            const request = transaction.objectStore('deadLetters').getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to retrieve dead letters'));
+        });
+    }
+
+    async removeDeadLetter(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['deadLetters'], 'readwrite');
+            const request = transaction.objectStore('deadLetters').delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(new Error('Failed to remove dead letter'));
+        });
+    }
+
+    /**
+     * Put a dead-lettered operation back at the end of the queue.
+     * The idempotency key is kept, so a retry can never apply the write twice.
+     * @param {number} id - Dead letter ID
+     */
+    async requeueDeadLetter(id) {
+        const deadLetters = await this.getDeadLetters();
+        const entry = deadLetters.find(item => item.id === id);
+        if (!entry) return null;
+
+        const { id: _id, error, failedAt, ...operation } = entry;
+        const newId = await this.add({ ...operation, attempts: 0 });
+        await this.removeDeadLetter(id);
+        return newId;
+    }
 }
 
 // ============================================================================
@@ -380,18 +544,20 @@ class MetricsTracker {
             networkRequests: 0,
             networkErrors: 0,
             rateLimitHits: 0,
-            offlineQueueSize: 0
+            offlineQueueSize: 0,
+            replayedOperations: 0,
+            deadLetters: 0
         };
     }
 
     increment(metric, value = 1) {
-        if (this.metrics.hasOwnProperty(metric)) {
+        if (Object.hasOwn(this.metrics, metric)) {
             this.metrics[metric] += value;
         }
     }
 
     set(metric, value) {
-        if (this.metrics.hasOwnProperty(metric)) {
+        if (Object.hasOwn(this.metrics, metric)) {
             this.metrics[metric] = value;
         }
     }
@@ -411,6 +577,25 @@ class MetricsTracker {
 // RETRY LOGIC WITH EXPONENTIAL BACKOFF
 // ============================================================================
 
+const PERMANENT_ERROR_CODES = [
+    'permission-denied',
+    'unauthenticated',
+    'invalid-argument',
+    'not-found',
+    'validation-error',
+    'out-of-stock',
+    'reservation-expired'
+];
+
+/**
+ * Errors that will fail the same way no matter how often they are retried
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+    return PERMANENT_ERROR_CODES.includes(error?.code);
+}
+
 async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     let lastError;
 
@@ -421,9 +606,7 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
             lastError = error;
             
             // Don't retry on certain errors
-            if (error.code === 'permission-denied' || 
-                error.code === 'unauthenticated' ||
-                error.code === 'invalid-argument') {
+            if (isPermanentError(error)) {
                 throw error;
             }
 
@@ -442,6 +625,184 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
 // FIREBASE SERVICE BASE CLASS
 // ============================================================================
 
+/**
+ * Days a soft-deleted document stays in the trash before purgeTrash removes it
+ */
+const TRASH_RETENTION_DAYS = config.trash.retentionDays;
+
+/**
+ * Append-only log of catalogue and content changes (see FirebaseService.audit)
+ */
+const AUDIT_COLLECTION = 'auditLog';
+
+// Bookkeeping fields - the entry's action and timestamp already record these
+const AUDIT_IGNORED_FIELDS = ['createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'viewCount'];
+
+/**
+ * Field-level diff for an audit entry: { price: { from: 1500, to: 1600 } }.
+ * Updates only list the fields they write; a purge lists everything it removed.
+ * @param {Object|null} before - Stored fields before the change
+ * @param {Object|null} after - Fields written (null when the document is removed)
+ * @returns {Object}
+ */
+function auditChanges(before, after) {
+    const fields = Object.keys(after || before || {}).filter(field => !AUDIT_IGNORED_FIELDS.includes(field));
+
+    return fields.reduce((changes, field) => {
+        const from = before?.[field] ?? null;
+        const to = after ? after[field] ?? null : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+        return changes;
+    }, {});
+}
+
+/**
+ * The signed-in user making a change. Visitors (e.g. the contact form) have no uid.
+ * @returns {{uid: string|null, email: string|null}}
+ */
+function currentActor() {
+    const user = auth?.currentUser;
+    return { uid: user?.uid || null, email: user?.email || null };
+}
+
+/**
+ * The signed-in user, signing the visitor in anonymously when nobody is.
+ * firestore.rules tie stock holds and orders to a uid, so guests get an
+ * anonymous one; the account pages treat that as signed out.
+ * @returns {Promise<User>}
+ */
+async function ensureSignedIn() {
+    await auth.authStateReady();
+    if (auth.currentUser) return auth.currentUser;
+
+    try {
+        const { user } = await signInAnonymously(auth);
+        return user;
+    } catch (error) {
+        throw new FirebaseError(`Could not start a session: ${error.message}`, error.code, error);
+    }
+}
+
+// Role of the signed-in user, cached per uid (the claim only changes with a new token)
+let roleCache = { uid: null, role: null };
+
+/**
+ * Role of the signed-in user (see utils/roles.js)
+ * @param {boolean} [forceRefresh=false] - Fetch a fresh ID token, e.g. after a role change
+ * @returns {Promise<string|null>}
+ */
+async function currentRole(forceRefresh = false) {
+    const user = auth?.currentUser;
+    if (!user) return null;
+
+    if (forceRefresh || roleCache.uid !== user.uid) {
+        const { claims } = await user.getIdTokenResult(forceRefresh);
+        roleCache = { uid: user.uid, role: roleFromClaims(claims) };
+    }
+    return roleCache.role;
+}
+
+/**
+ * Fail fast when the signed-in user's role lacks a permission. This only
+ * spares a round trip and gives a readable error - firestore.rules and
+ * storage.rules are what actually enforce it.
+ * @param {string} permission - Value of PERMISSIONS
+ * @throws {AuthRequiredError} If no staff member is signed in
+ * @throws {PermissionError}
+ */
+async function requirePermission(permission) {
+    if (!auth?.currentUser || auth.currentUser.isAnonymous) {
+        throw new AuthRequiredError(`Sign in to use ${permission}`);
+    }
+
+    const role = await currentRole();
+    if (!can(role, permission)) {
+        throw new PermissionError(`Your role (${role || 'none'}) does not allow ${permission}`, permission);
+    }
+}
+
+/**
+ * Public reads skip trashed documents. Filtered after the query rather than
+ * with where('deletedAt', '==', null) so documents written before soft delete
+ * (no deletedAt field at all) still show up.
+ */
+const isLive = item => !item.deletedAt;
+
+// ============================================================================
+// DASHBOARD COUNTERS
+// ============================================================================
+
+const STATS_COLLECTION = 'stats';
+const STATS_TIME_ZONE = 'Asia/Kolkata';
+const LOW_STOCK_THRESHOLD = config.inventory.lowStockThreshold;
+
+/**
+ * What one live document contributes to stats/{collection}. Every write adds
+ * (counts after - counts before) in the same transaction, so the dashboard
+ * reads a handful of counter documents instead of scanning collections.
+ * Trashed documents count as nothing, so trash and restore move counts too.
+ */
+const STAT_COUNTERS = {
+    products: product => ({
+        total: 1,
+        [`byCategory.${product.category || 'uncategorised'}`]: 1,
+        'byStatus.new': product.isNew ? 1 : 0,
+        'byStatus.soldOut': product.sold ? 1 : 0,
+        'byStatus.lowStock': !product.sold && typeof product.stock === 'number' && product.stock <= LOW_STOCK_THRESHOLD ? 1 : 0
+    }),
+    faqs: faq => ({
+        total: 1,
+        upvotes: faq.upvotes || 0,
+        downvotes: faq.downvotes || 0
+    }),
+    contacts: contact => ({
+        total: 1,
+        [`byStatus.${contact.status || 'new'}`]: 1
+    })
+};
+
+/**
+ * Day bucket for per-day counters, in the shop's time zone
+ * @param {number} [ms=Date.now()]
+ * @returns {string} YYYY-MM-DD
+ */
+function statsDay(ms = Date.now()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: STATS_TIME_ZONE }).format(ms);
+}
+
+/**
+ * Sum counter deltas ({ 'byStatus.new': 1 }), dropping zeros
+ * @param {...Object} deltas
+ * @returns {Object}
+ */
+function addCounters(...deltas) {
+    const sum = {};
+    deltas.forEach(delta => Object.entries(delta).forEach(([key, value]) => {
+        sum[key] = (sum[key] || 0) + value;
+    }));
+    Object.keys(sum).filter(key => !sum[key]).forEach(key => delete sum[key]);
+    return sum;
+}
+
+/**
+ * Dotted counter paths → nested map, e.g. for set(..., { merge: true })
+ * @param {Object} delta - { 'byStatus.new': 1 }
+ * @param {Function} [wrap] - Applied to each value, e.g. increment
+ * @returns {Object} { byStatus: { new: wrap(1) } }
+ */
+function nestCounters(delta, wrap = value => value) {
+    const nested = {};
+    Object.entries(delta).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), nested);
+        parent[last] = wrap(value);
+    });
+    return nested;
+}
+
 class FirebaseService {
     constructor(cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
         this.cache = cache;
@@ -494,251 +855,3089 @@ class FirebaseService {
             throw new NetworkError(`Operation failed: ${error.message}`, error);
         }
     }
-}
 
-// ============================================================================
-// PRODUCT SERVICE
-// ============================================================================
+    /**
+     * Apply a write exactly once.
+     *
+     * Online, the write runs inside a Firestore transaction together with an
+     * idempotency marker, so a retried or replayed call with the same key is a
+     * no-op that returns `{ id, duplicate: true }` with the ID of what the
+     * first call wrote. Markers are public, so they keep only that ID and the
+     * time - never the result itself, which may hold customer details.
+     *
+     * Offline, a serializable description of the call (service, method, args)
+     * is queued and replayed later by OfflineReplayer.
+     *
+     * @param {string} method - Public method name on this service
+     * @param {Array} args - Method arguments (must be structured-cloneable)
+     * @param {Function} apply - (transaction) => result, performs the writes
+     *                           (may be async; reads must come before writes)
+     * @param {Object} options - { idempotencyKey, replay, queue }; queue: false
+     *                            fails with a NetworkError offline instead of queueing
+     * @returns {Promise<Object>} Result of apply, or { queued: true, idempotencyKey }
+     */
+    async executeWrite(method, args, apply, options = {}) {
+        const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
 
-class ProductService extends FirebaseService {
-    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
-        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
-        this.db = db;
-        this.collectionName = 'products';
-    }
+        const enqueue = async () => {
+            if (options.queue === false) {
+                throw new NetworkError(`${this.serviceName}.${method} cannot run while offline`);
+            }
 
-    async getAllProducts(options = {}) {
-        return this.executeWithCache(
-            'products:all',
-            async () => {
-                const productsRef = collection(this.db, this.collectionName);
-                let q = query(productsRef, orderBy('createdAt', 'desc'));
+            await this.offlineQueue.add({
+                type: `${this.serviceName}.${method}`,
+                service: this.serviceName,
+                method,
+                args,
+                idempotencyKey,
+                attempts: 0
+            });
+            this.metrics.increment('offlineQueueSize');
+            console.log(`📥 Queued ${this.serviceName}.${method} for replay`);
+            return { queued: true, idempotencyKey };
+        };
 
-                if (options.limit) {
-                    q = query(q, limit(options.limit));
+        // Replayed operations are already in the queue - never queue them twice
+        if (!this.connectionMonitor.isOnline && !options.replay) {
+            return enqueue();
+        }
+
+        try {
+            this.metrics.increment('networkRequests');
+            return await retryWithBackoff(() => runTransaction(this.db, async (transaction) => {
+                const markerRef = doc(this.db, IDEMPOTENCY_COLLECTION, idempotencyKey);
+                const marker = await transaction.get(markerRef);
+
+                if (marker.exists()) {
+                    return { id: marker.data().resultId, duplicate: true };
                 }
 
-                const snapshot = await getDocs(q);
-                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            },
-            { useCache: true, retries: 3 }
-        );
+                const result = await apply(transaction);
+                transaction.set(markerRef, {
+                    resultId: result?.id ?? null,
+                    createdAt: serverTimestamp()
+                });
+                return result;
+            }));
+        } catch (error) {
+            this.metrics.increment('networkErrors');
+
+            if (!this.connectionMonitor.isOnline && !options.replay && !isPermanentError(error)) {
+                return enqueue();
+            }
+
+            throw error;
+        }
     }
 
-    async getProductById(id) {
-        return this.executeWithCache(
-            `product:${id}`,
-            async () => {
-                const docRef = doc(this.db, this.collectionName, id);
-                const docSnap = await getDoc(docRef);
-                
-                if (!docSnap.exists()) {
-                    throw new ValidationError(`Product ${id} not found`);
-                }
-                
-                return { id: docSnap.id, ...docSnap.data() };
-            },
-            { useCache: true }
-        );
+    /**
+     * Append an audit entry in the same transaction or batch as the change it
+     * describes, so the log can neither miss a write nor record one that failed
+     * @param {Transaction|WriteBatch} writer
+     * @param {string} action - create, update, delete, restore or purge
+     * @param {string} docId
+     * @param {Object|null} before - Stored fields before the change (null if not read)
+     * @param {Object|null} after - Fields written (null when the document is removed)
+     */
+    audit(writer, action, docId, before, after) {
+        writer.set(doc(collection(this.db, AUDIT_COLLECTION)), {
+            actor: currentActor(),
+            action,
+            collection: this.collectionName,
+            docId,
+            changes: auditChanges(before, after),
+            createdAt: serverTimestamp()
+        });
     }
 
-    async searchProducts(searchTerm) {
-        // NOTE: Firestore doesn't support full-text search
-        // This is a basic prefix match - consider using Algolia or Fuse.js client-side
-        return this.executeWithCache(
-            `search:${searchTerm}`,
-            async () => {
-                const productsRef = collection(this.db, this.collectionName);
-                const q = query(
-                    productsRef,
-                    where('name', '>=', searchTerm),
-                    where('name', '<=', searchTerm + '\uf8ff'),
-                    limit(20)
-                );
-                
-                const snapshot = await getDocs(q);
-                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            },
-            { useCache: true }
-        );
+    /**
+     * Counter change for one document going from `before` to `after`
+     * (either may be null: created, purged)
+     * @param {Object|null} before
+     * @param {Object|null} after
+     * @param {string} [collectionName] - Another collection's counters (default: this service's)
+     * @returns {Object} Dotted counter paths → delta
+     */
+    countDelta(before, after, collectionName = this.collectionName) {
+        const counts = STAT_COUNTERS[collectionName];
+        if (!counts) return {};
+
+        const count = data => (data && isLive(data) ? counts(data) : {});
+        const negate = delta => Object.fromEntries(Object.entries(delta).map(([key, value]) => [key, -value]));
+        return addCounters(count(after), negate(count(before)));
     }
 
-    async getProductsByCategory(category) {
+    /**
+     * Apply counter deltas to stats/{collection} in the same transaction or
+     * batch as the change. Sum deltas first when a write touches several
+     * documents - one counter write per transaction.
+     * @param {Transaction|WriteBatch} writer
+     * @param {Object} delta - From countDelta / addCounters
+     * @param {Object} [options]
+     * @param {string} [options.collectionName] - Another collection's counters (default: this service's)
+     * @param {Object} [options.fields] - Written alongside, e.g. the document a visitor's
+     *                                    count is for, which firestore.rules check
+     */
+    writeCounters(writer, delta, { collectionName = this.collectionName, fields = {} } = {}) {
+        if (!Object.keys(delta).length) return;
+        writer.set(doc(this.db, STATS_COLLECTION, collectionName), {
+            ...nestCounters(delta, increment),
+            ...fields,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+    }
+
+    /**
+     * Soft delete: stamp `deletedAt`/`deletedBy`. Trashed documents drop out
+     * of every public query and are purged after TRASH_RETENTION_DAYS.
+     * @param {string} method - Public method name (for offline replay)
+     * @param {string} id - Document id
+     * @param {string|null} deletedBy - Admin email or uid
+     * @param {Object} options - executeWrite options
+     */
+    async trashDocument(method, id, deletedBy, options) {
+        await requirePermission(COLLECTION_PERMISSIONS[this.collectionName]);
+        return this.executeWrite(method, [id, deletedBy], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const snap = await transaction.get(docRef);
+
+            transaction.update(docRef, {
+                deletedAt: serverTimestamp(),
+                deletedBy
+            });
+            this.audit(transaction, 'delete', id, null, {});
+            if (snap.exists()) this.writeCounters(transaction, this.countDelta(snap.data(), null));
+            return { id, deletedBy };
+        }, options);
+    }
+
+    /**
+     * Take a document back out of the trash
+     * @returns {Promise<{id: string, before?: Object|null}>} `before` is the
+     *   stored document as it was in the trash
+     */
+    async restoreDocument(method, id, options) {
+        await requirePermission(COLLECTION_PERMISSIONS[this.collectionName]);
+        return this.executeWrite(method, [id], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const snap = await transaction.get(docRef);
+
+            transaction.update(docRef, {
+                deletedAt: null,
+                deletedBy: null,
+                updatedAt: serverTimestamp()
+            });
+            this.audit(transaction, 'restore', id, null, {});
+            if (snap.exists()) {
+                // Counted again only if it was really in the trash
+                const before = snap.data();
+                this.writeCounters(transaction, this.countDelta(before, { ...before, deletedAt: null }));
+            }
+            return { id, before: snap.exists() ? snap.data() : null };
+        }, options);
+    }
+
+    /**
+     * Delete a trashed document for good. Refuses documents that are not in
+     * the trash so a stale admin screen can't skip the undo window.
+     */
+    async purgeDocument(method, id, options) {
+        await requirePermission(COLLECTION_PERMISSIONS[this.collectionName]);
+        return this.executeWrite(method, [id], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const snap = await transaction.get(docRef);
+            if (snap.exists() && !snap.data().deletedAt) {
+                throw new ValidationError('Only items in the trash can be deleted permanently');
+            }
+            transaction.delete(docRef);
+            if (snap.exists()) this.audit(transaction, 'purge', id, snap.data(), null);
+            return { id };
+        }, options);
+    }
+
+    /**
+     * Trashed documents, most recently deleted first
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTrash() {
+        await requirePermission(COLLECTION_PERMISSIONS[this.collectionName]);
         return this.executeWithCache(
-            `category:${category}`,
+            `${this.collectionName}:trash`,
             async () => {
-                const productsRef = collection(this.db, this.collectionName);
                 const q = query(
-                    productsRef,
-                    where('category', '==', category),
-                    orderBy('createdAt', 'desc')
+                    collection(this.db, this.collectionName),
+                    where('deletedAt', '!=', null),
+                    orderBy('deletedAt', 'desc')
                 );
-                
                 const snapshot = await getDocs(q);
                 return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
             },
-            { useCache: true }
+            { useCache: false }
         );
     }
 
-    async createProduct(productData) {
-        const productsRef = collection(this.db, this.collectionName);
-        const docRef = await addDoc(productsRef, {
-            ...productData,
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp()
-        });
-        
-        // Invalidate cache
-        this.cache.clear();
-        
-        return { id: docRef.id, ...productData };
-    }
+    /**
+     * Permanently delete everything trashed more than `days` ago
+     * @param {number} [days=TRASH_RETENTION_DAYS]
+     * @returns {Promise<{purged: number}>}
+     */
+    async purgeTrash(days = TRASH_RETENTION_DAYS) {
+        await requirePermission(COLLECTION_PERMISSIONS[this.collectionName]);
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Emptying the trash needs an internet connection');
+        }
 
-    async updateProduct(id, updates) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await updateDoc(docRef, {
-            ...updates,
-            updatedAt: serverTimestamp()
-        });
-        
-        // Invalidate specific cache entries
-        this.cache.set(`product:${id}`, null);
-        
-        return { id, ...updates };
-    }
+        const cutoff = Timestamp.fromMillis(Date.now() - days * 24 * 60 * 60 * 1000);
+        const snapshot = await getDocs(query(
+            collection(this.db, this.collectionName),
+            where('deletedAt', '<=', cutoff)
+        ));
 
-    async deleteProduct(id) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await deleteDoc(docRef);
-        
-        // Invalidate cache
-        this.cache.clear();
-        
-        return { id };
+        // writeBatch takes at most 500 operations - a delete plus its audit entry each
+        for (let start = 0; start < snapshot.docs.length; start += 250) {
+            const batch = writeBatch(this.db);
+            snapshot.docs.slice(start, start + 250).forEach(docSnap => {
+                batch.delete(docSnap.ref);
+                this.audit(batch, 'purge', docSnap.id, docSnap.data(), null);
+            });
+            await batch.commit();
+            this.metrics.increment('networkRequests');
+        }
+
+        if (snapshot.size) this.cache.clear();
+        return { purged: snapshot.size };
     }
 }
 
 // ============================================================================
-// FAQ SERVICE
+// OFFLINE REPLAY
 // ============================================================================
 
-class FAQService extends FirebaseService {
-    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
-        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
-        this.db = db;
-        this.collectionName = 'faqs';
+const IDEMPOTENCY_COLLECTION = 'idempotencyKeys';
+const MAX_REPLAY_ATTEMPTS = 5;
+
+/**
+ * Generate a unique key for a write
+ * @returns {string}
+ */
+function createIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Lowercase hex SHA-256 of a string
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Replays queued writes in the order they were made once we are back online.
+ * Operations that fail permanently, or keep failing for MAX_REPLAY_ATTEMPTS
+ * sessions, are moved to the dead-letter store instead of blocking the queue.
+ */
+class OfflineReplayer {
+    constructor(offlineQueue, connectionMonitor, metrics) {
+        this.offlineQueue = offlineQueue;
+        this.connectionMonitor = connectionMonitor;
+        this.metrics = metrics;
+        this.services = new Map();
+        this.listeners = [];
+        this.replaying = null;
+    }
+
+    register(name, service) {
+        this.services.set(name, service);
+    }
+
+    /**
+     * Subscribe to replay progress
+     * @param {Function} callback - ({ phase, total, processed, replayed, failed }) => void
+     * @returns {Function} Unsubscribe
+     */
+    onProgress(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== callback);
+        };
+    }
+
+    emit(progress) {
+        this.listeners.forEach(fn => fn({ ...progress }));
+    }
+
+    /**
+     * Replay every queued operation. Concurrent calls share one run.
+     * @returns {Promise<Object>} Final progress
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.run().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async run() {
+        // Firebase restores the signed-in user asynchronously on page load;
+        // replaying before that would send staff writes as a visitor
+        await auth?.authStateReady();
+
+        const queued = (await this.offlineQueue.getAll()).sort((a, b) => a.id - b.id);
+        const progress = { phase: 'start', total: queued.length, processed: 0, replayed: 0, failed: 0 };
+
+        this.metrics.set('offlineQueueSize', queued.length);
+        if (!queued.length) return progress;
+
+        console.log(`📤 Replaying ${queued.length} queued operations...`);
+        this.emit(progress);
+
+        for (const operation of queued) {
+            if (!this.connectionMonitor.isOnline) {
+                progress.phase = 'interrupted';
+                break;
+            }
+
+            try {
+                const service = this.services.get(operation.service);
+                if (!service || typeof service[operation.method] !== 'function') {
+                    throw new ValidationError(`Unknown queued operation: ${operation.type}`);
+                }
+
+                await service[operation.method](...(operation.args || []), {
+                    idempotencyKey: operation.idempotencyKey,
+                    replay: true
+                });
+
+                await this.offlineQueue.remove(operation.id);
+                progress.replayed++;
+                this.metrics.increment('replayedOperations');
+            } catch (error) {
+                const attempts = (operation.attempts || 0) + 1;
+
+                // Denied while nobody is signed in: wait for a sign-in rather than give up
+                const signedOut = error.code === 'permission-denied' && !auth?.currentUser;
+
+                if ((isPermanentError(error) && !signedOut) || attempts >= MAX_REPLAY_ATTEMPTS) {
+                    console.error(`❌ Dead-lettering ${operation.type}:`, error);
+                    await this.offlineQueue.moveToDeadLetter({ ...operation, attempts }, error);
+                    progress.failed++;
+                    this.metrics.increment('deadLetters');
+                } else {
+                    // Transient failure: keep it (and everything after it) in order for next time
+                    console.warn(`⚠️ Replay of ${operation.type} failed, will retry later:`, error.message);
+                    await this.offlineQueue.update({ ...operation, attempts });
+                    progress.phase = 'interrupted';
+                    break;
+                }
+            }
+
+            progress.processed++;
+            progress.phase = 'progress';
+            this.emit(progress);
+        }
+
+        if (progress.phase !== 'interrupted') progress.phase = 'done';
+        this.metrics.set('offlineQueueSize', (await this.offlineQueue.getAll()).length);
+        this.emit(progress);
+
+        return progress;
+    }
+}
+
+// ============================================================================
+// PRODUCT SERVICE
+// ============================================================================
+
+/**
+ * Sort keys accepted by ProductService.getProducts (mirrors #sortBy options)
+ */
+const PRODUCT_SORT_OPTIONS = {
+    latest: { field: 'createdAt', direction: 'desc' },
+    'price-asc': { field: 'price', direction: 'asc' },
+    'price-desc': { field: 'price', direction: 'desc' },
+    popular: { field: 'popularity', direction: 'desc' },
+    'name-asc': { field: 'name', direction: 'asc' }
+};
+
+class ProductService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'productService';
+        this.collectionName = 'products';
+        this.updateListeners = [];
+    }
+
+    async getAllProducts(options = {}) {
+        return this.executeWithCache(
+            'products:all',
+            async () => {
+                const productsRef = collection(this.db, this.collectionName);
+                let q = query(productsRef, orderBy('createdAt', 'desc'));
+
+                if (options.limit) {
+                    q = query(q, limit(options.limit));
+                }
+
+                const snapshot = await getDocs(q);
+                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive);
+            },
+            { useCache: true, retries: 3 }
+        );
+    }
+
+    /**
+     * Cursor-based page of products. Trashed products are dropped from the
+     * page, so a page can come back shorter than pageSize.
+     *
+     * Filters combined with a non-default sort need a composite index in
+     * firestore.indexes.json (e.g. category + price).
+     *
+     * @param {Object} options
+     * @param {number} [options.pageSize=12] - Products per page
+     * @param {DocumentSnapshot} [options.lastDoc] - Cursor returned by the previous page
+     * @param {string} [options.category] - Category filter ('all' for none)
+     * @param {boolean} [options.isNew] - New arrivals filter
+     * @param {boolean} [options.sold] - Sold-out filter
+     * @param {string} [options.sortBy='latest'] - Key of PRODUCT_SORT_OPTIONS
+     * @param {boolean} [options.useCache=true]
+     * @returns {Promise<{products: Array, lastDoc: DocumentSnapshot|null, hasMore: boolean}>}
+     */
+    async getProducts(options = {}) {
+        const {
+            pageSize = 12,
+            lastDoc = null,
+            category,
+            isNew,
+            sold,
+            sortBy = 'latest',
+            useCache = true
+        } = options;
+
+        const sort = PRODUCT_SORT_OPTIONS[sortBy] || PRODUCT_SORT_OPTIONS.latest;
+        const filters = { category, isNew, sold, sortBy };
+        const cacheKey = `products:page:${JSON.stringify(filters)}:${pageSize}:${lastDoc?.id || 'start'}`;
+
+        return this.executeWithCache(
+            cacheKey,
+            async () => {
+                const productsRef = collection(this.db, this.collectionName);
+                const constraints = [];
+
+                if (category && category !== 'all') {
+                    constraints.push(where('category', '==', category));
+                }
+                if (typeof isNew === 'boolean') {
+                    constraints.push(where('isNew', '==', isNew));
+                }
+                if (typeof sold === 'boolean') {
+                    constraints.push(where('sold', '==', sold));
+                }
+
+                constraints.push(orderBy(sort.field, sort.direction));
+                if (lastDoc) {
+                    constraints.push(startAfter(lastDoc));
+                }
+                // Fetch one extra document to know whether another page exists
+                constraints.push(limit(pageSize + 1));
+
+                const snapshot = await getDocs(query(productsRef, ...constraints));
+                const docs = snapshot.docs.slice(0, pageSize);
+
+                return {
+                    products: docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive),
+                    lastDoc: docs.length ? docs[docs.length - 1] : lastDoc,
+                    hasMore: snapshot.docs.length > pageSize
+                };
+            },
+            { useCache, retries: 3 }
+        );
+    }
+
+    /**
+     * Derive the product-level fields listing, sorting and queries use from its
+     * variants: from-price, total stock, sold-out and the SKU list
+     * @param {Object} data - Product data being written
+     * @returns {Object}
+     */
+    static withVariantSummary(data) {
+        // Variants removed on edit - drop the SKU list used by getProductBySku
+        if (Array.isArray(data.variants) && !data.variants.length) {
+            return { ...data, skus: [] };
+        }
+        if (!hasVariants(data)) return data;
+
+        return {
+            ...data,
+            price: Math.min(...data.variants.map(v => v.price)),
+            stock: data.variants.reduce((sum, v) => sum + (v.stock || 0), 0),
+            sold: isSoldOut(data),
+            skus: data.variants.map(v => v.sku)
+        };
+    }
+
+    /**
+     * Copy the first gallery image set onto the product (image, renditions,
+     * placeholder) and keep `images` in step with the gallery. Renditions the
+     * new main image lacks are cleared rather than left pointing at the old one.
+     * @param {Object} data - Product fields being written
+     * @returns {Object}
+     */
+    static withImageSummary(data) {
+        if (!data.gallery?.length) return data;
+
+        const [main] = data.gallery;
+        return {
+            ...data,
+            images: data.gallery.map(set => set.image),
+            image: main.image,
+            imageMedium: main.imageMedium || null,
+            imageSmall: main.imageSmall || null,
+            thumbnail: main.thumbnail || null,
+            webp: main.webp || null,
+            placeholder: main.placeholder || null
+        };
+    }
+
+    /**
+     * URL slug for a product, e.g. "Banarasi Silk Saree" → "banarasi-silk-saree-k3j9xq".
+     * The id suffix keeps slugs unique without a lookup.
+     * @param {string} name - Product name
+     * @param {string} id - Product document id
+     * @returns {string}
+     */
+    static slugFor(name, id) {
+        const base = String(name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60)
+            .replace(/-+$/, '');
+
+        const suffix = id.slice(0, 6).toLowerCase();
+        return base ? `${base}-${suffix}` : suffix;
+    }
+
+    /**
+     * Find a product by its URL slug
+     * @param {string} slug
+     * @returns {Promise<Object|null>}
+     */
+    async getProductBySlug(slug) {
+        return this.executeWithCache(
+            `product:slug:${slug}`,
+            async () => {
+                const q = query(
+                    collection(this.db, this.collectionName),
+                    where('slug', '==', slug),
+                    limit(1)
+                );
+                const snapshot = await getDocs(q);
+                const docSnap = snapshot.docs[0];
+                return docSnap && isLive(docSnap.data()) ? { id: docSnap.id, ...docSnap.data() } : null;
+            },
+            { useCache: true }
+        );
+    }
+
+    /**
+     * Find the product that owns a variant SKU
+     * @param {string} sku
+     * @returns {Promise<Object|null>}
+     */
+    async getProductBySku(sku) {
+        return this.executeWithCache(
+            `product:sku:${sku}`,
+            async () => {
+                const q = query(
+                    collection(this.db, this.collectionName),
+                    where('skus', 'array-contains', sku),
+                    limit(1)
+                );
+                const snapshot = await getDocs(q);
+                const docSnap = snapshot.docs[0];
+                return docSnap && isLive(docSnap.data()) ? { id: docSnap.id, ...docSnap.data() } : null;
+            },
+            { useCache: true }
+        );
+    }
+
+    async getProductById(id) {
+        return this.executeWithCache(
+            `product:${id}`,
+            async () => {
+                const docRef = doc(this.db, this.collectionName, id);
+                const docSnap = await getDoc(docRef);
+                
+                if (!docSnap.exists() || !isLive(docSnap.data())) {
+                    throw new ValidationError(`Product ${id} not found`);
+                }
+                
+                return { id: docSnap.id, ...docSnap.data() };
+            },
+            { useCache: true }
+        );
+    }
+
+    /**
+     * Current copies of several products, e.g. a wishlist's. Products that
+     * are gone or in the trash are left out.
+     * @param {Array<string>} ids
+     * @returns {Promise<Array<Object>>} In the order of `ids`
+     */
+    async getProductsByIds(ids) {
+        const unique = [...new Set(ids)];
+        if (!unique.length) return [];
+
+        return this.executeWithCache(
+            `products:ids:${unique.join(',')}`,
+            async () => {
+                // 'in' takes up to 30 values per query
+                const chunks = [];
+                for (let i = 0; i < unique.length; i += 30) {
+                    chunks.push(unique.slice(i, i + 30));
+                }
+
+                const snapshots = await Promise.all(chunks.map(chunk => getDocs(query(
+                    collection(this.db, this.collectionName),
+                    where(documentId(), 'in', chunk)
+                ))));
+
+                const found = new Map();
+                snapshots.forEach(snapshot => snapshot.docs.forEach(docSnap => {
+                    if (isLive(docSnap.data())) found.set(docSnap.id, { id: docSnap.id, ...docSnap.data() });
+                }));
+                return unique.filter(id => found.has(id)).map(id => found.get(id));
+            },
+            { useCache: false } // Price and stock are the point
+        );
+    }
+
+    /**
+     * Search the catalogue with the same rules as the site search
+     * (synonyms, Hindi/Kannada transliteration, plurals - see utils/search.js).
+     * Firestore has no full-text search, so this searches in the browser,
+     * with the same index as the header search and the products page. The
+     * cached catalogue is added to it; copies already in the index are
+     * skipped and changed products re-indexed.
+     * @param {string} searchTerm
+     * @returns {Promise<Array<Object>>} Best matches first
+     */
+    async searchProducts(searchTerm) {
+        const products = await this.getAllProducts();
+        productSearch.addProducts(products);
+        // Products deleted since they were indexed stay in it - leave them out
+        const live = new Set(products.map(product => product.id));
+        return productSearch.search(searchTerm).filter(product => live.has(product.id)).slice(0, 20);
+    }
+
+
+    async getProductsByCategory(category) {
+        return this.executeWithCache(
+            `category:${category}`,
+            async () => {
+                const productsRef = collection(this.db, this.collectionName);
+                const q = query(
+                    productsRef,
+                    where('category', '==', category),
+                    orderBy('createdAt', 'desc')
+                );
+                
+                const snapshot = await getDocs(q);
+                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive);
+            },
+            { useCache: true }
+        );
+    }
+
+    async createProduct(productData, options = {}) {
+        await requirePermission(PERMISSIONS.CATALOG);
+        const result = await this.executeWrite('createProduct', [productData], (transaction) => {
+            const docRef = doc(collection(this.db, this.collectionName));
+            const data = ProductService.withImageSummary(ProductService.withVariantSummary({
+                ...productData,
+                slug: productData.slug || ProductService.slugFor(productData.name, docRef.id)
+            }));
+            transaction.set(docRef, {
+                // Ordering by a field skips documents without it, so unrated
+                // products start at 0 to stay in the "popular" sort
+                popularity: 0,
+                ...data,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            this.audit(transaction, 'create', docRef.id, null, data);
+            this.writeCounters(transaction, this.countDelta(null, data));
+            return { id: docRef.id, ...data };
+        }, options);
+        
+        // Invalidate cache
+        this.cache.clear();
+        
+        return result;
+    }
+
+    async updateProduct(id, updates, options = {}) {
+        await requirePermission(PERMISSIONS.CATALOG);
+        // Stays null when the update is queued offline or was already applied
+        let before = null;
+        const result = await this.executeWrite('updateProduct', [id, updates], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const data = ProductService.withImageSummary(ProductService.withVariantSummary(updates));
+
+            const current = await transaction.get(docRef);
+            before = current.exists() ? current.data() : null;
+
+            // Slugs never change once set so shared links keep working;
+            // products created before slugs get one on their next edit
+            if (!data.slug && before && !before.slug) {
+                data.slug = ProductService.slugFor(data.name || before.name, id);
+            }
+
+            transaction.update(docRef, {
+                ...data,
+                updatedAt: serverTimestamp()
+            });
+            this.audit(transaction, 'update', id, before, data);
+            this.writeCounters(transaction, this.countDelta(before, { ...before, ...data }));
+            return { id, ...data };
+        }, options);
+        
+        // Invalidate specific cache entries
+        this.cache.set(`product:${id}`, null);
+        this.cache.invalidatePrefix('products:');
+        this.cache.invalidatePrefix('product:slug:');
+
+        if (before) this.notifyUpdated(id, before, { ...before, ...result });
+        
+        return result;
+    }
+
+    /**
+     * Be told about each product edit once it is saved - single, bulk and
+     * imported edits and restores from the trash (the stock notifier watches
+     * for restocks and price drops this way)
+     * @param {Function} listener - (before, after) => void; both full products
+     * @returns {Function} Unsubscribe
+     */
+    onProductUpdated(listener) {
+        this.updateListeners.push(listener);
+        return () => {
+            this.updateListeners = this.updateListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Call the onProductUpdated listeners. The edit is already saved, so a
+     * failing listener is only logged.
+     * @param {string} id
+     * @param {Object} before - Stored fields before the edit
+     * @param {Object} after - Stored fields after it
+     */
+    notifyUpdated(id, before, after) {
+        this.updateListeners.forEach(listener => {
+            Promise.resolve(listener({ id, ...before }, { id, ...after })).catch(error => {
+                console.error('Product update listener failed:', error);
+            });
+        });
+    }
+
+    /**
+     * Apply the same field updates to several products in one transaction
+     * (admin bulk edit). Not for variant changes - those go through updateProduct.
+     * @param {Array<string>} ids - Product ids (at most 500)
+     * @param {Object} updates - Fields to set, e.g. { isNew: true }
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<{ids: Array<string>, updates: Object}>}
+     */
+    async bulkUpdateProducts(ids, updates, options = {}) {
+        await requirePermission(PERMISSIONS.CATALOG);
+        if (!ids.length || ids.length > 500) {
+            throw new ValidationError('Bulk updates need between 1 and 500 products');
+        }
+        if ('variants' in updates) {
+            throw new ValidationError('Variants can only be changed one product at a time');
+        }
+
+        // Stays empty when the update is queued offline or was already applied
+        let befores = [];
+        const result = await this.executeWrite('bulkUpdateProducts', [ids, updates], async (transaction) => {
+            // All reads (for the audit diff) before any write
+            const refs = ids.map((id) => doc(this.db, this.collectionName, id));
+            const snaps = await Promise.all(refs.map((docRef) => transaction.get(docRef)));
+            befores = snaps.map((snap) => (snap.exists() ? snap.data() : null));
+
+            const deltas = refs.map((docRef, i) => {
+                const before = befores[i];
+                transaction.update(docRef, {
+                    ...updates,
+                    updatedAt: serverTimestamp()
+                });
+                this.audit(transaction, 'update', ids[i], before, updates);
+                return this.countDelta(before, before && { ...before, ...updates });
+            });
+            this.writeCounters(transaction, addCounters(...deltas));
+            return { ids, updates };
+        }, options);
+
+        ids.forEach((id) => this.cache.set(`product:${id}`, null));
+        this.cache.invalidatePrefix('products:');
+        befores.forEach((before, i) => {
+            if (before) this.notifyUpdated(ids[i], before, { ...before, ...updates });
+        });
+
+        return result;
+    }
+
+    /**
+     * Write a catalogue import with writeBatch, in chunks under Firestore's
+     * 500-writes-per-batch limit (each product is two writes, with its audit
+     * entry). Each chunk commits on its own, so a failed chunk is reported
+     * without undoing the ones before it.
+     * @param {Array<{id?: string, data: Object}>} entries - `id` updates, no id creates
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize=200]
+     * @param {Function} [options.onProgress] - (written, total) => void
+     * @returns {Promise<{created: Array<string>, updated: Array<string>, failed: Array<{entries: Array, error: Error}>}>}
+     */
+    async importProducts(entries, { chunkSize = 200, onProgress } = {}) {
+        await requirePermission(PERMISSIONS.CATALOG);
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Catalogue import needs an internet connection');
+        }
+
+        const results = { created: [], updated: [], failed: [] };
+
+        for (let start = 0; start < entries.length; start += chunkSize) {
+            const chunk = entries.slice(start, start + chunkSize);
+            const batch = writeBatch(this.db);
+
+            try {
+                // Current versions of the updated products, for the audit diff
+                const befores = await Promise.all(chunk.map(async ({ id }) => {
+                    if (!id) return null;
+                    const snap = await getDoc(doc(this.db, this.collectionName, id));
+                    return snap.exists() ? snap.data() : null;
+                }));
+
+                const written = chunk.map(({ id, data }, i) => {
+                    if (id) {
+                        const fields = ProductService.withImageSummary(ProductService.withVariantSummary(data));
+                        batch.update(doc(this.db, this.collectionName, id), {
+                            ...fields,
+                            updatedAt: serverTimestamp()
+                        });
+                        this.audit(batch, 'update', id, befores[i], fields);
+                        return {
+                            id,
+                            created: false,
+                            before: befores[i],
+                            after: befores[i] && { ...befores[i], ...fields },
+                            delta: this.countDelta(befores[i], befores[i] && { ...befores[i], ...fields })
+                        };
+                    }
+
+                    const docRef = doc(collection(this.db, this.collectionName));
+                    const fields = ProductService.withImageSummary(ProductService.withVariantSummary({
+                        popularity: 0,
+                        ...data,
+                        slug: data.slug || ProductService.slugFor(data.name, docRef.id)
+                    }));
+                    batch.set(docRef, {
+                        ...fields,
+                        createdAt: serverTimestamp(),
+                        updatedAt: serverTimestamp()
+                    });
+                    this.audit(batch, 'create', docRef.id, null, fields);
+                    return { id: docRef.id, created: true, delta: this.countDelta(null, fields) };
+                });
+                this.writeCounters(batch, addCounters(...written.map(({ delta }) => delta)));
+
+                await batch.commit();
+                written.forEach(({ id, created, before, after }) => {
+                    results[created ? 'created' : 'updated'].push(id);
+                    if (before) this.notifyUpdated(id, before, after);
+                });
+                this.metrics.increment('networkRequests');
+            } catch (error) {
+                console.error(`Import chunk ${start}-${start + chunk.length} failed:`, error);
+                results.failed.push({ entries: chunk, error });
+            }
+
+            if (onProgress) onProgress(Math.min(start + chunkSize, entries.length), entries.length);
+        }
+
+        this.cache.clear();
+        return results;
+    }
+
+    /**
+     * Move a product to the trash (see FirebaseService.trashDocument)
+     * @param {string} id
+     * @param {string|null} [deletedBy] - Admin email or uid
+     * @param {Object} [options] - executeWrite options
+     */
+    async deleteProduct(id, deletedBy = null, options = {}) {
+        const result = await this.trashDocument('deleteProduct', id, deletedBy, options);
+        
+        // Invalidate cache
+        this.cache.clear();
+        
+        return result;
+    }
+
+    async restoreProduct(id, options = {}) {
+        const result = await this.restoreDocument('restoreProduct', id, options);
+        this.cache.clear();
+        // Back on sale - subscribers hear about it as a restock
+        if (result.before?.deletedAt) {
+            this.notifyUpdated(id, result.before, { ...result.before, deletedAt: null, deletedBy: null });
+        }
+        return result;
+    }
+
+    async purgeProduct(id, options = {}) {
+        return this.purgeDocument('purgeProduct', id, options);
+    }
+
+    /**
+     * Count a view for the dashboard's most viewed list. Called for the first
+     * view of a product per browser; best effort, never queued offline.
+     * @param {string} id
+     */
+    async recordView(id) {
+        if (!this.connectionMonitor.isOnline) return;
+
+        try {
+            await updateDoc(doc(this.db, this.collectionName, id), { viewCount: increment(1) });
+            this.metrics.increment('networkRequests');
+        } catch (error) {
+            console.warn('Product view not recorded:', error);
+        }
+    }
+}
+
+// ============================================================================
+// RESERVATION SERVICE
+// ============================================================================
+
+const DEFAULT_RESERVATION_TTL = 15 * 60 * 1000; // 15 minutes
+// Longest hold firestore.rules accept - enough to get through a payment
+const MAX_RESERVATION_TTL = 30 * 60 * 1000;
+
+/**
+ * Transactional stock holds for checkout.
+ *
+ * Holds live on the product document itself as
+ * `reservations: { [holdKey]: { quantity, expiresAt, skus? } }` next to
+ * `held`, the sum of every hold's quantity. The availability check and the
+ * new hold are written in one transaction, and firestore.rules check that
+ * `held` moves by exactly the shopper's change and never passes the stock,
+ * so two carts can never both hold the last unit.
+ *
+ * Each shopper has one hold per product, keyed by the SHA-256 of their uid
+ * (guests get an anonymous session) so the public product document doesn't
+ * give uids away; the rules only let a shopper write their own key. For
+ * products with variants, `skus` splits the hold per variant and `quantity`
+ * is its total.
+ *
+ * Expired holds still count in `held` until the server drops them: the
+ * `pruneHolds` schedule does it every few minutes, and confirmOrder does it
+ * for the products it sells, which is also where held stock becomes sold
+ * stock (functions/src/orders.js).
+ *
+ * Products without a numeric `stock` are treated as single pieces
+ * (1 unless marked sold, see stockOf in utils/variants.js), which matches
+ * our one-off handloom stock.
+ */
+class ReservationService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'reservationService';
+        this.collectionName = 'products';
+    }
+
+    /**
+     * Key of a shopper's hold in `reservations`. The rules derive the same
+     * key with hashing.sha256(request.auth.uid).
+     * @param {string} uid
+     * @returns {Promise<string>}
+     */
+    static holdKey(uid) {
+        return sha256Hex(uid);
+    }
+
+    /**
+     * Units of one variant still on hold for other shoppers
+     * @param {Object} reservations - Holds map from the product document
+     * @param {number} now - Current time (ms)
+     * @param {string} exceptKey - Holder whose own hold is ignored
+     * @param {string} sku - Variant SKU
+     * @returns {number}
+     */
+    static heldQuantity(reservations = {}, now, exceptKey, sku) {
+        return Object.entries(reservations)
+            .filter(([key, hold]) => key !== exceptKey && hold.expiresAt > now)
+            .reduce((sum, [, hold]) => sum + (hold.skus?.[sku] || 0), 0);
+    }
+
+    /**
+     * Read each product once, even when several lines are variants of it.
+     * A transaction must not write the same document twice from stale reads.
+     * @returns {Promise<Map<string, {ref, snap, lines: Array}>>}
+     */
+    async readLines(transaction, lines) {
+        const byProduct = new Map();
+        lines.forEach(line => {
+            if (!byProduct.has(line.productId)) {
+                byProduct.set(line.productId, {
+                    ref: doc(this.db, this.collectionName, line.productId),
+                    lines: []
+                });
+            }
+            byProduct.get(line.productId).lines.push(line);
+        });
+
+        await Promise.all([...byProduct.values()].map(async entry => {
+            entry.snap = await transaction.get(entry.ref);
+        }));
+
+        return byProduct;
+    }
+
+    /**
+     * Run a reservation transaction as the current shopper. Holds are
+     * time-sensitive, so these never go through the offline queue.
+     * @param {Function} fn - (transaction, holdKey) => result
+     */
+    async transact(fn) {
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Stock cannot be reserved while offline');
+        }
+
+        const { uid } = await ensureSignedIn();
+        const key = await ReservationService.holdKey(uid);
+        this.metrics.increment('networkRequests');
+        const result = await retryWithBackoff(() => runTransaction(this.db, transaction => fn(transaction, key)));
+        this.cache.invalidatePrefix('product');
+        return result;
+    }
+
+    /**
+     * The shopper's hold with some lines changed: quantity sets a line,
+     * 0 drops it. Returns null once nothing is left on hold.
+     * @param {Object|null} hold - Current hold (null if none or expired)
+     * @param {Array<{sku?: string, quantity: number}>} lines
+     * @param {number} expiresAt
+     * @returns {Object|null}
+     */
+    static withLines(hold, lines, expiresAt) {
+        const skus = { ...(hold?.skus || {}) };
+        let quantity = hold && !hold.skus ? hold.quantity : 0;
+
+        lines.forEach(line => {
+            if (line.sku) {
+                if (line.quantity > 0) skus[line.sku] = line.quantity;
+                else delete skus[line.sku];
+            } else {
+                quantity = line.quantity;
+            }
+        });
+
+        if (Object.keys(skus).length) {
+            const total = Object.values(skus).reduce((sum, held) => sum + held, 0);
+            return { quantity: total, expiresAt, skus };
+        }
+        return quantity > 0 ? { quantity, expiresAt } : null;
+    }
+
+    /**
+     * Replace the shopper's hold on a product and move `held` by the difference
+     * @param {Transaction} transaction
+     * @param {DocumentReference} ref
+     * @param {Object} product - Product data as read in this transaction
+     * @param {string} key - Hold key
+     * @param {Object|null} hold - New hold, or null to drop it
+     */
+    static writeHold(transaction, ref, product, key, hold) {
+        const before = product.reservations?.[key]?.quantity || 0;
+        transaction.update(ref, {
+            [`reservations.${key}`]: hold || deleteField(),
+            held: (product.held || 0) - before + (hold?.quantity || 0)
+        });
+    }
+
+    /**
+     * Hold stock for every line of a cart (all or nothing).
+     * Re-reserving a line replaces its hold, and every hold on the product
+     * gets the new expiry.
+     *
+     * @param {Array<{productId: string, sku?: string, quantity: number}>} lines
+     * @param {number} [ttl] - Hold duration in ms (at most MAX_RESERVATION_TTL)
+     * @returns {Promise<{expiresAt: number, lines: Array}>}
+     * @throws {OutOfStockError} If any line cannot be held
+     */
+    async reserve(lines, ttl = DEFAULT_RESERVATION_TTL) {
+        return this.transact(async (transaction, key) => {
+            const now = Date.now();
+            const expiresAt = now + Math.min(ttl, MAX_RESERVATION_TTL);
+
+            // All reads must happen before any write in a transaction
+            const byProduct = await this.readLines(transaction, lines);
+
+            const holds = new Map();
+            byProduct.forEach(({ snap, lines: productLines }, productId) => {
+                if (!snap.exists()) {
+                    throw new ValidationError(`Product ${productId} not found`);
+                }
+
+                const product = snap.data();
+                const current = product.reservations?.[key];
+                const hold = ReservationService.withLines(current?.expiresAt > now ? current : null, productLines, expiresAt);
+                holds.set(productId, hold);
+
+                // Every variant line against the other shoppers' live holds on it
+                productLines.filter(line => line.sku).forEach(line => {
+                    const available = stockOf(product, line.sku)
+                        - ReservationService.heldQuantity(product.reservations, now, key, line.sku);
+                    if (line.quantity > available) {
+                        throw new OutOfStockError(
+                            `Only ${Math.max(available, 0)} of ${product.name} (${line.sku}) left`,
+                            productId,
+                            Math.max(available, 0)
+                        );
+                    }
+                });
+
+                // The whole hold against everything held by others, as the rules count it
+                const heldByOthers = (product.held || 0) - (current?.quantity || 0);
+                const available = stockOf(product) - heldByOthers;
+                if ((hold?.quantity || 0) > available) {
+                    throw new OutOfStockError(
+                        `Only ${Math.max(available, 0)} of ${product.name} left`,
+                        productId,
+                        Math.max(available, 0)
+                    );
+                }
+            });
+
+            byProduct.forEach(({ ref, snap }, productId) => {
+                ReservationService.writeHold(transaction, ref, snap.data(), key, holds.get(productId));
+            });
+
+            return { expiresAt, lines };
+        });
+    }
+
+    /**
+     * Release some of the shopper's holds (item removed, cart cleared,
+     * payment failed)
+     * @param {Array<{productId: string, sku?: string}>} lines
+     */
+    async release(lines) {
+        return this.transact(async (transaction, key) => {
+            const now = Date.now();
+            const byProduct = await this.readLines(transaction, lines);
+
+            byProduct.forEach(({ ref, snap, lines: productLines }) => {
+                const current = snap.exists() ? snap.data().reservations?.[key] : null;
+                if (!current) return;
+
+                const hold = current.expiresAt > now
+                    ? ReservationService.withLines(current, productLines.map(line => ({ ...line, quantity: 0 })), current.expiresAt)
+                    : null;
+                ReservationService.writeHold(transaction, ref, snap.data(), key, hold);
+            });
+
+            return { lines };
+        });
+    }
+}
+
+// ============================================================================
+// ORDER SERVICE
+// ============================================================================
+
+/**
+ * Allowed order status transitions
+ *
+ *   pending → paid → packed → shipped → delivered → returned
+ *      ↓       ↓       ↓
+ *   cancelled (from any state before shipping)
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['packed', 'cancelled'],
+    packed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+};
+
+// Orders in these states count as sales on the dashboard
+const PAID_ORDER_STATUSES = ['paid', 'packed', 'shipped', 'delivered'];
+
+class OrderService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, functionsService) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.functionsService = functionsService;
+        this.serviceName = 'orderService';
+        this.collectionName = 'orders';
+    }
+
+    static canTransition(from, to) {
+        return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Human-readable order number, e.g. JT-LZ3K9Q-4821
+     * @returns {string}
+     */
+    static createOrderNumber() {
+        const random = Math.floor(1000 + Math.random() * 9000);
+        return `JT-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    /**
+     * Compute order totals from line items with the cart pricing engine
+     * @param {Array} items - Line items with price snapshot (paise)
+     * @param {Object} options - { pincode, coupon }
+     * @returns {Object} { subtotal, discount, tax, shipping, total, itemCount, currency, coupon } in paise
+     */
+    static calculateTotals(items, { pincode, coupon } = {}) {
+        const pricing = PricingEngine.price(
+            items.map(item => ({ ...item, unitPrice: item.price })),
+            { pincode, coupon }
+        );
+
+        return {
+            subtotal: pricing.subtotal,
+            discount: pricing.discount,
+            tax: pricing.tax,
+            shipping: pricing.shipping,
+            total: pricing.total,
+            itemCount: pricing.itemCount,
+            currency: pricing.currency,
+            coupon: pricing.coupon
+        };
+    }
+
+    /**
+     * A cart line priced from the product as it is stored now, never from the
+     * price the cart remembered
+     * @param {Object} item - Line from orderSchema
+     * @param {Object|null} product - Product document data (null if missing)
+     * @returns {Object} Line with price (paise), name and category from the catalogue
+     * @throws {ValidationError} If the product or variant is no longer sold
+     */
+    static pricedItem(item, product) {
+        const price = catalogPrice(product, item.sku);
+        if (price === null) {
+            const name = product && !product.deletedAt ? `${product.name} (${item.sku})` : item.name || item.productId;
+            throw new ValidationError(`${name} is no longer available`);
+        }
+
+        return {
+            ...item,
+            name: product.name,
+            category: product.category,
+            price
+        };
+    }
+
+    /**
+     * Create a pending order. Prices are read from the catalogue in the same
+     * transaction and snapshotted, so later catalogue edits never change what
+     * the customer agreed to pay.
+     *
+     * The coupon (if any) is checked against the catalogue prices too. It
+     * only counts as used once the order is paid - by confirmOrder, or by
+     * updateStatus when staff mark a cash-on-delivery order paid - so
+     * abandoned checkouts don't use up a limited coupon.
+     *
+     * The order belongs to the current session - guests get an anonymous
+     * one - and firestore.rules only accept it as `pending` with no payment
+     * and no totals. The totals returned are a quote for the payment screens;
+     * the server prices the order again when it is confirmed and stores
+     * those totals with the payment, in the same transaction.
+     *
+     * Orders are never queued offline: one that can't be paid for straight
+     * away is no use, so checkout gets a NetworkError instead.
+     *
+     * @param {Object} orderData - See orderSchema (items, customer, address, notes, couponCode)
+     * @param {Object} options - { idempotencyKey } - reuse the key on retries
+     * @returns {Promise<Object>} Created order with its quoted totals
+     * @throws {ValidationError} If orderData fails orderSchema, a product is gone or the coupon cannot be used
+     * @throws {NetworkError} When offline
+     */
+    async createOrder(orderData, options = {}) {
+        const parsed = orderSchema.safeParse(orderData);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+
+        const data = parsed.data;
+        const now = Date.now();
+
+        return this.executeWrite('createOrder', [orderData], async (transaction) => {
+            const { uid } = await ensureSignedIn();
+
+            const productIds = [...new Set(data.items.map(item => item.productId))];
+            const productSnaps = await Promise.all(
+                productIds.map(id => transaction.get(doc(this.db, 'products', id)))
+            );
+            const products = new Map(productSnaps.map(snap => [snap.id, snap.exists() ? snap.data() : null]));
+            const items = data.items.map(item => OrderService.pricedItem(item, products.get(item.productId)));
+
+            let coupon = null;
+            let couponRef = null;
+
+            if (data.couponCode) {
+                couponRef = doc(this.db, COUPON_COLLECTION, data.couponCode.toUpperCase());
+                const couponSnap = await transaction.get(couponRef);
+                coupon = couponSnap.exists() ? { code: couponSnap.id, ...couponSnap.data() } : null;
+            }
+
+            const totals = OrderService.calculateTotals(items, { pincode: data.address.pincode, coupon });
+
+            if (data.couponCode && !totals.coupon) {
+                const check = PricingEngine.validateCoupon(coupon, totals.subtotal, now);
+                throw new ValidationError(check.reason || 'This coupon does not apply to items in your cart');
+            }
+
+            const docRef = doc(collection(this.db, this.collectionName));
+            const order = {
+                orderNumber: OrderService.createOrderNumber(),
+                items,
+                customer: data.customer,
+                address: data.address,
+                userId: uid,
+                notes: data.notes || '',
+                // The server prices the order again from this when it is paid
+                couponCode: totals.coupon?.code || null,
+                status: 'pending',
+                statusHistory: [{ status: 'pending', at: now, by: uid, note: '' }]
+            };
+
+            transaction.set(docRef, {
+                ...order,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+
+            return { id: docRef.id, ...order, totals };
+        }, { ...options, queue: false });
+    }
+
+    /**
+     * Hand a placed order to the server once the customer has paid (or chosen
+     * cash on delivery). The `confirmOrder` callable (functions/src/orders.js)
+     * fetches the payment from the gateway, prices the order from the
+     * catalogue again and checks the amount, then stores `payment` and
+     * `totals`, sells the held stock and moves the order to `paid`, counting
+     * its coupon as used - COD orders stay `pending` until the courier
+     * collects. Customers can't write any of that themselves (firestore.rules),
+     * so a paid order always means a real payment.
+     *
+     * Once money has been taken the order is never just cancelled. If it
+     * can't be confirmed (a product went away, the amount doesn't match), the
+     * server refunds through the gateway and returns the order as
+     * `cancelled`; a refund that fails leaves it flagged `needsReview`. If
+     * this call never arrives (tab closed, network dropped), the gateway
+     * webhook confirms the order instead.
+     *
+     * @param {string} id - Order ID
+     * @param {Object} payment - { provider, paymentId, amount, status } from PaymentService.pay
+     * @returns {Promise<{id: string, status: string}>}
+     */
+    async confirmOrder(id, payment) {
+        const result = await this.functionsService.call('confirmOrder', { orderId: id, payment });
+        this.cache.invalidatePrefix('order');
+        this.cache.invalidatePrefix('product');
+        return result;
+    }
+
+    async getOrderById(id) {
+        return this.executeWithCache(
+            `order:${id}`,
+            async () => {
+                const docSnap = await getDoc(doc(this.db, this.collectionName, id));
+
+                if (!docSnap.exists()) {
+                    throw new ValidationError(`Order ${id} not found`);
+                }
+
+                return { id: docSnap.id, ...docSnap.data() };
+            },
+            { useCache: false }
+        );
+    }
+
+    /**
+     * Page through orders (admin)
+     * @param {Object} options - { status, pageSize, lastDoc }
+     * @returns {Promise<{orders: Array, lastDoc: DocumentSnapshot|null, hasMore: boolean}>}
+     */
+    async getOrders(options = {}) {
+        const { status, pageSize = 20, lastDoc = null } = options;
+
+        return this.executeWithCache(
+            `orders:${status || 'all'}:${lastDoc?.id || 'start'}`,
+            async () => {
+                const constraints = [];
+                if (status) constraints.push(where('status', '==', status));
+                constraints.push(orderBy('createdAt', 'desc'));
+                if (lastDoc) constraints.push(startAfter(lastDoc));
+                constraints.push(limit(pageSize + 1));
+
+                const snapshot = await getDocs(query(collection(this.db, this.collectionName), ...constraints));
+                const docs = snapshot.docs.slice(0, pageSize);
+
+                return {
+                    orders: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+                    lastDoc: docs.length ? docs[docs.length - 1] : lastDoc,
+                    hasMore: snapshot.docs.length > pageSize
+                };
+            },
+            { useCache: false } // Orders hold customer data
+        );
+    }
+
+    /**
+     * Orders placed by a signed-in customer, newest first
+     * @param {string} userId
+     */
+    async getOrdersByUser(userId) {
+        return this.executeWithCache(
+            `orders:user:${userId}`,
+            async () => {
+                const q = query(
+                    collection(this.db, this.collectionName),
+                    where('userId', '==', userId),
+                    orderBy('createdAt', 'desc')
+                );
+
+                const snapshot = await getDocs(q);
+                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            },
+            { useCache: false }
+        );
+    }
+
+    /**
+     * Move an order to a new status and append it to the status history.
+     * Cancelling an order whose stock was sold puts the stock back.
+     * @param {string} id - Order ID
+     * @param {string} status - Target status
+     * @param {Object} details - { note, actor } recorded in the history entry, optional { payment }
+     * @param {Object} options - { idempotencyKey }
+     * @throws {ValidationError} If the transition is not allowed
+     */
+    async updateStatus(id, status, details = {}, options = {}) {
+        const result = await this.executeWrite('updateStatus', [id, status, details], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const snap = await transaction.get(docRef);
+
+            if (!snap.exists()) {
+                throw new ValidationError(`Order ${id} not found`);
+            }
+
+            const current = snap.data().status;
+            if (!OrderService.canTransition(current, status)) {
+                throw new ValidationError(`Cannot move order from ${current} to ${status}`);
+            }
+
+            // A coupon is used while its order is paid: read it before any write
+            const wasPaid = PAID_ORDER_STATUSES.includes(current);
+            const crossesPaid = wasPaid !== PAID_ORDER_STATUSES.includes(status);
+            const couponCode = snap.data().totals?.coupon?.code;
+            const couponRef = crossesPaid && couponCode ? doc(this.db, COUPON_COLLECTION, couponCode) : null;
+            const couponSnap = couponRef ? await transaction.get(couponRef) : null;
+
+            // Cancelling an order whose stock was sold (confirmOrder) puts it back
+            const items = snap.data().items || [];
+            const restock = status === 'cancelled' && snap.data().stockCommitted === true;
+            const productSnaps = restock
+                ? await Promise.all([...new Set(items.map(item => item.productId))]
+                    .map(productId => transaction.get(doc(this.db, 'products', productId))))
+                : [];
+
+            const entry = {
+                status,
+                at: Date.now(),
+                by: details.actor || 'system',
+                note: details.note || ''
+            };
+
+            const update = {
+                status,
+                statusHistory: arrayUnion(entry),
+                updatedAt: serverTimestamp()
+            };
+
+            // Payment result from the gateway (provider, paymentId, amount in paise)
+            if (details.payment) {
+                update.payment = details.payment;
+            }
+
+            if (restock) {
+                update.stockCommitted = false;
+                const productCounts = productSnaps.filter(productSnap => productSnap.exists()).map(productSnap => {
+                    const product = productSnap.data();
+                    const restocked = stockAfter(product, items.filter(item => item.productId === productSnap.id));
+                    transaction.update(productSnap.ref, restocked);
+                    return this.countDelta(product, { ...product, ...restocked }, 'products');
+                });
+                this.writeCounters(transaction, addCounters(...productCounts), { collectionName: 'products' });
+            }
+
+            transaction.update(docRef, update);
+
+            // Sales and coupon uses: counted when paid, taken back out on cancel or return (paise)
+            if (crossesPaid) {
+                const sign = wasPaid ? -1 : 1;
+                if (couponSnap?.exists()) {
+                    transaction.update(couponRef, { usedCount: increment(sign) });
+                }
+
+                const revenue = sign * (snap.data().totals?.total || 0);
+                const day = statsDay();
+                this.writeCounters(transaction, {
+                    count: sign,
+                    revenue,
+                    [`byDay.${day}.count`]: sign,
+                    [`byDay.${day}.revenue`]: revenue
+                });
+            }
+
+            return { id, status, previousStatus: current, entry };
+        }, options);
+
+        this.cache.invalidatePrefix('order');
+        return result;
+    }
+
+    async cancelOrder(id, reason = '', actor = 'customer', options = {}) {
+        return this.updateStatus(id, 'cancelled', { note: reason, actor }, options);
+    }
+}
+
+// ============================================================================
+// COUPON SERVICE
+// ============================================================================
+
+const COUPON_COLLECTION = 'coupons';
+
+/**
+ * Coupons live at coupons/{CODE}:
+ *   { type: 'percent'|'flat'|'bxgy', value, maxDiscount, minSubtotal, buy, get,
+ *     categories, startsAt, endsAt, usageLimit, usedCount, active }
+ * Amounts are paise, dates are ms. `usedCount` counts paid orders: the server
+ * adds one when it confirms a payment and OrderService.updateStatus takes it
+ * back out when a paid order is cancelled or returned.
+ */
+class CouponService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'couponService';
+        this.collectionName = COUPON_COLLECTION;
+    }
+
+    /**
+     * Look up a coupon by code (case-insensitive)
+     * @param {string} code - Coupon code
+     * @returns {Promise<Object|null>} Coupon or null if it does not exist
+     */
+    async getCoupon(code) {
+        const id = String(code || '').trim().toUpperCase();
+        if (!id) return null;
+
+        return this.executeWithCache(
+            `coupon:${id}`,
+            async () => {
+                const docSnap = await getDoc(doc(this.db, this.collectionName, id));
+                return docSnap.exists() ? { code: docSnap.id, ...docSnap.data() } : null;
+            },
+            { useCache: false } // usedCount changes with every order
+        );
+    }
+}
+
+// ============================================================================
+// FAQ SERVICE
+// ============================================================================
+
+class FAQService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'faqService';
+        this.collectionName = 'faqs';
+    }
+
+    /**
+     * @param {import('zod').ZodSchema} schema
+     * @param {Object} data
+     * @throws {ValidationError}
+     */
+    static check(schema, data) {
+        const parsed = schema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
     }
 
     async getAllFAQs() {
         return this.executeWithCache(
-            'faqs:all',
+            'faqs:all',
+            async () => {
+                // Sorted here rather than with orderBy('order'), which would
+                // drop FAQs added in the console without an order
+                const snapshot = await getDocs(collection(this.db, this.collectionName));
+                return snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .filter(isLive)
+                    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+            },
+            { useCache: true }
+        );
+    }
+
+    /**
+     * Vote a FAQ helpful or not, once per visitor: the vote leaves a marker in
+     * faqs/{id}/votes/{uid} (guests get an anonymous session), and
+     * firestore.rules only accept a vote that creates its marker.
+     * Votes are visitor feedback counters, not content changes - not audited.
+     * @param {string} id - FAQ ID
+     * @param {string} voteType - 'up' or 'down'
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<{id: string, voteType: string, alreadyVoted?: boolean}>}
+     */
+    async voteFAQ(id, voteType, options = {}) {
+        const fieldName = voteType === 'up' ? 'upvotes' : 'downvotes';
+
+        const result = await this.executeWrite('voteFAQ', [id, voteType], async (transaction) => {
+            const { uid } = await ensureSignedIn();
+            const markerRef = doc(this.db, this.collectionName, id, 'votes', uid);
+            if ((await transaction.get(markerRef)).exists()) {
+                return { id, voteType, alreadyVoted: true };
+            }
+
+            transaction.update(doc(this.db, this.collectionName, id), {
+                [fieldName]: increment(1)
+            });
+            transaction.set(markerRef, { vote: voteType, createdAt: serverTimestamp() });
+            this.writeCounters(transaction, { [fieldName]: 1 }, { fields: { lastVote: id } });
+            return { id, voteType };
+        }, options);
+        
+        // Invalidate cache
+        this.cache.set('faqs:all', null);
+        return result;
+    }
+
+    async createFAQ(faqData, options = {}) {
+        await requirePermission(PERMISSIONS.FAQS);
+        FAQService.check(faqSchema, faqData);
+
+        const result = await this.executeWrite('createFAQ', [faqData], (transaction) => {
+            const docRef = doc(collection(this.db, this.collectionName));
+            transaction.set(docRef, {
+                ...faqData,
+                upvotes: 0,
+                downvotes: 0,
+                createdAt: serverTimestamp()
+            });
+            this.audit(transaction, 'create', docRef.id, null, faqData);
+            this.writeCounters(transaction, this.countDelta(null, faqData));
+            return { id: docRef.id, ...faqData };
+        }, options);
+        
+        this.cache.clear();
+        return result;
+    }
+
+    async updateFAQ(id, updates, options = {}) {
+        await requirePermission(PERMISSIONS.FAQS);
+        FAQService.check(faqSchema.partial(), updates);
+
+        const result = await this.executeWrite('updateFAQ', [id, updates], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const current = await transaction.get(docRef);
+
+            transaction.update(docRef, {
+                ...updates,
+                updatedAt: serverTimestamp()
+            });
+            const before = current.exists() ? current.data() : null;
+            this.audit(transaction, 'update', id, before, updates);
+            this.writeCounters(transaction, this.countDelta(before, before && { ...before, ...updates }));
+            return { id, ...updates };
+        }, options);
+        
+        this.cache.clear();
+        return result;
+    }
+
+    /**
+     * Save a new FAQ order with one writeBatch: each FAQ's `order` becomes
+     * its position in `ids`. FAQs already in place aren't written.
+     * @param {Array<string>} ids - Every FAQ id, in the new order
+     * @returns {Promise<{updated: Array<string>}>}
+     */
+    async reorderFAQs(ids) {
+        await requirePermission(PERMISSIONS.FAQS);
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Reordering FAQs needs an internet connection');
+        }
+        // An order write plus its audit entry each, within writeBatch's 500
+        if (ids.length > 250) {
+            throw new ValidationError('At most 250 FAQs can be reordered at once');
+        }
+
+        const snaps = await Promise.all(ids.map(id => getDoc(doc(this.db, this.collectionName, id))));
+        const batch = writeBatch(this.db);
+        const updated = [];
+
+        snaps.forEach((snap, order) => {
+            if (!snap.exists() || snap.data().order === order) return;
+            batch.update(snap.ref, { order, updatedAt: serverTimestamp() });
+            this.audit(batch, 'update', snap.id, snap.data(), { order });
+            updated.push(snap.id);
+        });
+
+        if (updated.length) {
+            await batch.commit();
+            this.metrics.increment('networkRequests');
+            this.cache.clear();
+        }
+        return { updated };
+    }
+
+    async deleteFAQ(id, deletedBy = null, options = {}) {
+        const result = await this.trashDocument('deleteFAQ', id, deletedBy, options);
+        
+        this.cache.clear();
+        return result;
+    }
+
+    async restoreFAQ(id, options = {}) {
+        const result = await this.restoreDocument('restoreFAQ', id, options);
+        this.cache.clear();
+        return result;
+    }
+
+    async purgeFAQ(id, options = {}) {
+        return this.purgeDocument('purgeFAQ', id, options);
+    }
+}
+
+// ============================================================================
+// CONTACT SERVICE
+// ============================================================================
+
+class ContactService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'contactService';
+        this.collectionName = 'contacts';
+    }
+
+    async submitContact(contactData, options = {}) {
+        return this.executeWrite('submitContact', [contactData], (transaction) => {
+            const docRef = doc(collection(this.db, this.collectionName));
+            transaction.set(docRef, {
+                ...contactData,
+                status: 'new',
+                createdAt: serverTimestamp()
+            });
+            this.audit(transaction, 'create', docRef.id, null, { ...contactData, status: 'new' });
+            this.writeCounters(transaction, addCounters(
+                this.countDelta(null, { status: 'new' }),
+                { [`byDay.${statsDay()}`]: 1 }
+            ), { fields: { lastContact: docRef.id } });
+            return { id: docRef.id, ...contactData };
+        }, options);
+    }
+
+    async getAllContacts() {
+        await requirePermission(PERMISSIONS.INBOX);
+        return this.executeWithCache(
+            'contacts:all',
+            async () => {
+                const contactsRef = collection(this.db, this.collectionName);
+                const q = query(contactsRef, orderBy('createdAt', 'desc'));
+                
+                const snapshot = await getDocs(q);
+                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive);
+            },
+            { useCache: false } // Don't cache sensitive data
+        );
+    }
+
+    /**
+     * Live inbox: onChange gets every message that isn't trashed, newest
+     * first, straight away and again after each change by anyone
+     * @param {Function} onChange - (contacts) => void
+     * @param {Function} [onError] - (NetworkError) => void, e.g. permission revoked
+     * @returns {Promise<Function>} Unsubscribe
+     */
+    async watchContacts(onChange, onError = console.error) {
+        await requirePermission(PERMISSIONS.INBOX);
+
+        const q = query(collection(this.db, this.collectionName), orderBy('createdAt', 'desc'));
+        return onSnapshot(
+            q,
+            snapshot => {
+                this.metrics.increment('networkRequests');
+                onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive));
+            },
+            error => onError(new NetworkError(`Inbox updates stopped: ${error.message}`, error))
+        );
+    }
+
+    async updateContactStatus(id, status, options = {}) {
+        await requirePermission(PERMISSIONS.INBOX);
+        if (!contactStatusSchema.safeParse(status).success) {
+            throw new ValidationError(`Unknown status: ${status}`);
+        }
+
+        return this.executeWrite('updateContactStatus', [id, status], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const current = await transaction.get(docRef);
+
+            transaction.update(docRef, {
+                status,
+                updatedAt: serverTimestamp()
+            });
+            const before = current.exists() ? current.data() : null;
+            this.audit(transaction, 'update', id, before, { status });
+            this.writeCounters(transaction, this.countDelta(before, before && { ...before, status }));
+            return { id, status };
+        }, options);
+    }
+
+    /**
+     * Hand a message to a staff member
+     * @param {string} id
+     * @param {string|null} assignee - Staff email, null to unassign
+     * @param {Object} [options] - executeWrite options
+     */
+    async assignContact(id, assignee, options = {}) {
+        await requirePermission(PERMISSIONS.INBOX);
+
+        return this.executeWrite('assignContact', [id, assignee], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const current = await transaction.get(docRef);
+            const assignedTo = assignee || null;
+
+            transaction.update(docRef, {
+                assignedTo,
+                updatedAt: serverTimestamp()
+            });
+            this.audit(transaction, 'update', id, current.exists() ? current.data() : null, { assignedTo });
+            return { id, assignedTo };
+        }, options);
+    }
+
+    /**
+     * Add an internal note (never shown to the customer)
+     * @param {string} id
+     * @param {string} text
+     * @param {number} [at] - When it was written (ms); kept when replayed offline
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<{id: string, note: Object}>}
+     */
+    async addContactNote(id, text, at = Date.now(), options = {}) {
+        await requirePermission(PERMISSIONS.INBOX);
+        if (!text?.trim()) {
+            throw new ValidationError('Note cannot be empty');
+        }
+
+        const note = { text: text.trim(), by: currentActor().email, at };
+
+        return this.executeWrite('addContactNote', [id, text, at], async (transaction) => {
+            const docRef = doc(this.db, this.collectionName, id);
+            const current = await transaction.get(docRef);
+            const before = current.exists() ? current.data() : null;
+            const notes = [...(before?.notes || []), note];
+
+            transaction.update(docRef, {
+                notes,
+                updatedAt: serverTimestamp()
+            });
+            this.audit(transaction, 'update', id, before, { notes });
+            return { id, note };
+        }, options);
+    }
+
+    async deleteContact(id, deletedBy = null, options = {}) {
+        return this.trashDocument('deleteContact', id, deletedBy, options);
+    }
+
+    async restoreContact(id, options = {}) {
+        return this.restoreDocument('restoreContact', id, options);
+    }
+
+    async purgeContact(id, options = {}) {
+        return this.purgeDocument('purgeContact', id, options);
+    }
+}
+
+// ============================================================================
+// TESTIMONIAL SERVICE
+// ============================================================================
+
+/**
+ * Customer testimonials. Submissions wait as `pending` until staff approve
+ * them; only approved ones are readable by the public.
+ */
+class TestimonialService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, storageService) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.storageService = storageService;
+        this.serviceName = 'testimonialService';
+        this.collectionName = 'testimonials';
+    }
+
+    /**
+     * Upload a customer photo, already resized and re-encoded (utils/images.js),
+     * to the uploader's own folder. storage.rules want a signed-in uploader,
+     * so visitors get an anonymous session.
+     * @param {Blob} jpeg
+     * @returns {Promise<string>} Download URL for the testimonial's `photo`
+     */
+    async uploadPhoto(jpeg) {
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Adding a photo needs an internet connection');
+        }
+        const { uid } = await ensureSignedIn();
+        const path = `${this.collectionName}/${uid}/${createIdempotencyKey()}/photo.jpg`;
+        const { url } = await this.storageService.uploadFile(path, jpeg, { contentType: 'image/jpeg' });
+        return url;
+    }
+
+    /**
+     * Add a testimonial to the moderation queue. firestore.rules only take
+     * submissions from a session (guests get an anonymous one) with a photo
+     * from that session's own folder (uploadPhoto).
+     * @param {Object} data - See testimonialSchema
+     * @param {Object} [options] - executeWrite options
+     */
+    async submitTestimonial(data, options = {}) {
+        const parsed = testimonialSchema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+
+        return this.executeWrite('submitTestimonial', [data], async (transaction) => {
+            const { uid } = await ensureSignedIn();
+            if (parsed.data.photo && !parsed.data.photo.includes(`/o/${this.collectionName}%2F${uid}%2F`)) {
+                throw new ValidationError('photo: Add a photo with the upload button');
+            }
+            const docRef = doc(collection(this.db, this.collectionName));
+            transaction.set(docRef, {
+                ...parsed.data,
+                status: 'pending',
+                featured: false,
+                createdAt: serverTimestamp()
+            });
+            return { id: docRef.id };
+        }, options);
+    }
+
+    /**
+     * Approved testimonials for the site, featured first, then newest
+     * @param {Object} [options]
+     * @param {number} [options.max=12]
+     * @returns {Promise<Array<Object>>}
+     */
+    async getApprovedTestimonials({ max = 12 } = {}) {
+        return this.executeWithCache(
+            `testimonials:approved:${max}`,
+            async () => {
+                const snapshot = await getDocs(query(
+                    collection(this.db, this.collectionName),
+                    where('status', '==', 'approved'),
+                    orderBy('featured', 'desc'),
+                    orderBy('createdAt', 'desc'),
+                    limit(max)
+                ));
+                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            },
+            { useCache: true }
+        );
+    }
+
+    /**
+     * Average rating over every approved testimonial, counted on the server
+     * @returns {Promise<{count: number, average: number|null}>}
+     */
+    async getRatingSummary() {
+        return this.executeWithCache(
+            'testimonials:rating',
+            async () => {
+                const snapshot = await getAggregateFromServer(
+                    query(collection(this.db, this.collectionName), where('status', '==', 'approved')),
+                    { count: count(), average: average('rating') }
+                );
+                return snapshot.data();
+            },
+            { useCache: true }
+        );
+    }
+
+    /**
+     * Testimonials in one moderation state, newest first (staff)
+     * @param {string} status - One of TESTIMONIAL_STATUSES
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTestimonials(status) {
+        await requirePermission(PERMISSIONS.TESTIMONIALS);
+        if (!testimonialStatusSchema.safeParse(status).success) {
+            throw new ValidationError(`Unknown status: ${status}`);
+        }
+
+        return this.executeWithCache(
+            `testimonials:${status}`,
+            async () => {
+                const snapshot = await getDocs(query(
+                    collection(this.db, this.collectionName),
+                    where('status', '==', status)
+                ));
+                return snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            },
+            { useCache: false }
+        );
+    }
+
+    /**
+     * Approve, reject or (un)feature a testimonial. Featuring approves it too;
+     * rejecting un-features it.
+     * @param {string} id
+     * @param {Object} changes
+     * @param {string} [changes.status] - One of TESTIMONIAL_STATUSES
+     * @param {boolean} [changes.featured]
+     * @param {Object} [options] - executeWrite options
+     */
+    async moderateTestimonial(id, { status, featured } = {}, options = {}) {
+        await requirePermission(PERMISSIONS.TESTIMONIALS);
+        if (status !== undefined && !testimonialStatusSchema.safeParse(status).success) {
+            throw new ValidationError(`Unknown status: ${status}`);
+        }
+
+        const updates = {};
+        if (status !== undefined) updates.status = status;
+        if (featured !== undefined) updates.featured = !!featured;
+        if (updates.featured) updates.status = 'approved';
+        if (updates.status && updates.status !== 'approved') updates.featured = false;
+
+        const result = await this.executeWrite('moderateTestimonial', [id, { status, featured }], (transaction) => {
+            transaction.update(doc(this.db, this.collectionName, id), {
+                ...updates,
+                moderatedBy: currentActor().email,
+                moderatedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            return { id, ...updates };
+        }, options);
+
+        this.cache.invalidatePrefix('testimonials:');
+        return result;
+    }
+}
+
+// ============================================================================
+// REVIEW SERVICE
+// ============================================================================
+
+// Reviews fetched for one product - sorted and filtered in the browser
+const REVIEWS_PER_PRODUCT = 100;
+
+/**
+ * Product reviews. Each customer has one review per product, with the ID
+ * `{productId}_{uid}`; writing it again edits it and sends it back to
+ * moderation. Only approved reviews are public. Moderating a review
+ * moves the product's `rating` ({count, total, average}) and `popularity`,
+ * which the "popular" sort orders by.
+ */
+class ReviewService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, storageService) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.storageService = storageService;
+        this.serviceName = 'reviewService';
+        this.collectionName = 'reviews';
+    }
+
+    /**
+     * @param {string} productId
+     * @param {string} userId
+     * @returns {string}
+     */
+    static reviewId(productId, userId) {
+        return `${productId}_${userId}`;
+    }
+
+    /**
+     * Popularity from a rating: the average pulled towards 3.5 by five
+     * imaginary reviews, so a single 5★ doesn't outrank forty 4.8★s.
+     * Unrated products score 0 and sort last.
+     * @param {{count: number, average: number|null}} rating
+     * @returns {number}
+     */
+    static popularity({ count, average }) {
+        if (!count) return 0;
+        const score = (average * count + 3.5 * 5) / (count + 5);
+        return Math.round(score * 1000) / 1000;
+    }
+
+    /**
+     * @returns {string} UID of the signed-in customer
+     * @throws {AuthRequiredError}
+     */
+    static requireUser() {
+        const { uid } = currentActor();
+        // Guest checkouts run on anonymous sessions, which don't count as signed in
+        if (!uid || auth.currentUser?.isAnonymous) throw new AuthRequiredError('Sign in to review a product');
+        return uid;
+    }
+
+    /**
+     * Upload a review photo, already resized and re-encoded (utils/images.js),
+     * to the customer's own folder in storage
+     * @param {Blob} jpeg
+     * @returns {Promise<string>} Download URL
+     */
+    async uploadPhoto(jpeg) {
+        const uid = ReviewService.requireUser();
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Adding photos needs an internet connection');
+        }
+        const path = `users/${uid}/review-${createIdempotencyKey()}.jpg`;
+        const { url } = await this.storageService.uploadFile(path, jpeg, { contentType: 'image/jpeg' });
+        return url;
+    }
+
+    /**
+     * The signed-in customer's latest paid order containing a product - what
+     * makes a review a verified purchase
+     * @param {string} productId
+     * @returns {Promise<{id: string, orderNumber: string}|null>}
+     */
+    async findPurchase(productId) {
+        const uid = ReviewService.requireUser();
+
+        const snapshot = await getDocs(query(
+            collection(this.db, 'orders'),
+            where('userId', '==', uid),
+            orderBy('createdAt', 'desc')
+        ));
+        const order = snapshot.docs.find((doc) => {
+            const data = doc.data();
+            return PAID_ORDER_STATUSES.includes(data.status) && data.productIds?.includes(productId);
+        });
+        return order ? { id: order.id, orderNumber: order.data().orderNumber } : null;
+    }
+
+    /**
+     * The signed-in customer's own review of a product, in any state
+     * @param {string} productId
+     * @returns {Promise<Object|null>}
+     */
+    async getMyReview(productId) {
+        const uid = ReviewService.requireUser();
+        const snap = await getDoc(doc(this.db, this.collectionName, ReviewService.reviewId(productId, uid)));
+        return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+    }
+
+    /**
+     * Write (or rewrite) the signed-in customer's review. It waits as
+     * `pending` until staff approve it. The order is re-read in the
+     * transaction, so a review is only marked verified against a paid order
+     * that really holds the product (its `productIds`, written when the
+     * server confirms it). An edit keeps counting the last approved rating
+     * on the product until it is moderated again.
+     * @param {Object} data - See reviewSchema, plus productName, author and
+     *   orderId (from findPurchase)
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<{id: string, verified: boolean}>}
+     */
+    async submitReview(data, options = {}) {
+        const parsed = reviewSchema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+        const uid = ReviewService.requireUser();
+        // Only photos uploaded to the reviewer's own folder (uploadPhoto)
+        if (parsed.data.photos.some(url => !url.includes(`/o/users%2F${uid}%2F`))) {
+            throw new ValidationError('photos: Add photos with the upload button');
+        }
+        const input = {
+            ...parsed.data,
+            productName: data.productName || '',
+            author: (data.author || '').trim().split(/\s+/)[0] || 'Customer',
+            orderId: data.orderId || null
+        };
+
+        return this.executeWrite('submitReview', [{ ...data, ...input }], async (transaction) => {
+            const id = ReviewService.reviewId(input.productId, uid);
+            const reviewRef = doc(this.db, this.collectionName, id);
+
+            let order = null;
+            if (input.orderId) {
+                const orderSnap = await transaction.get(doc(this.db, 'orders', input.orderId));
+                const candidate = orderSnap.exists() ? orderSnap.data() : null;
+                if (candidate?.userId === uid
+                    && PAID_ORDER_STATUSES.includes(candidate.status)
+                    && candidate.productIds?.includes(input.productId)) {
+                    order = { id: orderSnap.id, orderNumber: candidate.orderNumber };
+                }
+            }
+
+            // Editing keeps the votes and the original date
+            const existing = await transaction.get(reviewRef);
+            transaction.set(reviewRef, {
+                productId: input.productId,
+                productName: input.productName,
+                userId: uid,
+                author: input.author,
+                rating: input.rating,
+                title: input.title || '',
+                body: input.body,
+                photos: input.photos,
+                verified: !!order,
+                orderId: order?.id || null,
+                orderNumber: order?.orderNumber || null,
+                status: 'pending',
+                helpful: existing.exists() ? existing.data().helpful || 0 : 0,
+                countedRating: existing.exists() ? existing.data().countedRating ?? null : null,
+                createdAt: existing.exists() ? existing.data().createdAt : serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+            return { id, verified: !!order };
+        }, options);
+    }
+
+    /**
+     * Approved reviews of a product, newest first
+     * @param {string} productId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getReviews(productId) {
+        return this.executeWithCache(
+            `reviews:${productId}`,
+            async () => {
+                // Equality filters only, so no composite index is needed
+                const snapshot = await getDocs(query(
+                    collection(this.db, this.collectionName),
+                    where('productId', '==', productId),
+                    where('status', '==', 'approved'),
+                    limit(REVIEWS_PER_PRODUCT)
+                ));
+                return snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            },
+            { useCache: true }
+        );
+    }
+
+    // Votes are visitor feedback counters, not content changes - not audited
+    async voteHelpful(id, options = {}) {
+        const result = await this.executeWrite('voteHelpful', [id], (transaction) => {
+            transaction.update(doc(this.db, this.collectionName, id), {
+                helpful: increment(1)
+            });
+            return { id };
+        }, options);
+
+        this.cache.invalidatePrefix('reviews:');
+        return result;
+    }
+
+    /**
+     * Reviews in one moderation state, newest first (staff)
+     * @param {string} status - One of REVIEW_STATUSES
+     * @returns {Promise<Array<Object>>}
+     */
+    async getReviewsByStatus(status) {
+        await requirePermission(PERMISSIONS.REVIEWS);
+        if (!reviewStatusSchema.safeParse(status).success) {
+            throw new ValidationError(`Unknown status: ${status}`);
+        }
+
+        return this.executeWithCache(
+            `reviews:status:${status}`,
+            async () => {
+                const snapshot = await getDocs(query(
+                    collection(this.db, this.collectionName),
+                    where('status', '==', status)
+                ));
+                return snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0));
+            },
+            { useCache: false }
+        );
+    }
+
+    /**
+     * Product rating after a review's counted rating changes. `total` is the
+     * sum of counted ratings, so the average never needs a recount.
+     * @param {{count: number, total?: number, average: number|null}} [rating] - Current product rating
+     * @param {number|null} before - Rating counted so far (null if none)
+     * @param {number|null} after - Rating to count from now on (null if none)
+     * @returns {{count: number, total: number, average: number|null}}
+     */
+    static adjustRating(rating, before, after) {
+        const current = rating?.count || 0;
+        // Ratings counted before `total` was stored only kept the rounded average
+        const sum = rating?.total ?? Math.round((rating?.average || 0) * current);
+        const countNow = current - (before === null ? 0 : 1) + (after === null ? 0 : 1);
+        const total = sum - (before ?? 0) + (after ?? 0);
+        return {
+            count: countNow,
+            total: countNow ? total : 0,
+            average: countNow ? Math.round((total / countNow) * 10) / 10 : null
+        };
+    }
+
+    /**
+     * Approve or reject a review. Its product's rating moves in the same
+     * transaction: the review remembers the rating it counted
+     * (`countedRating`), which comes off the product when it stops being
+     * approved and is swapped for the new one when an edit is approved.
+     * @param {string} id
+     * @param {string} status - One of REVIEW_STATUSES
+     * @param {string} productId - Product the review belongs to
+     * @param {Object} [options] - executeWrite options
+     */
+    async moderateReview(id, status, productId, options = {}) {
+        await requirePermission(PERMISSIONS.REVIEWS);
+        if (!reviewStatusSchema.safeParse(status).success) {
+            throw new ValidationError(`Unknown status: ${status}`);
+        }
+
+        const result = await this.executeWrite('moderateReview', [id, status, productId], async (transaction) => {
+            const reviewRef = doc(this.db, this.collectionName, id);
+            const productRef = doc(this.db, 'products', productId);
+            const [snap, productSnap] = await Promise.all([transaction.get(reviewRef), transaction.get(productRef)]);
+            if (!snap.exists()) {
+                throw new ValidationError(`Review ${id} not found`);
+            }
+
+            const before = snap.data().countedRating ?? null;
+            const after = status === 'approved' ? snap.data().rating : null;
+            transaction.update(reviewRef, {
+                status,
+                countedRating: after,
+                moderatedBy: currentActor().email,
+                moderatedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+
+            let rating = null;
+            if (before !== after && productSnap.exists()) {
+                rating = ReviewService.adjustRating(productSnap.data().rating, before, after);
+                transaction.update(productRef, {
+                    rating,
+                    popularity: ReviewService.popularity({ count: rating.count, average: rating.count ? rating.total / rating.count : null })
+                });
+            }
+            return { id, status, productId, rating };
+        }, options);
+
+        this.cache.invalidatePrefix('reviews:');
+        // Cards and the popular sort read the rating off the product
+        this.cache.invalidatePrefix('product');
+        return result;
+    }
+}
+
+// ============================================================================
+// ACCOUNT SERVICE
+// ============================================================================
+
+// Read-only copies of wishlists, readable by anyone with the link
+const WISHLIST_SHARES_COLLECTION = 'wishlistShares';
+
+/**
+ * Customer accounts. users/{uid} holds the profile, the address book and the
+ * cart and wishlist saved for other devices; only the customer can read or
+ * write it (firestore.rules). A shared wishlist is copied to
+ * wishlistShares/{token}, and users/{uid}.wishlistShare remembers the token.
+ */
+class AccountService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'accountService';
+        this.collectionName = 'users';
+    }
+
+    /**
+     * @param {import('zod').ZodSchema} schema
+     * @param {*} data
+     * @returns {*} Parsed data
+     * @throws {ValidationError}
+     */
+    static parse(schema, data) {
+        const parsed = schema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+        return parsed.data;
+    }
+
+    /**
+     * The signed-in customer's account, created on first sign-in
+     * @param {User} user - Firebase Auth user
+     * @returns {Promise<Object>} { uid, displayName, email, phone, addresses, cart, wishlist, wishlistShare }
+     */
+    async loadAccount(user) {
+        return this.executeWithCache(
+            `account:${user.uid}`,
             async () => {
-                const faqsRef = collection(this.db, this.collectionName);
-                const q = query(faqsRef, orderBy('order', 'asc'));
-                
-                const snapshot = await getDocs(q);
-                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                const docRef = doc(this.db, this.collectionName, user.uid);
+                const docSnap = await getDoc(docRef);
+
+                if (docSnap.exists()) {
+                    return { uid: user.uid, addresses: [], cart: [], wishlist: [], ...docSnap.data() };
+                }
+
+                const account = {
+                    displayName: user.displayName || '',
+                    email: user.email || null,
+                    // Phone sign-ins arrive as +91XXXXXXXXXX; profiles hold phoneSchema's 10 digits
+                    phone: user.phoneNumber ? user.phoneNumber.replace(/^\+91/, '') : null,
+                    addresses: [],
+                    cart: [],
+                    wishlist: []
+                };
+                await setDoc(docRef, { ...account, createdAt: serverTimestamp() });
+                return { uid: user.uid, ...account };
             },
-            { useCache: true }
+            { useCache: false } // Personal data
         );
     }
 
-    async voteFAQ(id, voteType) {
-        const docRef = doc(this.db, this.collectionName, id);
-        const fieldName = voteType === 'up' ? 'upvotes' : 'downvotes';
-        
-        await updateDoc(docRef, {
-            [fieldName]: increment(1)
+    /**
+     * @param {string} uid
+     * @param {Object} data - See profileSchema
+     * @param {Object} [options] - executeWrite options
+     */
+    async saveProfile(uid, data, options = {}) {
+        const profile = AccountService.parse(profileSchema, data);
+
+        return this.executeWrite('saveProfile', [uid, data], (transaction) => {
+            transaction.set(doc(this.db, this.collectionName, uid), {
+                ...profile,
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+            return profile;
+        }, options);
+    }
+
+    /**
+     * Run a change to the address book in a transaction
+     * @param {Transaction} transaction
+     * @param {string} uid
+     * @param {Function} change - (addresses) => new addresses
+     * @returns {Promise<Array<Object>>} The saved address book
+     */
+    async updateAddresses(transaction, uid, change) {
+        const docRef = doc(this.db, this.collectionName, uid);
+        const docSnap = await transaction.get(docRef);
+        const addresses = change(docSnap.exists() ? docSnap.data().addresses || [] : []);
+
+        // Exactly one default while there are any addresses
+        if (addresses.length && !addresses.some(address => address.isDefault)) {
+            addresses[0] = { ...addresses[0], isDefault: true };
+        }
+
+        transaction.set(docRef, { addresses, updatedAt: serverTimestamp() }, { merge: true });
+        return addresses;
+    }
+
+    /**
+     * Add an address to the book, or replace the one with the same ID
+     * @param {string} uid
+     * @param {Object} address - See savedAddressSchema; without an ID it is added
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<Array<Object>>} The saved address book
+     * @throws {ValidationError} If the book is full
+     */
+    async saveAddress(uid, address, options = {}) {
+        // The ID is fixed before the call is queued so a replay saves the same address
+        const input = { ...address, id: address.id || createIdempotencyKey() };
+        const saved = AccountService.parse(savedAddressSchema, input);
+
+        return this.executeWrite('saveAddress', [uid, input], (transaction) => this.updateAddresses(transaction, uid, (addresses) => {
+            const exists = addresses.some(a => a.id === saved.id);
+            if (!exists && addresses.length >= MAX_SAVED_ADDRESSES) {
+                throw new ValidationError(`You can save up to ${MAX_SAVED_ADDRESSES} addresses`);
+            }
+
+            const updated = addresses.map(a => {
+                if (a.id === saved.id) return saved;
+                return saved.isDefault ? { ...a, isDefault: false } : a;
+            });
+            return exists ? updated : [...updated, saved];
+        }), options);
+    }
+
+    /**
+     * @param {string} uid
+     * @param {string} id - Address ID
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<Array<Object>>} The saved address book
+     */
+    async deleteAddress(uid, id, options = {}) {
+        return this.executeWrite('deleteAddress', [uid, id], (transaction) => this.updateAddresses(
+            transaction,
+            uid,
+            (addresses) => addresses.filter(a => a.id !== id)
+        ), options);
+    }
+
+    /**
+     * Make an address the one checkout fills in
+     * @param {string} uid
+     * @param {string} id - Address ID
+     * @param {Object} [options] - executeWrite options
+     * @returns {Promise<Array<Object>>} The saved address book
+     */
+    async setDefaultAddress(uid, id, options = {}) {
+        return this.executeWrite('setDefaultAddress', [uid, id], (transaction) => this.updateAddresses(
+            transaction,
+            uid,
+            (addresses) => addresses.map(a => ({ ...a, isDefault: a.id === id }))
+        ), options);
+    }
+
+    /**
+     * Save the cart to the account. Last write wins, so this skips the
+     * offline queue - Firestore's own persistence sends the latest copy.
+     * @param {string} uid
+     * @param {Array<Object>} cart - cartItemSchema lines
+     */
+    async saveCart(uid, cart) {
+        const lines = AccountService.parse(cartSchema, cart);
+        await setDoc(doc(this.db, this.collectionName, uid), {
+            cart: lines,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+    }
+
+    /**
+     * Save the wishlist to the account (last write wins, as saveCart), and to
+     * its share link if it has one
+     * @param {string} uid
+     * @param {Array<Object>} wishlist - toWishlistItem entries
+     * @param {Object} [options]
+     * @param {string} [options.shareToken] - users/{uid}.wishlistShare.token
+     */
+    async saveWishlist(uid, wishlist, { shareToken } = {}) {
+        if (!Array.isArray(wishlist) || wishlist.length > MAX_WISHLIST_ITEMS || wishlist.some(item => !item?.id)) {
+            throw new ValidationError(`Wishlists hold up to ${MAX_WISHLIST_ITEMS} products`);
+        }
+
+        const batch = writeBatch(this.db);
+        batch.set(doc(this.db, this.collectionName, uid), {
+            wishlist,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        if (shareToken) {
+            batch.update(doc(this.db, WISHLIST_SHARES_COLLECTION, shareToken), {
+                items: AccountService.shareItems(wishlist),
+                updatedAt: serverTimestamp()
+            });
+        }
+        await batch.commit();
+    }
+
+    /**
+     * What a share link shows of each item - not the customer's alert opt-ins
+     * @param {Array<Object>} wishlist - toWishlistItem entries
+     * @returns {Array<Object>}
+     */
+    static shareItems(wishlist) {
+        return wishlist.map(({ notify, ...item }) => item);
+    }
+
+    /**
+     * Create the wishlist's share link, or change the note on the existing one
+     * @param {string} uid
+     * @param {Object} data - See wishlistShareSchema
+     * @returns {Promise<{token: string, note: string|null}>}
+     */
+    async shareWishlist(uid, data) {
+        const { note } = AccountService.parse(wishlistShareSchema, data);
+        // A link that only appears once the queue replays is no use to share
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Sharing your wishlist needs an internet connection');
+        }
+
+        const newToken = createIdempotencyKey();
+        const result = await this.executeWrite('shareWishlist', [uid, data], async (transaction) => {
+            const userRef = doc(this.db, this.collectionName, uid);
+            const userSnap = await transaction.get(userRef);
+            const account = userSnap.exists() ? userSnap.data() : {};
+            const token = account.wishlistShare?.token || newToken;
+
+            transaction.set(doc(this.db, WISHLIST_SHARES_COLLECTION, token), {
+                ownerUid: uid,
+                // First name only - the link can travel anywhere
+                ownerName: (account.displayName || '').split(' ')[0] || null,
+                note: note || null,
+                items: AccountService.shareItems(account.wishlist || []),
+                ...(account.wishlistShare ? {} : { createdAt: serverTimestamp() }),
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+            transaction.set(userRef, {
+                wishlistShare: { token, note: note || null },
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+
+            return { token, note: note || null };
         });
-        
-        // Invalidate cache
-        this.cache.set('faqs:all', null);
+
+        this.cache.invalidatePrefix('wishlistShare:');
+        return result;
     }
 
-    async createFAQ(faqData) {
-        const faqsRef = collection(this.db, this.collectionName);
-        const docRef = await addDoc(faqsRef, {
-            ...faqData,
-            upvotes: 0,
-            downvotes: 0,
-            createdAt: serverTimestamp()
+    /**
+     * Delete the share link; anyone holding it sees "no longer shared"
+     * @param {string} uid
+     */
+    async stopSharingWishlist(uid) {
+        const result = await this.executeWrite('stopSharingWishlist', [uid], async (transaction) => {
+            const userRef = doc(this.db, this.collectionName, uid);
+            const userSnap = await transaction.get(userRef);
+            const token = userSnap.exists() ? userSnap.data().wishlistShare?.token : null;
+
+            if (token) transaction.delete(doc(this.db, WISHLIST_SHARES_COLLECTION, token));
+            transaction.set(userRef, { wishlistShare: null, updatedAt: serverTimestamp() }, { merge: true });
+            return { token };
         });
-        
-        this.cache.clear();
-        return { id: docRef.id, ...faqData };
+
+        this.cache.invalidatePrefix('wishlistShare:');
+        return result;
+    }
+
+    /**
+     * A shared wishlist, for anyone with the link
+     * @param {string} token
+     * @returns {Promise<Object|null>} { ownerName, note, items, updatedAt }, or null once unshared
+     */
+    async getSharedWishlist(token) {
+        return this.executeWithCache(
+            `wishlistShare:${token}`,
+            async () => {
+                const docSnap = await getDoc(doc(this.db, WISHLIST_SHARES_COLLECTION, token));
+                if (!docSnap.exists()) return null;
+
+                const { ownerName, note, items, updatedAt } = docSnap.data();
+                return { token, ownerName, note, items: items || [], updatedAt };
+            },
+            { useCache: true }
+        );
+    }
+}
+
+// ============================================================================
+// SUBSCRIPTION SERVICE
+// ============================================================================
+
+// Messages waiting for a notification channel (see services/notifier.js)
+const OUTBOX_COLLECTION = 'notificationOutbox';
+
+/**
+ * "Notify me" subscriptions for sold-out products and variants.
+ *
+ * Signing up goes through the server (functions/src/subscriptions.js), which
+ * finds an existing subscription by its ID - a hash of product, SKU, channel
+ * and contact - and otherwise sends a confirmation message: a subscription
+ * only gets alerts once its link is opened (double opt-in). That is also how
+ * a contact that unsubscribed signs up again. A restock alert deletes the
+ * subscription. Nobody but staff can read subscriptions; unsubscribing needs
+ * the random token sent in each message.
+ */
+class SubscriptionService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, functionsService) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.functionsService = functionsService;
+        this.serviceName = 'subscriptionService';
+        this.collectionName = 'subscriptions';
+    }
+
+    /**
+     * Sign up for a back-in-stock (and optionally price-drop) message. The
+     * server reads the product's name and price itself.
+     * @param {Object} data - See stockSubscriptionSchema
+     * @returns {Promise<{id: string, status: string}>} `pending` while the
+     *   confirmation message waits to be opened, `active` if the contact was
+     *   already signed up
+     * @throws {NetworkError} Offline - the confirmation has to be sent now
+     */
+    async subscribe(data) {
+        const parsed = stockSubscriptionSchema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Signing up for alerts needs an internet connection');
+        }
+
+        return this.functionsService.call('subscribe', parsed.data);
+    }
+
+    /**
+     * Confirm a sign-up with the token from its confirmation message
+     * @param {string} id - Subscription ID
+     * @param {string} token - Its confirmToken
+     * @returns {Promise<{id: string, status: string}>}
+     * @throws {PermissionError} If the link has expired or the contact has
+     *   unsubscribed since
+     */
+    async confirm(id, token) {
+        try {
+            return await this.functionsService.call('confirmSubscription', { id, token });
+        } catch (error) {
+            if (error.code === 'functions/permission-denied') {
+                throw new PermissionError('This link has expired or is not valid - sign up again for a new one');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Unsubscribe with the token from a message
+     * @param {string} id - Subscription ID
+     * @param {string} token - Its unsubscribeToken
+     * @param {Object} [options] - executeWrite options
+     * @throws {PermissionError} If the token doesn't match or the alert has
+     *   already ended (restock alerts delete the subscription)
+     */
+    async unsubscribe(id, token, options = {}) {
+        try {
+            return await this.executeWrite('unsubscribe', [id, token], (transaction) => {
+                // The rules compare unsubscribeWith with the stored token
+                transaction.update(doc(this.db, this.collectionName, id), {
+                    status: 'unsubscribed',
+                    unsubscribeWith: token,
+                    updatedAt: serverTimestamp()
+                });
+                return { id };
+            }, options);
+        } catch (error) {
+            if ((error.originalError || error).code === 'permission-denied') {
+                throw new PermissionError('This alert has already ended or the link is not valid');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Active subscriptions for a product (staff only)
+     * @param {string} productId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getActiveSubscriptions(productId) {
+        await requirePermission(PERMISSIONS.CATALOG);
+
+        const snapshot = await getDocs(query(
+            collection(this.db, this.collectionName),
+            where('productId', '==', productId),
+            where('status', '==', 'active')
+        ));
+        return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    }
+
+    /**
+     * Add messages to the outbox and update (or, once used up, delete) the
+     * subscriptions they came from, with writeBatch in chunks under the
+     * 500-write limit. Message IDs are deterministic, so queueing the same
+     * alert twice writes it once.
+     * @param {Array<{message: Object, subscriptionId: string, update?: Object, remove?: boolean}>} entries
+     * @returns {Promise<{queued: Array<string>}>}
+     */
+    async queueMessages(entries) {
+        await requirePermission(PERMISSIONS.CATALOG);
+
+        for (let i = 0; i < entries.length; i += 250) {
+            const batch = writeBatch(this.db);
+            entries.slice(i, i + 250).forEach(({ message, subscriptionId, update, remove }) => {
+                batch.set(doc(this.db, OUTBOX_COLLECTION, message.id), {
+                    ...message,
+                    status: 'queued',
+                    attempts: 0,
+                    createdAt: serverTimestamp()
+                });
+                const subscriptionRef = doc(this.db, this.collectionName, subscriptionId);
+                if (remove) {
+                    batch.delete(subscriptionRef);
+                } else {
+                    batch.update(subscriptionRef, { ...update, updatedAt: serverTimestamp() });
+                }
+            });
+            await batch.commit();
+            this.metrics.increment('networkRequests');
+        }
+
+        return { queued: entries.map(({ message }) => message.id) };
+    }
+
+    /**
+     * Messages still to send, oldest first
+     * @param {number} [max=50]
+     * @returns {Promise<Array<Object>>}
+     */
+    async getQueuedMessages(max = 50) {
+        await requirePermission(PERMISSIONS.CATALOG);
+
+        const snapshot = await getDocs(query(
+            collection(this.db, OUTBOX_COLLECTION),
+            where('status', '==', 'queued'),
+            orderBy('createdAt', 'asc'),
+            limit(max)
+        ));
+        return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
     }
 
-    async updateFAQ(id, updates) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await updateDoc(docRef, {
-            ...updates,
+    /**
+     * Record a delivery attempt
+     * @param {string} id - Message ID
+     * @param {Object} result - { status: 'sent' | 'queued' | 'failed', providerMessageId?, error? }
+     */
+    async recordDelivery(id, { status, providerMessageId = null, error = null }) {
+        await updateDoc(doc(this.db, OUTBOX_COLLECTION, id), {
+            status,
+            providerMessageId,
+            error,
+            attempts: increment(1),
+            ...(status === 'sent' ? { sentAt: serverTimestamp() } : {}),
             updatedAt: serverTimestamp()
         });
-        
-        this.cache.clear();
-        return { id, ...updates };
     }
+}
 
-    async deleteFAQ(id) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await deleteDoc(docRef);
-        
-        this.cache.clear();
-        return { id };
+// ============================================================================
+// AUDIT SERVICE
+// ============================================================================
+
+/**
+ * Read side of the audit log. Entries are only ever written by
+ * FirebaseService.audit, inside the transaction of the change they describe.
+ */
+class AuditService extends FirebaseService {
+    constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
+        super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        this.db = db;
+        this.serviceName = 'auditService';
+        this.collectionName = AUDIT_COLLECTION;
+    }
+
+    /**
+     * Cursor-based page of audit entries, newest first.
+     *
+     * Each equality filter combined with the createdAt ordering needs a
+     * composite index in firestore.indexes.json (e.g. collection + docId + createdAt).
+     *
+     * @param {Object} [options]
+     * @param {string} [options.collectionName] - products, faqs or contacts
+     * @param {string} [options.docId]
+     * @param {string} [options.action] - create, update, delete, restore or purge
+     * @param {string} [options.actorEmail]
+     * @param {Date} [options.from] - Inclusive
+     * @param {Date} [options.to] - Inclusive
+     * @param {number} [options.pageSize=50]
+     * @param {DocumentSnapshot} [options.lastDoc] - Cursor returned by the previous page
+     * @returns {Promise<{entries: Array, lastDoc: DocumentSnapshot|null, hasMore: boolean}>}
+     */
+    async getEntries(options = {}) {
+        const { collectionName, docId, action, actorEmail, from, to, pageSize = 50, lastDoc = null } = options;
+
+        // The full log is for owners; other staff see the history of what they manage
+        const role = await currentRole();
+        await requirePermission(can(role, PERMISSIONS.AUDIT) || !COLLECTION_PERMISSIONS[collectionName]
+            ? PERMISSIONS.AUDIT
+            : COLLECTION_PERMISSIONS[collectionName]);
+
+        return this.executeWithCache(
+            'audit:entries',
+            async () => {
+                const constraints = [];
+
+                if (collectionName) constraints.push(where('collection', '==', collectionName));
+                if (docId) constraints.push(where('docId', '==', docId));
+                if (action) constraints.push(where('action', '==', action));
+                if (actorEmail) constraints.push(where('actor.email', '==', actorEmail));
+                if (from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(from)));
+                if (to) constraints.push(where('createdAt', '<=', Timestamp.fromDate(to)));
+
+                constraints.push(orderBy('createdAt', 'desc'));
+                if (lastDoc) constraints.push(startAfter(lastDoc));
+                constraints.push(limit(pageSize + 1));
+
+                const snapshot = await getDocs(query(collection(this.db, this.collectionName), ...constraints));
+                const docs = snapshot.docs.slice(0, pageSize);
+
+                return {
+                    entries: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+                    lastDoc: docs.length ? docs[docs.length - 1] : lastDoc,
+                    hasMore: snapshot.docs.length > pageSize
+                };
+            },
+            { useCache: false } // The log changes with every edit
+        );
     }
 }
 
 // ============================================================================
-// CONTACT SERVICE
+// STATS SERVICE
 // ============================================================================
 
-class ContactService extends FirebaseService {
+/**
+ * Dashboard figures. Totals come from the stats/{collection} counters kept
+ * by every write (see STAT_COUNTERS); lists are small indexed queries.
+ */
+class StatsService extends FirebaseService {
     constructor(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics) {
         super(cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
         this.db = db;
-        this.collectionName = 'contacts';
+        this.serviceName = 'statsService';
+        this.collectionName = STATS_COLLECTION;
     }
 
-    async submitContact(contactData) {
-        const contactsRef = collection(this.db, this.collectionName);
-        const docRef = await addDoc(contactsRef, {
-            ...contactData,
-            status: 'new',
-            createdAt: serverTimestamp()
-        });
-        
-        return { id: docRef.id, ...contactData };
+    /**
+     * Live (not trashed) documents from a bounded query
+     * @returns {Promise<Array<Object>>}
+     */
+    async listLive(collectionName, ...constraints) {
+        const snapshot = await getDocs(query(collection(this.db, collectionName), ...constraints));
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isLive);
     }
 
-    async getAllContacts() {
+    /**
+     * Everything the dashboard shows
+     * @param {Object} [options]
+     * @param {number} [options.listSize=5] - Entries per list
+     * @returns {Promise<{products, faqs, contacts, orders, lowStock, topViewed, mostHelpful, leastHelpful}>}
+     */
+    async getDashboard({ listSize = 5 } = {}) {
+        await requirePermission(PERMISSIONS.STATS);
+
         return this.executeWithCache(
-            'contacts:all',
+            'stats:dashboard',
             async () => {
-                const contactsRef = collection(this.db, this.collectionName);
-                const q = query(contactsRef, orderBy('createdAt', 'desc'));
-                
-                const snapshot = await getDocs(q);
-                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                const counters = await Promise.all(['products', 'faqs', 'contacts', 'orders'].map(async name => {
+                    const snap = await getDoc(doc(this.db, STATS_COLLECTION, name));
+                    return snap.exists() ? snap.data() : {};
+                }));
+
+                // Over-fetch a little: trashed products are filtered out afterwards
+                const [lowStock, topViewed, mostHelpful, leastHelpful] = await Promise.all([
+                    this.listLive('products', where('stock', '>', 0), where('stock', '<=', LOW_STOCK_THRESHOLD), orderBy('stock', 'asc'), limit(listSize * 2)),
+                    this.listLive('products', orderBy('viewCount', 'desc'), limit(listSize * 2)),
+                    this.listLive('faqs', orderBy('upvotes', 'desc'), limit(listSize)),
+                    this.listLive('faqs', orderBy('downvotes', 'desc'), limit(listSize))
+                ]);
+
+                const [products, faqs, contacts, orders] = counters;
+                return {
+                    products,
+                    faqs,
+                    contacts,
+                    orders,
+                    lowStock: lowStock.slice(0, listSize),
+                    topViewed: topViewed.filter(p => p.viewCount).slice(0, listSize),
+                    mostHelpful: mostHelpful.filter(f => f.upvotes),
+                    leastHelpful: leastHelpful.filter(f => f.downvotes)
+                };
             },
-            { useCache: false } // Don't cache sensitive data
+            { useCache: false }
         );
     }
 
-    async updateContactStatus(id, status) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await updateDoc(docRef, {
-            status,
-            updatedAt: serverTimestamp()
+    /**
+     * Recount every counter from scratch - for data written before counters
+     * existed, or after changing the low stock threshold. Reads whole
+     * collections, so it is an owner-only button rather than something the
+     * dashboard does on load.
+     *
+     * Also gives products without a `popularity` (added before reviews, or
+     * by an older import) one from their rating, since orderBy('popularity')
+     * leaves out documents that lack the field.
+     * @returns {Promise<Object>} The new counter documents
+     */
+    async rebuild() {
+        await requirePermission(PERMISSIONS.STATS_REBUILD);
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError('Recounting needs an internet connection');
+        }
+
+        const snapshots = await Promise.all(['products', 'faqs', 'contacts', 'orders'].map(name => getDocs(collection(this.db, name))));
+        const [products, faqs, contacts, orders] = snapshots.map(snapshot => snapshot.docs.map(doc => doc.data()));
+        const toMillis = value => (typeof value?.toMillis === 'function' ? value.toMillis() : Number(value) || Date.now());
+
+        const count = (name, items) => addCounters(...items.filter(isLive).map(STAT_COUNTERS[name]));
+        const totals = {
+            products: count('products', products),
+            faqs: count('faqs', faqs),
+            // Arrivals per day include messages since trashed
+            contacts: addCounters(count('contacts', contacts), ...contacts.map(c => ({ [`byDay.${statsDay(toMillis(c.createdAt))}`]: 1 }))),
+            orders: addCounters(...orders.filter(o => PAID_ORDER_STATUSES.includes(o.status)).map(order => {
+                const paidAt = (order.statusHistory || []).find(entry => entry.status === 'paid')?.at;
+                const day = statsDay(toMillis(paidAt || order.createdAt));
+                const revenue = order.totals?.total || 0;
+                return { count: 1, revenue, [`byDay.${day}.count`]: 1, [`byDay.${day}.revenue`]: revenue };
+            }))
+        };
+
+        // Plain values, not increments - this overwrites the counters
+        const batch = writeBatch(this.db);
+        const written = {};
+        Object.entries(totals).forEach(([name, delta]) => {
+            written[name] = nestCounters(delta);
+            batch.set(doc(this.db, STATS_COLLECTION, name), { ...written[name], updatedAt: serverTimestamp() });
         });
-        
-        return { id, status };
-    }
+        await batch.commit();
+        this.metrics.increment('networkRequests');
+
+        // Batches are capped at 500 writes
+        const unranked = snapshots[0].docs.filter(snap => typeof snap.data().popularity !== 'number');
+        for (let start = 0; start < unranked.length; start += 500) {
+            const backfill = writeBatch(this.db);
+            unranked.slice(start, start + 500).forEach(snap => {
+                backfill.update(snap.ref, { popularity: ReviewService.popularity(snap.data().rating || {}) });
+            });
+            await backfill.commit();
+            this.metrics.increment('networkRequests');
+        }
+        if (unranked.length) this.cache.invalidatePrefix('product');
 
-    async deleteContact(id) {
-        const docRef = doc(this.db, this.collectionName, id);
-        await deleteDoc(docRef);
-        return { id };
+        return written;
     }
 }
 
@@ -770,6 +3969,65 @@ class StorageService {
         const storageRef = ref(this.storage, path);
         return await getDownloadURL(storageRef);
     }
+
+    /**
+     * Upload every rendition from processImage() (utils/images.js) under
+     * `basePath` and return the image set stored on the product
+     * @param {string} basePath - Unique per upload, e.g. products/abc123/1700000000000-0
+     * @param {Object} processed - Result of processImage()
+     * @returns {Promise<Object>} { image, imageMedium, imageSmall, thumbnail, webp, placeholder, width, height }
+     */
+    async uploadImageSet(basePath, processed) {
+        await requirePermission(PERMISSIONS.CATALOG);
+        const set = { placeholder: processed.placeholder, width: processed.width, height: processed.height };
+        const webp = {};
+        // Paths are never reused, so renditions can be cached for good
+        const cacheControl = 'public, max-age=31536000, immutable';
+
+        await Promise.all(processed.renditions.flatMap(({ key, jpeg, webp: webpBlob }) => [
+            this.uploadFile(`${basePath}/${key}.jpg`, jpeg, { contentType: 'image/jpeg', cacheControl })
+                .then(({ url }) => { set[key] = url; }),
+            webpBlob && this.uploadFile(`${basePath}/${key}.webp`, webpBlob, { contentType: 'image/webp', cacheControl })
+                .then(({ url }) => { webp[key] = url; })
+        ]));
+
+        if (Object.keys(webp).length) set.webp = webp;
+        return set;
+    }
+}
+
+// ============================================================================
+// FUNCTIONS SERVICE
+// ============================================================================
+
+/**
+ * Thin wrapper around callable Cloud Functions (payment intents, refunds,
+ * signature checks - anything that needs a server-side secret)
+ */
+class FunctionsService {
+    constructor(functions, connectionMonitor) {
+        this.functions = functions;
+        this.connectionMonitor = connectionMonitor;
+    }
+
+    /**
+     * Call a callable function
+     * @param {string} name - Function name
+     * @param {Object} data - Payload
+     * @returns {Promise<*>} Function result data
+     */
+    async call(name, data = {}) {
+        if (!this.connectionMonitor.isOnline) {
+            throw new NetworkError(`Cannot call ${name} while offline`);
+        }
+
+        try {
+            const result = await httpsCallable(this.functions, name)(data);
+            return result.data;
+        } catch (error) {
+            throw new FirebaseError(`${name} failed: ${error.message}`, error.code, error);
+        }
+    }
 }
 
 // ============================================================================
@@ -780,9 +4038,11 @@ class AuthService {
     constructor(auth) {
         this.auth = auth;
         this.currentUser = null;
+        this.recaptcha = null;
+        this.confirmation = null; // pending phone sign-in (sendOtp → confirmOtp)
         
         onAuthStateChanged(this.auth, (user) => {
-            this.currentUser = user;
+            this.currentUser = AuthService.customer(user);
         });
     }
 
@@ -796,6 +4056,128 @@ class AuthService {
         }
     }
 
+    /**
+     * Create a customer account with email and password
+     * @param {Object} data - See signUpSchema
+     * @returns {Promise<User>}
+     * @throws {ValidationError}
+     */
+    async signUp(data) {
+        const parsed = signUpSchema.safeParse(data);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; '));
+        }
+
+        try {
+            const { email, password, displayName } = parsed.data;
+            const userCredential = await createUserWithEmailAndPassword(this.auth, email, password);
+            await updateProfile(userCredential.user, { displayName });
+            this.currentUser = userCredential.user;
+            return this.currentUser;
+        } catch (error) {
+            throw new FirebaseError(`Sign-up failed: ${error.message}`, error.code, error);
+        }
+    }
+
+    /**
+     * Email a password reset link
+     * @param {string} email
+     */
+    async resetPassword(email) {
+        try {
+            await sendPasswordResetEmail(this.auth, email);
+        } catch (error) {
+            throw new FirebaseError(`Could not send reset email: ${error.message}`, error.code, error);
+        }
+    }
+
+    /**
+     * Text a sign-in code to an Indian mobile number. Call confirmOtp with it.
+     *
+     * In OTP test mode (config.auth.otpTestMode) reCAPTCHA is skipped. Against
+     * the Auth emulator no SMS goes out: the code it generated is read back
+     * and returned, so local runs and tests can sign in without a phone.
+     *
+     * @param {string} phone - 10 digits, see phoneSchema
+     * @param {HTMLElement|string} container - Element (or its ID) for the invisible reCAPTCHA
+     * @returns {Promise<{testCode: string|null}>}
+     * @throws {ValidationError}
+     */
+    async sendOtp(phone, container) {
+        const parsed = phoneSchema.safeParse(phone);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors[0].message);
+        }
+
+        const phoneNumber = `+91${parsed.data}`;
+        if (config.auth.otpTestMode) {
+            this.auth.settings.appVerificationDisabledForTesting = true;
+        }
+
+        try {
+            // One verifier per widget - a second render into the same container fails
+            this.recaptcha?.clear();
+            this.recaptcha = new RecaptchaVerifier(this.auth, container, { size: 'invisible' });
+            this.confirmation = await signInWithPhoneNumber(this.auth, phoneNumber, this.recaptcha);
+        } catch (error) {
+            this.recaptcha?.clear();
+            this.recaptcha = null;
+            throw new FirebaseError(`Could not send the code: ${error.message}`, error.code, error);
+        }
+
+        return { testCode: config.emulators.enabled ? await this.emulatorOtp(phoneNumber) : null };
+    }
+
+    /**
+     * Latest code the Auth emulator generated for a number
+     * @param {string} phoneNumber - E.164
+     * @returns {Promise<string|null>}
+     */
+    async emulatorOtp(phoneNumber) {
+        const { host, authPort } = config.emulators;
+        try {
+            const response = await fetch(`http://${host}:${authPort}/emulator/v1/projects/${config.firebase.projectId}/verificationCodes`);
+            const { verificationCodes = [] } = await response.json();
+            return verificationCodes.filter(entry => entry.phoneNumber === phoneNumber).pop()?.code || null;
+        } catch (error) {
+            console.warn('⚠️ Could not read the code from the Auth emulator:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Finish phone sign-in with the code from sendOtp
+     * @param {string} code - 6 digits
+     * @returns {Promise<User>}
+     * @throws {ValidationError}
+     */
+    async confirmOtp(code) {
+        const parsed = otpSchema.safeParse(code);
+        if (!parsed.success) {
+            throw new ValidationError(parsed.error.errors[0].message);
+        }
+        if (!this.confirmation) {
+            throw new ValidationError('Request a code first');
+        }
+
+        try {
+            const userCredential = await this.confirmation.confirm(parsed.data);
+            this.currentUser = userCredential.user;
+            this.confirmation = null;
+            return this.currentUser;
+        } catch (error) {
+            throw new FirebaseError(`Sign-in failed: ${error.message}`, error.code, error);
+        }
+    }
+
+    /**
+     * @param {string} displayName
+     */
+    async updateDisplayName(displayName) {
+        if (!this.auth.currentUser) return;
+        await updateProfile(this.auth.currentUser, { displayName });
+    }
+
     async signOut() {
         await signOut(this.auth);
         this.currentUser = null;
@@ -805,12 +4187,39 @@ class AuthService {
         return !!this.currentUser;
     }
 
+    /**
+     * Staff role of the signed-in user (see utils/roles.js)
+     * @param {boolean} [forceRefresh=false] - Re-read claims after a role change
+     * @returns {Promise<string|null>}
+     */
+    async getRole(forceRefresh = false) {
+        return currentRole(forceRefresh);
+    }
+
+    /**
+     * @param {string} permission - Value of PERMISSIONS
+     * @returns {Promise<boolean>}
+     */
+    async can(permission) {
+        return can(await currentRole(), permission);
+    }
+
     getCurrentUser() {
         return this.currentUser;
     }
 
     onAuthChange(callback) {
-        return onAuthStateChanged(this.auth, callback);
+        return onAuthStateChanged(this.auth, (user) => callback(AuthService.customer(user)));
+    }
+
+    /**
+     * Guests checking out get an anonymous session (ensureSignedIn); to the
+     * shop they are still signed out
+     * @param {User|null} user
+     * @returns {User|null}
+     */
+    static customer(user) {
+        return user?.isAnonymous ? null : user;
     }
 }
 
@@ -823,6 +4232,7 @@ let firebaseApp = null;
 let db = null;
 let auth = null;
 let storage = null;
+let functions = null;
 let analytics = null;
 
 // Shared infrastructure
@@ -831,13 +4241,24 @@ const rateLimiter = new RateLimiter(100, 10);
 const offlineQueue = new OfflineQueue();
 const connectionMonitor = new ConnectionMonitor();
 const metrics = new MetricsTracker();
+const offlineReplayer = new OfflineReplayer(offlineQueue, connectionMonitor, metrics);
 
 // Service instances
 let productService = null;
 let faqService = null;
 let contactService = null;
+let testimonialService = null;
+let reviewService = null;
+let accountService = null;
+let subscriptionService = null;
 let storageService = null;
 let authService = null;
+let reservationService = null;
+let orderService = null;
+let couponService = null;
+let auditService = null;
+let statsService = null;
+let functionsService = null;
 
 /**
  * Initialize all Firebase services
@@ -856,7 +4277,22 @@ export async function initializeServices() {
         console.log('✅ Firebase app initialized');
 
         // Initialize Firestore with offline persistence
-        db = getFirestore(firebaseApp);
+        // Optional fields parsed by zod come through as `undefined` - drop them instead of failing writes
+        db = initializeFirestore(firebaseApp, { ignoreUndefinedProperties: true });
+        auth = getAuth(firebaseApp);
+        storage = getStorage(firebaseApp);
+        functions = getFunctions(firebaseApp);
+
+        // Local emulators must be connected before any other call
+        if (config.emulators.enabled) {
+            const { host, firestorePort, authPort, storagePort, functionsPort } = config.emulators;
+            connectFirestoreEmulator(db, host, firestorePort);
+            connectAuthEmulator(auth, `http://${host}:${authPort}`, { disableWarnings: true });
+            connectStorageEmulator(storage, host, storagePort);
+            connectFunctionsEmulator(functions, host, functionsPort);
+            console.log(`🧪 Using Firebase emulators on ${host}`);
+        }
+
         try {
             await enableIndexedDbPersistence(db);
             console.log('✅ Firestore offline persistence enabled');
@@ -868,10 +4304,6 @@ export async function initializeServices() {
             }
         }
 
-        // Initialize other Firebase services
-        auth = getAuth(firebaseApp);
-        storage = getStorage(firebaseApp);
-
         // Initialize Analytics (only if supported)
         if (await isAnalyticsSupported()) {
             analytics = getAnalytics(firebaseApp);
@@ -888,24 +4320,44 @@ export async function initializeServices() {
         productService = new ProductService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
         faqService = new FAQService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
         contactService = new ContactService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        reservationService = new ReservationService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
         storageService = new StorageService(storage);
+        functionsService = new FunctionsService(functions, connectionMonitor);
+        orderService = new OrderService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, functionsService);
+        couponService = new CouponService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        auditService = new AuditService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        statsService = new StatsService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        testimonialService = new TestimonialService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, storageService);
+        reviewService = new ReviewService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, storageService);
+        accountService = new AccountService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics);
+        subscriptionService = new SubscriptionService(db, cache, rateLimiter, offlineQueue, connectionMonitor, metrics, functionsService);
         authService = new AuthService(auth);
 
+        // Register services whose writes can be queued offline
+        offlineReplayer.register('productService', productService);
+        offlineReplayer.register('faqService', faqService);
+        offlineReplayer.register('contactService', contactService);
+        offlineReplayer.register('testimonialService', testimonialService);
+        offlineReplayer.register('reviewService', reviewService);
+        offlineReplayer.register('orderService', orderService);
+        offlineReplayer.register('accountService', accountService);
+        offlineReplayer.register('subscriptionService', subscriptionService);
+
         // Set up connection monitoring
-        connectionMonitor.onChange(async (isOnline) => {
+        connectionMonitor.onChange((isOnline) => {
             if (isOnline) {
-                // Process offline queue
-                const queued = await offlineQueue.getAll();
-                console.log(`📤 Processing ${queued.length} queued operations...`);
-                
-                for (const operation of queued) {
-                    try {
-                        // TODO: Implement operation replay logic
-                        await offlineQueue.remove(operation.id);
-                    } catch (error) {
-                        console.error(`❌ Failed to process queued operation:`, error);
-                    }
-                }
+                offlineReplayer.replay().catch((error) => {
+                    console.error('❌ Offline queue replay failed:', error);
+                });
+            }
+        });
+
+        // Writes held back for want of a signed-in user go through on sign-in
+        onAuthStateChanged(auth, (user) => {
+            if (user && connectionMonitor.isOnline) {
+                offlineReplayer.replay().catch((error) => {
+                    console.error('❌ Offline queue replay failed:', error);
+                });
             }
         });
 
@@ -920,11 +4372,22 @@ export async function initializeServices() {
             productService,
             faqService,
             contactService,
+            testimonialService,
+            reviewService,
+            accountService,
+            subscriptionService,
+            reservationService,
+            orderService,
+            couponService,
+            auditService,
+            statsService,
             storageService,
+            functionsService,
             authService,
             cache,
             metrics,
             offlineQueue,
+            offlineReplayer,
             connectionMonitor
         };
 
@@ -952,15 +4415,32 @@ export function resetCache() {
 
 // Export service classes for testing
 export {
+    PRODUCT_SORT_OPTIONS,
     ProductService,
     FAQService,
     ContactService,
+    TestimonialService,
+    ReviewService,
+    AccountService,
+    SubscriptionService,
+    ReservationService,
+    OrderService,
+    CouponService,
+    ORDER_STATUS_TRANSITIONS,
+    AuditService,
+    StatsService,
     StorageService,
+    FunctionsService,
     AuthService,
+    OfflineReplayer,
     FirebaseError,
     NetworkError,
     ValidationError,
-    RateLimitError
+    PermissionError,
+    AuthRequiredError,
+    RateLimitError,
+    OutOfStockError,
+    ReservationExpiredError
 };
 
 // Export shared infrastructure
@@ -968,6 +4448,7 @@ export {
     cache,
     metrics,
     offlineQueue,
+    offlineReplayer,
     connectionMonitor,
     rateLimiter
 };
\ No newline at end of file
@@ -30,13 +30,11 @@ let DOMUtils;
 const ENV = {
     isDevelopment: 
         (typeof import.meta !== 'undefined' && import.meta.env?.MODE === 'development') ||
-        (typeof process !== 'undefined' && process.env?.NODE_ENV === 'development') ||
         window.location.hostname === 'localhost' ||
         window.location.hostname === '127.0.0.1',
     
     isProduction: 
-        (typeof import.meta !== 'undefined' && import.meta.env?.MODE === 'production') ||
-        (typeof process !== 'undefined' && process.env?.NODE_ENV === 'production')
+        typeof import.meta !== 'undefined' && import.meta.env?.MODE === 'production'
 };
 
 // ============================================================================
@@ -7,36 +7,37 @@
  * All functionality has been moved to app.js and its modules.
  * 
  * This file is kept only for:
- * 1. Swiper carousel initialization
+ * 1. Swiper carousel initialization (also imported by TestimonialManager)
  * 2. Barba.js page transitions
  * 
  * Everything else (theme, menu, wishlist, service worker, etc.) 
  * is now handled by app.js
  */
 
-import { DOMUtils } from './utils/dom.js';
-
 // ============================================================================
 // SWIPER CAROUSEL
 // ============================================================================
 
 /**
  * Initialize Swiper carousel
+ * @param {string} [selector='.swiper-container'] - Carousel element
+ * @param {Object} [options] - Swiper options, replacing the defaults below key by key
+ * @returns {Object|undefined} Swiper instance
  */
-function initSwiper() {
+function initSwiper(selector = '.swiper-container', options = {}) {
   if (typeof window.Swiper === 'undefined') {
     console.warn('Swiper library not loaded');
     return;
   }
 
-  const swiperContainer = document.querySelector('.swiper-container');
+  const swiperContainer = document.querySelector(selector);
   if (!swiperContainer) {
     console.warn('Swiper container not found');
     return;
   }
 
   try {
-    const swiper = new window.Swiper('.swiper-container', {
+    const swiper = new window.Swiper(swiperContainer, {
       slidesPerView: 1,
       spaceBetween: 10,
       
@@ -71,7 +72,9 @@ function initSwiper() {
       },
       
       watchSlidesProgress: true,
-      watchSlidesVisibility: true
+      watchSlidesVisibility: true,
+
+      ...options
     });
 
     console.log('✅ Swiper initialized');
@@ -181,8 +184,9 @@ function initBarba() {
 document.addEventListener('DOMContentLoaded', () => {
   console.log('📚 main.js - Initializing third-party libraries...');
   
-  initSwiper();
-  initBarba();
+  // Pages that only import initSwiper have neither
+  if (document.querySelector('.swiper-container')) initSwiper();
+  if (typeof window.barba !== 'undefined') initBarba();
   
   console.log('✅ main.js loaded');
 });
@@ -0,0 +1,732 @@
+/**
+ * @file managers/account.js
+ * @description Customer accounts - sign-in and sign-up, profile, address book,
+ * order history, and keeping the cart and wishlist in step with the account
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { useAppState, mergeCarts, mergeWishlists, toWishlistItem } from '../state/store.js';
+import {
+  validate,
+  emailSchema,
+  phoneSchema,
+  otpSchema,
+  signUpSchema,
+  profileSchema,
+  savedAddressSchema,
+  MAX_SAVED_ADDRESSES
+} from '../utils/validation.js';
+import { escapeHTML } from '../utils/markdown.js';
+import { formatPaise } from '../utils/pricing.js';
+
+// Wait this long after the last cart/wishlist change before saving it to the account
+const SYNC_DELAY = 1500;
+
+const SIGN_UP_FIELDS = {
+  displayName: 'signUpName',
+  email: 'signUpEmail',
+  password: 'signUpPassword'
+};
+
+const PROFILE_FIELDS = {
+  displayName: 'profileName',
+  phone: 'profilePhone'
+};
+
+const ADDRESS_FIELDS = {
+  label: 'addressLabel',
+  name: 'addressName',
+  phone: 'addressPhone',
+  line1: 'addressLine1',
+  line2: 'addressLine2',
+  city: 'addressCity',
+  state: 'addressState',
+  pincode: 'addressPincode'
+};
+
+// Firebase Auth error codes worth explaining to a customer
+const AUTH_MESSAGES = {
+  'auth/invalid-credential': 'That email and password don\'t match an account',
+  'auth/wrong-password': 'That email and password don\'t match an account',
+  'auth/user-not-found': 'That email and password don\'t match an account',
+  'auth/email-already-in-use': 'There is already an account with this email - sign in instead',
+  'auth/weak-password': 'Please choose a stronger password',
+  'auth/invalid-verification-code': 'That code is not right - check the SMS and try again',
+  'auth/code-expired': 'That code has expired - send a new one',
+  'auth/too-many-requests': 'Too many attempts - please wait a few minutes and try again',
+  'auth/invalid-phone-number': 'Invalid phone number (10 digits starting with 6-9)'
+};
+
+const ORDER_STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  paid: 'Paid',
+  packed: 'Packed',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  returned: 'Returned'
+};
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * @param {Error} error
+ * @returns {string}
+ */
+function authMessage(error) {
+  return AUTH_MESSAGES[error.code] || error.message;
+}
+
+/**
+ * Account Manager - Customer sign-in, profile, addresses and orders
+ */
+export class AccountManager {
+  static services = null;
+  static account = null; // users/{uid} of the signed-in customer
+  static stopSync = null;
+  static syncTimer = null;
+
+  // ==========================================================================
+  // SESSION & SYNC (every shop page)
+  // ==========================================================================
+
+  /**
+   * What the rest of the site reads from useAppState().user
+   * @param {User} user - Firebase Auth user
+   * @param {Object|null} account
+   * @returns {Object}
+   */
+  static toStoreUser(user, account) {
+    return {
+      uid: user.uid,
+      email: user.email || account?.email || null,
+      displayName: account?.displayName || user.displayName || '',
+      phone: account?.phone || null,
+      addresses: account?.addresses || [],
+      wishlistShare: account?.wishlistShare || null
+    };
+  }
+
+  /**
+   * Fold the account's cart and wishlist into this device's, then save the
+   * merged copy back so every device starts from the same lists
+   * @param {User} user
+   */
+  static async mergeWithAccount(user) {
+    const { accountService } = this.services;
+    const account = await accountService.loadAccount(user);
+    const state = useAppState.getState();
+
+    const cart = mergeCarts(state.cart, account.cart);
+    const wishlist = mergeWishlists(state.wishlist, account.wishlist);
+    state.replaceCart(cart);
+    state.replaceWishlist(wishlist);
+    this.account = account;
+
+    // Most page loads find nothing new on this device - skip the write then
+    const changed = JSON.stringify(cart) !== JSON.stringify(account.cart)
+      || JSON.stringify(useAppState.getState().wishlist) !== JSON.stringify(account.wishlist);
+    if (changed) await this.saveLists(user.uid);
+  }
+
+  /**
+   * Save the current cart and wishlist to the account
+   * @param {string} uid
+   */
+  static async saveLists(uid) {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+
+    const { cart, wishlist, user } = useAppState.getState();
+    const { accountService } = this.services;
+    await Promise.all([
+      accountService.saveCart(uid, cart),
+      accountService.saveWishlist(uid, wishlist.map(toWishlistItem), { shareToken: user?.wishlistShare?.token })
+    ]);
+  }
+
+  /**
+   * Save the lists shortly after they stop changing
+   * @param {string} uid
+   */
+  static scheduleSave(uid) {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.saveLists(uid).catch((error) => console.error('Failed to save cart to account:', error));
+    }, SYNC_DELAY);
+  }
+
+  /**
+   * Sign-in state changed (including the first report on page load)
+   * @param {User|null} user
+   */
+  static async handleAuthChange(user) {
+    const state = useAppState.getState();
+    this.stopSync?.();
+    this.stopSync = null;
+    this.account = null;
+
+    if (!user) {
+      state.logout();
+      this.renderNav();
+      this.render();
+      return;
+    }
+
+    try {
+      await this.mergeWithAccount(user);
+      this.stopSync = useAppState.subscribe((next, prev) => {
+        if (next.cart !== prev.cart || next.wishlist !== prev.wishlist) this.scheduleSave(user.uid);
+      });
+    } catch (error) {
+      // Still signed in - the lists just stay on this device for now
+      console.error('Failed to load account:', error);
+    }
+
+    state.setUser(this.toStoreUser(user, this.account));
+    this.renderNav();
+    this.render();
+  }
+
+  /**
+   * Sign out. The cart and wishlist are saved to the account first and then
+   * cleared, so the next person on this device doesn't see them.
+   */
+  static async signOut() {
+    const { authService } = this.services;
+    const user = authService.getCurrentUser();
+
+    try {
+      if (user && this.stopSync) await this.saveLists(user.uid);
+    } catch (error) {
+      console.error('Failed to save cart before signing out:', error);
+    }
+
+    this.stopSync?.();
+    this.stopSync = null;
+    const state = useAppState.getState();
+    state.clearCart();
+    state.replaceWishlist([]);
+    await authService.signOut();
+    DOMUtils.showToast('Signed out', 'info');
+  }
+
+  /**
+   * "Sign in" / "Hi, Name" on the navbar account link
+   */
+  static renderNav() {
+    const user = useAppState.getState().user;
+    DOMUtils.$$('[data-account-link]').forEach((link) => {
+      link.textContent = user ? `Hi, ${(user.displayName || 'there').split(' ')[0]}` : 'Sign in';
+    });
+  }
+
+  /**
+   * Follow sign-in state on any shop page
+   * @param {Object} services - Firebase services
+   */
+  static watchAuth(services) {
+    this.services = services;
+    this.renderNav();
+    services.authService.onAuthChange((user) => this.handleAuthChange(user));
+  }
+
+  // ==========================================================================
+  // ACCOUNT PAGE
+  // ==========================================================================
+
+  /**
+   * Show or clear the inline error for a field
+   * @param {string} id - Control ID
+   * @param {string} message - Empty to clear
+   */
+  static setFieldError(id, message) {
+    const error = DOMUtils.$(`#${id}Error`);
+    if (error) {
+      error.textContent = message;
+      error.closest('.form-group')?.classList.toggle('form-group--error', !!message);
+    }
+
+    const control = DOMUtils.$(`#${id}`);
+    if (message) control?.setAttribute('aria-invalid', 'true');
+    else control?.removeAttribute('aria-invalid');
+  }
+
+  /**
+   * Show schema errors against the form's fields
+   * @param {Object} fields - Schema field → control ID
+   * @param {Array<{field: string, message: string}>} errors
+   * @param {HTMLFormElement} form
+   */
+  static showErrors(fields, errors, form) {
+    Object.values(fields).forEach((id) => this.setFieldError(id, ''));
+    errors.forEach(({ field, message }) => fields[field] && this.setFieldError(fields[field], message));
+    form.querySelector('[aria-invalid="true"]')?.focus();
+  }
+
+  /**
+   * @param {string} id - Message element ID
+   * @param {string} text
+   * @param {string} [type] - success | error
+   */
+  static setMessage(id, text, type = 'error') {
+    const el = DOMUtils.$(`#${id}`);
+    if (!el) return;
+    el.textContent = text;
+    el.className = text ? `form-msg form-msg--${type}` : 'form-msg';
+  }
+
+  /**
+   * Run a form action with its submit button disabled
+   * @param {HTMLFormElement} form
+   * @param {Function} action - async () => void
+   */
+  static async busy(form, action) {
+    const submit = DOMUtils.$('button[type="submit"]', form);
+    if (submit) submit.disabled = true;
+    try {
+      await action();
+    } finally {
+      if (submit) submit.disabled = false;
+    }
+  }
+
+  /**
+   * Switch between the sign-in, sign-up and phone tabs
+   * @param {string} name
+   */
+  static showTab(name) {
+    DOMUtils.$$('[data-auth-tab]').forEach((tab) => {
+      const selected = tab.dataset.authTab === name;
+      tab.setAttribute('aria-selected', String(selected));
+      tab.tabIndex = selected ? 0 : -1;
+    });
+    DOMUtils.$$('[data-auth-panel]').forEach((panel) => {
+      panel.hidden = panel.dataset.authPanel !== name;
+    });
+  }
+
+  static setupSignIn() {
+    const form = DOMUtils.$('#signInForm');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const email = DOMUtils.$('#signInEmail', form).value.trim();
+      const password = DOMUtils.$('#signInPassword', form).value;
+
+      const emailCheck = validate(emailSchema, email);
+      this.setFieldError('signInEmail', emailCheck.success ? '' : emailCheck.errors[0].message);
+      this.setFieldError('signInPassword', password ? '' : 'Enter your password');
+      if (!emailCheck.success || !password) return;
+
+      this.busy(form, async () => {
+        try {
+          await this.services.authService.signIn(email, password);
+          this.setMessage('signInMsg', '');
+          form.reset();
+        } catch (error) {
+          this.setMessage('signInMsg', authMessage(error.originalError || error));
+        }
+      });
+    });
+
+    DOMUtils.$('#forgotPassword')?.addEventListener('click', async () => {
+      const email = DOMUtils.$('#signInEmail', form).value.trim();
+      const emailCheck = validate(emailSchema, email);
+      if (!emailCheck.success) {
+        this.setFieldError('signInEmail', 'Enter your email above and we\'ll send a reset link');
+        DOMUtils.$('#signInEmail', form).focus();
+        return;
+      }
+
+      try {
+        await this.services.authService.resetPassword(email);
+        this.setMessage('signInMsg', `If ${email} has an account, a reset link is on its way.`, 'success');
+      } catch (error) {
+        this.setMessage('signInMsg', authMessage(error.originalError || error));
+      }
+    });
+  }
+
+  static setupSignUp() {
+    const form = DOMUtils.$('#signUpForm');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const data = {
+        displayName: DOMUtils.$('#signUpName', form).value,
+        email: DOMUtils.$('#signUpEmail', form).value.trim(),
+        password: DOMUtils.$('#signUpPassword', form).value
+      };
+
+      const result = validate(signUpSchema, data);
+      this.showErrors(SIGN_UP_FIELDS, result.errors || [], form);
+      if (!result.success) return;
+
+      this.busy(form, async () => {
+        try {
+          await this.services.authService.signUp(result.data);
+          this.setMessage('signUpMsg', '');
+          form.reset();
+          DOMUtils.showToast(`Welcome, ${result.data.displayName.split(' ')[0]}!`, 'success');
+        } catch (error) {
+          this.setMessage('signUpMsg', authMessage(error.originalError || error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Phone sign-in: send a code, then confirm it
+   */
+  static setupPhone() {
+    const form = DOMUtils.$('#phoneForm');
+    if (!form) return;
+
+    const codeGroup = DOMUtils.$('#otpCodeGroup', form);
+    const submit = DOMUtils.$('button[type="submit"]', form);
+    const reset = () => {
+      codeGroup.hidden = true;
+      submit.textContent = 'Send code';
+    };
+
+    DOMUtils.$('#otpPhone', form).addEventListener('input', reset);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const phone = DOMUtils.$('#otpPhone', form).value.replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '');
+
+      // Step 2 - confirm the code
+      if (!codeGroup.hidden) {
+        const code = DOMUtils.$('#otpCode', form).value.trim();
+        const check = validate(otpSchema, code);
+        this.setFieldError('otpCode', check.success ? '' : check.errors[0].message);
+        if (!check.success) return;
+
+        this.busy(form, async () => {
+          try {
+            await this.services.authService.confirmOtp(code);
+            this.setMessage('otpMsg', '');
+            form.reset();
+            reset();
+          } catch (error) {
+            this.setMessage('otpMsg', authMessage(error.originalError || error));
+          }
+        });
+        return;
+      }
+
+      // Step 1 - send the code
+      const check = validate(phoneSchema, phone);
+      this.setFieldError('otpPhone', check.success ? '' : check.errors[0].message);
+      if (!check.success) return;
+
+      this.busy(form, async () => {
+        try {
+          const { testCode } = await this.services.authService.sendOtp(phone, 'recaptchaContainer');
+          codeGroup.hidden = false;
+          submit.textContent = 'Verify and sign in';
+          this.setMessage('otpMsg', `We've sent a 6-digit code to +91 ${phone}.`, 'success');
+
+          // Local emulator runs: no SMS is sent, so fill in the code it generated
+          if (testCode) {
+            DOMUtils.$('#otpCode', form).value = testCode;
+            this.setMessage('otpMsg', `Test mode - code ${testCode} filled in for +91 ${phone}.`, 'success');
+          }
+          DOMUtils.$('#otpCode', form).focus();
+        } catch (error) {
+          this.setMessage('otpMsg', authMessage(error.originalError || error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Fill the profile form from the account
+   */
+  static renderProfile() {
+    const user = useAppState.getState().user;
+    const form = DOMUtils.$('#profileForm');
+    if (!user || !form) return;
+
+    DOMUtils.$('#profileName', form).value = user.displayName || '';
+    DOMUtils.$('#profilePhone', form).value = user.phone || '';
+    DOMUtils.$('#profileEmail', form).value = user.email || '';
+
+    const greeting = DOMUtils.$('#accountGreeting');
+    if (greeting) greeting.textContent = `Namaste, ${user.displayName || 'there'}`;
+  }
+
+  static setupProfile() {
+    const form = DOMUtils.$('#profileForm');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const user = useAppState.getState().user;
+      if (!user) return;
+
+      const data = {
+        displayName: DOMUtils.$('#profileName', form).value,
+        phone: DOMUtils.$('#profilePhone', form).value.trim() || undefined
+      };
+
+      const result = validate(profileSchema, data);
+      this.showErrors(PROFILE_FIELDS, result.errors || [], form);
+      if (!result.success) return;
+
+      this.busy(form, async () => {
+        try {
+          const { accountService, authService } = this.services;
+          await accountService.saveProfile(user.uid, result.data);
+          await authService.updateDisplayName(result.data.displayName);
+
+          this.account = { ...this.account, ...result.data };
+          useAppState.getState().setUser({ ...user, ...result.data });
+          this.renderNav();
+          this.renderProfile();
+          this.setMessage('profileMsg', 'Profile saved', 'success');
+        } catch (error) {
+          this.setMessage('profileMsg', `Could not save your profile: ${error.message}`);
+        }
+      });
+    });
+  }
+
+  // ==========================================================================
+  // ADDRESS BOOK
+  // ==========================================================================
+
+  static renderAddresses() {
+    const list = DOMUtils.$('#addressList');
+    if (!list) return;
+
+    const addresses = useAppState.getState().user?.addresses || [];
+    const count = DOMUtils.$('#addressCount');
+    if (count) count.textContent = `${addresses.length} of ${MAX_SAVED_ADDRESSES}`;
+
+    const add = DOMUtils.$('#addAddress');
+    if (add) add.disabled = addresses.length >= MAX_SAVED_ADDRESSES;
+
+    if (!addresses.length) {
+      list.innerHTML = '<li class="state-message">No saved addresses yet - add one to check out faster.</li>';
+      return;
+    }
+
+    list.innerHTML = addresses.map((address) => `
+      <li class="address-card card p-md${address.isDefault ? ' address-card--default' : ''}" data-id="${escapeHTML(address.id)}">
+        <p>
+          <strong>${escapeHTML(address.label || address.name)}</strong>
+          ${address.isDefault ? '<span class="badge success">Default</span>' : ''}
+        </p>
+        <address>
+          ${escapeHTML(address.name)}<br>
+          ${escapeHTML(address.line1)}<br>
+          ${address.line2 ? `${escapeHTML(address.line2)}<br>` : ''}
+          ${escapeHTML(address.city)}, ${escapeHTML(address.state)} ${escapeHTML(address.pincode)}<br>
+          Phone: ${escapeHTML(address.phone)}
+        </address>
+        <div class="address-card__actions">
+          <button type="button" class="btn btn--secondary" data-address="edit">Edit</button>
+          ${address.isDefault ? '' : '<button type="button" class="btn btn--secondary" data-address="default">Make default</button>'}
+          <button type="button" class="btn btn--secondary" data-address="delete">Delete</button>
+        </div>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Open the address form, empty or for an existing address
+   * @param {Object} [address]
+   */
+  static openAddressForm(address = null) {
+    const form = DOMUtils.$('#addressForm');
+    if (!form) return;
+
+    form.reset();
+    Object.values(ADDRESS_FIELDS).forEach((id) => this.setFieldError(id, ''));
+    this.setMessage('addressMsg', '');
+
+    const user = useAppState.getState().user;
+    const values = address || { name: user?.displayName || '', phone: user?.phone || '' };
+    Object.entries(ADDRESS_FIELDS).forEach(([field, id]) => {
+      DOMUtils.$(`#${id}`, form).value = values[field] || '';
+    });
+    DOMUtils.$('#addressId', form).value = address?.id || '';
+    DOMUtils.$('#addressDefault', form).checked = !!address?.isDefault || !user?.addresses?.length;
+
+    DOMUtils.$('#addressFormTitle').textContent = address ? 'Edit address' : 'New address';
+    form.hidden = false;
+    DOMUtils.$(`#${ADDRESS_FIELDS.label}`, form).focus();
+  }
+
+  /**
+   * Keep the page and the store on the address book the server returned
+   * @param {Array<Object>|Object} result - Address book, or { queued: true } offline
+   */
+  static applyAddresses(result) {
+    if (!Array.isArray(result)) {
+      DOMUtils.showToast('You are offline - the change will be saved when you reconnect', 'info');
+      return;
+    }
+
+    const state = useAppState.getState();
+    this.account = { ...this.account, addresses: result };
+    state.setUser({ ...state.user, addresses: result });
+    this.renderAddresses();
+  }
+
+  static setupAddresses() {
+    const form = DOMUtils.$('#addressForm');
+    const list = DOMUtils.$('#addressList');
+    if (!form || !list) return;
+
+    DOMUtils.$('#addAddress')?.addEventListener('click', () => this.openAddressForm());
+    DOMUtils.$('#cancelAddress')?.addEventListener('click', () => {
+      form.hidden = true;
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const user = useAppState.getState().user;
+      if (!user) return;
+
+      const text = (id) => DOMUtils.$(`#${id}`, form).value.trim() || undefined;
+      const address = {
+        id: DOMUtils.$('#addressId', form).value || undefined, // AccountService assigns new ones
+        ...Object.fromEntries(Object.entries(ADDRESS_FIELDS).map(([field, id]) => [field, text(id)])),
+        isDefault: DOMUtils.$('#addressDefault', form).checked
+      };
+
+      const result = validate(savedAddressSchema.partial({ id: true }), address);
+      this.showErrors(ADDRESS_FIELDS, result.errors || [], form);
+      if (!result.success) return;
+
+      this.busy(form, async () => {
+        try {
+          const saved = await this.services.accountService.saveAddress(user.uid, result.data);
+          this.applyAddresses(saved);
+          form.hidden = true;
+          DOMUtils.showToast('Address saved', 'success');
+        } catch (error) {
+          this.setMessage('addressMsg', `Could not save the address: ${error.message}`);
+        }
+      });
+    });
+
+    DOMUtils.on('click', '[data-address]', async (e) => {
+      const button = e.delegateTarget;
+      const id = button.closest('[data-id]').dataset.id;
+      const user = useAppState.getState().user;
+      const address = user?.addresses.find((a) => a.id === id);
+      if (!address) return;
+
+      const { accountService } = this.services;
+      const action = button.dataset.address;
+
+      if (action === 'edit') {
+        this.openAddressForm(address);
+        return;
+      }
+      if (action === 'delete' && !window.confirm(`Delete the address "${address.label || address.line1}"?`)) return;
+
+      button.disabled = true;
+      try {
+        this.applyAddresses(action === 'delete'
+          ? await accountService.deleteAddress(user.uid, id)
+          : await accountService.setDefaultAddress(user.uid, id));
+      } catch (error) {
+        console.error('Address update failed:', error);
+        DOMUtils.showToast(`Could not update the address: ${error.message}`, 'error');
+        this.renderAddresses();
+      }
+    }, list);
+  }
+
+  // ==========================================================================
+  // ORDER HISTORY
+  // ==========================================================================
+
+  static async renderOrders() {
+    const list = DOMUtils.$('#orderHistory');
+    const user = useAppState.getState().user;
+    if (!list || !user) return;
+
+    list.innerHTML = '<li class="state-message">Loading your orders…</li>';
+
+    try {
+      const orders = await this.services.orderService.getOrdersByUser(user.uid);
+      if (!orders.length) {
+        list.innerHTML = '<li class="state-message">No orders yet. <a href="products.html">Browse the collection</a></li>';
+        return;
+      }
+
+      list.innerHTML = orders.map((order) => {
+        const placed = order.createdAt ? new Date(toMillis(order.createdAt)).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : '';
+        const items = (order.items || [])
+          .map((item) => `${escapeHTML(item.name)}${item.variant ? ` (${escapeHTML(item.variant)})` : ''} × ${item.quantity}`)
+          .join(', ');
+
+        return `
+          <li class="order-card card p-md">
+            <p>
+              <strong>${escapeHTML(order.orderNumber || order.id)}</strong>
+              <span class="badge">${ORDER_STATUS_LABELS[order.status] || escapeHTML(order.status)}</span>
+            </p>
+            <p>${items}</p>
+            <small>${placed}${order.totals ? ` · ${formatPaise(order.totals.total)}` : ''}${order.address?.pincode ? ` · Delivering to ${escapeHTML(order.address.city)} ${escapeHTML(order.address.pincode)}` : ''}</small>
+          </li>
+        `;
+      }).join('');
+    } catch (error) {
+      console.error('Failed to load orders:', error);
+      list.innerHTML = '<li class="state-message error">Could not load your orders.</li>';
+    }
+  }
+
+  /**
+   * Show the sign-in forms or the account, whichever applies
+   */
+  static render() {
+    const auth = DOMUtils.$('#accountAuth');
+    const panel = DOMUtils.$('#accountPanel');
+    if (!auth || !panel) return;
+
+    const signedIn = !!useAppState.getState().user;
+    DOMUtils.$('#accountLoading')?.remove();
+    auth.hidden = signedIn;
+    panel.hidden = !signedIn;
+    if (!signedIn) return;
+
+    DOMUtils.$('#addressForm').hidden = true;
+    this.renderProfile();
+    this.renderAddresses();
+    this.renderOrders();
+  }
+
+  /**
+   * Initialize the account page
+   * @param {Object} services - Firebase services
+   */
+  static init(services) {
+    this.services = services;
+
+    DOMUtils.$$('[data-auth-tab]').forEach((tab) => {
+      tab.addEventListener('click', () => this.showTab(tab.dataset.authTab));
+    });
+
+    this.setupSignIn();
+    this.setupSignUp();
+    this.setupPhone();
+    this.setupProfile();
+    this.setupAddresses();
+
+    // The page is drawn by handleAuthChange once Firebase reports who is signed in
+    DOMUtils.$('#signOut')?.addEventListener('click', () => this.signOut());
+  }
+}
+
+export default AccountManager;
@@ -5,9 +5,41 @@
  */
 
 import { DOMUtils } from '../utils/dom.js';
-import { SafeStorage } from '../utils/storage.js';
 import { t } from '../utils/i18n.js';
 import { useAppState } from '../state/store.js';
+import { validate, productSchema, sanitize } from '../utils/validation.js';
+import { VariantMatrixEditor } from '../components/variant-editor.js';
+import { TrashManager } from './trash.js';
+import { AuditManager } from './audit.js';
+import { InboxManager } from './inbox.js';
+import { FAQEditorManager } from './faq-editor.js';
+import { TestimonialModerationManager } from './testimonial-moderation.js';
+import { ReviewModerationManager } from './review-moderation.js';
+import { DashboardManager } from './dashboard.js';
+import { config } from '../config.js';
+import { parseCSVRecords, toCSV, downloadText } from '../utils/csv.js';
+import { productsToRows, planImport, resolveImages, imageKey } from '../utils/catalog-csv.js';
+import { processImage, galleryOf, SOURCE_TYPES, MAX_SOURCE_SIZE } from '../utils/images.js';
+import { PERMISSIONS, ROLES, roleFromClaims, can } from '../utils/roles.js';
+import { createStockNotifier } from '../services/notifier.js';
+
+/**
+ * productSchema field → form control id. Errors go to `#<id>Error`.
+ */
+const FORM_FIELDS = {
+  name: 'productName',
+  price: 'productPrice',
+  stock: 'productStock',
+  category: 'productCategory',
+  description: 'productDesc',
+  images: 'productImage',
+  gallery: 'productImage',
+  variants: 'productVariants',
+  swatches: 'productVariants'
+};
+
+const MAX_GALLERY_IMAGES = 8;
+const IMAGE_EXTENSIONS = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
 
 /**
  * Admin Manager - Handle admin panel operations with RBAC
@@ -18,9 +50,18 @@ export class AdminManager {
   static limit = 10;
   static lastRequestTime = 0;
   static rateLimit = 1000;
+  static pendingDelete = [];
+  static importPlan = null;
+  static importFiles = new Map();
+  // Form gallery, main image first: { set } for saved images, { file, preview } for new ones
+  static gallery = [];
+  // Staff role from the ID token (key of ROLES)
+  static role = null;
+  // Back-in-stock / price-drop alerts (services/notifier.js)
+  static notifier = null;
 
   /**
-   * Verify admin role (SECURITY CRITICAL)
+   * Verify the user has a staff role and remember it (SECURITY CRITICAL)
    * @param {Object} services - Firebase services
    * @returns {Promise<boolean>}
    */
@@ -32,12 +73,15 @@ export class AdminManager {
       }
 
       const idTokenResult = await services.auth.currentUser.getIdTokenResult();
-      
-      if (!idTokenResult.claims.admin) {
-        console.warn('User is not an admin');
+
+      const role = roleFromClaims(idTokenResult.claims);
+
+      if (!role) {
+        console.warn('User has no staff role');
         return false;
       }
 
+      this.role = role;
       return true;
     } catch (error) {
       console.error('Admin verification failed:', error);
@@ -45,21 +89,42 @@ export class AdminManager {
     }
   }
 
+  /**
+   * @param {string} permission - Value of PERMISSIONS
+   * @returns {boolean}
+   */
+  static can(permission) {
+    return can(this.role, permission);
+  }
+
+  /**
+   * Hide every `[data-permission]` element the role can't use. The attribute
+   * lists one or more permissions; any one of them is enough.
+   */
+  static applyPermissions() {
+    DOMUtils.$$('[data-permission]').forEach((el) => {
+      el.hidden = !el.dataset.permission.split(' ').some((permission) => this.can(permission));
+    });
+
+    const badge = DOMUtils.$('#adminRole');
+    if (badge) badge.textContent = ROLES[this.role]?.label || '';
+  }
+
   /**
    * Load products for admin panel
    * @param {Object} services - Firebase services
    */
   static async loadProducts(services) {
     const state = useAppState.getState();
-    
-    if (state.isLoading || Date.now() - this.lastRequestTime < this.rateLimit) {
+
+    if (state.loading || Date.now() - this.lastRequestTime < this.rateLimit) {
       return;
     }
 
     state.setLoading(true);
     this.lastRequestTime = Date.now();
 
-    const tbody = DOMUtils.$('#adminProductList');
+    const tbody = DOMUtils.$('#productTableBody');
     if (!tbody) {
       state.setLoading(false);
       return;
@@ -76,19 +141,20 @@ export class AdminManager {
     try {
       const result = await services.productService.getProducts({
         pageSize: this.limit,
-        lastDoc: state.lastVisible
+        lastDoc: this.page === 1 ? null : state.lastVisible,
+        useCache: false
       });
 
       const products = result.products || [];
-      const lastDoc = result.lastDoc;
 
       this.currentProducts = this.page === 1 ? products : [...this.currentProducts, ...products];
-      state.setLastVisible(lastDoc);
+      this.page++;
+      state.setLastVisible(result.lastDoc, result.hasMore);
       this.renderProducts();
 
       const loadMoreTrigger = DOMUtils.$('#loadMoreTrigger');
       if (loadMoreTrigger) {
-        loadMoreTrigger.style.display = products.length < this.limit ? 'none' : 'block';
+        loadMoreTrigger.style.display = result.hasMore ? 'block' : 'none';
       }
     } catch (error) {
       console.error('Failed to load products:', error);
@@ -99,318 +165,866 @@ export class AdminManager {
     }
   }
 
+  /**
+   * Reload the table from the first page
+   * @param {Object} services - Firebase services
+   */
+  static async reloadProducts(services) {
+    this.page = 1;
+    this.lastRequestTime = 0;
+    await this.loadProducts(services);
+  }
+
   /**
    * Render products in admin table
    */
   static renderProducts() {
-    const tbody = DOMUtils.$('#adminProductList');
+    const tbody = DOMUtils.$('#productTableBody');
     if (!tbody) return;
 
+    const selectAll = DOMUtils.$('#selectAll');
+    if (selectAll) selectAll.checked = false;
+
     if (!this.currentProducts.length) {
       tbody.innerHTML = `
         <tr class="empty-state">
           <td colspan="7">No products found</td>
         </tr>
       `;
+      this.updateBulkBar();
       return;
     }
 
     tbody.innerHTML = '';
 
+    // Other roles get a read-only table
+    const editable = this.can(PERMISSIONS.CATALOG);
+
     this.currentProducts.forEach((product) => {
       const row = DOMUtils.createElement('tr');
       row.innerHTML = `
-        <td><input type="checkbox" class="select-product" data-id="${product.id}" aria-label="Select ${product.name}"></td>
-        <td><img src="${product.thumbnail || '/assets/images/placeholder.jpg'}" data-src="${product.image}" alt="${product.name}" class="product-thumb" loading="lazy"></td>
+        <td>${editable ? `<input type="checkbox" class="select-product" data-id="${product.id}" aria-label="Select ${product.name}">` : ''}</td>
+        <td><img src="${product.thumbnail || product.image || '/assets/images/placeholder.jpg'}" alt="${product.name}" class="product-thumb" loading="lazy"></td>
         <td>${product.name}</td>
-        <td>${product.category}</td>
         <td>₹${product.price.toFixed(2)}</td>
+        <td>${product.category}</td>
         <td>
           ${product.isNew ? '<span class="badge success">New</span>' : ''}
           ${product.sold ? '<span class="badge danger">Sold Out</span>' : ''}
         </td>
         <td>
-          <button class="btn icon-btn edit-btn" data-id="${product.id}" aria-label="Edit ${product.name}">✏️</button>
-          <button class="btn icon-btn danger delete-btn" data-id="${product.id}" aria-label="Delete ${product.name}">🗑️</button>
+          ${editable ? `
+            <button class="btn icon-btn edit-btn" data-id="${product.id}" aria-label="Edit ${product.name}">✏️</button>
+            <button class="btn icon-btn danger delete-btn" data-id="${product.id}" aria-label="Delete ${product.name}">🗑️</button>
+          ` : '—'}
         </td>
       `;
       tbody.appendChild(row);
     });
 
-    this.setupProductInteractions(services);
+    this.updateBulkBar();
   }
 
   /**
-   * Setup product interaction listeners
+   * Setup product table listeners (delegated, attached once)
    * @param {Object} services - Firebase services
    */
   static setupProductInteractions(services) {
-    // Edit button
-    DOMUtils.$$('.edit-btn').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        this.handleEdit(btn.dataset.id);
-      });
-    });
+    const tbody = DOMUtils.$('#productTableBody');
+    if (!tbody) return;
 
-    // Delete button
-    DOMUtils.$$('.delete-btn').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        this.showDeleteModal(btn.dataset.id, services);
-      });
-    });
+    DOMUtils.on('click', '.edit-btn', (e) => {
+      this.handleEdit(e.delegateTarget.dataset.id);
+    }, tbody);
+
+    DOMUtils.on('click', '.delete-btn', (e) => {
+      this.showDeleteModal([e.delegateTarget.dataset.id]);
+    }, tbody);
+
+    DOMUtils.on('change', '.select-product', () => this.updateBulkBar(), tbody);
 
     // Select all checkbox
     const selectAll = DOMUtils.$('#selectAll');
     if (selectAll) {
       selectAll.addEventListener('change', (e) => {
-        DOMUtils.$$('.select-product').forEach((cb) => (cb.checked = e.target.checked));
-      });
-    }
-
-    // Bulk delete
-    const bulkDelete = DOMUtils.$('#bulkDelete');
-    if (bulkDelete) {
-      bulkDelete.addEventListener('click', async () => {
-        const selected = Array.from(DOMUtils.$$('.select-product:checked')).map((cb) => cb.dataset.id);
-        
-        if (selected.length && confirm(`Delete ${selected.length} products?`)) {
-          try {
-            await Promise.all(selected.map((id) => services.productService.deleteDoc(id)));
-            this.currentProducts = this.currentProducts.filter((p) => !selected.includes(p.id));
-            this.renderProducts();
-            DOMUtils.showToast(`${selected.length} products deleted successfully`, 'success');
-          } catch (error) {
-            console.error('Bulk delete failed:', error);
-            DOMUtils.showToast('Failed to delete products', 'error');
-          }
-        }
+        DOMUtils.$$('.select-product', tbody).forEach((cb) => (cb.checked = e.target.checked));
+        this.updateBulkBar();
       });
     }
 
+    this.setupDeleteModal(services);
     this.setupBulkActions(services);
   }
 
   /**
-   * Setup bulk action buttons
+   * Ids of the checked rows
+   * @returns {Array<string>}
+   */
+  static getSelectedIds() {
+    return DOMUtils.$$('.select-product:checked').map((cb) => cb.dataset.id);
+  }
+
+  /**
+   * Enable the bulk controls when rows are selected
+   */
+  static updateBulkBar() {
+    const count = this.getSelectedIds().length;
+
+    const label = DOMUtils.$('#bulkCount');
+    if (label) label.textContent = `${count} selected`;
+
+    ['#bulkMarkNew', '#bulkUnmarkNew', '#bulkCategory', '#bulkDelete'].forEach((selector) => {
+      const control = DOMUtils.$(selector);
+      if (control) control.disabled = count === 0;
+    });
+
+    if (!count) this.showBulkError('');
+  }
+
+  /**
+   * @param {string} message - Empty to clear
+   */
+  static showBulkError(message) {
+    const error = DOMUtils.$('#bulkActionsError');
+    if (!error) return;
+
+    error.textContent = message;
+    error.closest('#bulkActions')?.classList.toggle('form-group--error', !!message);
+  }
+
+  /**
+   * Setup bulk action controls
    * @param {Object} services - Firebase services
    */
   static setupBulkActions(services) {
-    const bulkEdit = DOMUtils.$('#bulkEdit');
-    if (bulkEdit) {
-      bulkEdit.addEventListener('click', async () => {
-        const selected = Array.from(DOMUtils.$$('.select-product:checked')).map((cb) => cb.dataset.id);
-        
-        if (selected.length) {
-          const updates = { isNew: confirm('Mark as new?') };
-          
-          try {
-            await services.productService.batchUpdateDocs(
-              selected.map((id) => ({ docId: id, data: updates }))
-            );
-            this.loadProducts(services);
-            DOMUtils.showToast('Products updated successfully', 'success');
-          } catch (error) {
-            console.error('Bulk edit failed:', error);
-            DOMUtils.showToast('Failed to update products', 'error');
-          }
-        }
-      });
-    }
+    const apply = async (updates, message) => {
+      const ids = this.getSelectedIds();
+      if (!ids.length) return;
+
+      this.showBulkError('');
+      try {
+        await services.productService.bulkUpdateProducts(ids, updates);
+        await this.reloadProducts(services);
+        DOMUtils.showToast(message.replace('{count}', ids.length), 'success');
+      } catch (error) {
+        console.error('Bulk edit failed:', error);
+        this.showBulkError(`Failed to update products: ${error.message}`);
+      }
+    };
+
+    DOMUtils.$('#bulkMarkNew')?.addEventListener('click', () => {
+      apply({ isNew: true }, '{count} products marked as new');
+    });
+
+    DOMUtils.$('#bulkUnmarkNew')?.addEventListener('click', () => {
+      apply({ isNew: false }, '{count} products updated');
+    });
+
+    const bulkCategory = DOMUtils.$('#bulkCategory');
+    bulkCategory?.addEventListener('change', async () => {
+      if (!bulkCategory.value) return;
+
+      const result = validate(productSchema.pick({ category: true }), { category: bulkCategory.value });
+      if (!result.success) {
+        this.showBulkError(result.errors[0].message);
+      } else {
+        await apply(result.data, `{count} products moved to ${result.data.category}`);
+      }
+      bulkCategory.value = '';
+    });
+
+    DOMUtils.$('#bulkDelete')?.addEventListener('click', () => {
+      const ids = this.getSelectedIds();
+      if (ids.length) this.showDeleteModal(ids);
+    });
   }
 
   /**
    * Handle product edit
    * @param {string} id - Product ID
    */
-  static async handleEdit(id) {
+  static handleEdit(id) {
     const product = this.currentProducts.find((p) => p.id === id);
     if (!product) return;
 
-    const prodId = DOMUtils.$('#prodId');
-    const prodName = DOMUtils.$('#prodName');
-    const prodPrice = DOMUtils.$('#prodPrice');
-    const prodCategory = DOMUtils.$('#prodCategory');
-    const prodNew = DOMUtils.$('#prodNew');
-    const prodSold = DOMUtils.$('#prodSold');
-    const imagePreview = DOMUtils.$('#imagePreview');
-
-    if (prodId) prodId.value = product.id;
-    if (prodName) prodName.value = product.name;
-    if (prodPrice) prodPrice.value = product.price;
-    if (prodCategory) prodCategory.value = product.category;
-    if (prodNew) prodNew.checked = product.isNew;
-    if (prodSold) prodSold.checked = product.sold;
-    
-    if (imagePreview) {
-      imagePreview.src = product.image;
-      imagePreview.style.display = 'block';
-    }
+    const form = DOMUtils.$('#addProductForm');
+    if (!form) return;
+
+    this.clearErrors(form);
+
+    DOMUtils.$('#productId', form).value = product.id;
+    DOMUtils.$('#productName', form).value = product.name || '';
+    DOMUtils.$('#productPrice', form).value = product.price ?? '';
+    DOMUtils.$('#productStock', form).value = product.stock ?? 0;
+    DOMUtils.$('#productCategory', form).value = product.category || '';
+    DOMUtils.$('#productDesc', form).value = product.description || '';
+    DOMUtils.$('#productNew', form).checked = !!product.isNew;
+
+    this.setGallery(galleryOf(product).map((set) => ({ set })));
+    VariantMatrixEditor.load(product);
+    this.setFormMode(true);
+    AuditManager.selectTab('details');
+    AuditManager.showProductHistory(product);
+
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    DOMUtils.$('#productName', form).focus({ preventScroll: true });
   }
 
   /**
-   * Show delete confirmation modal
-   * @param {string} id - Product ID
-   * @param {Object} services - Firebase services
+   * Switch the form heading and buttons between adding and editing
+   * @param {boolean} editing
    */
-  static showDeleteModal(id, services) {
-    const modal = DOMUtils.createElement('div', {
-      class: 'modal',
-      'aria-modal': 'true'
-    });
+  static setFormMode(editing) {
+    const title = DOMUtils.$('#productFormTitle');
+    const submitText = DOMUtils.$('#addProductForm .submit-btn .btn-text');
+    const cancel = DOMUtils.$('#cancelEdit');
 
-    modal.innerHTML = `
-      <div class="modal-overlay" data-close="modal"></div>
-      <div class="modal-content">
-        <h3>Confirm Deletion</h3>
-        <p>Are you sure you want to delete this product?</p>
-        <button class="btn danger" id="confirmDelete" aria-label="Confirm deletion">Delete</button>
-        <button class="btn secondary" data-close="modal" aria-label="Cancel">Cancel</button>
-      </div>
-    `;
+    if (title) title.textContent = editing ? 'Edit Product' : 'Add New Product';
+    if (submitText) submitText.textContent = editing ? 'Update Product' : 'Add Product';
+    if (cancel) cancel.hidden = !editing;
+  }
+
+  /**
+   * Clear the form back to "add" mode
+   */
+  static resetForm() {
+    const form = DOMUtils.$('#addProductForm');
+    if (!form) return;
+
+    form.reset();
+    DOMUtils.$('#productId', form).value = '';
+    VariantMatrixEditor.reset();
+    this.setGallery([]);
+    this.clearErrors(form);
+    this.setFormMode(false);
+    AuditManager.hideProductHistory();
+  }
+
+  /**
+   * Show the delete confirmation modal for one or more products
+   * @param {Array<string>} ids - Product IDs
+   */
+  static showDeleteModal(ids) {
+    const modal = DOMUtils.$('#deleteModal');
+    if (!modal) return;
+
+    this.pendingDelete = ids;
+
+    const text = DOMUtils.$('#deleteModalText', modal);
+    if (text) {
+      const what = ids.length === 1 ? 'this product' : `${ids.length} products`;
+      text.textContent = `Move ${what} to the trash? It is hidden from the shop straight away ` +
+        `and can be restored from the Trash for ${config.trash.retentionDays} days.`;
+    }
 
-    document.body.appendChild(modal);
     modal.classList.add('active');
     DOMUtils.trapFocus(modal);
+    DOMUtils.$('#cancelDelete', modal)?.focus();
+  }
+
+  /**
+   * Wire the static #deleteModal buttons (once)
+   * @param {Object} services - Firebase services
+   */
+  static setupDeleteModal(services) {
+    const modal = DOMUtils.$('#deleteModal');
+    if (!modal) return;
+
+    const close = () => {
+      modal.classList.remove('active');
+      this.pendingDelete = [];
+    };
+
+    DOMUtils.$('#cancelDelete', modal)?.addEventListener('click', close);
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
 
     const confirmDelete = DOMUtils.$('#confirmDelete', modal);
-    if (confirmDelete) {
-      confirmDelete.addEventListener('click', async () => {
-        try {
-          await services.productService.deleteDoc(id);
-          this.currentProducts = this.currentProducts.filter((p) => p.id !== id);
-          this.renderProducts();
-          modal.remove();
-          DOMUtils.showToast('Product deleted successfully', 'success');
-        } catch (error) {
-          console.error('Delete failed:', error);
-          DOMUtils.showToast('Failed to delete product', 'error');
-        }
-      });
-    }
+    confirmDelete?.addEventListener('click', async () => {
+      const ids = [...this.pendingDelete];
+      if (!ids.length) return;
+
+      confirmDelete.disabled = true;
+      try {
+        // One transaction per product - each delete is idempotent and replayable offline
+        const deletedBy = TrashManager.actor(services);
+        const results = await Promise.allSettled(ids.map((id) => services.productService.deleteProduct(id, deletedBy)));
+        const failed = ids.filter((id, i) => results[i].status === 'rejected');
+        const trashed = ids.filter((id) => !failed.includes(id));
+
+        this.currentProducts = this.currentProducts.filter((p) => !ids.includes(p.id) || failed.includes(p.id));
+        this.renderProducts();
+        close();
 
-    DOMUtils.$$('[data-close="modal"]', modal).forEach((el) => {
-      el.addEventListener('click', () => modal.remove());
+        if (failed.length) {
+          console.error('Delete failed:', results.filter((r) => r.status === 'rejected'));
+          this.showBulkError(`Failed to delete ${failed.length} of ${ids.length} products`);
+        }
+        if (trashed.length) {
+          TrashManager.showUndo(
+            'product',
+            trashed,
+            trashed.length === 1 ? 'Product moved to trash' : `${trashed.length} products moved to trash`
+          );
+          TrashManager.load();
+        }
+      } finally {
+        confirmDelete.disabled = false;
+      }
     });
   }
 
   /**
-   * Setup image upload with preview
-   * @param {Object} services - Firebase services
+   * Replace the form gallery, releasing previews of files no longer in it
+   * @param {Array<Object>} gallery - { set } or { file, preview } entries
    */
-  static setupImageUpload(services) {
-    const fileInput = DOMUtils.$('#prodImageFile');
+  static setGallery(gallery) {
+    this.gallery
+      .filter((item) => item.preview && !gallery.includes(item))
+      .forEach((item) => URL.revokeObjectURL(item.preview));
+
+    this.gallery = gallery;
+    this.renderGallery();
+  }
+
+  /**
+   * Draw the gallery thumbnails into #imagePreview
+   */
+  static renderGallery() {
+    const preview = DOMUtils.$('#imagePreview');
+    if (!preview) return;
+
+    preview.innerHTML = this.gallery.map((item, index) => `
+      <figure class="gallery-item">
+        <img src="${item.preview || item.set.thumbnail || item.set.image}" alt="Product image ${index + 1}" class="preview-thumb">
+        <figcaption>
+          ${index === 0
+            ? '<span class="gallery-item__main">Main</span>'
+            : `<button type="button" class="btn icon-btn" data-main-image="${index}" aria-label="Use image ${index + 1} as the main image">★</button>`}
+          <button type="button" class="btn icon-btn danger" data-remove-image="${index}" aria-label="Remove image ${index + 1}">✕</button>
+        </figcaption>
+      </figure>
+    `).join('');
+  }
+
+  /**
+   * Setup gallery upload: add files, reorder the main image, remove images
+   */
+  static setupImageUpload() {
+    const fileInput = DOMUtils.$('#productImage');
+    const preview = DOMUtils.$('#imagePreview');
     if (!fileInput) return;
 
     fileInput.addEventListener('change', () => {
-      const file = fileInput.files[0];
-      
-      if (file && file.size > 5 * 1024 * 1024) {
-        DOMUtils.showToast('Image must be less than 5MB', 'error');
-        fileInput.value = '';
-        return;
+      const files = Array.from(fileInput.files);
+      const valid = files.filter((file) => SOURCE_TYPES.includes(file.type) && file.size <= MAX_SOURCE_SIZE);
+      const room = MAX_GALLERY_IMAGES - this.gallery.length;
+
+      // Files are read from this.gallery on submit, so the input can be cleared to allow adding more
+      fileInput.value = '';
+
+      if (valid.length < files.length) {
+        this.setFieldError('images', 'Only JPEG, PNG or WebP images under 25MB can be added');
+      } else if (valid.length > room) {
+        this.setFieldError('images', `Up to ${MAX_GALLERY_IMAGES} images per product`);
+      } else {
+        this.setFieldError('images', '');
       }
 
-      if (file) {
-        const preview = DOMUtils.$('#imagePreview');
-        if (preview) {
-          const oldSrc = preview.src;
-          preview.src = URL.createObjectURL(file);
-          if (oldSrc.startsWith('blob:')) URL.revokeObjectURL(oldSrc);
-          preview.style.display = 'block';
-        }
+      const added = valid.slice(0, Math.max(room, 0)).map((file) => ({ file, preview: URL.createObjectURL(file) }));
+      if (added.length) this.setGallery([...this.gallery, ...added]);
+    });
+
+    preview?.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-remove-image]');
+      const main = e.target.closest('[data-main-image]');
+
+      if (remove) {
+        this.setGallery(this.gallery.filter((item, i) => i !== Number(remove.dataset.removeImage)));
+        this.setFieldError('images', '');
+      } else if (main) {
+        const index = Number(main.dataset.mainImage);
+        this.setGallery([this.gallery[index], ...this.gallery.filter((item, i) => i !== index)]);
       }
     });
   }
 
+  /**
+   * Resize, encode and upload new gallery images (saved ones are kept as they are)
+   * @param {Object} services - Firebase services
+   * @param {string} id - Product ID, empty for a new product
+   * @param {Function} onProgress - (done, total) => void
+   * @returns {Promise<Array<Object>>} Image sets in gallery order
+   */
+  static async uploadGallery(services, id, onProgress) {
+    const total = this.gallery.filter((item) => item.file).length;
+    const folder = `products/${id || 'new'}/${Date.now()}`;
+    const sets = [];
+    let done = 0;
+
+    // One at a time - decoding several camera photos at once can exhaust memory
+    for (const [index, item] of this.gallery.entries()) {
+      if (item.set) {
+        sets.push(item.set);
+        continue;
+      }
+
+      onProgress(done, total);
+      const processed = await processImage(item.file);
+      sets.push(await services.storageService.uploadImageSet(`${folder}-${index}`, processed));
+      done += 1;
+    }
+
+    return sets;
+  }
+
+  /**
+   * Show or clear the inline error for a productSchema field
+   * @param {string} field - Top-level schema field
+   * @param {string} message - Empty to clear
+   */
+  static setFieldError(field, message) {
+    const id = FORM_FIELDS[field];
+    if (!id) return false;
+
+    const error = DOMUtils.$(`#${id}Error`);
+    if (!error) return false;
+
+    error.textContent = message;
+    error.closest('.form-group')?.classList.toggle('form-group--error', !!message);
+
+    const control = DOMUtils.$(`#${id}`);
+    if (control) {
+      if (message) control.setAttribute('aria-invalid', 'true');
+      else control.removeAttribute('aria-invalid');
+    }
+    return true;
+  }
+
+  /**
+   * Clear every inline error in the form
+   * @param {Element} form
+   */
+  static clearErrors(form) {
+    Object.keys(FORM_FIELDS).forEach((field) => this.setFieldError(field, ''));
+
+    const formMsg = DOMUtils.$('#formMsg', form);
+    if (formMsg) formMsg.textContent = '';
+  }
+
+  /**
+   * Show zod errors next to their fields (first error per field) and focus the first one
+   * @param {Array<{field: string, message: string}>} errors - From validate()
+   */
+  static showErrors(errors) {
+    const shown = new Set();
+    const unplaced = [];
+
+    errors.forEach(({ field, message }) => {
+      const key = field.split('.')[0];
+      if (shown.has(key)) return;
+      shown.add(key);
+
+      const readable = key === 'variants' && field !== 'variants'
+        ? `${message} (variant ${Number(field.split('.')[1]) + 1})`
+        : message;
+
+      if (!this.setFieldError(key, readable)) unplaced.push(readable);
+    });
+
+    const formMsg = DOMUtils.$('#formMsg');
+    if (formMsg) formMsg.textContent = unplaced.join('. ');
+
+    const first = DOMUtils.$('#addProductForm [aria-invalid="true"]');
+    if (first) first.focus();
+  }
+
+  /**
+   * Read the form into productSchema shape
+   * @param {Element} form
+   * @returns {Object}
+   */
+  static readForm(form) {
+    const id = DOMUtils.$('#productId', form).value;
+    const existing = id ? this.currentProducts.find((p) => p.id === id) : null;
+    const number = (selector) => {
+      const value = DOMUtils.$(selector, form).value;
+      return value === '' ? NaN : Number(value);
+    };
+
+    const data = {
+      name: DOMUtils.$('#productName', form).value.trim(),
+      price: number('#productPrice'),
+      stock: number('#productStock'),
+      category: DOMUtils.$('#productCategory', form).value.trim().toLowerCase(),
+      description: DOMUtils.$('#productDesc', form).value.trim(),
+      // New files are validated as placeholders and uploaded once the form is valid
+      images: this.gallery.map((item) => item.set?.image || `https://upload.local/${encodeURIComponent(item.file.name)}`),
+      isNew: DOMUtils.$('#productNew', form).checked
+    };
+
+    // Variants replace the flat price/stock/sold - ProductService derives those from them
+    const { variants, swatches } = VariantMatrixEditor.getValue();
+    if (variants.length) {
+      data.variants = variants;
+      data.swatches = swatches;
+      data.price = Math.min(...variants.map((v) => v.price));
+      data.stock = variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    } else {
+      // Editing a product whose variants were all removed
+      if (existing?.variants?.length) {
+        data.variants = [];
+        data.swatches = {};
+      }
+      data.sold = data.stock === 0;
+    }
+
+    return { id, data };
+  }
+
   /**
    * Setup admin form
    * @param {Object} services - Firebase services
    */
   static setupAdminForm(services) {
-    const form = DOMUtils.$('#adminProductForm');
+    const form = DOMUtils.$('#addProductForm');
     if (!form) return;
 
+    DOMUtils.$('#cancelEdit')?.addEventListener('click', () => this.resetForm());
+
+    // Clear a field's error as soon as it is edited
+    form.addEventListener('input', (e) => {
+      const field = Object.keys(FORM_FIELDS).find((key) => FORM_FIELDS[key] === e.target.id);
+      if (field) this.setFieldError(field, '');
+    });
+
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
+      this.clearErrors(form);
 
-      const prodId = DOMUtils.$('#prodId');
-      const prodName = DOMUtils.$('#prodName');
-      const prodPrice = DOMUtils.$('#prodPrice');
-      const prodCategory = DOMUtils.$('#prodCategory');
-      const prodNew = DOMUtils.$('#prodNew');
-      const prodSold = DOMUtils.$('#prodSold');
-      const prodImageFile = DOMUtils.$('#prodImageFile');
-
-      const id = prodId?.value;
-      const name = prodName?.value;
-      const price = parseFloat(prodPrice?.value);
-      const category = prodCategory?.value;
-
-      // Validation
-      if (!name || name.length < 3) {
-        DOMUtils.showToast('Product name must be at least 3 characters', 'error');
-        return;
-      }
-      if (!price || price <= 0) {
-        DOMUtils.showToast('Price must be a positive number', 'error');
-        return;
-      }
-      if (!category) {
-        DOMUtils.showToast('Category is required', 'error');
+      const { id, data } = this.readForm(form);
+      const result = validate(productSchema, data);
+      if (!result.success) {
+        this.showErrors(result.errors);
         return;
       }
 
-      const data = {
-        name,
-        price,
-        category,
-        isNew: prodNew?.checked || false,
-        sold: prodSold?.checked || false
-      };
-
-      const file = prodImageFile?.files[0];
       const submitBtn = DOMUtils.$('.submit-btn', form);
-
-      if (submitBtn) {
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<span class="btn-loader"></span> Saving...';
-      }
+      const loader = DOMUtils.$('.btn-loader', form);
+      if (submitBtn) submitBtn.disabled = true;
+      if (loader) loader.classList.remove('hidden');
 
       try {
-        // Upload image if provided
-        if (file) {
-          const uploadResult = await services.storageService.uploadImage(
-            file,
-            `products/${id || Date.now()}/${file.name}`
-          );
-          data.image = uploadResult.url;
-        }
+        const product = { ...result.data, isNew: data.isNew };
+        if ('sold' in data) product.sold = data.sold;
+
+        const formMsg = DOMUtils.$('#formMsg', form);
+        // ProductService copies the first set onto image/images/thumbnail/...
+        product.gallery = await this.uploadGallery(services, id, (done, total) => {
+          if (formMsg) formMsg.textContent = `Processing image ${done + 1} of ${total}…`;
+        });
+        if (formMsg) formMsg.textContent = '';
 
-        // Update or create product
         if (id) {
-          await services.productService.updateDoc(id, data);
+          await services.productService.updateProduct(id, product);
           DOMUtils.showToast('Product updated successfully', 'success');
         } else {
-          const result = await services.productService.addDoc(data);
-          data.id = result.docId;
+          await services.productService.createProduct(product);
           DOMUtils.showToast('Product added successfully', 'success');
         }
 
-        form.reset();
-        const imagePreview = DOMUtils.$('#imagePreview');
-        if (imagePreview) imagePreview.style.display = 'none';
-
-        this.currentProducts = [];
-        this.page = 1;
-        await this.loadProducts(services);
+        this.resetForm();
+        await this.reloadProducts(services);
       } catch (error) {
         console.error('Form submission failed:', error);
-        DOMUtils.showToast('Failed to save product', 'error');
+        const formMsg = DOMUtils.$('#formMsg', form);
+        if (formMsg) formMsg.textContent = `Failed to save product: ${error.message}`;
       } finally {
-        if (submitBtn) {
-          submitBtn.disabled = false;
-          submitBtn.innerHTML = 'Save Product';
+        if (submitBtn) submitBtn.disabled = false;
+        if (loader) loader.classList.add('hidden');
+      }
+    });
+  }
+
+  // ==========================================================================
+  // CATALOGUE IMPORT / EXPORT
+  // ==========================================================================
+
+  /**
+   * Download the whole catalogue, variants and stock included, as CSV
+   * @param {Object} services - Firebase services
+   */
+  static async exportCatalog(services) {
+    const msg = DOMUtils.$('#importMsg');
+
+    try {
+      const products = await services.productService.getAllProducts();
+      const date = new Date().toISOString().slice(0, 10);
+      downloadText(toCSV(productsToRows(products)), `jeelani-catalogue-${date}.csv`);
+      if (msg) msg.textContent = `Exported ${products.length} products`;
+    } catch (error) {
+      console.error('Export failed:', error);
+      if (msg) msg.textContent = `Export failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Image files from the zip and/or folder inputs, keyed by lower-cased file name
+   * @returns {Promise<Map<string, File>>}
+   */
+  static async collectImageFiles() {
+    const files = new Map();
+    const add = (name, blob) => {
+      const type = IMAGE_EXTENSIONS[name.split('.').pop().toLowerCase()];
+      if (!type) return;
+      files.set(imageKey(name), blob instanceof File ? blob : new File([blob], imageKey(name), { type }));
+    };
+
+    Array.from(DOMUtils.$('#importImagesFolder')?.files || []).forEach((file) => add(file.name, file));
+
+    const zipFile = DOMUtils.$('#importImagesZip')?.files[0];
+    if (zipFile) {
+      if (typeof window.JSZip === 'undefined') {
+        throw new Error('Zip support is still loading - try again, or choose the images folder instead');
+      }
+
+      const zip = await window.JSZip.loadAsync(zipFile);
+      const entries = [];
+      zip.forEach((path, entry) => {
+        // Skip folders and macOS resource forks
+        if (!entry.dir && !path.includes('__MACOSX/')) entries.push(entry);
+      });
+
+      for (const entry of entries) {
+        add(entry.name, await entry.async('blob'));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse and validate the CSV against the current catalogue, then show what would change
+   * @param {Object} services - Firebase services
+   */
+  static async previewImport(services) {
+    const csvInput = DOMUtils.$('#importCsv');
+    const csvError = DOMUtils.$('#importCsvError');
+    const imagesError = DOMUtils.$('#importImagesError');
+    const msg = DOMUtils.$('#importMsg');
+    const commit = DOMUtils.$('#commitImport');
+
+    const setError = (el, message) => {
+      if (!el) return;
+      el.textContent = message;
+      el.closest('.form-group')?.classList.toggle('form-group--error', !!message);
+    };
+
+    setError(csvError, '');
+    setError(imagesError, '');
+    if (commit) commit.disabled = true;
+    this.importPlan = null;
+
+    const file = csvInput?.files[0];
+    if (!file) {
+      setError(csvError, 'Choose a CSV file exported from the catalogue spreadsheet');
+      return;
+    }
+
+    const { headers, records } = parseCSVRecords(await file.text());
+    if (!headers.includes('name') || !records.length) {
+      setError(csvError, 'The file needs a header row with at least a "name" column, and one product row');
+      return;
+    }
+
+    try {
+      this.importFiles = await this.collectImageFiles();
+    } catch (error) {
+      setError(imagesError, error.message);
+      return;
+    }
+
+    if (msg) msg.textContent = 'Checking rows against the catalogue…';
+
+    try {
+      const catalogue = await services.productService.getAllProducts();
+      this.importPlan = planImport(records, catalogue, this.importFiles);
+    } catch (error) {
+      console.error('Import preview failed:', error);
+      if (msg) msg.textContent = `Could not load the current catalogue: ${error.message}`;
+      return;
+    }
+
+    const counts = this.importPlan.reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {});
+    if (msg) {
+      msg.textContent = `${counts.create || 0} to create, ${counts.update || 0} to update, ` +
+        `${counts.unchanged || 0} unchanged, ${counts.rejected || 0} rejected`;
+    }
+    if (commit) commit.disabled = !(counts.create || counts.update);
+
+    this.renderImportPreview(this.importPlan);
+  }
+
+  /**
+   * Preview table: row numbers, action and the changes or rejection reasons
+   * @param {Array<Object>} plan - From planImport
+   */
+  static renderImportPreview(plan) {
+    const container = DOMUtils.$('#importPreview');
+    if (!container) return;
+
+    // Rejected rows first - they are the ones that need fixing in the sheet
+    const order = { rejected: 0, create: 1, update: 2, unchanged: 3 };
+    const rows = [...plan].sort((a, b) => order[a.status] - order[b.status]);
+
+    container.innerHTML = `
+      <table class="admin-table" aria-label="Import preview">
+        <thead>
+          <tr>
+            <th scope="col">Rows</th>
+            <th scope="col">Product</th>
+            <th scope="col">Action</th>
+            <th scope="col">Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((entry) => `
+            <tr>
+              <td>${entry.lines.length > 1 ? `${entry.lines[0]}–${entry.lines[entry.lines.length - 1]}` : entry.lines[0]}</td>
+              <td>${sanitize(entry.name) || '<em>(no name)</em>'}</td>
+              <td><span class="import-status import-status--${entry.status}">${entry.status}</span></td>
+              <td>
+                ${entry.reasons.length
+                  ? `<ul class="import-reasons">${entry.reasons.map((reason) => `<li>${sanitize(reason)}</li>`).join('')}</ul>`
+                  : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Upload the matched images and write the previewed creates/updates
+   * @param {Object} services - Firebase services
+   */
+  static async commitImport(services) {
+    const msg = DOMUtils.$('#importMsg');
+    const commit = DOMUtils.$('#commitImport');
+    const plan = (this.importPlan || []).filter((entry) => ['create', 'update'].includes(entry.status));
+    if (!plan.length) return;
+
+    if (commit) commit.disabled = true;
+
+    try {
+      // Each referenced file is uploaded once, even if several products use it
+      const needed = [...new Set(plan.flatMap((entry) => entry.imageRefs.filter((ref) => ref.file).map((ref) => ref.file)))];
+      const uploaded = new Map();
+      const folder = `products/import-${Date.now()}`;
+
+      // One at a time - decoding several camera photos at once can exhaust memory
+      for (const [index, key] of needed.entries()) {
+        if (msg) msg.textContent = `Processing images ${index + 1}/${needed.length}…`;
+        const processed = await processImage(this.importFiles.get(key));
+        uploaded.set(key, await services.storageService.uploadImageSet(`${folder}/${index}`, processed));
+      }
+
+      const entries = plan.map((entry) => ({ id: entry.id, data: resolveImages(entry.data, uploaded) }));
+      const result = await services.productService.importProducts(entries, {
+        onProgress: (written, total) => {
+          if (msg) msg.textContent = `Saving products ${written}/${total}…`;
         }
+      });
+
+      const failed = result.failed.reduce((sum, chunk) => sum + chunk.entries.length, 0);
+      if (msg) {
+        msg.textContent = `Imported: ${result.created.length} created, ${result.updated.length} updated` +
+          (failed ? `. ${failed} products failed to save - preview again and retry.` : '');
+      }
+
+      if (!failed) {
+        this.importPlan = null;
+        DOMUtils.$('#importPreview').innerHTML = '';
+        DOMUtils.showToast('Catalogue imported', 'success');
+      }
+
+      await this.reloadProducts(services);
+    } catch (error) {
+      console.error('Import failed:', error);
+      if (msg) msg.textContent = `Import failed: ${error.message}`;
+      if (commit) commit.disabled = false;
+    }
+  }
+
+  /**
+   * Setup catalogue import/export controls
+   * @param {Object} services - Firebase services
+   */
+  static setupCatalogTransfer(services) {
+    DOMUtils.$('#exportCatalog')?.addEventListener('click', () => this.exportCatalog(services));
+    DOMUtils.$('#previewImport')?.addEventListener('click', () => this.previewImport(services));
+    DOMUtils.$('#commitImport')?.addEventListener('click', () => this.commitImport(services));
+
+    // A new file invalidates the preview
+    ['#importCsv', '#importImagesZip', '#importImagesFolder'].forEach((selector) => {
+      DOMUtils.$(selector)?.addEventListener('change', () => {
+        this.importPlan = null;
+        const commit = DOMUtils.$('#commitImport');
+        if (commit) commit.disabled = true;
+      });
+    });
+  }
+
+  /**
+   * Owner-only form to give a staff member a role, or take it away.
+   * Custom claims can only be set server-side, by the `setUserRole` callable
+   * ({ email, role } → { uid, role }); it re-checks that the caller is an owner.
+   * @param {Object} services - Firebase services
+   */
+  static setupTeam(services) {
+    const form = DOMUtils.$('#teamForm');
+    if (!form) return;
+
+    const select = DOMUtils.$('#teamRole', form);
+    if (select) {
+      select.innerHTML = Object.entries(ROLES)
+        .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+        .join('') + '<option value="">No access</option>';
+      select.value = 'viewer';
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const email = DOMUtils.$('#teamEmail', form).value.trim().toLowerCase();
+      const role = select.value || null;
+      const message = DOMUtils.$('#teamMsg', form);
+      const submit = DOMUtils.$('button[type="submit"]', form);
+
+      if (!this.can(PERMISSIONS.USERS)) {
+        DOMUtils.showToast('Only owners can change roles', 'error');
+        return;
+      }
+      if (email === services.auth.currentUser?.email?.toLowerCase()) {
+        if (message) message.textContent = 'You cannot change your own role';
+        return;
+      }
+
+      submit.disabled = true;
+      try {
+        await services.functionsService.call('setUserRole', { email, role });
+        const label = role ? ROLES[role].label : 'no access';
+        // Claims ride on the ID token, which refreshes within the hour
+        if (message) message.textContent = `${email} is now: ${label}. It applies at their next sign-in or within the hour.`;
+        form.reset();
+        select.value = 'viewer';
+      } catch (error) {
+        console.error('Role change failed:', error);
+        if (message) message.textContent = `Could not change the role: ${error.message}`;
+      } finally {
+        submit.disabled = false;
       }
     });
   }
@@ -430,10 +1044,67 @@ export class AdminManager {
       return;
     }
 
-    this.setupImageUpload(services);
-    this.setupAdminForm(services);
+    this.applyPermissions();
+
+    if (this.can(PERMISSIONS.STATS)) {
+      await DashboardManager.init(services);
+    }
+
+    if (this.can(PERMISSIONS.CATALOG)) {
+      // Restocks and price drops saved here alert "Notify me" subscribers
+      this.notifier = createStockNotifier(services, config, {
+        onQueued: (count) => DOMUtils.showToast(`${count} customer alert${count === 1 ? '' : 's'} queued`, 'info')
+      });
+      // Console alerts a previous session didn't log (the server sends real ones)
+      this.notifier.flush().catch((error) => console.error('Failed to send queued alerts:', error));
+      this.setupImageUpload();
+      VariantMatrixEditor.mount(DOMUtils.$('#variantEditor'));
+      this.setupAdminForm(services);
+      this.setupProductInteractions(services);
+      this.setupCatalogTransfer(services);
+    }
+    if (this.can(PERMISSIONS.USERS)) {
+      this.setupTeam(services);
+    }
     await this.loadProducts(services);
 
+    await TrashManager.init(services, {
+      role: this.role,
+      onRestore: (type) => {
+        if (type === 'product') return this.reloadProducts(services);
+        if (type === 'faq') return FAQEditorManager.load();
+        return null;
+      }
+    });
+
+    if (this.can(PERMISSIONS.FAQS)) {
+      await FAQEditorManager.init(services);
+    }
+
+    if (this.can(PERMISSIONS.TESTIMONIALS)) {
+      await TestimonialModerationManager.init(services);
+    }
+
+    if (this.can(PERMISSIONS.REVIEWS)) {
+      await ReviewModerationManager.init(services);
+    }
+
+    if (this.can(PERMISSIONS.INBOX)) {
+      await InboxManager.init(services);
+    }
+
+    await AuditManager.init(services, {
+      showLog: this.can(PERMISSIONS.AUDIT),
+      // Show the reverted product in the table and editor, staying on its History tab
+      onRevert: async (id) => {
+        const product = await services.productService.getProductById(id);
+        this.currentProducts = this.currentProducts.map((p) => (p.id === id ? product : p));
+        this.renderProducts();
+        this.handleEdit(id);
+        AuditManager.selectTab('history');
+      }
+    });
+
     const loadMoreTrigger = DOMUtils.$('#loadMoreTrigger');
     if (loadMoreTrigger) {
       loadMoreTrigger.addEventListener('click', () => {
@@ -443,4 +1114,4 @@ export class AdminManager {
   }
 }
 
-export default AdminManager;
\ No newline at end of file
+export default AdminManager;
@@ -0,0 +1,377 @@
+/**
+ * @file managers/audit.js
+ * @description Admin audit log - browse, filter and export changes; per-product history with field revert
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { sanitize, productSchema } from '../utils/validation.js';
+import { hasVariants } from '../utils/variants.js';
+import { toCSV, downloadText } from '../utils/csv.js';
+
+const COLLECTION_LABELS = { products: 'Product', faqs: 'FAQ', contacts: 'Message' };
+
+// Fields an admin may put back from the history. Summary fields (image,
+// thumbnail, skus, sold, slug...) are left out - ProductService derives them.
+const REVERTIBLE_FIELDS = [
+  'name', 'description', 'category', 'price', 'stock', 'isNew',
+  'fabric', 'colour', 'occasion', 'variants', 'swatches', 'gallery'
+];
+
+// Derived from the variants on products that have them
+const VARIANT_SUMMARY_FIELDS = ['price', 'stock'];
+
+const EXPORT_LIMIT = 5000;
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Short, readable version of a changed value
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'variants') return `${value.length} variants`;
+  if (field === 'gallery') return `${value.length} images`;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.every((v) => typeof v !== 'object') ? value.join(', ') : `${value.length} items`;
+  if (typeof value === 'object') return typeof value.toMillis === 'function' ? new Date(value.toMillis()).toLocaleString() : 'changed';
+
+  const text = String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+/**
+ * Value as a spreadsheet cell
+ * @param {*} value
+ * @returns {string}
+ */
+function exportValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Audit Manager - Log browser and product history
+ */
+export class AuditManager {
+  static services = null;
+  static entries = [];
+  static lastDoc = null;
+  static hasMore = false;
+  static history = [];
+  static historyProduct = null;
+  static onRevert = null;
+
+  /**
+   * Log filters from the filter form
+   * @returns {Object} AuditService.getEntries options
+   */
+  static readFilters() {
+    const value = (selector) => DOMUtils.$(selector)?.value.trim() || undefined;
+    const from = value('#auditFrom');
+    const to = value('#auditTo');
+
+    return {
+      collectionName: value('#auditCollection'),
+      action: value('#auditAction'),
+      actorEmail: value('#auditActor'),
+      docId: value('#auditDocId'),
+      from: from ? new Date(`${from}T00:00:00`) : undefined,
+      to: to ? new Date(`${to}T23:59:59.999`) : undefined
+    };
+  }
+
+  /**
+   * Load the first page, or the next one
+   * @param {boolean} [reset=true]
+   */
+  static async loadLog(reset = true) {
+    const tbody = DOMUtils.$('#auditTableBody');
+    const error = DOMUtils.$('#auditError');
+    if (!tbody) return;
+
+    if (reset) {
+      this.entries = [];
+      this.lastDoc = null;
+      tbody.innerHTML = '<tr class="loading-row"><td colspan="5" class="text-center">Loading log...</td></tr>';
+    }
+    if (error) error.textContent = '';
+
+    try {
+      const page = await this.services.auditService.getEntries({ ...this.readFilters(), lastDoc: this.lastDoc });
+      this.entries = [...this.entries, ...page.entries];
+      this.lastDoc = page.lastDoc;
+      this.hasMore = page.hasMore;
+      this.renderLog();
+    } catch (err) {
+      console.error('Failed to load audit log:', err);
+      if (error) error.textContent = `Failed to load the log: ${err.message}`;
+      if (reset) tbody.innerHTML = '';
+    }
+  }
+
+  /**
+   * Changes of one entry as a list
+   * @param {Object} entry
+   * @param {boolean} [withRevert] - Add revert buttons (product history)
+   * @returns {string}
+   */
+  static renderChanges(entry, withRevert = false) {
+    const fields = Object.keys(entry.changes || {});
+    if (!fields.length) return '';
+
+    const canRevert = (field) => withRevert &&
+      entry.changes[field].from !== null &&
+      REVERTIBLE_FIELDS.includes(field) &&
+      !(VARIANT_SUMMARY_FIELDS.includes(field) && hasVariants(this.historyProduct));
+
+    return `
+      <ul class="audit-changes">
+        ${fields.map((field) => {
+          const { from, to } = entry.changes[field];
+          return `
+            <li>
+              <strong>${field}</strong>: ${sanitize(formatValue(field, from))} → ${sanitize(formatValue(field, to))}
+              ${canRevert(field)
+                ? `<button type="button" class="btn btn--outline audit-revert" data-entry="${entry.id}" data-field="${field}"
+                     aria-label="Revert ${field} to ${sanitize(formatValue(field, from))}">Revert</button>`
+                : ''}
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Who made a change
+   * @param {Object} entry
+   * @returns {string}
+   */
+  static actorLabel(entry) {
+    return sanitize(entry.actor?.email || entry.actor?.uid || 'Visitor');
+  }
+
+  /**
+   * Render the log table
+   */
+  static renderLog() {
+    const tbody = DOMUtils.$('#auditTableBody');
+    const more = DOMUtils.$('#auditLoadMore');
+    if (!tbody) return;
+
+    if (more) more.hidden = !this.hasMore;
+
+    if (!this.entries.length) {
+      tbody.innerHTML = '<tr class="empty-state"><td colspan="5">No changes match these filters</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = this.entries.map((entry) => `
+      <tr>
+        <td>${toMillis(entry.createdAt) ? new Date(toMillis(entry.createdAt)).toLocaleString() : '—'}</td>
+        <td>${this.actorLabel(entry)}</td>
+        <td><span class="audit-action audit-action--${entry.action}">${entry.action}</span></td>
+        <td>${COLLECTION_LABELS[entry.collection] || sanitize(entry.collection)} <code>${sanitize(entry.docId)}</code></td>
+        <td>${this.renderChanges(entry)}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Download every entry matching the filters as CSV, one row per changed field
+   */
+  static async exportLog() {
+    const button = DOMUtils.$('#exportAudit');
+    const error = DOMUtils.$('#auditError');
+    if (button) button.disabled = true;
+
+    try {
+      const filters = this.readFilters();
+      const entries = [];
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore && entries.length < EXPORT_LIMIT) {
+        const page = await this.services.auditService.getEntries({ ...filters, lastDoc, pageSize: 500 });
+        entries.push(...page.entries);
+        ({ lastDoc, hasMore } = page);
+      }
+
+      const rows = [['time', 'actor_uid', 'actor_email', 'action', 'collection', 'doc_id', 'field', 'from', 'to']];
+      entries.forEach((entry) => {
+        const base = [
+          new Date(toMillis(entry.createdAt)).toISOString(),
+          entry.actor?.uid || '',
+          entry.actor?.email || '',
+          entry.action,
+          entry.collection,
+          entry.docId
+        ];
+        const fields = Object.keys(entry.changes || {});
+        if (!fields.length) rows.push([...base, '', '', '']);
+        fields.forEach((field) => {
+          rows.push([...base, field, exportValue(entry.changes[field].from), exportValue(entry.changes[field].to)]);
+        });
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+      downloadText(toCSV(rows), `jeelani-audit-log-${date}.csv`);
+      if (hasMore) DOMUtils.showToast(`Exported the latest ${entries.length} entries - narrow the filters for older ones`, 'info');
+    } catch (err) {
+      console.error('Audit export failed:', err);
+      if (error) error.textContent = `Export failed: ${err.message}`;
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Switch the product editor between its Details and History tabs
+   * @param {string} tab - 'details' or 'history'
+   */
+  static selectTab(tab) {
+    const history = tab === 'history';
+    DOMUtils.$('#productDetailsTab')?.setAttribute('aria-selected', String(!history));
+    DOMUtils.$('#productHistoryTab')?.setAttribute('aria-selected', String(history));
+
+    const form = DOMUtils.$('#addProductForm');
+    const panel = DOMUtils.$('#productHistory');
+    if (form) form.hidden = history;
+    if (panel) panel.hidden = !history;
+  }
+
+  /**
+   * Load a product's history into the History tab
+   * @param {Object} product
+   */
+  static async showProductHistory(product) {
+    const tab = DOMUtils.$('#productHistoryTab');
+    const panel = DOMUtils.$('#productHistory');
+    if (!panel) return;
+
+    this.historyProduct = product;
+    if (tab) tab.hidden = false;
+    panel.innerHTML = '<p>Loading history...</p>';
+
+    try {
+      const { entries } = await this.services.auditService.getEntries({
+        collectionName: 'products',
+        docId: product.id,
+        pageSize: 100
+      });
+      // Another product may have been opened while this one loaded
+      if (this.historyProduct !== product) return;
+
+      this.history = entries;
+      this.renderProductHistory();
+    } catch (err) {
+      console.error('Failed to load product history:', err);
+      panel.innerHTML = `<p class="form-error">Failed to load history: ${sanitize(err.message)}</p>`;
+    }
+  }
+
+  /**
+   * Render the History tab
+   */
+  static renderProductHistory() {
+    const panel = DOMUtils.$('#productHistory');
+    if (!panel) return;
+
+    panel.innerHTML = this.history.length
+      ? `<ol class="audit-history">
+          ${this.history.map((entry) => `
+            <li>
+              <p>
+                <span class="audit-action audit-action--${entry.action}">${entry.action}</span>
+                ${toMillis(entry.createdAt) ? new Date(toMillis(entry.createdAt)).toLocaleString() : ''}
+                by ${this.actorLabel(entry)}
+              </p>
+              ${this.renderChanges(entry, true)}
+            </li>
+          `).join('')}
+        </ol>`
+      : '<p>No recorded changes yet.</p>';
+  }
+
+  /**
+   * Hide the History tab (add mode)
+   */
+  static hideProductHistory() {
+    this.historyProduct = null;
+    this.history = [];
+    const tab = DOMUtils.$('#productHistoryTab');
+    const panel = DOMUtils.$('#productHistory');
+    if (tab) tab.hidden = true;
+    if (panel) panel.innerHTML = '';
+    this.selectTab('details');
+  }
+
+  /**
+   * Put a field back to the value it had before a change
+   * @param {HTMLButtonElement} button
+   */
+  static async revert(button) {
+    const product = this.historyProduct;
+    const entry = this.history.find((e) => e.id === button.dataset.entry);
+    const { field } = button.dataset;
+    if (!product || !entry) return;
+
+    const value = entry.changes[field].from;
+    const updates = { [field]: value };
+
+    if (field in productSchema.shape) {
+      const result = productSchema.pick({ [field]: true }).safeParse(updates);
+      if (!result.success) {
+        DOMUtils.showToast(`Can't revert ${field}: ${result.error.errors[0].message}`, 'error');
+        return;
+      }
+    }
+    if (field === 'stock' && !hasVariants(product)) updates.sold = value === 0;
+
+    button.disabled = true;
+    try {
+      await this.services.productService.updateProduct(product.id, updates);
+      DOMUtils.showToast(`${field} reverted`, 'success');
+      if (this.onRevert) await this.onRevert(product.id);
+    } catch (err) {
+      console.error('Revert failed:', err);
+      DOMUtils.showToast(`Revert failed: ${err.message}`, 'error');
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Initialize the audit log section and the product History tab
+   * @param {Object} services - Firebase services
+   * @param {Object} [options]
+   * @param {Function} [options.onRevert] - (productId) => void, refresh the editor
+   * @param {boolean} [options.showLog=true] - Load the full log (audit:view)
+   */
+  static async init(services, { onRevert, showLog = true } = {}) {
+    this.services = services;
+    this.onRevert = onRevert || null;
+
+    DOMUtils.$('#auditFilters')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.loadLog();
+    });
+    DOMUtils.$('#auditLoadMore')?.addEventListener('click', () => this.loadLog(false));
+    DOMUtils.$('#exportAudit')?.addEventListener('click', () => this.exportLog());
+
+    DOMUtils.$('#productDetailsTab')?.addEventListener('click', () => this.selectTab('details'));
+    DOMUtils.$('#productHistoryTab')?.addEventListener('click', () => this.selectTab('history'));
+
+    const panel = DOMUtils.$('#productHistory');
+    if (panel) {
+      DOMUtils.on('click', '.audit-revert', (e) => this.revert(e.delegateTarget), panel);
+    }
+
+    if (showLog) await this.loadLog();
+  }
+}
+
+export default AuditManager;
@@ -5,20 +5,97 @@
  */
 
 import { DOMUtils } from '../utils/dom.js';
+import { SafeStorage } from '../utils/storage.js';
 import { t } from '../utils/i18n.js';
-import { useAppState } from '../state/store.js';
+import { useAppState, cartLineKey } from '../state/store.js';
+import { validate, emailSchema, addressSchema } from '../utils/validation.js';
+import { createPaymentService, PaymentError, PAYMENT_STATUS } from '../services/payments.js';
+import { config } from '../config.js';
+import { PricingEngine, formatPaise } from '../utils/pricing.js';
+import { hasVariants, findVariantBySku, isVariantSoldOut } from '../utils/variants.js';
+import { escapeHTML } from '../utils/markdown.js';
+
+// Checkout holds stock long enough to get through UPI apps and 3-D Secure
+// (the most firestore.rules accept)
+const PAYMENT_HOLD_TTL = 30 * 60 * 1000;
 
 /**
  * Cart Manager - Handle cart operations
  */
 export class CartManager {
+  static services = null;
+  static paymentService = null;
+  static coupon = null;
+  static reservation = null;
+  static reservationTimer = null;
+
+  /**
+   * Hold stock for cart lines until the reservation expires
+   * @param {Object} services - Firebase services
+   * @param {Array<{productId: string, sku?: string, quantity: number}>} lines - Cart lines
+   * @param {number} [ttl] - Hold duration in ms (service default when omitted)
+   * @returns {Promise<Object>} Reservation
+   */
+  static async reserveStock(services, lines, ttl) {
+    const reservation = await services.reservationService.reserve(lines, ttl);
+    const reservedKeys = lines.map(cartLineKey);
+    const previous = (this.reservation?.lines || []).filter((line) => !reservedKeys.includes(cartLineKey(line)));
+
+    this.reservation = { ...reservation, lines: [...previous, ...reservation.lines] };
+    clearTimeout(this.reservationTimer);
+    this.reservationTimer = setTimeout(() => {
+      // The server ignores expired holds anyway; this just tidies up and tells the customer
+      this.releaseStock(services);
+      DOMUtils.showToast('Your reserved items were released. Please check out again.', 'info');
+    }, reservation.expiresAt - Date.now());
+
+    return reservation;
+  }
+
+  /**
+   * Release held stock (all lines, or only the given lines)
+   * @param {Object} services - Firebase services
+   * @param {Array<string>} [keys] - Line keys (SKU or product ID) to release
+   */
+  static async releaseStock(services, keys) {
+    if (!this.reservation || !services?.reservationService) return;
+
+    const held = this.reservation.lines;
+    const toRelease = keys ? held.filter((line) => keys.includes(cartLineKey(line))) : held;
+    if (!toRelease.length) return;
+
+    try {
+      await services.reservationService.release(toRelease);
+    } catch (error) {
+      // Not fatal: the hold lapses on its own at expiresAt
+      console.warn('Failed to release reserved stock:', error);
+    }
+
+    const lines = this.reservation.lines.filter((line) => !toRelease.includes(line));
+    if (lines.length) {
+      this.reservation = { ...this.reservation, lines };
+    } else {
+      clearTimeout(this.reservationTimer);
+      this.reservation = null;
+    }
+  }
+
+  /**
+   * Forget the local hold once the server has turned it into sold stock
+   */
+  static settleStock() {
+    clearTimeout(this.reservationTimer);
+    this.reservation = null;
+  }
+
   /**
    * Add item to cart (with deduplication)
    * @param {string} productId - Product ID
    * @param {number} qty - Quantity to add
+   * @param {string} [sku] - Variant SKU, required for products with variants
    * @returns {boolean} Success status
    */
-  static addToCart(productId, qty = 1) {
+  static addToCart(productId, qty = 1, sku = null) {
     const state = useAppState.getState();
     const product = state.products.find((p) => p.id === productId);
 
@@ -27,118 +104,145 @@ export class CartManager {
       return false;
     }
 
-    if (product.sold) {
+    const variant = hasVariants(product) ? findVariantBySku(product, sku) : null;
+
+    if (hasVariants(product) && !variant) {
+      DOMUtils.showToast(t('Please choose your options first'), 'error');
+      return false;
+    }
+
+    if (variant ? isVariantSoldOut(variant) : product.sold) {
       DOMUtils.showToast('This product is sold out', 'error');
       return false;
     }
 
-    // Check if already in cart (deduplicate)
-    const existingIndex = state.cart.findIndex((item) => item.id === productId);
+    const key = variant?.sku || productId;
+    const existing = state.cart.find((item) => cartLineKey(item) === key);
 
-    if (existingIndex !== -1) {
-      // Update quantity
-      state.updateCart((cart) => {
-        const newCart = [...cart];
-        newCart[existingIndex] = {
-          ...newCart[existingIndex],
-          qty: newCart[existingIndex].qty + qty
-        };
-        return newCart;
-      });
+    if (!state.addToCart(product, qty, variant)) {
+      DOMUtils.showToast(t('Could not add this item to your cart'), 'error');
+      return false;
+    }
 
-      DOMUtils.showToast(
-        `${t('Cart updated')}: ${product.name} (${state.cart[existingIndex].qty})`,
-        'success'
-      );
+    if (existing) {
+      const updated = useAppState.getState().cart.find((item) => cartLineKey(item) === key);
+      DOMUtils.showToast(`${t('Cart updated')}: ${product.name} (${updated.quantity})`, 'success');
     } else {
-      // Add new item
-      state.updateCart((cart) => [
-        ...cart,
-        {
-          id: product.id,
-          name: product.name,
-          price: product.price,
-          image: product.thumbnail || product.image,
-          qty: qty
-        }
-      ]);
-
       DOMUtils.showToast(`${t('Added to cart')}: ${product.name}`, 'success');
     }
 
-    this.renderCart();
-    this.updateCartBadge();
-
     return true;
   }
 
   /**
    * Update item quantity
-   * @param {string} productId - Product ID
+   * @param {string} key - Line key (SKU or product ID)
    * @param {number} newQty - New quantity
    */
-  static updateQuantity(productId, newQty) {
+  static updateQuantity(key, newQty) {
     if (newQty < 1) {
-      this.removeFromCart(productId);
+      this.removeFromCart(key);
       return;
     }
 
-    const state = useAppState.getState();
-    const index = state.cart.findIndex((item) => item.id === productId);
-    
-    if (index === -1) return;
-
-    state.updateCart((cart) => {
-      const newCart = [...cart];
-      newCart[index] = {
-        ...newCart[index],
-        qty: newQty
-      };
-      return newCart;
-    });
-
-    this.renderCart();
-    this.updateCartBadge();
+    useAppState.getState().updateCartQuantity(key, newQty);
   }
 
   /**
    * Remove item from cart
-   * @param {string} productId - Product ID
+   * @param {string} key - Line key (SKU or product ID)
    */
-  static removeFromCart(productId) {
+  static removeFromCart(key) {
     const state = useAppState.getState();
-    const item = state.cart.find((i) => i.id === productId);
-    
+    const item = state.cart.find((i) => cartLineKey(i) === key);
+
     if (!item) return;
 
-    state.updateCart((cart) => cart.filter((i) => i.id !== productId));
+    state.removeFromCart(key);
+    this.releaseStock(this.services, [key]);
 
     DOMUtils.showToast(`${t('Removed from cart')}: ${item.name}`, 'info');
-    this.renderCart();
-    this.updateCartBadge();
   }
 
   /**
    * Update cart badge count
    */
   static updateCartBadge() {
-    const badge = document.querySelector('.cart-badge');
+    const badge = DOMUtils.$('#cartCount');
     if (!badge) return;
 
-    const state = useAppState.getState();
-    const totalItems = state.cart.reduce((sum, item) => sum + item.qty, 0);
-    
+    const totalItems = useAppState.getState().cartCount;
+
     badge.textContent = totalItems;
     badge.style.display = totalItems > 0 ? 'inline-block' : 'none';
+    DOMUtils.$('#checkoutCart')?.setAttribute('aria-label', `Shopping cart, ${totalItems} items`);
+  }
+
+  /**
+   * Delivery PIN code used for the shipping estimate
+   * @returns {string|null}
+   */
+  static getPincode() {
+    return SafeStorage.get('deliveryPincode');
+  }
+
+  /**
+   * Itemised cart breakdown from the pricing engine (all amounts in paise)
+   * @returns {Object} See PricingEngine.price
+   */
+  static getPricing() {
+    const state = useAppState.getState();
+    return PricingEngine.price(
+      state.cart,
+      { pincode: this.getPincode(), coupon: this.coupon }
+    );
   }
 
   /**
    * Get cart total
-   * @returns {number} Total price
+   * @returns {number} Total in paise, including shipping and discounts
    */
   static getCartTotal() {
-    const state = useAppState.getState();
-    return state.cart.reduce((total, item) => total + item.price * item.qty, 0);
+    return this.getPricing().total;
+  }
+
+  /**
+   * Look up and apply a coupon code
+   * @param {string} code - Coupon code
+   */
+  static async applyCoupon(code) {
+    if (!code?.trim()) return;
+
+    try {
+      const coupon = await this.services.couponService.getCoupon(code);
+      if (!coupon) {
+        DOMUtils.showToast(t('Invalid coupon code'), 'error');
+        return;
+      }
+
+      this.coupon = coupon;
+      const { couponError } = this.getPricing();
+      if (couponError) {
+        this.coupon = null;
+        DOMUtils.showToast(couponError, 'error');
+        return;
+      }
+
+      DOMUtils.showToast(`${t('Coupon applied')}: ${coupon.code}`, 'success');
+    } catch (error) {
+      console.error('Failed to apply coupon:', error);
+      DOMUtils.showToast(t('Could not check coupon, please try again'), 'error');
+    }
+
+    this.renderCart();
+  }
+
+  /**
+   * Remove the applied coupon
+   */
+  static removeCoupon() {
+    this.coupon = null;
+    this.renderCart();
   }
 
   /**
@@ -149,6 +253,7 @@ export class CartManager {
     if (!cartEl) return;
 
     const state = useAppState.getState();
+    const pricing = this.getPricing();
 
     if (state.cart.length === 0) {
       cartEl.innerHTML = `
@@ -163,35 +268,63 @@ export class CartManager {
     const cartHTML = `
       <div class="cart-items">
         ${state.cart.map((item) => `
-          <div class="cart-item" data-id="${item.id}">
+          <div class="cart-item" data-id="${cartLineKey(item)}">
             <img src="${item.image}" alt="${item.name}" class="cart-item__image">
             <div class="cart-item__details">
               <h4>${item.name}</h4>
-              <p class="cart-item__price">₹${item.price.toFixed(2)}</p>
+              ${item.variant ? `<p class="cart-item__variant">${item.variant}</p>` : ''}
+              <p class="cart-item__price">${formatPaise(item.unitPrice)}</p>
             </div>
             <div class="cart-item__quantity">
-              <button class="qty-btn" data-action="decrease" data-id="${item.id}" aria-label="Decrease quantity">-</button>
+              <button class="qty-btn" data-action="decrease" data-id="${cartLineKey(item)}" aria-label="Decrease quantity">-</button>
               <input type="number" 
-                     value="${item.qty}" 
+                     value="${item.quantity}" 
                      min="1" 
                      class="qty-input" 
-                     data-id="${item.id}"
+                     data-id="${cartLineKey(item)}"
                      aria-label="Quantity">
-              <button class="qty-btn" data-action="increase" data-id="${item.id}" aria-label="Increase quantity">+</button>
+              <button class="qty-btn" data-action="increase" data-id="${cartLineKey(item)}" aria-label="Increase quantity">+</button>
             </div>
             <div class="cart-item__total">
-              ₹${(item.price * item.qty).toFixed(2)}
+              ${formatPaise(item.unitPrice * item.quantity)}
             </div>
-            <button class="remove-btn" data-id="${item.id}" aria-label="Remove ${item.name}">
+            <button class="remove-btn" data-id="${cartLineKey(item)}" aria-label="Remove ${item.name}">
               <span aria-hidden="true">&times;</span>
             </button>
           </div>
         `).join('')}
       </div>
       <div class="cart-summary">
+        <form id="couponForm" class="cart-coupon">
+          ${pricing.coupon
+            ? `<span>${t('Coupon')} <strong>${pricing.coupon.code}</strong></span>
+               <button type="button" class="btn secondary" id="removeCoupon">${t('Remove')}</button>`
+            : `<input type="text" name="coupon" class="form-control" placeholder="${t('Coupon code')}" aria-label="${t('Coupon code')}">
+               <button type="submit" class="btn secondary">${t('Apply')}</button>`}
+        </form>
+        <div class="cart-pincode">
+          <label for="cartPincode">${t('Deliver to PIN')}</label>
+          <input type="text" id="cartPincode" class="form-control" inputmode="numeric" maxlength="6"
+                 value="${this.getPincode() || ''}">
+        </div>
+        <dl class="cart-breakdown">
+          <dt>${t('Subtotal')}</dt>
+          <dd>${formatPaise(pricing.subtotal)}</dd>
+          ${pricing.discount ? `
+            <dt>${t('Discount')}</dt>
+            <dd class="cart-breakdown__discount">-${formatPaise(pricing.discount)}</dd>
+          ` : ''}
+          <dt>${t('Shipping')}${pricing.shippingEstimated ? ` (${t('estimated')})` : ''}</dt>
+          <dd>${pricing.shipping ? formatPaise(pricing.shipping) : t('Free')}</dd>
+          <dt>${t('GST included')}</dt>
+          <dd>${formatPaise(pricing.tax)}</dd>
+        </dl>
+        ${pricing.freeShippingRemaining ? `
+          <p class="cart-free-shipping">${t('Add')} ${formatPaise(pricing.freeShippingRemaining)} ${t('more for free shipping')}</p>
+        ` : ''}
         <div class="cart-total">
           <span>Total:</span>
-          <span class="cart-total__amount">₹${this.getCartTotal().toFixed(2)}</span>
+          <span class="cart-total__amount">${formatPaise(pricing.total)}</span>
         </div>
         <button id="checkoutBtn" class="btn btn--primary btn--large">
           Proceed to Checkout
@@ -204,33 +337,281 @@ export class CartManager {
     // Attach event listeners
     cartEl.querySelectorAll('.qty-btn').forEach((btn) => {
       btn.addEventListener('click', () => {
-        const productId = btn.dataset.id;
+        const key = btn.dataset.id;
         const action = btn.dataset.action;
-        const item = state.cart.find((i) => i.id === productId);
+        const item = state.cart.find((i) => cartLineKey(i) === key);
 
         if (!item) return;
 
-        const newQty = action === 'increase' ? item.qty + 1 : item.qty - 1;
-        this.updateQuantity(productId, newQty);
+        const newQty = action === 'increase' ? item.quantity + 1 : item.quantity - 1;
+        this.updateQuantity(key, newQty);
       });
     });
 
     cartEl.querySelectorAll('.qty-input').forEach((input) => {
       input.addEventListener('change', (e) => {
-        const productId = e.target.dataset.id;
+        const key = e.target.dataset.id;
         const newQty = parseInt(e.target.value) || 1;
-        this.updateQuantity(productId, newQty);
+        this.updateQuantity(key, newQty);
       });
     });
 
+    DOMUtils.$('#couponForm', cartEl).addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.applyCoupon(new FormData(e.target).get('coupon'));
+    });
+
+    DOMUtils.$('#removeCoupon', cartEl)?.addEventListener('click', () => this.removeCoupon());
+
+    DOMUtils.$('#cartPincode', cartEl).addEventListener('change', (e) => {
+      const pincode = e.target.value.trim();
+      if (pincode && !/^[1-9]\d{5}$/.test(pincode)) {
+        DOMUtils.showToast(t('Enter a valid 6-digit PIN code'), 'error');
+        return;
+      }
+      SafeStorage.set('deliveryPincode', pincode);
+      this.renderCart();
+    });
+
     cartEl.querySelectorAll('.remove-btn').forEach((btn) => {
       btn.addEventListener('click', () => {
-        const productId = btn.dataset.id;
-        const item = state.cart.find((i) => i.id === productId);
+        const key = btn.dataset.id;
+        const item = state.cart.find((i) => cartLineKey(i) === key);
 
         if (item && confirm(`Remove ${item.name} from cart?`)) {
-          this.removeFromCart(productId);
+          this.removeFromCart(key);
+        }
+      });
+    });
+
+    DOMUtils.$('#checkoutBtn', cartEl).addEventListener('click', () => this.checkout(this.services));
+  }
+
+  /**
+   * Open the cart panel (pages don't ship a #cartContainer of their own)
+   */
+  static openCart() {
+    let modal = DOMUtils.$('#cartModal');
+
+    if (!modal) {
+      modal = DOMUtils.createElement('div', {
+        id: 'cartModal',
+        class: 'modal',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'cartTitle'
+      });
+      modal.innerHTML = `
+        <div class="modal-overlay" data-close="modal"></div>
+        <div class="modal-content">
+          <button class="modal-close" data-close="modal" aria-label="Close cart">✕</button>
+          <h2 id="cartTitle">${t('Your Cart')}</h2>
+          <div id="cartContainer"></div>
+        </div>
+      `;
+      document.body.appendChild(modal);
+
+      DOMUtils.$$('[data-close="modal"]', modal).forEach((el) => {
+        el.addEventListener('click', () => modal.classList.remove('active'));
+      });
+    }
+
+    this.renderCart();
+    modal.classList.add('active');
+    DOMUtils.trapFocus(modal);
+  }
+
+  /**
+   * Ask for contact and shipping details before checkout
+   * @returns {Promise<Object|null>} { customer, address, paymentMethod } or null if cancelled
+   */
+  static promptCheckoutDetails() {
+    const state = useAppState.getState();
+    const user = state.user || {};
+
+    // Signed-in customers start from their default saved address
+    const saved = user.addresses || [];
+    const preset = saved.find((address) => address.isDefault) || saved[0] || {};
+
+    const modal = DOMUtils.createElement('div', {
+      id: 'checkoutModal',
+      class: 'modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'checkoutTitle'
+    });
+
+    const methods = this.paymentService.availableProviders({ totals: this.getPricing() });
+    const paymentOptions = methods.map((provider, index) => `
+      <label class="payment-option">
+        <input type="radio" name="paymentMethod" value="${provider.id}" ${index === 0 ? 'checked' : ''}>
+        <span>${provider.label}</span>
+      </label>
+    `).join('');
+
+    const field = (name, label, type = 'text', value = '') => `
+      <div class="form-group">
+        <label for="checkout-${name}" class="form-label">${label}</label>
+        <input type="${type}" id="checkout-${name}" name="${name}" class="form-control" value="${escapeHTML(value)}">
+        <span class="form-error" data-error-for="${name}"></span>
+      </div>
+    `;
+
+    modal.innerHTML = `
+      <div class="modal-overlay" data-close="modal"></div>
+      <div class="modal-content">
+        <h2 id="checkoutTitle">Delivery Details</h2>
+        <form id="checkoutForm" novalidate>
+          ${saved.length > 1 ? `
+            <div class="form-group">
+              <label for="checkout-savedAddress" class="form-label">Saved addresses</label>
+              <select id="checkout-savedAddress" class="form-control">
+                ${saved.map((address) => `<option value="${escapeHTML(address.id)}" ${address.id === preset.id ? 'selected' : ''}>${escapeHTML(address.label || address.name)} - ${escapeHTML(address.line1)}, ${escapeHTML(address.city)}</option>`).join('')}
+              </select>
+            </div>
+          ` : ''}
+          ${field('name', 'Full name', 'text', preset.name || user.displayName || '')}
+          ${field('email', 'Email', 'email', user.email || '')}
+          ${field('phone', 'Mobile number', 'tel', preset.phone || user.phone || '')}
+          ${field('line1', 'Address line 1', 'text', preset.line1 || '')}
+          ${field('line2', 'Address line 2 (optional)', 'text', preset.line2 || '')}
+          ${field('city', 'City', 'text', preset.city || '')}
+          ${field('state', 'State', 'text', preset.state || '')}
+          ${field('pincode', 'PIN code', 'text', preset.pincode || this.getPincode() || '')}
+          <fieldset class="form-group payment-options">
+            <legend class="form-label">Payment method</legend>
+            ${paymentOptions}
+            <span class="form-error" data-error-for="paymentMethod"></span>
+          </fieldset>
+          <button type="submit" class="btn btn--primary">Continue to Payment</button>
+          <button type="button" class="btn secondary" data-close="modal">Cancel</button>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+    DOMUtils.trapFocus(modal);
+
+    return new Promise((resolve) => {
+      const close = (result) => {
+        modal.remove();
+        resolve(result);
+      };
+
+      DOMUtils.$$('[data-close="modal"]', modal).forEach((el) => {
+        el.addEventListener('click', () => close(null));
+      });
+
+      DOMUtils.$('#checkout-savedAddress', modal)?.addEventListener('change', (e) => {
+        const address = saved.find((a) => a.id === e.target.value);
+        ['name', 'phone', 'line1', 'line2', 'city', 'state', 'pincode'].forEach((name) => {
+          DOMUtils.$(`#checkout-${name}`, modal).value = address?.[name] || '';
+        });
+      });
+
+      DOMUtils.$('#checkoutForm', modal).addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const values = Object.fromEntries(new FormData(e.target).entries());
+        const customer = { name: values.name, email: values.email, phone: values.phone };
+        const address = {
+          name: values.name,
+          phone: values.phone,
+          line1: values.line1,
+          line2: values.line2 || undefined,
+          city: values.city,
+          state: values.state,
+          pincode: values.pincode
+        };
+
+        const errors = [
+          ...(validate(emailSchema, customer.email).errors || []).map((err) => ({ ...err, field: 'email' })),
+          ...(validate(addressSchema, address).errors || []),
+          ...(values.paymentMethod ? [] : [{ field: 'paymentMethod', message: 'Choose a payment method' }])
+        ];
+
+        DOMUtils.$$('[data-error-for]', modal).forEach((el) => {
+          const error = errors.find((err) => err.field === el.dataset.errorFor);
+          el.textContent = error ? error.message : '';
+          el.closest('.form-group').classList.toggle('form-group--error', !!error);
+        });
+
+        if (!errors.length) close({ customer, address, paymentMethod: values.paymentMethod });
+      });
+    });
+  }
+
+  /**
+   * Let the customer finish a step the payment provider asked for
+   * (card details for Stripe, the 3DS challenge from the mock gateway)
+   * @param {Object} action - { type, ... } from the provider
+   * @returns {Promise<*>} Card element, or true/false for a challenge
+   * @throws {PaymentError} If the customer closes the dialog
+   */
+  static promptPaymentAction(action) {
+    const modal = DOMUtils.createElement('div', {
+      id: 'paymentActionModal',
+      class: 'modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'paymentActionTitle'
+    });
+
+    const isCard = action.type === 'card-details';
+
+    modal.innerHTML = `
+      <div class="modal-overlay" data-close="modal"></div>
+      <div class="modal-content">
+        <h2 id="paymentActionTitle">${isCard ? 'Card Details' : 'Verify Payment'}</h2>
+        ${isCard
+          ? '<div id="paymentCardElement" class="payment-card-element"></div>'
+          : '<p>Your bank needs you to confirm this payment (test challenge).</p>'}
+        <button type="button" class="btn btn--primary" data-action="approve">${isCard ? 'Pay' : 'Approve'}</button>
+        <button type="button" class="btn secondary" data-action="decline">${isCard ? 'Cancel' : 'Decline'}</button>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+    DOMUtils.trapFocus(modal);
+
+    let cardElement = null;
+    if (isCard) {
+      cardElement = action.stripe.elements().create('card');
+      cardElement.mount(DOMUtils.$('#paymentCardElement', modal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const close = () => {
+        cardElement?.destroy();
+        modal.remove();
+      };
+      const cancel = () => {
+        close();
+        reject(new PaymentError('Payment cancelled', 'payment-cancelled'));
+      };
+
+      DOMUtils.$('[data-close="modal"]', modal).addEventListener('click', cancel);
+
+      DOMUtils.$('[data-action="approve"]', modal).addEventListener('click', () => {
+        // The card element must stay mounted until Stripe has confirmed it
+        if (isCard) {
+          modal.classList.remove('active');
+          resolve(cardElement);
+          return;
         }
+        close();
+        resolve(true);
+      });
+
+      DOMUtils.$('[data-action="decline"]', modal).addEventListener('click', () => {
+        if (isCard) {
+          cancel();
+          return;
+        }
+        close();
+        resolve(false);
       });
     });
   }
@@ -241,42 +622,111 @@ export class CartManager {
    */
   static async checkout(services) {
     const state = useAppState.getState();
+    if (!state.cart.length) return;
+
+    // Stock holds, the order and the payment all need the server - nothing is
+    // queued for later, the cart just stays as it is
+    const offline = () => !services.connectionMonitor.isOnline;
+    const offlineMessage = 'You\'re offline. Your cart is saved - check out again once you\'re back online.';
+    if (offline()) {
+      DOMUtils.showToast(offlineMessage, 'info');
+      return;
+    }
 
-    try {
-      // Validate stock for all items
-      for (const item of state.cart) {
-        const product = await services.productService.getDoc(item.id);
-        if (product.data && product.data.stock < item.qty) {
-          DOMUtils.showToast(`${item.name} is out of stock`, 'error');
-          return;
-        }
-      }
+    const details = await this.promptCheckoutDetails();
+    if (!details) return;
+    SafeStorage.set('deliveryPincode', details.address.pincode);
+    if (offline()) {
+      DOMUtils.showToast(offlineMessage, 'info');
+      return;
+    }
 
-      // Reserve stock (would need implementation in firebase.js)
-      // For now, just placeholder
-      console.log('Reserving stock for checkout...');
+    let order = null;
+    let payment = null;
 
-      // Create checkout session (Stripe integration)
-      if (!services.functions) {
-        throw new Error('Firebase Functions not available');
-      }
+    try {
+      // Hold stock for every line first - fails atomically if anything sold out
+      await this.reserveStock(
+        services,
+        state.cart.map((item) => ({ productId: item.productId, sku: item.sku, quantity: item.quantity })),
+        PAYMENT_HOLD_TTL
+      );
 
-      const session = await services.functions.httpsCallable('createCheckoutSession')({
-        items: state.cart
+      // Record what is being sold (with a price snapshot) before taking payment
+      order = await services.orderService.createOrder({
+        items: state.cart.map((item) => ({
+          productId: item.productId,
+          sku: item.sku,
+          variant: item.variant,
+          name: item.name,
+          price: item.unitPrice,
+          quantity: item.quantity,
+          category: item.category,
+          image: item.image
+        })),
+        customer: details.customer,
+        address: details.address,
+        couponCode: this.coupon?.code
       });
 
-      if (typeof window.Stripe !== 'undefined') {
-        const stripe = window.Stripe('pk_test_...'); // Replace with actual key from .env
-        await stripe.redirectToCheckout({ sessionId: session.data.id });
-      } else {
-        throw new Error('Stripe not loaded');
+      payment = await this.paymentService.pay(order, details.paymentMethod, {
+        onAction: (action) => this.promptPaymentAction(action)
+      });
+      DOMUtils.$('#paymentActionModal')?.remove();
+
+      // The server checks the payment, turns held stock into sold stock and marks
+      // the order paid (COD stays pending until the courier collects)
+      const confirmed = await services.orderService.confirmOrder(order.id, {
+        provider: payment.provider,
+        paymentId: payment.paymentId,
+        amount: payment.amount,
+        status: payment.status
+      });
+      this.settleStock();
+
+      if (confirmed.status === 'cancelled') {
+        // Paid, but the stock could not be committed - the server refunded it
+        DOMUtils.showToast(`Some items in order ${order.orderNumber} sold out while you paid. Your payment has been refunded.`, 'error');
+        return;
       }
 
       // Clear cart after successful checkout
-      state.setCart([]);
-      DOMUtils.showToast('Checkout complete', 'success');
+      state.clearCart();
+      this.coupon = null;
+      DOMUtils.showToast(`Order ${order.orderNumber} placed`, 'success');
     } catch (error) {
       console.error('Checkout failed:', error);
+      DOMUtils.$('#paymentActionModal')?.remove();
+
+      if (payment?.status === PAYMENT_STATUS.SUCCEEDED) {
+        // The customer has paid: never cancel. The gateway webhook confirms the
+        // order on the server, and support sorts out anything it can't.
+        this.settleStock();
+        state.clearCart();
+        this.coupon = null;
+        DOMUtils.showToast(
+          `Payment received for order ${order.orderNumber}. We're confirming it - please don't pay again.`,
+          'info'
+        );
+        return;
+      }
+
+      if (error.code === 'out-of-stock') {
+        DOMUtils.showToast(error.message, 'error');
+        return;
+      }
+
+      if (order?.id) {
+        await services.orderService.cancelOrder(order.id, error.message, 'system').catch((cancelError) => {
+          console.error('Failed to cancel order:', cancelError);
+        });
+      }
+
+      await this.releaseStock(services);
+      if (offline()) {
+        DOMUtils.showToast(offlineMessage, 'info');
+        return;
+      }
       DOMUtils.showToast('Checkout failed: ' + error.message, 'error');
     }
   }
@@ -286,18 +736,28 @@ export class CartManager {
    * @param {Object} services - Firebase services
    */
   static init(services) {
-    // Add to cart button listeners
+    this.services = services;
+    this.paymentService = createPaymentService(services, config);
+
+    // Add to cart button listeners (uses the card's quantity input when there is one,
+    // and the variant picked in the product modal via data-sku)
     DOMUtils.on('click', '.add-to-cart', (e) => {
       const button = e.delegateTarget;
       const productId = button?.dataset.id;
-      if (productId) this.addToCart(productId, 1);
+      const qtyInput = button?.closest('.product-card')?.querySelector('[data-bind="quantity"]');
+      if (productId) {
+        this.addToCart(productId, Math.max(1, parseInt(qtyInput?.value) || 1), button.dataset.sku || null);
+      }
     });
 
-    // Checkout button
-    const checkoutBtn = DOMUtils.$('#checkoutBtn');
-    if (checkoutBtn) {
-      checkoutBtn.addEventListener('click', () => this.checkout(services));
-    }
+    DOMUtils.$('#checkoutCart')?.addEventListener('click', () => this.openCart());
+
+    // The store is the source of truth - redraw whenever the cart changes
+    useAppState.subscribe((state, prev) => {
+      if (state.cart === prev.cart) return;
+      this.renderCart();
+      this.updateCartBadge();
+    });
 
     this.renderCart();
     this.updateCartBadge();
@@ -6,7 +6,7 @@
 
 import { DOMUtils } from '../utils/dom.js';
 import { SafeStorage } from '../utils/storage.js';
-import { sanitize, isValidEmail, isRequired, Cookie, generateCSRFToken } from '../utils/validation.js';
+import { sanitize, isValidEmail, isRequired, Cookie, generateCSRFToken, phoneSchema } from '../utils/validation.js';
 import { t } from '../utils/i18n.js';
 
 /**
@@ -68,13 +68,22 @@ export class ContactManager {
         message: sanitize(formData.message.trim())
       };
 
-      if (!services.functions) {
-        throw new Error('Firebase Functions not available');
+      // Optional - lets us reply on WhatsApp. "+91 98456 77415" → "9845677415"
+      const phone = (formData.phone || '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+      if (phoneSchema.safeParse(phone).success) {
+        sanitizedData.phone = phone;
       }
 
-      const result = await services.functions.httpsCallable('submitContact')(sanitizedData);
-      
-      if (result.data.success) {
+      if (!services.contactService) {
+        throw new Error('Contact service not available');
+      }
+
+      // Queued in IndexedDB when offline and replayed once we reconnect
+      const result = await services.contactService.submitContact(sanitizedData);
+
+      if (result.queued) {
+        DOMUtils.showToast(t('Saved offline - will sync when back online'), 'info');
+      } else {
         DOMUtils.showToast('Message sent successfully!', 'success');
       }
     } catch (error) {
@@ -186,7 +195,7 @@ export class ContactManager {
     const form = DOMUtils.$('#contactForm');
     if (!form) return;
 
-    const fields = ['contactName', 'contactEmail', 'contactMessage'];
+    const fields = ['contactName', 'contactEmail', 'contactPhone', 'contactMessage'];
     const whatsappBtn = DOMUtils.$('.whatsapp-btn');
 
     // Load saved drafts and update WhatsApp link
@@ -235,6 +244,7 @@ export class ContactManager {
         const data = {
           name: nameField.value.trim(),
           email: emailField.value.trim(),
+          phone: DOMUtils.$('#contactPhone')?.value.trim() || '',
           message: messageField.value.trim(),
           csrfToken: Cookie.get('csrfToken')
         };
@@ -0,0 +1,233 @@
+/**
+ * @file managers/dashboard.js
+ * @description Admin dashboard - catalogue, inquiry, FAQ and sales figures from the stats counters
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { sanitize } from '../utils/validation.js';
+import { formatPaise } from '../utils/pricing.js';
+import { barChart, columnChart } from '../utils/charts.js';
+import { config } from '../config.js';
+
+const INQUIRY_DAYS = 14;
+const SALES_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+  new: 'New',
+  'in-progress': 'In progress',
+  resolved: 'Resolved',
+  spam: 'Spam'
+};
+
+/**
+ * The last `count` day keys (YYYY-MM-DD, shop time zone), oldest first
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+function lastDays(count) {
+  const format = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' });
+  return Array.from({ length: count }, (_, i) => format.format(Date.now() - (count - 1 - i) * DAY));
+}
+
+/**
+ * "2026-10-19" → "19 Oct"
+ * @param {string} day
+ * @returns {string}
+ */
+function shortDay(day) {
+  return new Date(`${day}T12:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+}
+
+/**
+ * Share of votes that were helpful, e.g. "82% helpful (41 votes)"
+ * @param {number} up
+ * @param {number} down
+ * @returns {string}
+ */
+function helpfulness(up = 0, down = 0) {
+  const votes = up + down;
+  return votes ? `${Math.round((up / votes) * 100)}% helpful (${votes} vote${votes === 1 ? '' : 's'})` : 'No votes yet';
+}
+
+/**
+ * Dashboard Manager - Stat cards and charts
+ */
+export class DashboardManager {
+  static services = null;
+
+  /**
+   * @param {string} selector
+   * @param {string} html
+   */
+  static fill(selector, html) {
+    const el = DOMUtils.$(selector);
+    if (el) el.innerHTML = html;
+  }
+
+  /**
+   * @param {Array<Object>} items
+   * @param {Function} render - (item) => inner HTML of the <li>
+   * @param {string} empty - Shown when there are no items
+   * @returns {string}
+   */
+  static list(items, render, empty) {
+    if (!items.length) return `<p class="form-helper">${empty}</p>`;
+    return `<ol class="dashboard-list">${items.map((item) => `<li>${render(item)}</li>`).join('')}</ol>`;
+  }
+
+  /**
+   * Catalogue: stat cards, categories and statuses, low stock and most viewed
+   */
+  static renderCatalogue({ products, lowStock, topViewed }) {
+    const byCategory = Object.entries(products.byCategory || {}).filter(([, count]) => count > 0);
+    const status = products.byStatus || {};
+    const total = products.total || 0;
+
+    const setText = (selector, value) => {
+      const el = DOMUtils.$(selector);
+      if (el) el.textContent = value;
+    };
+    setText('#totalProducts', total);
+    setText('#newArrivals', status.new || 0);
+    setText('#totalCategories', byCategory.length);
+
+    this.fill('#dashboardCategories', barChart(
+      byCategory.sort((a, b) => b[1] - a[1]).map(([label, value]) => ({ label, value })),
+      { title: 'Products by category' }
+    ));
+
+    this.fill('#dashboardStatus', barChart([
+      { label: 'In stock', value: total - (status.soldOut || 0) },
+      { label: 'New', value: status.new || 0 },
+      { label: 'Low stock', value: status.lowStock || 0 },
+      { label: 'Sold out', value: status.soldOut || 0 }
+    ], { title: 'Products by status' }));
+
+    this.fill('#dashboardLowStock', this.list(
+      lowStock,
+      (p) => `${sanitize(p.name)} <span class="badge danger">${p.stock} left</span>`,
+      `Nothing at or below ${config.inventory.lowStockThreshold} in stock`
+    ));
+
+    this.fill('#dashboardTopViewed', this.list(
+      topViewed,
+      (p) => `${sanitize(p.name)} <small>${p.viewCount} view${p.viewCount === 1 ? '' : 's'}</small>`,
+      'No product views recorded yet'
+    ));
+  }
+
+  /**
+   * Inquiries per day and by status
+   */
+  static renderInquiries({ contacts }) {
+    const byDay = contacts.byDay || {};
+    const days = lastDays(INQUIRY_DAYS);
+    const recent = days.reduce((sum, day) => sum + (byDay[day] || 0), 0);
+
+    this.fill('#dashboardInquiries', `
+      <p>${recent} in the last ${INQUIRY_DAYS} days · ${(contacts.byStatus || {}).new || 0} unread</p>
+      ${columnChart(days.map((day) => ({ label: shortDay(day), value: byDay[day] || 0 })), { title: `Inquiries per day, last ${INQUIRY_DAYS} days` })}
+      ${barChart(
+        Object.entries(STATUS_LABELS).map(([key, label]) => ({ label, value: (contacts.byStatus || {})[key] || 0 })),
+        { title: 'Inquiries by status' }
+      )}
+    `);
+  }
+
+  /**
+   * FAQ helpfulness overall and per question
+   */
+  static renderFaqs({ faqs, mostHelpful, leastHelpful }) {
+    const ratio = (faq) => `${sanitize(faq.question)} <small>${helpfulness(faq.upvotes, faq.downvotes)}</small>`;
+
+    this.fill('#dashboardFaqs', `
+      <p>${faqs.total || 0} FAQs · ${helpfulness(faqs.upvotes, faqs.downvotes)} overall</p>
+      <h4>Most helpful</h4>
+      ${this.list(mostHelpful, ratio, 'No helpful votes yet')}
+      <h4>Needs work</h4>
+      ${this.list(leastHelpful, ratio, 'No unhelpful votes yet')}
+    `);
+  }
+
+  /**
+   * Sales, once there are paid orders
+   */
+  static renderSales({ orders }) {
+    if (!orders.count) {
+      this.fill('#dashboardSales', '<p class="form-helper">No sales yet - paid orders show up here.</p>');
+      return;
+    }
+
+    const byDay = orders.byDay || {};
+    const days = lastDays(SALES_DAYS);
+    const recent = days.reduce((sum, day) => sum + (byDay[day]?.revenue || 0), 0);
+
+    this.fill('#dashboardSales', `
+      <p>
+        ${orders.count} orders · ${formatPaise(orders.revenue || 0)} total ·
+        ${formatPaise(Math.round((orders.revenue || 0) / orders.count))} average ·
+        ${formatPaise(recent)} in the last ${SALES_DAYS} days
+      </p>
+      ${columnChart(
+        days.map((day) => ({ label: shortDay(day), value: byDay[day]?.revenue || 0 })),
+        { title: `Sales per day, last ${SALES_DAYS} days`, format: formatPaise }
+      )}
+    `);
+  }
+
+  /**
+   * Load the figures and render every panel
+   */
+  static async load() {
+    const error = DOMUtils.$('#dashboardError');
+
+    try {
+      const stats = await this.services.statsService.getDashboard();
+      this.renderCatalogue(stats);
+      this.renderInquiries(stats);
+      this.renderFaqs(stats);
+      this.renderSales(stats);
+      if (error) error.textContent = '';
+    } catch (err) {
+      console.error('Failed to load dashboard:', err);
+      if (error) error.textContent = `Could not load dashboard figures: ${err.message}`;
+    }
+  }
+
+  /**
+   * Recount every counter from the collections (owners)
+   * @param {HTMLButtonElement} button
+   */
+  static async rebuild(button) {
+    button.disabled = true;
+    try {
+      await this.services.statsService.rebuild();
+      DOMUtils.showToast('Dashboard figures recounted', 'success');
+      await this.load();
+    } catch (err) {
+      console.error('Recount failed:', err);
+      DOMUtils.showToast(`Recount failed: ${err.message}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Initialize the dashboard
+   * @param {Object} services - Firebase services
+   */
+  static async init(services) {
+    this.services = services;
+
+    DOMUtils.$('#refreshDashboard')?.addEventListener('click', () => this.load());
+
+    const rebuild = DOMUtils.$('#rebuildStats');
+    rebuild?.addEventListener('click', () => this.rebuild(rebuild));
+
+    await this.load();
+  }
+}
+
+export default DashboardManager;
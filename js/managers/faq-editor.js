@@ -0,0 +1,397 @@
+/**
+ * @file managers/faq-editor.js
+ * @description Admin FAQ editor - create, edit, reorder and review FAQs by helpfulness
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { validate, faqSchema, FAQ_CATEGORIES, FAQ_ICONS } from '../utils/validation.js';
+import { escapeHTML, renderMarkdown } from '../utils/markdown.js';
+import { TrashManager } from './trash.js';
+
+const FORM_FIELDS = {
+  question: 'faqQuestion',
+  answer: 'faqAnswer',
+  category: 'faqCategory',
+  icon: 'faqIcon'
+};
+
+/**
+ * List views. Only page order can be dragged.
+ */
+const SORTS = {
+  order: (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity),
+  // Unvoted FAQs last in both helpfulness views
+  'least-helpful': (a, b) => (helpfulRatio(a) ?? 2) - (helpfulRatio(b) ?? 2) || votes(b) - votes(a),
+  'most-helpful': (a, b) => (helpfulRatio(b) ?? -1) - (helpfulRatio(a) ?? -1) || votes(b) - votes(a),
+  votes: (a, b) => votes(b) - votes(a)
+};
+
+const PREVIEW_DELAY = 150;
+
+function votes(faq) {
+  return (faq.upvotes || 0) + (faq.downvotes || 0);
+}
+
+/**
+ * Share of helpful votes, 0-1, or null before any votes
+ * @param {Object} faq
+ * @returns {number|null}
+ */
+function helpfulRatio(faq) {
+  return votes(faq) ? (faq.upvotes || 0) / votes(faq) : null;
+}
+
+/**
+ * FAQ Editor Manager - FAQ section of the admin panel
+ */
+export class FAQEditorManager {
+  static services = null;
+  static faqs = [];
+  static sort = 'order';
+  static dragId = null;
+
+  /**
+   * FAQs in the current view's order
+   * @returns {Array<Object>}
+   */
+  static sorted() {
+    return [...this.faqs].sort(SORTS[this.sort]);
+  }
+
+  /**
+   * Render the FAQ list
+   */
+  static renderList() {
+    const list = DOMUtils.$('#faqEditorList');
+    if (!list) return;
+
+    const draggable = this.sort === 'order';
+    list.classList.toggle('faq-editor__list--sortable', draggable);
+
+    if (!this.faqs.length) {
+      list.innerHTML = '<li class="loading-row">No FAQs yet - add the first one below.</li>';
+      return;
+    }
+
+    list.innerHTML = this.sorted().map((faq) => {
+      const ratio = helpfulRatio(faq);
+      const poor = ratio !== null && ratio < 0.5;
+
+      return `
+        <li class="faq-row" data-id="${faq.id}" draggable="${draggable}">
+          ${draggable ? `<button type="button" class="faq-row__handle" aria-label="Move: drag, or use the up and down arrow keys" title="Drag to reorder">⠿</button>` : ''}
+          <span class="faq-row__icon" aria-hidden="true">${FAQ_ICONS[faq.icon] || FAQ_ICONS.question}</span>
+          <span class="faq-row__main">
+            <strong>${escapeHTML(faq.question)}</strong>
+            <small>${FAQ_CATEGORIES[faq.category] || 'No category'}</small>
+          </span>
+          <span class="faq-row__votes${poor ? ' faq-row__votes--poor' : ''}">
+            👍 ${faq.upvotes || 0} · 👎 ${faq.downvotes || 0}
+            ${ratio === null ? '' : `<small>${Math.round(ratio * 100)}% helpful</small>`}
+          </span>
+          <span class="faq-row__actions">
+            <button type="button" class="btn btn--secondary" data-faq-action="edit">Edit</button>
+            <button type="button" class="btn btn--secondary" data-faq-action="delete">Delete</button>
+          </span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Load every FAQ, votes included
+   */
+  static async load() {
+    const error = DOMUtils.$('#faqEditorError');
+
+    try {
+      this.faqs = await this.services.faqService.getAllFAQs();
+      if (error) error.textContent = '';
+    } catch (err) {
+      console.error('Failed to load FAQs:', err);
+      if (error) error.textContent = `Could not load FAQs: ${err.message}`;
+    }
+    this.renderList();
+  }
+
+  // ==========================================================================
+  // REORDER
+  // ==========================================================================
+
+  /**
+   * Save the order shown in the list
+   * @param {Array<string>} ids - Every FAQ id, first to last
+   */
+  static async saveOrder(ids) {
+    const previous = this.faqs;
+    this.faqs = this.faqs.map((faq) => ({ ...faq, order: ids.indexOf(faq.id) }));
+    this.renderList();
+
+    try {
+      const { updated } = await this.services.faqService.reorderFAQs(ids);
+      if (updated.length) DOMUtils.showToast('FAQ order saved', 'success');
+    } catch (error) {
+      console.error('Reorder failed:', error);
+      DOMUtils.showToast(`Could not save the new order: ${error.message}`, 'error');
+      this.faqs = previous;
+      this.renderList();
+    }
+  }
+
+  /**
+   * Drag and drop, plus arrow keys on the handle, while in page order
+   * @param {Element} list
+   */
+  static setupReorder(list) {
+    const ids = () => DOMUtils.$$('.faq-row', list).map((row) => row.dataset.id);
+
+    list.addEventListener('dragstart', (e) => {
+      const row = e.target.closest?.('.faq-row');
+      if (!row || this.sort !== 'order') return;
+      this.dragId = row.dataset.id;
+      row.classList.add('faq-row--dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', row.dataset.id);
+    });
+
+    list.addEventListener('dragover', (e) => {
+      if (!this.dragId) return;
+      e.preventDefault();
+
+      const dragging = DOMUtils.$('.faq-row--dragging', list);
+      const over = e.target.closest?.('.faq-row');
+      if (!dragging || !over || over === dragging) return;
+
+      const { top, height } = over.getBoundingClientRect();
+      over.parentNode.insertBefore(dragging, e.clientY < top + height / 2 ? over : over.nextSibling);
+    });
+
+    list.addEventListener('drop', (e) => {
+      if (!this.dragId) return;
+      e.preventDefault();
+      this.dragId = null;
+      this.saveOrder(ids());
+    });
+
+    list.addEventListener('dragend', () => {
+      DOMUtils.$('.faq-row--dragging', list)?.classList.remove('faq-row--dragging');
+      // Dropped outside the list - put it back
+      if (this.dragId) {
+        this.dragId = null;
+        this.renderList();
+      }
+    });
+
+    DOMUtils.on('keydown', '.faq-row__handle', (e) => {
+      const step = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+      if (!step) return;
+      e.preventDefault();
+
+      const order = ids();
+      const id = e.delegateTarget.closest('.faq-row').dataset.id;
+      const from = order.indexOf(id);
+      const to = from + step;
+      if (to < 0 || to >= order.length) return;
+
+      order.splice(to, 0, order.splice(from, 1)[0]);
+      this.saveOrder(order);
+      DOMUtils.$(`.faq-row[data-id="${id}"] .faq-row__handle`, list)?.focus();
+    }, list);
+  }
+
+  // ==========================================================================
+  // FORM
+  // ==========================================================================
+
+  /**
+   * Show or clear the inline error for a faqSchema field
+   * @param {string} field
+   * @param {string} message - Empty to clear
+   */
+  static setFieldError(field, message) {
+    const id = FORM_FIELDS[field];
+    const error = id && DOMUtils.$(`#${id}Error`);
+    if (!error) return false;
+
+    error.textContent = message;
+    error.closest('.form-group')?.classList.toggle('form-group--error', !!message);
+
+    const control = DOMUtils.$(`#${id}`);
+    if (message) control?.setAttribute('aria-invalid', 'true');
+    else control?.removeAttribute('aria-invalid');
+    return true;
+  }
+
+  /**
+   * Render the answer preview
+   */
+  static updatePreview() {
+    const preview = DOMUtils.$('#faqPreview');
+    if (!preview) return;
+
+    const icon = FAQ_ICONS[DOMUtils.$('#faqIcon')?.value] || FAQ_ICONS.question;
+    const question = DOMUtils.$('#faqQuestion')?.value.trim() || 'Question';
+    const answer = DOMUtils.$('#faqAnswer')?.value || '';
+
+    preview.innerHTML = `
+      <p class="faq-preview__question"><span aria-hidden="true">${icon}</span> ${escapeHTML(question)}</p>
+      <div class="faq-preview__answer">${renderMarkdown(answer) || '<p class="form-helper">The answer appears here as you type.</p>'}</div>
+    `;
+  }
+
+  /**
+   * Fill the form with an FAQ, or clear it for a new one
+   * @param {Object|null} faq
+   */
+  static fillForm(faq) {
+    const form = DOMUtils.$('#faqForm');
+    if (!form) return;
+
+    form.reset();
+    Object.keys(FORM_FIELDS).forEach((field) => this.setFieldError(field, ''));
+    DOMUtils.$('#faqFormMsg').textContent = '';
+
+    DOMUtils.$('#faqId').value = faq?.id || '';
+    DOMUtils.$('#faqQuestion').value = faq?.question || '';
+    DOMUtils.$('#faqAnswer').value = faq?.answer || '';
+    DOMUtils.$('#faqCategory').value = FAQ_CATEGORIES[faq?.category] ? faq.category : 'general';
+    DOMUtils.$('#faqIcon').value = FAQ_ICONS[faq?.icon] ? faq.icon : 'question';
+
+    DOMUtils.$('#faqFormTitle').textContent = faq ? 'Edit FAQ' : 'Add FAQ';
+    DOMUtils.$('#faqSubmit').textContent = faq ? 'Save FAQ' : 'Add FAQ';
+    DOMUtils.$('#faqCancel').hidden = !faq;
+    this.updatePreview();
+  }
+
+  /**
+   * Setup the add/edit form and its live preview
+   */
+  static setupForm() {
+    const form = DOMUtils.$('#faqForm');
+    if (!form) return;
+
+    DOMUtils.$('#faqCategory').innerHTML = Object.entries(FAQ_CATEGORIES)
+      .map(([key, label]) => `<option value="${key}">${label}</option>`)
+      .join('');
+    DOMUtils.$('#faqIcon').innerHTML = Object.entries(FAQ_ICONS)
+      .map(([key, glyph]) => `<option value="${key}">${glyph} ${key}</option>`)
+      .join('');
+
+    let previewTimeout;
+    form.addEventListener('input', (e) => {
+      const field = Object.keys(FORM_FIELDS).find((key) => FORM_FIELDS[key] === e.target.id);
+      if (field) this.setFieldError(field, '');
+
+      clearTimeout(previewTimeout);
+      previewTimeout = setTimeout(() => this.updatePreview(), PREVIEW_DELAY);
+    });
+    form.addEventListener('change', () => this.updatePreview());
+
+    DOMUtils.$('#faqCancel').addEventListener('click', () => this.fillForm(null));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const id = DOMUtils.$('#faqId').value;
+      const data = {
+        question: DOMUtils.$('#faqQuestion').value.trim(),
+        answer: DOMUtils.$('#faqAnswer').value.trim(),
+        category: DOMUtils.$('#faqCategory').value,
+        icon: DOMUtils.$('#faqIcon').value
+      };
+
+      const result = validate(faqSchema, data);
+      if (!result.success) {
+        const shown = new Set();
+        result.errors.forEach(({ field, message }) => {
+          if (!shown.has(field)) this.setFieldError(field, message);
+          shown.add(field);
+        });
+        DOMUtils.$('#faqForm [aria-invalid="true"]')?.focus();
+        return;
+      }
+
+      const submit = DOMUtils.$('#faqSubmit');
+      const msg = DOMUtils.$('#faqFormMsg');
+      submit.disabled = true;
+
+      try {
+        const { faqService } = this.services;
+        if (id) {
+          await faqService.updateFAQ(id, result.data);
+          DOMUtils.showToast('FAQ updated', 'success');
+        } else {
+          // New FAQs go to the end of the page
+          const order = this.faqs.reduce((max, faq) => Math.max(max, (faq.order ?? -1) + 1), 0);
+          await faqService.createFAQ({ ...result.data, order });
+          DOMUtils.showToast('FAQ added', 'success');
+        }
+
+        this.fillForm(null);
+        await this.load();
+      } catch (error) {
+        console.error('Failed to save FAQ:', error);
+        if (msg) msg.textContent = `Failed to save FAQ: ${error.message}`;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Move an FAQ to the trash
+   * @param {string} id
+   */
+  static async remove(id) {
+    try {
+      await this.services.faqService.deleteFAQ(id, TrashManager.actor(this.services));
+      this.faqs = this.faqs.filter((faq) => faq.id !== id);
+      this.renderList();
+      if (DOMUtils.$('#faqId')?.value === id) this.fillForm(null);
+
+      TrashManager.showUndo('faq', [id], 'FAQ moved to the trash');
+      TrashManager.load();
+    } catch (error) {
+      console.error('Delete failed:', error);
+      DOMUtils.showToast(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Initialize the FAQ editor
+   * @param {Object} services - Firebase services
+   */
+  static async init(services) {
+    this.services = services;
+
+    const sort = DOMUtils.$('#faqSort');
+    sort?.addEventListener('change', () => {
+      this.sort = SORTS[sort.value] ? sort.value : 'order';
+      this.renderList();
+    });
+
+    const list = DOMUtils.$('#faqEditorList');
+    if (list) {
+      this.setupReorder(list);
+
+      DOMUtils.on('click', '[data-faq-action]', (e) => {
+        const id = e.delegateTarget.closest('.faq-row').dataset.id;
+        if (e.delegateTarget.dataset.faqAction === 'delete') {
+          this.remove(id);
+          return;
+        }
+
+        this.fillForm(this.faqs.find((faq) => faq.id === id));
+        DOMUtils.$('#faqForm')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        DOMUtils.$('#faqQuestion')?.focus({ preventScroll: true });
+      }, list);
+    }
+
+    this.setupForm();
+    this.fillForm(null);
+    await this.load();
+  }
+}
+
+export default FAQEditorManager;
@@ -7,11 +7,30 @@
 import { DOMUtils } from '../utils/dom.js';
 import { SafeStorage } from '../utils/storage.js';
 import { t } from '../utils/i18n.js';
+import { FAQ_ICONS } from '../utils/validation.js';
+import { escapeHTML, renderMarkdown } from '../utils/markdown.js';
+
+const WHATSAPP_NUMBER = '+91 98456 77415';
 
 /**
  * FAQ Manager - Handle FAQ loading and interactions
  */
 export class FAQManager {
+  /**
+   * Markdown answer as HTML. The shop's WhatsApp number is linked unless the
+   * answer already links to WhatsApp itself.
+   * @param {string} answer - Markdown
+   * @returns {string}
+   */
+  static renderAnswer(answer = '') {
+    const html = renderMarkdown(answer);
+    if (answer.includes('wa.me')) return html;
+    return html.replace(
+      WHATSAPP_NUMBER,
+      `<a href="https://wa.me/919845677415" target="_blank" rel="noopener noreferrer" aria-label="Contact via WhatsApp">${WHATSAPP_NUMBER}</a>`
+    );
+  }
+
   /**
    * Load FAQs from Firestore
    * @param {Object} services - Firebase services
@@ -21,28 +40,26 @@ export class FAQManager {
     if (!list) return;
 
     list.innerHTML = `<p class="state-message">${t('Loading...')}</p>`;
+    const loading = DOMUtils.$('#loadingState');
 
     try {
-      const { data: faqs } = await services.faqService.getFAQs();
+      const faqs = await services.faqService.getAllFAQs();
+      if (loading) loading.hidden = true;
+      DOMUtils.$('#emptyState')?.toggleAttribute('hidden', faqs.length > 0);
 
       list.innerHTML = faqs
         .map(
           (faq) => `
-        <div class="faq-item card" data-category="${faq.category}" data-aos="fade-up">
+        <div class="faq-item card" data-category="${escapeHTML(faq.category || 'general')}" data-aos="fade-up">
           <button class="faq-question" aria-expanded="false" aria-controls="faq-${faq.id}">
-            <span class="faq-category-icon">
-              <i class="fas fa-${faq.icon || 'question'}"></i>
-            </span>
-            <span>${faq.question}</span>
+            <span class="faq-category-icon" aria-hidden="true">${FAQ_ICONS[faq.icon] || FAQ_ICONS.question}</span>
+            <span>${escapeHTML(faq.question)}</span>
             <svg class="faq-icon" width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
               <path d="M8 4a.5.5 0 0 1 .5.5v3h3a.5.5 0 0 1 0 1h-3v3a.5.5 0 0 1-1 0v-3h-3a.5.5 0 0 1 0-1h3v-3A.5.5 0 0 1 8 4z" />
             </svg>
           </button>
           <div id="faq-${faq.id}" class="faq-answer" aria-hidden="true">
-            <p>${faq.answer.replace(
-              '+91 98456 77415',
-              '<a href="https://wa.me/919845677415" target="_blank" aria-label="Contact via WhatsApp">+91 98456 77415</a>'
-            )}</p>
+            <div class="faq-answer__body">${this.renderAnswer(faq.answer)}</div>
             <div class="faq-feedback">
               <span>Was this helpful?</span>
               <button class="icon-btn" data-feedback="yes" data-id="${faq.id}" aria-label="Mark FAQ as helpful">👍</button>
@@ -57,6 +74,7 @@ export class FAQManager {
       this.setupFAQInteractions(services);
     } catch (error) {
       console.error('Failed to load FAQs:', error);
+      if (loading) loading.hidden = true;
       list.innerHTML = '<p class="state-message error">Failed to load FAQs.</p>';
       DOMUtils.showToast(t('Failed to load'), 'error');
     }
@@ -77,6 +95,7 @@ export class FAQManager {
         const expanded = q.getAttribute('aria-expanded') === 'true';
         q.setAttribute('aria-expanded', !expanded);
         a.setAttribute('aria-hidden', expanded);
+        a.classList.toggle('is-open', !expanded);
         SafeStorage.set(id, expanded ? 'closed' : 'open');
 
         const svg = q.querySelector('svg');
@@ -106,10 +125,15 @@ export class FAQManager {
         }
 
         try {
-          await services.faqService.voteHelpful(faqId, feedback === 'yes');
+          const result = await services.faqService.voteFAQ(faqId, feedback === 'yes' ? 'up' : 'down');
           SafeStorage.setJSON(votedKey, true);
           btn.disabled = true;
 
+          if (result.alreadyVoted) {
+            DOMUtils.showToast('You have already voted on this FAQ', 'info');
+            return;
+          }
+
           const points = feedback === 'yes' ? 10 : 5;
           DOMUtils.showToast(`+${points} points! Thank you for your feedback!`, 'success');
 
@@ -0,0 +1,417 @@
+/**
+ * @file managers/inbox.js
+ * @description Admin inbox for contact form messages - live list, status, assignment, notes and quick replies
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { sanitize, CONTACT_STATUSES } from '../utils/validation.js';
+import { TrashManager } from './trash.js';
+
+const STATUS_LABELS = {
+  new: 'New',
+  'in-progress': 'In progress',
+  resolved: 'Resolved',
+  spam: 'Spam'
+};
+
+/**
+ * Canned replies, sent from the admin's own mail app or WhatsApp. {name} is the customer's name.
+ */
+const QUICK_REPLIES = [
+  {
+    id: 'thanks',
+    label: 'Thanks, looking into it',
+    text: 'Hi {name}, thank you for writing to Jeelani Textiles. We are looking into your message and will get back to you shortly.'
+  },
+  {
+    id: 'availability',
+    label: 'Product availability',
+    text: 'Hi {name}, thank you for your interest. Could you share the product name or a screenshot so we can check availability and colours for you?'
+  },
+  {
+    id: 'visit',
+    label: 'Invite to the store',
+    text: 'Hi {name}, you are welcome to visit us at 350/24, MG Road, Mysuru (10am-8pm, Mon-Sat) to see the collection in person.'
+  },
+  {
+    id: 'resolved',
+    label: 'Resolved',
+    text: 'Hi {name}, we believe your query has been resolved. Please reply if there is anything else we can help with.'
+  }
+];
+
+const SEARCH_DELAY = 200;
+const EXCERPT_LENGTH = 80;
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Inbox Manager - Live contact message inbox
+ */
+export class InboxManager {
+  static services = null;
+  static contacts = [];
+  static filter = 'open';
+  static search = '';
+  static selectedId = null;
+  static unsubscribe = null;
+
+  /**
+   * Messages matching the status filter and search box
+   * @returns {Array<Object>}
+   */
+  static visibleContacts() {
+    const term = this.search.toLowerCase();
+
+    return this.contacts
+      .filter((contact) => {
+        const status = contact.status || 'new';
+        // "Open" is everything still needing attention
+        if (this.filter === 'open') return status === 'new' || status === 'in-progress';
+        return this.filter === 'all' ? status !== 'spam' : status === this.filter;
+      })
+      .filter((contact) => !term || [
+        contact.name, contact.email, contact.phone, contact.message, contact.assignedTo,
+        ...(contact.notes || []).map((note) => note.text)
+      ].some((field) => field?.toLowerCase().includes(term)));
+  }
+
+  /**
+   * Count per status, and unread (status new) in the nav and page title
+   */
+  static renderCounts() {
+    const counts = { open: 0, all: 0 };
+    CONTACT_STATUSES.forEach((status) => { counts[status] = 0; });
+
+    this.contacts.forEach((contact) => {
+      const status = contact.status || 'new';
+      counts[status] = (counts[status] || 0) + 1;
+      if (status !== 'spam') counts.all++;
+      if (status === 'new' || status === 'in-progress') counts.open++;
+    });
+
+    DOMUtils.$$('[data-inbox-filter]').forEach((button) => {
+      const count = DOMUtils.$('.inbox-count', button);
+      if (count) count.textContent = counts[button.dataset.inboxFilter] || 0;
+      button.setAttribute('aria-pressed', String(button.dataset.inboxFilter === this.filter));
+    });
+
+    const unread = counts.new;
+    const badge = DOMUtils.$('#inboxUnread');
+    if (badge) {
+      badge.textContent = unread;
+      badge.hidden = !unread;
+      badge.setAttribute('aria-label', `${unread} unread`);
+    }
+
+    document.title = document.title.replace(/^\(\d+\) /, '');
+    if (unread) document.title = `(${unread}) ${document.title}`;
+  }
+
+  /**
+   * Render the message list
+   */
+  static renderList() {
+    const list = DOMUtils.$('#inboxList');
+    if (!list) return;
+
+    const contacts = this.visibleContacts();
+
+    if (!contacts.length) {
+      list.innerHTML = `<li class="empty-state">${this.search ? 'No messages match your search' : 'No messages here'}</li>`;
+      return;
+    }
+
+    list.innerHTML = contacts.map((contact) => {
+      const status = contact.status || 'new';
+      const createdAt = toMillis(contact.createdAt);
+      const excerpt = sanitize(contact.message || '').slice(0, EXCERPT_LENGTH);
+
+      return `
+        <li>
+          <button type="button" class="inbox-item${status === 'new' ? ' inbox-item--unread' : ''}" data-id="${contact.id}"
+            aria-current="${contact.id === this.selectedId}">
+            <span class="inbox-item__from">${sanitize(contact.name || contact.email || 'Unknown')}</span>
+            <span class="inbox-item__meta">
+              <span class="badge inbox-status inbox-status--${status}">${STATUS_LABELS[status] || status}</span>
+              ${createdAt ? new Date(createdAt).toLocaleString() : ''}
+            </span>
+            <span class="inbox-item__excerpt">${excerpt}${(contact.message || '').length > EXCERPT_LENGTH ? '…' : ''}</span>
+            ${contact.assignedTo ? `<small>Assigned to ${sanitize(contact.assignedTo)}</small>` : ''}
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Staff emails to suggest for assignment: the signed-in user and anyone
+   * already assigned a message or who left a note
+   * @returns {Array<string>}
+   */
+  static knownStaff() {
+    const emails = new Set([this.services.auth?.currentUser?.email]);
+    this.contacts.forEach((contact) => {
+      emails.add(contact.assignedTo);
+      (contact.notes || []).forEach((note) => emails.add(note.by));
+    });
+    emails.delete(null);
+    emails.delete(undefined);
+    return [...emails].sort();
+  }
+
+  /**
+   * Fill a quick reply template for a message
+   * @param {Object} reply - Entry of QUICK_REPLIES
+   * @param {Object} contact
+   * @returns {string}
+   */
+  static fillReply(reply, contact) {
+    return reply.text.replace('{name}', contact.name || 'there');
+  }
+
+  /**
+   * WhatsApp needs the number with country code; the form stores 10 digits
+   * @param {string} phone
+   * @returns {string|null}
+   */
+  static whatsappNumber(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length === 10) return `91${digits}`;
+    return digits.length > 10 ? digits : null;
+  }
+
+  /**
+   * Render the selected message
+   */
+  static renderDetail() {
+    const panel = DOMUtils.$('#inboxDetail');
+    if (!panel) return;
+
+    const contact = this.contacts.find((c) => c.id === this.selectedId);
+    if (!contact) {
+      delete panel.dataset.id;
+      panel.innerHTML = '<p class="form-helper">Select a message to read it.</p>';
+      return;
+    }
+
+    // Keep a note being typed when someone else's change re-renders the panel
+    const draft = panel.dataset.id === contact.id ? DOMUtils.$('#inboxNote', panel)?.value || '' : '';
+    panel.dataset.id = contact.id;
+    const status = contact.status || 'new';
+    const createdAt = toMillis(contact.createdAt);
+    const whatsapp = this.whatsappNumber(contact.phone);
+    const subject = encodeURIComponent('Re: your message to Jeelani Textiles');
+
+    const replies = QUICK_REPLIES.map((reply) => {
+      const body = encodeURIComponent(this.fillReply(reply, contact));
+      return `
+        <li>
+          <span>${reply.label}</span>
+          <a class="btn btn--outline" href="mailto:${encodeURIComponent(contact.email)}?subject=${subject}&body=${body}"
+            aria-label="Email: ${reply.label}">Email</a>
+          ${whatsapp ? `<a class="btn btn--outline" href="https://wa.me/${whatsapp}?text=${body}" target="_blank" rel="noopener noreferrer"
+            aria-label="WhatsApp: ${reply.label}">WhatsApp</a>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    const notes = (contact.notes || []).map((note) => `
+      <li>
+        <p>${sanitize(note.text)}</p>
+        <small>${sanitize(note.by || 'Unknown')} · ${new Date(note.at).toLocaleString()}</small>
+      </li>
+    `).join('');
+
+    panel.innerHTML = `
+      <header class="inbox-detail__header">
+        <h3>${sanitize(contact.name || 'Unknown')}</h3>
+        <p>
+          <a href="mailto:${encodeURIComponent(contact.email)}">${sanitize(contact.email)}</a>
+          ${contact.phone ? ` · <a href="tel:${sanitize(contact.phone)}">${sanitize(contact.phone)}</a>` : ''}
+          ${createdAt ? ` · ${new Date(createdAt).toLocaleString()}` : ''}
+        </p>
+      </header>
+
+      <p class="inbox-detail__message">${sanitize(contact.message || '')}</p>
+
+      <div class="admin-bulk-bar">
+        <label for="inboxStatus">Status</label>
+        <select id="inboxStatus" class="form-control">
+          ${CONTACT_STATUSES.map((s) => `<option value="${s}"${s === status ? ' selected' : ''}>${STATUS_LABELS[s]}</option>`).join('')}
+        </select>
+
+        <label for="inboxAssignee">Assigned to</label>
+        <input type="email" id="inboxAssignee" class="form-control" list="inboxStaff"
+          value="${sanitize(contact.assignedTo || '')}" placeholder="Unassigned">
+        <datalist id="inboxStaff">
+          ${this.knownStaff().map((email) => `<option value="${sanitize(email)}">`).join('')}
+        </datalist>
+        <button type="button" id="inboxAssign" class="btn btn--secondary">Assign</button>
+        <button type="button" id="inboxAssignMe" class="btn btn--outline">Assign to me</button>
+
+        <button type="button" id="inboxDelete" class="btn btn--danger">Delete</button>
+      </div>
+
+      <h4>Quick replies</h4>
+      <ul class="inbox-replies">${replies}</ul>
+      ${whatsapp ? '' : '<p class="form-helper">No phone number - reply by email.</p>'}
+
+      <h4>Internal notes</h4>
+      <ul class="inbox-notes">${notes || '<li class="form-helper">No notes yet</li>'}</ul>
+      <form id="inboxNoteForm">
+        <label for="inboxNote" class="visually-hidden">Add a note</label>
+        <textarea id="inboxNote" class="form-control" rows="2" placeholder="Only staff can see notes" required></textarea>
+        <button type="submit" class="btn btn--secondary">Add Note</button>
+      </form>
+    `;
+
+    DOMUtils.$('#inboxNote', panel).value = draft;
+  }
+
+  /**
+   * Re-render after the snapshot or a filter changes
+   */
+  static render() {
+    this.renderCounts();
+    this.renderList();
+    this.renderDetail();
+  }
+
+  /**
+   * Run a ContactService write and report failures. The snapshot listener
+   * re-renders with the result, so nothing is updated locally.
+   * @param {Function} write - () => Promise
+   * @param {string} success - Toast text
+   */
+  static async apply(write, success) {
+    try {
+      const result = await write();
+      DOMUtils.showToast(result?.queued ? 'Saved offline - will sync when back online' : success, 'success');
+    } catch (error) {
+      console.error('Inbox update failed:', error);
+      DOMUtils.showToast(`Update failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open a message. Opening a new message counts as reading it, so it moves
+   * to in progress and drops out of the unread count.
+   * @param {string} id
+   */
+  static select(id) {
+    this.selectedId = id;
+    this.renderList();
+    this.renderDetail();
+
+    const contact = this.contacts.find((c) => c.id === id);
+    if (contact && (contact.status || 'new') === 'new') {
+      this.services.contactService.updateContactStatus(id, 'in-progress').catch((error) => {
+        console.warn('Could not mark message as read:', error);
+      });
+    }
+  }
+
+  /**
+   * Wire the detail panel controls (delegated, attached once)
+   */
+  static setupDetail() {
+    const panel = DOMUtils.$('#inboxDetail');
+    if (!panel) return;
+
+    const { contactService } = this.services;
+
+    DOMUtils.on('change', '#inboxStatus', (e) => {
+      const status = e.delegateTarget.value;
+      this.apply(() => contactService.updateContactStatus(this.selectedId, status), `Marked as ${STATUS_LABELS[status].toLowerCase()}`);
+    }, panel);
+
+    DOMUtils.on('click', '#inboxAssign', () => {
+      const assignee = DOMUtils.$('#inboxAssignee', panel).value.trim().toLowerCase() || null;
+      this.apply(() => contactService.assignContact(this.selectedId, assignee), assignee ? `Assigned to ${assignee}` : 'Unassigned');
+    }, panel);
+
+    DOMUtils.on('click', '#inboxAssignMe', () => {
+      const email = this.services.auth?.currentUser?.email;
+      if (email) this.apply(() => contactService.assignContact(this.selectedId, email), 'Assigned to you');
+    }, panel);
+
+    DOMUtils.on('click', '#inboxDelete', async () => {
+      const id = this.selectedId;
+      try {
+        await contactService.deleteContact(id, TrashManager.actor(this.services));
+        this.selectedId = null;
+        TrashManager.showUndo('contact', [id], 'Message moved to the trash');
+        TrashManager.load();
+      } catch (error) {
+        console.error('Delete failed:', error);
+        DOMUtils.showToast(`Delete failed: ${error.message}`, 'error');
+      }
+    }, panel);
+
+    DOMUtils.on('submit', '#inboxNoteForm', async (e) => {
+      e.preventDefault();
+      const field = DOMUtils.$('#inboxNote', panel);
+      const text = field.value.trim();
+      if (!text) return;
+
+      field.value = '';
+      await this.apply(() => contactService.addContactNote(this.selectedId, text), 'Note added');
+    }, panel);
+  }
+
+  /**
+   * Initialize the inbox and start listening for messages
+   * @param {Object} services - Firebase services
+   */
+  static async init(services) {
+    this.services = services;
+
+    DOMUtils.$$('[data-inbox-filter]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.filter = button.dataset.inboxFilter;
+        this.renderCounts();
+        this.renderList();
+      });
+    });
+
+    let searchTimeout;
+    DOMUtils.$('#inboxSearch')?.addEventListener('input', (e) => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(() => {
+        this.search = e.target.value.trim();
+        this.renderList();
+      }, SEARCH_DELAY);
+    });
+
+    const list = DOMUtils.$('#inboxList');
+    if (list) {
+      DOMUtils.on('click', '.inbox-item', (e) => this.select(e.delegateTarget.dataset.id), list);
+    }
+
+    this.setupDetail();
+
+    const error = DOMUtils.$('#inboxError');
+    try {
+      this.unsubscribe = await services.contactService.watchContacts(
+        (contacts) => {
+          this.contacts = contacts;
+          if (error) error.textContent = '';
+          this.render();
+        },
+        (err) => {
+          console.error('Inbox listener failed:', err);
+          if (error) error.textContent = 'Live updates stopped - reload the page to reconnect';
+        }
+      );
+    } catch (err) {
+      console.error('Failed to open inbox:', err);
+      if (error) error.textContent = `Could not load messages: ${err.message}`;
+    }
+
+    window.addEventListener('pagehide', () => this.unsubscribe?.(), { once: true });
+  }
+}
+
+export default InboxManager;
@@ -5,9 +5,16 @@
  */
 
 import { DOMUtils } from '../utils/dom.js';
-import { SafeStorage } from '../utils/storage.js';
 import { t } from '../utils/i18n.js';
 import { useAppState } from '../state/store.js';
+import { hasVariants, isSoldOut } from '../utils/variants.js';
+import { ProductFilter, FACETS, PRICE_RANGES } from '../utils/filters.js';
+import { srcsetOf } from '../utils/images.js';
+import { productSearch } from '../utils/search.js';
+import { ModalManager } from '../components/modal.js';
+import { WishlistButton } from '../components/wishlist-button.js';
+import { StarRating } from '../components/star-rating.js';
+import { Router } from '../services/index.js';
 
 /**
  * Product Component - Render individual product cards
@@ -15,6 +22,8 @@ import { useAppState } from '../state/store.js';
 class ProductComponent {
   static createCard(product, index) {
     const settings = useAppState.getState().settings;
+    const sold = isSoldOut(product);
+    const variants = hasVariants(product);
     const aosAttr = window.matchMedia('(prefers-reduced-motion: reduce)').matches 
       ? {} 
       : { 'data-aos': 'fade-up', 'data-aos-delay': index * 50 };
@@ -25,31 +34,50 @@ class ProductComponent {
       'data-id': product.id
     });
 
+    const sizes = '(max-width: 600px) 100vw, (max-width: 1200px) 50vw, 33vw';
+    // The inline LQIP shows through until the real image has loaded
+    const placeholder = product.placeholder ? ` style="background-image: url('${product.placeholder}')"` : '';
+
     card.innerHTML = `
       <figure class="product-card__media">
-        <img src="${product.thumbnail || '/assets/images/placeholder.jpg'}" 
-             srcset="${product.imageSmall || product.image} 320w, ${product.imageMedium || product.image} 640w, ${product.image} 1280w" 
-             sizes="(max-width: 600px) 100vw, (max-width: 1200px) 50vw, 33vw" 
-             data-src="${product.image}" 
-             alt="${product.name}" 
-             loading="lazy">
+        <picture>
+          ${product.webp ? `<source type="image/webp" srcset="${srcsetOf(product.webp)}" sizes="${sizes}">` : ''}
+          <img src="${product.thumbnail || '/assets/images/placeholder.jpg'}" 
+               srcset="${product.imageSmall || product.image} 320w, ${product.imageMedium || product.image} 640w, ${product.image} 1280w" 
+               sizes="${sizes}" 
+               data-src="${product.image}" 
+               alt="${product.name}" 
+               loading="lazy"${placeholder}>
+        </picture>
         ${product.isNew ? '<span class="badge badge--new">New</span>' : ''}
-        ${product.sold ? '<span class="badge badge--sold">Sold Out</span>' : ''}
+        ${sold ? '<span class="badge badge--sold">Sold Out</span>' : ''}
+        ${WishlistButton.render(product, 'product-card__wishlist')}
       </figure>
       <div class="product-card__content">
         <h3 class="product-card__title">${product.name}</h3>
-        <p class="product-card__price">₹${product.price.toFixed(2)}</p>
+        <p class="product-card__price">${variants ? 'From ' : ''}₹${product.price.toFixed(2)}</p>
+        ${StarRating.summary(product.rating, { className: 'product-card__rating' })}
         <input type="number" min="1" aria-label="Quantity" data-bind="quantity" value="1">
         <div aria-live="polite" class="sr-only" id="qtyFeedback-${product.id}"></div>
-        <button class="btn product-card__btn" data-id="${product.id}" ${product.sold ? 'disabled' : ''} aria-label="View details of ${product.name}">
-          ${product.sold ? 'Sold Out' : 'View Details'}
+        <button class="btn product-card__btn" data-id="${product.id}" ${sold ? 'disabled' : ''} aria-label="View details of ${product.name}">
+          ${sold ? 'Sold Out' : variants ? t('Choose Options') : 'View Details'}
         </button>
+        ${sold ? `
+          <button type="button" class="btn btn--primary notify-me" data-id="${product.id}" aria-label="Notify me when ${product.name} is back in stock">
+            Notify me
+          </button>
+        ` : ''}
+        ${sold || variants ? '' : `
+          <button class="btn btn--primary add-to-cart" data-id="${product.id}" aria-label="Add ${product.name} to cart">
+            ${t('Add to Cart')}
+          </button>
+        `}
       </div>
     `;
 
     // Preload image on hover
     card.addEventListener('mouseover', () => {
-      if (!product.sold) {
+      if (!sold) {
         const link = new Image();
         link.src = product.image;
       }
@@ -143,24 +171,14 @@ class VirtualScroll {
   }
 }
 
-/**
- * Product Filter - Filter products by category
- */
-class ProductFilter {
-  static filterByCategory(products, category) {
-    if (category === 'all') return products;
-    if (category === 'new') return products.filter((p) => p.isNew);
-    if (category === 'none') return [];
-    return products.filter((p) => p.category === category);
-  }
-}
-
 /**
  * Product Manager - Main product management class
  */
 export class ProductManager {
-  static fuse = null;
   static listenersAttached = false;
+  static pageSize = 12;
+  static services = null;
+  static listingMeta = null;
 
   /**
    * Load products from Firebase
@@ -169,7 +187,7 @@ export class ProductManager {
   static async loadProducts(services) {
     const state = useAppState.getState();
     
-    if (state.isLoading) return;
+    if (state.loading || !state.hasMore) return;
     state.setLoading(true);
 
     const grid = DOMUtils.$('#productGrid');
@@ -179,37 +197,29 @@ export class ProductManager {
     }
 
     const loadMoreBtn = DOMUtils.$('#loadMore');
+    let loaded = false;
 
     try {
-      const cacheKey = `products_${state.currentPage}`;
-      let cached = SafeStorage.getJSON(cacheKey, null);
-      let products, lastDoc;
-
-      if (cached) {
-        ({ products, lastDoc } = cached);
-      } else {
-        const result = await services.productService.getProducts({
-          pageSize: 12,
-          lastDoc: state.lastVisible,
-          startAfter: state.lastVisible
-        });
-        products = result.products;
-        lastDoc = result.lastDoc;
-        SafeStorage.setJSON(cacheKey, { products, lastDoc });
-      }
+      // Pages are cached by ProductService's LRU cache, keyed by cursor and sort
+      const { products, lastDoc, hasMore } = await services.productService.getProducts({
+        pageSize: this.pageSize,
+        lastDoc: state.lastVisible,
+        sortBy: state.filters.sort
+      });
 
       state.addProducts(products);
-      state.setLastVisible(lastDoc);
+      state.setLastVisible(lastDoc, hasMore);
 
-      // Initialize Fuse.js for search
-      this.initializeSearch();
+      // Only the new page is indexed - earlier pages are already in
+      productSearch.addProducts(products);
 
       if (loadMoreBtn) {
-        loadMoreBtn.textContent = t(products.length < 12 ? 'No More Products' : 'Load More');
-        loadMoreBtn.style.display = products.length < 12 ? 'none' : 'block';
+        loadMoreBtn.textContent = t(hasMore ? 'Load More' : 'No More Products');
+        loadMoreBtn.style.display = hasMore ? 'block' : 'none';
       }
 
       this.renderProducts();
+      loaded = true;
     } catch (error) {
       console.error('Failed to load products:', error);
       grid.innerHTML = '<p class="state-message error">Failed to load products.</p>';
@@ -218,43 +228,69 @@ export class ProductManager {
       state.setLoading(false);
       if (loadMoreBtn) loadMoreBtn.disabled = false;
     }
+
+    if (loaded) this.loadRestForFilters();
   }
 
   /**
-   * Initialize Fuse.js search
+   * Search, filters and facet counts work on the products loaded so far, so
+   * while any of them is on keep loading pages until the whole catalogue is
+   * in. Pages seen before come from the cache.
    */
-  static initializeSearch() {
+  static loadRestForFilters() {
     const state = useAppState.getState();
-    
-    if (state.products.length > 0 && typeof window.Fuse !== 'undefined') {
-      this.fuse = new window.Fuse(state.products, {
-        keys: ['name', 'description', 'category'],
-        threshold: 0.3,
-        ignoreLocation: true,
-        minMatchCharLength: 2
-      });
-      console.log(`Fuse.js initialized with ${state.products.length} products`);
+    if (this.services && state.hasMore && ProductFilter.isActive(state.filters)) {
+      this.loadProducts(this.services);
     }
   }
 
   /**
-   * Render products with optional category filter
-   * @param {string} category - Category filter
+   * Loaded products narrowed by the search query and filters, then sorted.
+   * A search keeps the index's relevance order unless a sort was chosen.
+   * @returns {Array}
+   */
+  static getVisibleProducts() {
+    const { products, filters } = useAppState.getState();
+
+    const searched = filters.q ? productSearch.search(filters.q) : products;
+    const filtered = ProductFilter.apply(searched, filters);
+
+    return filters.q && filters.sort === 'latest' ? filtered : ProductFilter.sort(filtered, filters.sort);
+  }
+
+  /**
+   * Render the grid for the current filters, refresh facet counts and the URL
    */
-  static renderProducts(category = 'all') {
+  static renderProducts() {
     const grid = DOMUtils.$('#productGrid');
     if (!grid) return;
 
     const state = useAppState.getState();
 
-    if (state.isLoading) {
+    if (state.loading && !state.products.length) {
       grid.innerHTML = `<p class="state-message">${t('Loading...')}</p>`;
       return;
     }
 
-    const filteredProducts = ProductFilter.filterByCategory(state.products, category);
-    const virtualScroll = new VirtualScroll(grid, filteredProducts, ProductComponent.createCard, 10);
-    virtualScroll.render();
+    const visible = this.getVisibleProducts();
+    const noResults = DOMUtils.$('#noResultsState');
+    const empty = state.products.length > 0 && !visible.length;
+
+    if (noResults) noResults.hidden = !empty;
+    if (empty && noResults) {
+      grid.innerHTML = '';
+    } else {
+      const virtualScroll = new VirtualScroll(grid, visible, ProductComponent.createCard, 10);
+      virtualScroll.render();
+    }
+
+    const status = DOMUtils.$('#searchResults');
+    if (status) {
+      status.textContent = t('{count} products shown').replace('{count}', visible.length);
+    }
+
+    this.renderFacets();
+    this.syncUrl();
 
     // Attach listeners once
     if (!this.listenersAttached) {
@@ -263,21 +299,166 @@ export class ProductManager {
     }
   }
 
+  /**
+   * Update filters and re-render. A new sort restarts pagination so pages
+   * still arrive from Firestore in that order.
+   * @param {Object} update - Partial filters
+   */
+  static applyFilters(update) {
+    const state = useAppState.getState();
+    const sortChanged = update.sort && update.sort !== state.filters.sort;
+
+    state.setFilters(update);
+
+    if (sortChanged && this.services) {
+      state.resetProducts();
+      productSearch.clear();
+      this.loadProducts(this.services);
+      return;
+    }
+
+    this.renderProducts();
+    this.loadRestForFilters();
+  }
+
+  /**
+   * Clear every filter and the search box (sort is kept)
+   */
+  static clearFilters() {
+    useAppState.getState().resetFilters();
+
+    const input = DOMUtils.$('#searchInput');
+    const clear = DOMUtils.$('#searchClear');
+    if (input) input.value = '';
+    if (clear) clear.style.display = 'none';
+
+    this.syncControls();
+    this.renderProducts();
+  }
+
+  /**
+   * Draw the facet panel with live counts
+   */
+  static renderFacets() {
+    const panel = DOMUtils.$('#facetPanel');
+    if (!panel) return;
+
+    const { products, filters, hasMore } = useAppState.getState();
+    const searched = filters.q ? productSearch.search(filters.q) : products;
+    const counts = ProductFilter.facetCounts(searched, filters);
+    // Until every page is in (see loadRestForFilters), say what the counts cover
+    const partial = hasMore && products.length > 0;
+
+    // Re-rendering replaces the inputs, so remember which one had focus
+    const focused = document.activeElement?.closest?.('#facetPanel [data-facet], #facetPanel #inStockOnly');
+    const focusKey = focused ? `${focused.dataset.facet || 'inStock'}:${focused.value}` : null;
+
+    const option = (key, value, label, count) => `
+      <label class="facet__option${count ? '' : ' facet__option--empty'}">
+        <input type="checkbox" data-facet="${key}" value="${value}"
+               ${filters[key].includes(value) ? 'checked' : ''} ${count || filters[key].includes(value) ? '' : 'disabled'}>
+        <span>${label}</span>
+        <span class="facet__count">${count}</span>
+      </label>
+    `;
+
+    const groups = FACETS.map(({ key, label }) => {
+      const values = key === 'price'
+        ? PRICE_RANGES.filter((range) => range.id in counts.price).map((range) => [range.id, range.label])
+        : Object.keys(counts[key]).sort((a, b) => a.localeCompare(b)).map((value) => [value, value]);
+
+      if (!values.length) return '';
+
+      return `
+        <fieldset class="facet">
+          <legend class="facet__title">${t(label)}</legend>
+          ${values.map(([value, text]) => option(key, value, text, counts[key][value])).join('')}
+        </fieldset>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <div class="facet-panel__header">
+        <h2 class="facet-panel__title">${t('Filters')}</h2>
+        ${ProductFilter.isActive(filters) ? `<button type="button" class="btn btn--text" id="resetFacets">${t('Clear All Filters')}</button>` : ''}
+      </div>
+      ${partial ? `<p class="facet-panel__note">${t('Counts cover the {count} products loaded so far').replace('{count}', products.length)}</p>` : ''}
+      <label class="facet__option facet__option--toggle">
+        <input type="checkbox" id="inStockOnly" value="1" ${filters.inStock ? 'checked' : ''}>
+        <span>${t('In stock only')}</span>
+        <span class="facet__count">${counts.inStock}</span>
+      </label>
+      ${groups}
+      <a id="shareFilters" class="btn btn--outline facet-panel__share" target="_blank" rel="noopener">
+        ${t('Share on WhatsApp')}
+      </a>
+    `;
+
+    if (focusKey) {
+      const [key, value] = focusKey.split(/:(.*)/s);
+      const target = key === 'inStock'
+        ? DOMUtils.$('#inStockOnly', panel)
+        : DOMUtils.$$(`[data-facet="${key}"]`, panel).find((input) => input.value === value);
+      target?.focus();
+    }
+  }
+
+  /**
+   * Mirror the filters in the address bar so the view can be shared and restored
+   */
+  static syncUrl() {
+    // The listing may re-render under an open product; keep its URL as is
+    if (window.location.pathname.startsWith('/products/')) return;
+
+    const query = ProductFilter.toQueryString(useAppState.getState().filters);
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+
+    const share = DOMUtils.$('#shareFilters');
+    if (share) {
+      const message = `${t('Have a look at this collection')}: ${window.location.href}`;
+      share.href = `https://wa.me/?text=${encodeURIComponent(message)}`;
+    }
+  }
+
+  /**
+   * Set category buttons, sort select and search box from the current filters
+   */
+  static syncControls() {
+    const { filters } = useAppState.getState();
+
+    DOMUtils.$$('.filter-btn').forEach((btn) => {
+      const active = btn.dataset.category === filters.category;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-selected', String(active));
+    });
+
+    const sortBy = DOMUtils.$('#sortBy');
+    if (sortBy) sortBy.value = filters.sort;
+
+    const input = DOMUtils.$('#searchInput');
+    const clear = DOMUtils.$('#searchClear');
+    if (input) input.value = filters.q;
+    if (clear) clear.style.display = filters.q ? 'block' : 'none';
+  }
+
   /**
    * Attach event listeners to product grid
    * @param {Element} grid - Product grid element
    */
   static attachProductListeners(grid) {
     // View details button
-    DOMUtils.on('click', '.product-card__btn', async (e) => {
+    DOMUtils.on('click', '.product-card__btn', (e) => {
       const button = e.delegateTarget;
       const productId = button.dataset.id;
       const state = useAppState.getState();
       const product = state.products.find((p) => p.id === productId);
       
       if (product) {
-        const { ModalManager } = await import('../components/modal.js');
-        ModalManager.show(product);
+        this.openProduct(product);
       }
     }, grid);
 
@@ -299,21 +480,45 @@ export class ProductManager {
   }
 
   /**
-   * Setup filter buttons
+   * Setup category buttons, sort dropdown and facet panel
    */
   static setupFilters() {
     DOMUtils.$$('.filter-btn').forEach((btn) => {
       btn.addEventListener('click', () => {
-        DOMUtils.$$('.filter-btn').forEach((b) => {
-          b.classList.remove('active');
-          b.setAttribute('aria-selected', 'false');
-        });
-        
-        btn.classList.add('active');
-        btn.setAttribute('aria-selected', 'true');
-        this.renderProducts(btn.dataset.category);
+        useAppState.getState().setFilters({ category: btn.dataset.category });
+        this.syncControls();
+        this.renderProducts();
+        this.loadRestForFilters();
       });
     });
+
+    const sortBy = DOMUtils.$('#sortBy');
+    if (sortBy) {
+      sortBy.addEventListener('change', () => this.applyFilters({ sort: sortBy.value }));
+    }
+
+    const panel = DOMUtils.$('#facetPanel');
+    if (panel) {
+      panel.addEventListener('change', (e) => {
+        if (e.target.id === 'inStockOnly') {
+          this.applyFilters({ inStock: e.target.checked });
+          return;
+        }
+
+        const key = e.target.dataset.facet;
+        if (!key) return;
+
+        const selected = useAppState.getState().filters[key].filter((value) => value !== e.target.value);
+        this.applyFilters({ [key]: e.target.checked ? [...selected, e.target.value] : selected });
+      });
+
+      DOMUtils.on('click', '#resetFacets', () => this.clearFilters(), panel);
+    }
+
+    const clearFilters = DOMUtils.$('#clearFilters');
+    if (clearFilters) {
+      clearFilters.addEventListener('click', () => this.clearFilters());
+    }
   }
 
   /**
@@ -335,26 +540,8 @@ export class ProductManager {
       searchTimeout = setTimeout(() => {
         const query = e.target.value.trim().toLowerCase();
 
-        if (query.length < 2) {
-          this.renderProducts('all');
-          if (clear) clear.style.display = 'none';
-          return;
-        }
-
-        if (!this.fuse) {
-          console.warn('Search not ready - products still loading');
-          return;
-        }
-
-        const results = this.fuse.search(query);
-
-        if (results.length > 0) {
-          this.renderFilteredProducts(results.map((r) => r.item));
-        } else {
-          this.renderProducts('none');
-        }
-
-        if (clear) clear.style.display = 'block';
+        if (clear) clear.style.display = query ? 'block' : 'none';
+        this.applyFilters({ q: query.length < 2 ? '' : query });
       }, 300);
     });
 
@@ -363,7 +550,7 @@ export class ProductManager {
       clear.addEventListener('click', () => {
         input.value = '';
         clear.style.display = 'none';
-        this.renderProducts('all');
+        this.applyFilters({ q: '' });
         input.focus();
       });
     }
@@ -393,13 +580,8 @@ export class ProductManager {
           const query = command.replace('search', '').trim();
           input.value = query;
 
-          if (this.fuse && query.length >= 2) {
-            const results = this.fuse.search(query);
-            if (results.length > 0) {
-              this.renderFilteredProducts(results.map((r) => r.item));
-            } else {
-              this.renderProducts('none');
-            }
+          if (query.length >= 2) {
+            this.applyFilters({ q: query });
           }
           
           if (clear) clear.style.display = 'block';
@@ -419,21 +601,146 @@ export class ProductManager {
   }
 
   /**
-   * Render filtered products
-   * @param {Array} products - Filtered products
+   * Shareable path for a product (older products without a slug use their id)
+   * @param {Object} product
+   * @returns {string}
    */
-  static renderFilteredProducts(products) {
-    const grid = DOMUtils.$('#productGrid');
-    if (!grid) return;
+  static productPath(product) {
+    return `/products/${encodeURIComponent(product.slug || product.id)}`;
+  }
 
-    grid.innerHTML = '';
-    const fragment = document.createDocumentFragment();
-    
-    products.forEach((product, index) => {
-      fragment.appendChild(ProductComponent.createCard(product, index));
+  /**
+   * Open a product from the listing: push /products/:slug and show the modal.
+   * The history entry remembers the modal so back/forward reopen or close it.
+   * @param {Object} product
+   */
+  static openProduct(product) {
+    Router.navigate(this.productPath(product), { productId: product.id, modal: true });
+  }
+
+  /**
+   * Find a product by slug or id - loaded products first, then Firestore
+   * @param {string} slugOrId
+   * @returns {Promise<Object|null>}
+   */
+  static async findProduct(slugOrId) {
+    const state = useAppState.getState();
+    const loaded = state.products.find((p) => p.slug === slugOrId || p.id === slugOrId);
+    if (loaded) return loaded;
+
+    const { productService } = this.services;
+    let product = await productService.getProductBySlug(slugOrId);
+
+    if (!product) {
+      // Links shared before products had slugs use the document id
+      product = await productService.getProductById(slugOrId).catch((error) => {
+        // getProductById reports a missing document as a (wrapped) ValidationError
+        if ((error.originalError || error).code === 'validation-error') return null;
+        throw error;
+      });
+    }
+
+    // Keep it in the store so Add to Cart can find it, and in the search index
+    if (product) {
+      state.addProducts([product]);
+      productSearch.addProducts([product]);
+    }
+    return product;
+  }
+
+  /**
+   * `/products/:slug` route - the modal when opened from the listing,
+   * a full product page when the link was opened directly
+   * @param {Object} params - { slug }
+   * @param {Object} state - History state
+   */
+  static async showProductRoute({ slug }, state) {
+    let product;
+    try {
+      product = await this.findProduct(slug);
+    } catch (error) {
+      console.error('Failed to load product:', error);
+      DOMUtils.showToast(t('Failed to load'), 'error');
+      return;
+    }
+
+    if (!product) {
+      DOMUtils.showToast(t('Product not found'), 'error');
+      if (!state.modal) Router.navigate('/pages/products.html');
+      return;
+    }
+
+    this.setDocumentMeta(product);
+
+    if (state.modal) {
+      ModalManager.show(product, {
+        // Closing the modal steps back to the listing entry it was opened from
+        onHide: () => {
+          if (window.history.state?.modal) window.history.back();
+        }
+      });
+      return;
+    }
+
+    const page = DOMUtils.$('#productPage');
+    if (page) {
+      document.body.classList.add('product-page-view');
+      ModalManager.showPage(product, page);
+      window.scrollTo(0, 0);
+    } else {
+      ModalManager.show(product);
+    }
+  }
+
+  /**
+   * Listing routes - close the product modal or page and restore the listing
+   */
+  static showListingRoute() {
+    this.setDocumentMeta(null);
+
+    if (DOMUtils.$('#productModal.active')) {
+      ModalManager.hide();
+    }
+
+    const page = DOMUtils.$('#productPage');
+    if (page && !page.hidden) {
+      page.hidden = true;
+      page.innerHTML = '';
+      document.body.classList.remove('product-page-view');
+    }
+  }
+
+  /**
+   * Point the title and description at a product, or back at the listing
+   * @param {Object|null} product
+   */
+  static setDocumentMeta(product) {
+    const description = DOMUtils.$('meta[name="description"]');
+
+    if (!this.listingMeta) {
+      this.listingMeta = { title: document.title, description: description?.content || '' };
+    }
+
+    document.title = product ? `${product.name} | Jeelani Textiles` : this.listingMeta.title;
+    if (description) {
+      description.content = product
+        ? (product.description || '').slice(0, 160)
+        : this.listingMeta.description;
+    }
+  }
+
+  /**
+   * Register product routes and show whatever the current URL points at
+   */
+  static setupRoutes() {
+    Router.register('/products/:slug', (params, state) => this.showProductRoute(params, state));
+    ['/', '/index.html', '/products', '/pages/products.html'].forEach((path) => {
+      Router.register(path, () => this.showListingRoute());
     });
-    
-    grid.appendChild(fragment);
+
+    if (window.location.pathname.startsWith('/products/')) {
+      Router.resolve(window.location.pathname, window.history.state || {});
+    }
   }
 
   /**
@@ -447,7 +754,7 @@ export class ProductManager {
     const observer = new IntersectionObserver(
       (entries) => {
         const state = useAppState.getState();
-        if (entries[0].isIntersecting && !state.isLoading) {
+        if (entries[0].isIntersecting && !state.loading && state.hasMore) {
           this.loadProducts(services);
         }
       },
@@ -465,15 +772,14 @@ export class ProductManager {
    * @returns {Promise<boolean>}
    */
   static async reserveStock(services, productId, quantity) {
-    if (!services.firestore) {
-      console.error('Firestore not available');
+    if (!services.reservationService) {
+      console.error('Reservation service not available');
       return false;
     }
 
     try {
-      // This would need to be implemented in firebase.js ProductService
-      // For now, just a placeholder
-      console.log(`Reserving ${quantity} of product ${productId}`);
+      const { CartManager } = await import('./cart.js');
+      await CartManager.reserveStock(services, [{ productId, quantity }]);
       return true;
     } catch (error) {
       console.error('Failed to reserve stock:', error);
@@ -487,10 +793,17 @@ export class ProductManager {
    * @param {Object} services - Firebase services
    */
   static async init(services) {
+    this.services = services;
+
+    // Restore a shared or bookmarked view (?category=sarees&fabric=Silk&sort=price-asc)
+    useAppState.getState().setFilters(ProductFilter.fromQueryString(window.location.search));
+    this.syncControls();
+
     await this.loadProducts(services);
     this.setupInfiniteScroll(services);
     this.setupFilters();
     this.setupSearch(services);
+    this.setupRoutes();
 
     const loadMoreBtn = DOMUtils.$('#loadMore');
     if (loadMoreBtn) {
@@ -12,6 +12,8 @@ import { useAppState } from '../state/store.js';
  * Recommendation Manager - Personalized product recommendations
  */
 export class RecommendationManager {
+  static services = null;
+
   /**
    * Get recommended products (excluding viewed)
    * @returns {Array} Recommended products
@@ -70,7 +72,8 @@ export class RecommendationManager {
   }
 
   /**
-   * Track product view
+   * Track product view. The first view per visitor also counts towards the
+   * product's views on the admin dashboard.
    * @param {string} productId - Product ID
    */
   static trackView(productId) {
@@ -79,13 +82,17 @@ export class RecommendationManager {
     if (!viewed.includes(productId)) {
       viewed.push(productId);
       SafeStorage.setJSON('viewedProducts', viewed);
+      this.services?.productService.recordView(productId);
     }
   }
 
   /**
    * Initialize recommendation manager
+   * @param {Object} services - Firebase services
    */
-  static init() {
+  static init(services) {
+    this.services = services;
+
     DOMUtils.on('click', '.product-card__btn', (e) => {
       const button = e.delegateTarget;
       const productId = button?.dataset.id;
@@ -0,0 +1,152 @@
+/**
+ * @file managers/review-moderation.js
+ * @description Admin review queue - approve and reject product reviews
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { escapeHTML } from '../utils/markdown.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Review Moderation Manager - Pending queue and published reviews.
+ * Approving or rejecting recounts the product's rating.
+ */
+export class ReviewModerationManager {
+  static services = null;
+  static status = 'pending';
+  static reviews = [];
+
+  /**
+   * Render the current status's reviews
+   */
+  static renderList() {
+    const list = DOMUtils.$('#reviewQueue');
+    if (!list) return;
+
+    if (!this.reviews.length) {
+      list.innerHTML = `<li class="loading-row">No ${STATUS_LABELS[this.status].toLowerCase()} reviews</li>`;
+      return;
+    }
+
+    const button = (action, label) => `<button type="button" class="btn btn--secondary" data-review-moderate="${action}">${label}</button>`;
+
+    list.innerHTML = this.reviews.map(({ id, productName, author, rating, title, body, photos = [], verified, orderNumber, helpful, status, updatedAt, moderatedBy }) => {
+      const submitted = updatedAt ? new Date(toMillis(updatedAt)).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : '';
+
+      return `
+        <li class="testimonial-queue__item" data-id="${id}">
+          ${photos.map((photo, i) => `<a href="${escapeHTML(photo)}" target="_blank" rel="noopener noreferrer"><img src="${escapeHTML(photo)}" alt="Photo ${i + 1} from ${escapeHTML(author)}" width="64" height="64" loading="lazy"></a>`).join('')}
+          <div class="testimonial-queue__body">
+            <p>
+              <strong>${escapeHTML(productName)}</strong> · ${escapeHTML(author)}
+              <span class="testimonial-queue__stars" aria-label="Rated ${rating} out of 5">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>
+              ${verified ? '<span class="badge success">Verified purchase</span>' : ''}
+            </p>
+            ${title ? `<p><strong>${escapeHTML(title)}</strong></p>` : ''}
+            <blockquote>${escapeHTML(body)}</blockquote>
+            <small>
+              ${submitted}
+              ${orderNumber ? ` · Order <code>${escapeHTML(orderNumber)}</code>` : ' · No matching order'}
+              ${helpful ? ` · ${helpful} found it helpful` : ''}
+              ${moderatedBy ? ` · Moderated by ${escapeHTML(moderatedBy)}` : ''}
+            </small>
+          </div>
+          <div class="testimonial-queue__actions">
+            ${status !== 'approved' ? button('approved', 'Approve') : ''}
+            ${status !== 'rejected' ? button('rejected', 'Reject') : ''}
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Pending count on the filter button and nav link
+   * @param {number} pending
+   */
+  static renderPendingCount(pending) {
+    DOMUtils.$$('[data-review-pending]').forEach((badge) => {
+      badge.textContent = pending;
+      badge.hidden = !pending;
+    });
+  }
+
+  /**
+   * Load the selected status
+   */
+  static async load() {
+    const error = DOMUtils.$('#reviewError');
+    const { reviewService } = this.services;
+
+    try {
+      this.reviews = await reviewService.getReviewsByStatus(this.status);
+      const pending = this.status === 'pending'
+        ? this.reviews.length
+        : (await reviewService.getReviewsByStatus('pending')).length;
+      this.renderPendingCount(pending);
+      if (error) error.textContent = '';
+    } catch (err) {
+      console.error('Failed to load reviews:', err);
+      this.reviews = [];
+      if (error) error.textContent = `Could not load reviews: ${err.message}`;
+    }
+    this.renderList();
+  }
+
+  /**
+   * Approve or reject one review
+   * @param {string} id
+   * @param {string} status - approved | rejected
+   */
+  static async moderate(id, status) {
+    const review = this.reviews.find((r) => r.id === id);
+    if (!review) return;
+
+    try {
+      await this.services.reviewService.moderateReview(id, status, review.productId);
+      DOMUtils.showToast(status === 'approved' ? 'Review approved' : 'Review rejected', 'success');
+      await this.load();
+    } catch (error) {
+      console.error('Moderation failed:', error);
+      DOMUtils.showToast(`Could not update review: ${error.message}`, 'error');
+      this.renderList();
+    }
+  }
+
+  /**
+   * Initialize the review queue
+   * @param {Object} services - Firebase services
+   */
+  static async init(services) {
+    this.services = services;
+
+    DOMUtils.$$('[data-review-filter]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.status = button.dataset.reviewFilter;
+        DOMUtils.$$('[data-review-filter]').forEach((b) => b.setAttribute('aria-pressed', String(b === button)));
+        this.load();
+      });
+    });
+
+    const list = DOMUtils.$('#reviewQueue');
+    if (list) {
+      DOMUtils.on('click', '[data-review-moderate]', (e) => {
+        const button = e.delegateTarget;
+        button.disabled = true;
+        this.moderate(button.closest('.testimonial-queue__item').dataset.id, button.dataset.reviewModerate);
+      }, list);
+    }
+
+    await this.load();
+  }
+}
+
+export default ReviewModerationManager;
@@ -0,0 +1,365 @@
+/**
+ * @file managers/review.js
+ * @description Product reviews under the product details - list, sort,
+ * helpful votes and the write-a-review form
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { SafeStorage } from '../utils/storage.js';
+import { useAppState } from '../state/store.js';
+import { validate, reviewSchema, MAX_REVIEW_PHOTOS } from '../utils/validation.js';
+import { escapeHTML } from '../utils/markdown.js';
+import { processImage, SOURCE_TYPES, MAX_SOURCE_SIZE } from '../utils/images.js';
+import { ModalManager } from '../components/modal.js';
+import { StarRating } from '../components/star-rating.js';
+
+const SORTS = {
+  helpful: 'Most helpful',
+  newest: 'Newest',
+  photos: 'With photos'
+};
+
+// Reviews this browser has voted helpful
+const VOTES_KEY = 'reviewVotes';
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Review Manager - Reviews section of the product modal and page
+ */
+export class ReviewManager {
+  static services = null;
+  static products = new Map();
+
+  /**
+   * @param {Array<Object>} reviews - Approved reviews
+   * @param {string} sort - Key of SORTS; "photos" keeps only reviews with photos
+   * @returns {Array<Object>}
+   */
+  static sortReviews(reviews, sort) {
+    const newest = (a, b) => toMillis(b.createdAt) - toMillis(a.createdAt);
+
+    switch (sort) {
+      case 'newest':
+        return [...reviews].sort(newest);
+      case 'photos':
+        return reviews.filter((review) => review.photos?.length).sort(newest);
+      default:
+        return [...reviews].sort((a, b) => (b.helpful || 0) - (a.helpful || 0) || newest(a, b));
+    }
+  }
+
+  /**
+   * @param {Object} review
+   * @returns {string}
+   */
+  static renderReview(review) {
+    const { id, author, rating, title, body, photos = [], verified, helpful = 0, createdAt } = review;
+    const voted = SafeStorage.getJSON(VOTES_KEY, []).includes(id);
+    const date = createdAt ? new Date(toMillis(createdAt)).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : '';
+
+    return `
+      <li class="review" data-review-id="${id}">
+        <p class="review__header">
+          ${StarRating.render(rating)}
+          ${title ? `<strong>${escapeHTML(title)}</strong>` : ''}
+        </p>
+        <p class="review__meta">
+          ${escapeHTML(author)}${date ? ` · ${date}` : ''}
+          ${verified ? '<span class="review__verified">✓ Verified purchase</span>' : ''}
+        </p>
+        <p class="review__body">${escapeHTML(body)}</p>
+        ${photos.length ? `
+          <div class="review__photos">
+            ${photos.map((photo, i) => `
+              <a href="${escapeHTML(photo)}" target="_blank" rel="noopener noreferrer">
+                <img src="${escapeHTML(photo)}" alt="Photo ${i + 1} from ${escapeHTML(author)}" width="80" height="80" loading="lazy" decoding="async">
+              </a>
+            `).join('')}
+          </div>
+        ` : ''}
+        <button type="button" class="btn btn--secondary review__helpful" data-review-helpful ${voted ? 'disabled aria-pressed="true"' : 'aria-pressed="false"'}>
+          Helpful (${helpful})
+        </button>
+      </li>
+    `;
+  }
+
+  /**
+   * Render a section's reviews in its chosen order
+   * @param {Element} section - .product-reviews
+   */
+  static renderList(section) {
+    const list = DOMUtils.$('.product-reviews__list', section);
+    if (!list) return;
+
+    const reviews = this.sortReviews(this.products.get(section.dataset.productId)?.reviews || [], section.dataset.sort);
+    list.innerHTML = reviews.length
+      ? reviews.map((review) => this.renderReview(review)).join('')
+      : `<li class="state-message">${section.dataset.sort === 'photos' ? 'No reviews with photos yet.' : 'No reviews yet - be the first to review this.'}</li>`;
+  }
+
+  /**
+   * Fill in the reviews section of freshly rendered product details
+   * (ModalManager.onDetails listener)
+   * @param {Element} root - Modal or page container
+   * @param {Object} product
+   */
+  static async mount(root, product) {
+    const section = DOMUtils.$('.product-reviews', root);
+    if (!section) return;
+
+    section.dataset.sort = 'helpful';
+    section.insertAdjacentHTML('beforeend', `
+      ${StarRating.summary(product.rating)}
+      <div class="product-reviews__toolbar">
+        <label for="reviewSort-${product.id}" class="visually-hidden">Sort reviews</label>
+        <select id="reviewSort-${product.id}" class="form-control" data-review-sort>
+          ${Object.entries(SORTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <button type="button" class="btn btn--primary" data-review-write>Write a review</button>
+      </div>
+      <ul class="product-reviews__list" aria-live="polite">
+        <li class="state-message">Loading reviews...</li>
+      </ul>
+    `);
+
+    try {
+      const reviews = await this.services.reviewService.getReviews(product.id);
+      this.products.set(product.id, { product, reviews });
+    } catch (error) {
+      console.error('Failed to load reviews:', error);
+      this.products.set(product.id, { product, reviews: [] });
+      DOMUtils.$('.product-reviews__list', section).innerHTML = '<li class="state-message error">Failed to load reviews.</li>';
+      return;
+    }
+    this.renderList(section);
+  }
+
+  /**
+   * Count a helpful vote, once per browser
+   * @param {Element} button
+   */
+  static async voteHelpful(button) {
+    const item = button.closest('[data-review-id]');
+    const section = button.closest('.product-reviews');
+    const { id } = item.dataset;
+    const votes = SafeStorage.getJSON(VOTES_KEY, []);
+    if (votes.includes(id)) return;
+
+    button.disabled = true;
+    try {
+      await this.services.reviewService.voteHelpful(id);
+      SafeStorage.setJSON(VOTES_KEY, [...votes, id]);
+
+      const review = this.products.get(section.dataset.productId)?.reviews.find((r) => r.id === id);
+      if (review) review.helpful = (review.helpful || 0) + 1;
+      button.textContent = `Helpful (${review?.helpful ?? ''})`;
+      button.setAttribute('aria-pressed', 'true');
+    } catch (error) {
+      console.error('Failed to vote:', error);
+      DOMUtils.showToast('Failed to submit vote', 'error');
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Resize photos and upload them to the customer's storage folder
+   * @param {Array<File>} files
+   * @returns {Promise<Array<string>>} URLs
+   */
+  static async uploadPhotos(files) {
+    if (files.some((file) => !SOURCE_TYPES.includes(file.type) || file.size > MAX_SOURCE_SIZE)) {
+      throw new Error('Photos must be JPEG, PNG or WebP images under 25MB');
+    }
+
+    // The medium rendition shows the weave; the re-encode drops location data
+    return Promise.all(files.map(async (file) => {
+      const { renditions } = await processImage(file);
+      const { jpeg } = renditions.find((rendition) => rendition.key === 'imageMedium');
+      return this.services.reviewService.uploadPhoto(jpeg);
+    }));
+  }
+
+  /**
+   * Write-a-review form. Signed-in customers only; an earlier review of the
+   * product is loaded for editing.
+   * @param {Object} product
+   */
+  static async openForm(product) {
+    const { user } = useAppState.getState();
+    if (!user) {
+      DOMUtils.showToast('Sign in to review this product', 'info', {
+        action: { label: 'Sign in', onClick: () => { window.location.href = '/pages/account.html'; } }
+      });
+      return;
+    }
+
+    const { reviewService } = this.services;
+    let existing = null;
+    let purchase = null;
+    try {
+      [existing, purchase] = await Promise.all([
+        reviewService.getMyReview(product.id),
+        reviewService.findPurchase(product.id)
+      ]);
+    } catch (error) {
+      console.error('Failed to load your review:', error);
+      DOMUtils.showToast(`Could not open the review form: ${error.message}`, 'error');
+      return;
+    }
+
+    const modal = DOMUtils.createElement('div', {
+      id: 'reviewModal',
+      class: 'modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'reviewFormTitle'
+    });
+
+    const star = (value) => `
+      <input type="radio" id="reviewRating${value}" name="rating" value="${value}" ${existing?.rating === value ? 'checked' : ''}>
+      <label for="reviewRating${value}" title="${value} star${value === 1 ? '' : 's'}">★<span class="visually-hidden">${value} star${value === 1 ? '' : 's'}</span></label>
+    `;
+
+    modal.innerHTML = `
+      <div class="modal-overlay" data-close="modal"></div>
+      <div class="modal-content">
+        <h2 id="reviewFormTitle">${existing ? 'Edit your review' : 'Write a review'}</h2>
+        <p>${escapeHTML(product.name)}</p>
+        ${purchase
+          ? `<p class="form-helper">We'll show this as a verified purchase from order <code>${escapeHTML(purchase.orderNumber)}</code>.</p>`
+          : ''}
+        <form id="reviewForm" novalidate>
+          <div class="form-group">
+            <fieldset class="star-rating">
+              <legend class="form-label">Your rating <span class="required">*</span></legend>
+              ${[5, 4, 3, 2, 1].map(star).join('')}
+            </fieldset>
+            <span class="form-error" data-error-for="rating"></span>
+          </div>
+          <div class="form-group">
+            <label for="reviewTitle" class="form-label">Title</label>
+            <input type="text" id="reviewTitle" name="title" class="form-control" maxlength="80" value="${escapeHTML(existing?.title || '')}">
+            <span class="form-error" data-error-for="title"></span>
+          </div>
+          <div class="form-group">
+            <label for="reviewBody" class="form-label">Your review <span class="required">*</span></label>
+            <textarea id="reviewBody" name="body" class="form-textarea" rows="5" maxlength="2000">${escapeHTML(existing?.body || '')}</textarea>
+            <span class="form-error" data-error-for="body"></span>
+          </div>
+          <div class="form-group">
+            <label for="reviewPhotos" class="form-label">Photos</label>
+            <input type="file" id="reviewPhotos" name="photos" accept="${SOURCE_TYPES.join(',')}" multiple>
+            <small class="form-helper">Up to ${MAX_REVIEW_PHOTOS}${existing?.photos?.length ? ' - choosing new photos replaces the ones on your review' : ''}</small>
+            <span class="form-error" data-error-for="photos"></span>
+          </div>
+          <p class="form-helper">Reviews appear once we've checked them${existing ? ' - editing sends yours back for checking' : ''}.</p>
+          <button type="submit" class="btn btn--primary">Submit review</button>
+          <button type="button" class="btn secondary" data-close="modal">Cancel</button>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+    DOMUtils.trapFocus(modal);
+
+    const form = DOMUtils.$('#reviewForm', modal);
+    const close = () => modal.remove();
+    DOMUtils.$$('[data-close="modal"]', modal).forEach((el) => el.addEventListener('click', close));
+
+    const showErrors = (errors) => {
+      DOMUtils.$$('[data-error-for]', modal).forEach((el) => {
+        const error = errors.find((err) => err.field.split('.')[0] === el.dataset.errorFor);
+        el.textContent = error ? error.message : '';
+        el.closest('.form-group').classList.toggle('form-group--error', !!error);
+      });
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const files = Array.from(form.elements.photos.files);
+      const data = {
+        productId: product.id,
+        rating: Number(form.elements.rating.value || 0),
+        title: form.elements.title.value.trim() || undefined,
+        body: form.elements.body.value,
+        photos: existing?.photos || []
+      };
+
+      const problems = validate(reviewSchema, data).errors || [];
+      if (files.length > MAX_REVIEW_PHOTOS) {
+        problems.push({ field: 'photos', message: `Add up to ${MAX_REVIEW_PHOTOS} photos` });
+      }
+      showErrors(problems);
+      if (problems.length) {
+        form.querySelector('.form-group--error input, .form-group--error textarea')?.focus();
+        return;
+      }
+
+      const submit = DOMUtils.$('button[type="submit"]', form);
+      submit.disabled = true;
+      try {
+        if (files.length) {
+          submit.textContent = 'Uploading photos…';
+          try {
+            data.photos = await this.uploadPhotos(files);
+          } catch (error) {
+            showErrors([{ field: 'photos', message: error.message }]);
+            return;
+          }
+        }
+
+        const result = await reviewService.submitReview({
+          ...data,
+          productName: product.name,
+          author: user.displayName,
+          orderId: purchase?.id
+        });
+
+        close();
+        DOMUtils.showToast(
+          result.queued
+            ? 'Saved - we\'ll send your review when you\'re back online'
+            : 'Thanks for your review - it will appear once we\'ve checked it',
+          result.queued ? 'info' : 'success'
+        );
+      } catch (error) {
+        console.error('Failed to submit review:', error);
+        DOMUtils.showToast(`Could not submit your review: ${error.message}`, 'error');
+      } finally {
+        submit.disabled = false;
+        submit.textContent = 'Submit review';
+      }
+    });
+  }
+
+  /**
+   * Initialize review manager
+   * @param {Object} services - Firebase services
+   */
+  static init(services) {
+    this.services = services;
+
+    ModalManager.onDetails((root, product) => this.mount(root, product));
+
+    DOMUtils.on('change', '[data-review-sort]', (e) => {
+      const section = e.delegateTarget.closest('.product-reviews');
+      section.dataset.sort = e.delegateTarget.value;
+      this.renderList(section);
+    });
+
+    DOMUtils.on('click', '[data-review-helpful]', (e) => this.voteHelpful(e.delegateTarget));
+
+    DOMUtils.on('click', '[data-review-write]', (e) => {
+      const { productId } = e.delegateTarget.closest('.product-reviews').dataset;
+      const entry = this.products.get(productId);
+      if (entry) this.openForm(entry.product);
+    });
+  }
+}
+
+export default ReviewManager;
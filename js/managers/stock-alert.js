@@ -0,0 +1,209 @@
+/**
+ * @file managers/stock-alert.js
+ * @description "Notify me" sign-up for sold-out products and variants, and the
+ * confirm and unsubscribe links in its messages (sending them is services/notifier.js)
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { useAppState } from '../state/store.js';
+import { validate, stockSubscriptionSchema } from '../utils/validation.js';
+import { hasVariants, variantLabel } from '../utils/variants.js';
+import { escapeHTML } from '../utils/markdown.js';
+
+/**
+ * "98450 12345", "+91 98450-12345" → "9845012345" (phoneSchema's form)
+ * @param {string} value
+ * @returns {string}
+ */
+function normalisePhone(value) {
+  return value.replace(/\D/g, '').replace(/^(?:91|0)(?=\d{10}$)/, '');
+}
+
+/**
+ * Stock Alert Manager - "Notify me" form, confirm and unsubscribe links
+ */
+export class StockAlertManager {
+  static services = null;
+
+  /**
+   * Ask for an email or WhatsApp number and subscribe it
+   * @param {string} productId
+   * @param {string} [sku] - Variant, when one is picked
+   */
+  static openForm(productId, sku) {
+    const product = useAppState.getState().products.find((p) => p.id === productId);
+    if (!product) return;
+
+    const variant = sku && hasVariants(product) ? product.variants.find((v) => v.sku === sku) : null;
+    const label = variant ? `${product.name} (${variantLabel(variant)})` : product.name;
+    const user = useAppState.getState().user || {};
+
+    const modal = DOMUtils.createElement('div', {
+      id: 'notifyModal',
+      class: 'modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'notifyTitle'
+    });
+
+    modal.innerHTML = `
+      <div class="modal-overlay" data-close="modal"></div>
+      <div class="modal-content">
+        <h2 id="notifyTitle">Notify me</h2>
+        <p>We'll send one message when <strong>${escapeHTML(label)}</strong> is back in stock.</p>
+        <form id="notifyForm" novalidate>
+          <fieldset class="form-group notify-channels">
+            <legend class="form-label">Tell me by</legend>
+            <label class="notify-option"><input type="radio" name="channel" value="email" ${user.phone && !user.email ? '' : 'checked'}> Email</label>
+            <label class="notify-option"><input type="radio" name="channel" value="whatsapp" ${user.phone && !user.email ? 'checked' : ''}> WhatsApp</label>
+            <span class="form-error" data-error-for="channel"></span>
+          </fieldset>
+          <div class="form-group">
+            <label for="notifyContact" class="form-label">Email</label>
+            <input type="email" id="notifyContact" name="contact" class="form-control" autocomplete="email">
+            <span class="form-error" data-error-for="contact"></span>
+          </div>
+          <label class="notify-option notify-option--block">
+            <input type="checkbox" name="priceDrop">
+            Also tell me if the price drops
+          </label>
+          <button type="submit" class="btn btn--primary">Notify me</button>
+          <button type="button" class="btn secondary" data-close="modal">Cancel</button>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+    DOMUtils.trapFocus(modal);
+
+    const form = DOMUtils.$('#notifyForm', modal);
+    const contact = DOMUtils.$('#notifyContact', modal);
+    const close = () => modal.remove();
+
+    // The contact field follows the channel, prefilled for signed-in customers
+    const showChannel = () => {
+      const whatsapp = form.elements.channel.value === 'whatsapp';
+      DOMUtils.$('label[for="notifyContact"]', modal).textContent = whatsapp ? 'WhatsApp number' : 'Email';
+      contact.type = whatsapp ? 'tel' : 'email';
+      contact.autocomplete = whatsapp ? 'tel' : 'email';
+      contact.value = (whatsapp ? user.phone : user.email) || '';
+    };
+    showChannel();
+
+    DOMUtils.$$('[data-close="modal"]', modal).forEach((el) => el.addEventListener('click', close));
+    DOMUtils.$$('input[name="channel"]', modal).forEach((el) => el.addEventListener('change', showChannel));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const channel = form.elements.channel.value;
+      const data = {
+        productId,
+        sku: variant?.sku,
+        channel,
+        contact: channel === 'whatsapp' ? normalisePhone(contact.value) : contact.value,
+        priceDrop: form.elements.priceDrop.checked
+      };
+
+      const { errors } = validate(stockSubscriptionSchema, data);
+      DOMUtils.$$('[data-error-for]', modal).forEach((el) => {
+        const error = errors?.find((err) => err.field === el.dataset.errorFor);
+        el.textContent = error ? error.message : '';
+        el.closest('.form-group').classList.toggle('form-group--error', !!error);
+      });
+      if (errors) {
+        contact.focus();
+        return;
+      }
+
+      const submit = DOMUtils.$('button[type="submit"]', form);
+      submit.disabled = true;
+      try {
+        const result = await this.services.subscriptionService.subscribe(data);
+
+        close();
+        if (result.status === 'active') {
+          DOMUtils.showToast(`You're already on the list for ${label}`, 'info');
+        } else {
+          const where = channel === 'whatsapp' ? 'WhatsApp' : 'your inbox';
+          DOMUtils.showToast(`Almost done - open the link we've sent to ${where} to confirm`, 'success', { duration: 6000 });
+        }
+      } catch (error) {
+        console.error('Failed to subscribe:', error);
+        DOMUtils.showToast(`Could not sign you up: ${error.message}`, 'error');
+        submit.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Take a link's subscription ID and token out of the address bar, so the
+   * token isn't left in history
+   * @param {string} name - Query parameter holding the subscription ID
+   * @returns {{id: string, token: string}|null}
+   */
+  static takeLink(name) {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get(name);
+    const token = params.get('token');
+    if (!id || !token) return null;
+
+    params.delete(name);
+    params.delete('token');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    return { id, token };
+  }
+
+  /**
+   * Confirmation links land on the site with ?confirmAlert=ID&token=TOKEN
+   */
+  static async handleConfirmLink() {
+    const link = this.takeLink('confirmAlert');
+    if (!link) return;
+
+    try {
+      await this.services.subscriptionService.confirm(link.id, link.token);
+      DOMUtils.showToast('You\'re signed up - we\'ll message you when it\'s back', 'success', { duration: 6000 });
+    } catch (error) {
+      console.error('Failed to confirm alert:', error);
+      DOMUtils.showToast(`Could not confirm: ${error.message}`, 'error', { duration: 6000 });
+    }
+  }
+
+  /**
+   * Unsubscribe links from alerts land on the site with ?unsubscribe=ID&token=TOKEN
+   */
+  static async handleUnsubscribeLink() {
+    const link = this.takeLink('unsubscribe');
+    if (!link) return;
+
+    try {
+      await this.services.subscriptionService.unsubscribe(link.id, link.token);
+      DOMUtils.showToast('You won\'t get any more alerts for this product', 'success', { duration: 6000 });
+    } catch (error) {
+      console.error('Failed to unsubscribe:', error);
+      DOMUtils.showToast(`Could not unsubscribe: ${error.message}`, 'error', { duration: 6000 });
+    }
+  }
+
+  /**
+   * Initialize stock alert manager
+   * @param {Object} services - Firebase services
+   */
+  static init(services) {
+    this.services = services;
+
+    DOMUtils.on('click', '.notify-me', (e) => {
+      const button = e.delegateTarget;
+      this.openForm(button.dataset.id, button.dataset.sku || undefined);
+    });
+
+    this.handleConfirmLink();
+    this.handleUnsubscribeLink();
+  }
+}
+
+export default StockAlertManager;
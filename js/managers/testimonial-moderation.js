@@ -0,0 +1,164 @@
+/**
+ * @file managers/testimonial-moderation.js
+ * @description Admin testimonial queue - approve, reject and feature customer testimonials
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { escapeHTML } from '../utils/markdown.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Testimonial Moderation Manager - Pending queue and published testimonials
+ */
+export class TestimonialModerationManager {
+  static services = null;
+  static status = 'pending';
+  static testimonials = [];
+
+  /**
+   * @param {Object} testimonial
+   * @returns {string} Action buttons for its current state
+   */
+  static renderActions({ status, featured }) {
+    const button = (action, label) => `<button type="button" class="btn btn--secondary" data-moderate="${action}">${label}</button>`;
+
+    return [
+      status !== 'approved' && button('approve', 'Approve'),
+      status !== 'rejected' && button('reject', 'Reject'),
+      button(featured ? 'unfeature' : 'feature', featured ? 'Unfeature' : 'Feature')
+    ].filter(Boolean).join('');
+  }
+
+  /**
+   * Render the current status's testimonials
+   */
+  static renderList() {
+    const list = DOMUtils.$('#testimonialQueue');
+    if (!list) return;
+
+    if (!this.testimonials.length) {
+      list.innerHTML = `<li class="loading-row">No ${STATUS_LABELS[this.status].toLowerCase()} testimonials</li>`;
+      return;
+    }
+
+    list.innerHTML = this.testimonials.map((testimonial) => {
+      const { id, author, city, rating, quote, orderRef, photo, featured, createdAt, moderatedBy } = testimonial;
+      const submitted = createdAt ? new Date(toMillis(createdAt)).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : '';
+
+      return `
+        <li class="testimonial-queue__item" data-id="${id}">
+          ${photo ? `<a href="${escapeHTML(photo)}" target="_blank" rel="noopener noreferrer"><img src="${escapeHTML(photo)}" alt="Photo from ${escapeHTML(author)}" width="64" height="64" loading="lazy"></a>` : ''}
+          <div class="testimonial-queue__body">
+            <p>
+              <strong>${escapeHTML(author)}</strong>${city ? `, ${escapeHTML(city)}` : ''}
+              ${rating ? `<span class="testimonial-queue__stars" aria-label="Rated ${rating} out of 5">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>` : ''}
+              ${featured ? '<span class="badge success">Featured</span>' : ''}
+            </p>
+            <blockquote>${escapeHTML(quote)}</blockquote>
+            <small>
+              ${submitted}
+              ${orderRef ? ` · Order <code>${escapeHTML(orderRef)}</code>` : ' · No order number'}
+              ${moderatedBy ? ` · Moderated by ${escapeHTML(moderatedBy)}` : ''}
+            </small>
+          </div>
+          <div class="testimonial-queue__actions">${this.renderActions(testimonial)}</div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Pending count on the filter button and nav link
+   * @param {number} pending
+   */
+  static renderPendingCount(pending) {
+    DOMUtils.$$('[data-testimonial-pending]').forEach((badge) => {
+      badge.textContent = pending;
+      badge.hidden = !pending;
+    });
+  }
+
+  /**
+   * Load the selected status
+   */
+  static async load() {
+    const error = DOMUtils.$('#testimonialError');
+    const { testimonialService } = this.services;
+
+    try {
+      this.testimonials = await testimonialService.getTestimonials(this.status);
+      const pending = this.status === 'pending'
+        ? this.testimonials.length
+        : (await testimonialService.getTestimonials('pending')).length;
+      this.renderPendingCount(pending);
+      if (error) error.textContent = '';
+    } catch (err) {
+      console.error('Failed to load testimonials:', err);
+      this.testimonials = [];
+      if (error) error.textContent = `Could not load testimonials: ${err.message}`;
+    }
+    this.renderList();
+  }
+
+  /**
+   * Apply one moderation action
+   * @param {string} id
+   * @param {string} action - approve | reject | feature | unfeature
+   */
+  static async moderate(id, action) {
+    const changes = {
+      approve: { status: 'approved' },
+      reject: { status: 'rejected' },
+      feature: { featured: true },
+      unfeature: { featured: false }
+    }[action];
+
+    try {
+      await this.services.testimonialService.moderateTestimonial(id, changes);
+      const messages = { approve: 'Testimonial approved', reject: 'Testimonial rejected', feature: 'Testimonial featured', unfeature: 'Testimonial unfeatured' };
+      DOMUtils.showToast(messages[action], 'success');
+      await this.load();
+    } catch (error) {
+      console.error('Moderation failed:', error);
+      DOMUtils.showToast(`Could not update testimonial: ${error.message}`, 'error');
+      this.renderList();
+    }
+  }
+
+  /**
+   * Initialize the testimonial queue
+   * @param {Object} services - Firebase services
+   */
+  static async init(services) {
+    this.services = services;
+
+    DOMUtils.$$('[data-testimonial-filter]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.status = button.dataset.testimonialFilter;
+        DOMUtils.$$('[data-testimonial-filter]').forEach((b) => b.setAttribute('aria-pressed', String(b === button)));
+        this.load();
+      });
+    });
+
+    const list = DOMUtils.$('#testimonialQueue');
+    if (list) {
+      DOMUtils.on('click', '[data-moderate]', (e) => {
+        const button = e.delegateTarget;
+        button.disabled = true;
+        this.moderate(button.closest('.testimonial-queue__item').dataset.id, button.dataset.moderate);
+      }, list);
+    }
+
+    await this.load();
+  }
+}
+
+export default TestimonialModerationManager;
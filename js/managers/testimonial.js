@@ -1,18 +1,67 @@
 /**
  * @file managers/testimonial.js
- * @description Testimonial management
+ * @description Testimonial carousel, submission form and rating structured data
  * @version 2.0.0
  */
 
 import { DOMUtils } from '../utils/dom.js';
 import { t } from '../utils/i18n.js';
+import { validate, testimonialSchema } from '../utils/validation.js';
+import { escapeHTML } from '../utils/markdown.js';
+import { processImage, SOURCE_TYPES, MAX_SOURCE_SIZE } from '../utils/images.js';
+import { initSwiper } from '../main.js';
+
+const FORM_FIELDS = {
+  author: 'testimonialAuthor',
+  city: 'testimonialCity',
+  rating: 'testimonialRating',
+  quote: 'testimonialQuote',
+  orderRef: 'testimonialOrder',
+  photo: 'testimonialPhoto'
+};
+
+// Reviews included in the structured data alongside the aggregate
+const STRUCTURED_REVIEWS = 5;
+
+/**
+ * "★★★★☆"
+ * @param {number} rating - 1-5
+ * @returns {string}
+ */
+function stars(rating) {
+  const full = Math.round(rating);
+  return '★'.repeat(full) + '☆'.repeat(5 - full);
+}
 
 /**
- * Testimonial Manager - Handle testimonial loading and rendering
+ * Testimonial Manager - Handle testimonial loading, rendering and submission
  */
 export class TestimonialManager {
+  static services = null;
+
+  /**
+   * @param {Object} testimonial
+   * @returns {string} Swiper slide markup
+   */
+  static renderSlide({ quote, author, city, rating, photo, featured }) {
+    return `
+      <div class="swiper-slide">
+        <figure class="testimonial-card card p-lg${featured ? ' testimonial-card--featured' : ''}">
+          ${rating ? `<p class="testimonial-card__stars" aria-label="Rated ${rating} out of 5">${stars(rating)}</p>` : ''}
+          <blockquote>
+            <p>"${escapeHTML(quote)}"</p>
+          </blockquote>
+          <figcaption class="testimonial-card__author mt-md">
+            ${photo ? `<img src="${escapeHTML(photo)}" alt="" width="48" height="48" loading="lazy" decoding="async">` : ''}
+            <span>– ${escapeHTML(author)}${city ? `, ${escapeHTML(city)}` : ''}</span>
+          </figcaption>
+        </figure>
+      </div>
+    `;
+  }
+
   /**
-   * Render testimonials from Firestore
+   * Render approved testimonials from Firestore in a carousel
    * @param {Object} services - Firebase services
    */
   static async renderTestimonials(services) {
@@ -22,33 +71,29 @@ export class TestimonialManager {
     grid.innerHTML = `<p class="state-message">${t('Loading...')}</p>`;
 
     try {
-      if (!services.firestore) {
-        throw new Error('Firestore not available');
-      }
+      const [testimonials, rating] = await Promise.all([
+        services.testimonialService.getApprovedTestimonials(),
+        services.testimonialService.getRatingSummary()
+      ]);
 
-      // Import Firebase methods
-      const { collection, getDocs } = await import('https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js');
-
-      const querySnapshot = await getDocs(collection(services.firestore, 'testimonials'));
-
-      if (querySnapshot.empty) {
-        grid.innerHTML = '<p class="state-message">No testimonials available.</p>';
+      if (!testimonials.length) {
+        grid.innerHTML = '<p class="state-message">No testimonials yet - be the first to share your experience.</p>';
         return;
       }
 
-      grid.innerHTML = querySnapshot.docs
-        .map((doc) => {
-          const { quote, author } = doc.data();
-          return `
-            <div class="card p-lg" data-aos="fade-up">
-              <blockquote>
-                <p>"${quote}"</p>
-                <footer class="mt-md">– ${author}</footer>
-              </blockquote>
-            </div>
-          `;
-        })
-        .join('');
+      grid.innerHTML = testimonials.map((testimonial) => this.renderSlide(testimonial)).join('');
+
+      initSwiper('.testimonial-swiper', {
+        pagination: { el: '.testimonial-swiper .swiper-pagination', clickable: true },
+        navigation: { nextEl: '.testimonial-swiper .swiper-button-next', prevEl: '.testimonial-swiper .swiper-button-prev' },
+        breakpoints: {
+          768: { slidesPerView: 2, spaceBetween: 24 },
+          1024: { slidesPerView: 3, spaceBetween: 32 }
+        }
+      });
+
+      this.renderRating(rating);
+      this.updateStructuredData(rating, testimonials);
     } catch (error) {
       console.error('Failed to load testimonials:', error);
       grid.innerHTML = '<p class="state-message error">Failed to load testimonials.</p>';
@@ -56,13 +101,186 @@ export class TestimonialManager {
     }
   }
 
+  /**
+   * Average rating under the heading
+   * @param {{count: number, average: number|null}} rating
+   */
+  static renderRating({ count, average }) {
+    const el = DOMUtils.$('#testimonialSummary');
+    if (!el || !count) return;
+
+    el.innerHTML = `
+      <span class="testimonial-card__stars" aria-hidden="true">${stars(average)}</span>
+      ${average.toFixed(1)} out of 5 from ${count} customer review${count === 1 ? '' : 's'}
+    `;
+  }
+
+  /**
+   * Add the aggregate rating and latest reviews to the page's Organization
+   * JSON-LD so search engines can show them
+   * @param {{count: number, average: number|null}} rating
+   * @param {Array<Object>} testimonials
+   */
+  static updateStructuredData({ count, average }, testimonials) {
+    if (!count) return;
+
+    const script = DOMUtils.$$('script[type="application/ld+json"]').find((el) => {
+      try {
+        return JSON.parse(el.textContent)['@type'] === 'Organization';
+      } catch {
+        return false;
+      }
+    });
+    if (!script) return;
+
+    const data = JSON.parse(script.textContent);
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Number(average.toFixed(1)),
+      reviewCount: count,
+      bestRating: 5,
+      worstRating: 1
+    };
+    data.review = testimonials
+      .filter((testimonial) => testimonial.rating)
+      .slice(0, STRUCTURED_REVIEWS)
+      .map((testimonial) => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: testimonial.author },
+        reviewBody: testimonial.quote,
+        reviewRating: { '@type': 'Rating', ratingValue: testimonial.rating, bestRating: 5, worstRating: 1 },
+        ...(testimonial.createdAt?.toDate ? { datePublished: testimonial.createdAt.toDate().toISOString().slice(0, 10) } : {})
+      }));
+
+    script.textContent = JSON.stringify(data, null, 2);
+  }
+
+  // ==========================================================================
+  // SUBMISSION FORM
+  // ==========================================================================
+
+  /**
+   * Show or clear the inline error for a testimonialSchema field
+   * @param {string} field
+   * @param {string} message - Empty to clear
+   */
+  static setFieldError(field, message) {
+    const id = FORM_FIELDS[field];
+    const error = id && DOMUtils.$(`#${id}Error`);
+    if (!error) return;
+
+    error.textContent = message;
+    error.closest('.form-group')?.classList.toggle('form-group--error', !!message);
+
+    const control = DOMUtils.$(`#${id}`);
+    if (message) control?.setAttribute('aria-invalid', 'true');
+    else control?.removeAttribute('aria-invalid');
+  }
+
+  /**
+   * Read the form into testimonialSchema shape
+   * @param {HTMLFormElement} form
+   * @returns {Object}
+   */
+  static readForm(form) {
+    const text = (id) => DOMUtils.$(`#${id}`, form).value.trim() || undefined;
+
+    return {
+      author: text(FORM_FIELDS.author) || '',
+      city: text(FORM_FIELDS.city),
+      rating: Number(DOMUtils.$('input[name="rating"]:checked', form)?.value || 0),
+      quote: text(FORM_FIELDS.quote) || '',
+      orderRef: text(FORM_FIELDS.orderRef)
+    };
+  }
+
+  /**
+   * Resize the optional photo and upload it
+   * @param {File} file
+   * @returns {Promise<string>} URL
+   */
+  static async uploadPhoto(file) {
+    if (!SOURCE_TYPES.includes(file.type) || file.size > MAX_SOURCE_SIZE) {
+      throw new Error('Photos must be JPEG, PNG or WebP images under 25MB');
+    }
+
+    // The small rendition is plenty for a face or a saree close-up, and the
+    // canvas re-encode drops the photo's location data
+    const { renditions } = await processImage(file);
+    const { jpeg } = renditions.find((rendition) => rendition.key === 'imageSmall');
+    return this.services.testimonialService.uploadPhoto(jpeg);
+  }
+
+  /**
+   * Setup the "share your experience" form
+   */
+  static setupForm() {
+    const form = DOMUtils.$('#testimonialForm');
+    if (!form) return;
+
+    const toggle = DOMUtils.$('#openTestimonialForm');
+    toggle?.addEventListener('click', () => {
+      form.hidden = !form.hidden;
+      toggle.setAttribute('aria-expanded', String(!form.hidden));
+      if (!form.hidden) DOMUtils.$(`#${FORM_FIELDS.author}`, form)?.focus();
+    });
+
+    form.addEventListener('input', (e) => {
+      const field = Object.keys(FORM_FIELDS).find((key) => FORM_FIELDS[key] === e.target.id || (key === 'rating' && e.target.name === 'rating'));
+      if (field) this.setFieldError(field, '');
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      Object.keys(FORM_FIELDS).forEach((field) => this.setFieldError(field, ''));
+
+      const data = this.readForm(form);
+      const result = validate(testimonialSchema, data);
+      if (!result.success) {
+        result.errors.forEach(({ field, message }) => this.setFieldError(field, message));
+        form.querySelector('[aria-invalid="true"]')?.focus();
+        return;
+      }
+
+      const submit = DOMUtils.$('button[type="submit"]', form);
+      const msg = DOMUtils.$('#testimonialMsg', form);
+      submit.disabled = true;
+
+      try {
+        const file = DOMUtils.$(`#${FORM_FIELDS.photo}`, form).files[0];
+        if (file) {
+          if (msg) msg.textContent = 'Uploading your photo…';
+          try {
+            result.data.photo = await this.uploadPhoto(file);
+          } catch (error) {
+            this.setFieldError('photo', error.message);
+            if (msg) msg.textContent = '';
+            return;
+          }
+        }
+
+        await this.services.testimonialService.submitTestimonial(result.data);
+        form.reset();
+        if (msg) msg.textContent = 'Thank you! Your testimonial will appear here once we have read it.';
+        DOMUtils.showToast('Thank you for sharing your experience!', 'success');
+      } catch (error) {
+        console.error('Failed to submit testimonial:', error);
+        if (msg) msg.textContent = `Could not send your testimonial: ${error.message}`;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  }
+
   /**
    * Initialize testimonial manager
    * @param {Object} services - Firebase services
    */
   static async init(services) {
+    this.services = services;
+    this.setupForm();
     await this.renderTestimonials(services);
   }
 }
 
-export default TestimonialManager;
\ No newline at end of file
+export default TestimonialManager;
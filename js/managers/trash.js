@@ -0,0 +1,265 @@
+/**
+ * @file managers/trash.js
+ * @description Admin trash - restore or permanently delete soft-deleted products, FAQs and contacts
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { SafeStorage } from '../utils/storage.js';
+import { sanitize } from '../utils/validation.js';
+import { config } from '../config.js';
+import { PERMISSIONS, can } from '../utils/roles.js';
+
+/**
+ * Trashable collections and the service methods that manage them
+ */
+const TRASH_TYPES = {
+  product: {
+    label: 'Product',
+    service: 'productService',
+    permission: PERMISSIONS.CATALOG,
+    restore: 'restoreProduct',
+    purge: 'purgeProduct',
+    title: (item) => item.name
+  },
+  faq: {
+    label: 'FAQ',
+    service: 'faqService',
+    permission: PERMISSIONS.FAQS,
+    restore: 'restoreFAQ',
+    purge: 'purgeFAQ',
+    title: (item) => item.question
+  },
+  contact: {
+    label: 'Message',
+    service: 'contactService',
+    permission: PERMISSIONS.INBOX,
+    restore: 'restoreContact',
+    purge: 'purgeContact',
+    title: (item) => `${item.name} (${item.email})`
+  }
+};
+
+const UNDO_DURATION = 8000;
+const CONFIRM_DURATION = 4000;
+const PURGE_CHECK_KEY = 'trash:lastPurge';
+const DAY = 24 * 60 * 60 * 1000;
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : new Date(value).getTime() || 0);
+
+/**
+ * Trash Manager - Trash table, undo toasts and the retention purge
+ */
+export class TrashManager {
+  static services = null;
+  static items = [];
+  // TRASH_TYPES keys the signed-in role may manage
+  static types = Object.keys(TRASH_TYPES);
+  static onRestore = null;
+
+  /**
+   * Who is deleting, for `deletedBy`
+   * @param {Object} services - Firebase services
+   * @returns {string|null}
+   */
+  static actor(services) {
+    const user = services.auth?.currentUser;
+    return user?.email || user?.uid || null;
+  }
+
+  /**
+   * Offer to undo a delete for a few seconds
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {Array<string>} ids - Trashed document ids
+   * @param {string} message - Toast text
+   */
+  static showUndo(type, ids, message) {
+    DOMUtils.showToast(message, 'success', {
+      duration: UNDO_DURATION,
+      action: { label: 'Undo', onClick: () => this.restore(type, ids) }
+    });
+  }
+
+  /**
+   * Load every trashed item, newest deletions first
+   */
+  static async load() {
+    const tbody = DOMUtils.$('#trashTableBody');
+    if (!tbody || !this.services) return;
+
+    const { types } = this;
+    const results = await Promise.allSettled(
+      types.map((type) => this.services[TRASH_TYPES[type].service].getTrash())
+    );
+
+    this.items = results
+      .flatMap((result, i) => (result.status === 'fulfilled' ? result.value.map((item) => ({ ...item, type: types[i] })) : []))
+      .sort((a, b) => toMillis(b.deletedAt) - toMillis(a.deletedAt));
+
+    const failed = types.filter((type, i) => results[i].status === 'rejected');
+    if (failed.length) {
+      console.error('Failed to load trash:', results.filter((r) => r.status === 'rejected'));
+    }
+
+    this.render(failed.map((type) => TRASH_TYPES[type].label));
+  }
+
+  /**
+   * Render the trash table
+   * @param {Array<string>} [failedLabels] - Types that could not be loaded
+   */
+  static render(failedLabels = []) {
+    const tbody = DOMUtils.$('#trashTableBody');
+    const error = DOMUtils.$('#trashError');
+    if (!tbody) return;
+
+    if (error) error.textContent = failedLabels.length ? `Could not load trashed: ${failedLabels.join(', ')}` : '';
+
+    if (!this.items.length) {
+      tbody.innerHTML = '<tr class="empty-state"><td colspan="5">Trash is empty</td></tr>';
+      return;
+    }
+
+    const retention = config.trash.retentionDays;
+
+    tbody.innerHTML = this.items.map((item) => {
+      const { label, title } = TRASH_TYPES[item.type];
+      const deletedAt = toMillis(item.deletedAt);
+      const daysLeft = Math.max(0, Math.ceil((deletedAt + retention * DAY - Date.now()) / DAY));
+      const name = sanitize(title(item) || item.id);
+
+      return `
+        <tr data-type="${item.type}" data-id="${item.id}">
+          <td>${label}</td>
+          <td>${name}</td>
+          <td>
+            ${deletedAt ? new Date(deletedAt).toLocaleString() : '—'}
+            ${item.deletedBy ? `<br><small>by ${sanitize(item.deletedBy)}</small>` : ''}
+          </td>
+          <td>${daysLeft === 1 ? '1 day' : `${daysLeft} days`}</td>
+          <td>
+            <button type="button" class="btn btn--secondary trash-restore" aria-label="Restore ${name}">Restore</button>
+            <button type="button" class="btn btn--danger trash-purge" aria-label="Delete ${name} permanently">Delete forever</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Take items back out of the trash
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {Array<string>} ids
+   */
+  static async restore(type, ids) {
+    const { service, restore, label } = TRASH_TYPES[type];
+    const results = await Promise.allSettled(ids.map((id) => this.services[service][restore](id)));
+    const failed = results.filter((r) => r.status === 'rejected');
+
+    if (failed.length) {
+      console.error('Restore failed:', failed);
+      DOMUtils.showToast(`Failed to restore ${failed.length} of ${ids.length}`, 'error');
+    } else {
+      DOMUtils.showToast(ids.length === 1 ? `${label} restored` : `${ids.length} items restored`, 'success');
+    }
+
+    if (this.onRestore) await this.onRestore(type);
+    await this.load();
+  }
+
+  /**
+   * Delete one item for good. The first click arms the button, a second
+   * click within a few seconds confirms.
+   * @param {HTMLButtonElement} button
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {string} id
+   */
+  static async purge(button, type, id) {
+    if (!button.dataset.armed) {
+      button.dataset.armed = 'true';
+      button.textContent = 'Click again to delete';
+      setTimeout(() => {
+        delete button.dataset.armed;
+        button.textContent = 'Delete forever';
+      }, CONFIRM_DURATION);
+      return;
+    }
+
+    const { service, purge } = TRASH_TYPES[type];
+    button.disabled = true;
+
+    try {
+      await this.services[service][purge](id);
+      this.items = this.items.filter((item) => !(item.type === type && item.id === id));
+      this.render();
+      DOMUtils.showToast('Deleted permanently', 'success');
+    } catch (error) {
+      console.error('Permanent delete failed:', error);
+      DOMUtils.showToast(`Delete failed: ${error.message}`, 'error');
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Purge items past the retention period, at most once a day per browser
+   */
+  static async purgeExpired() {
+    const lastRun = Number(SafeStorage.get(PURGE_CHECK_KEY, 0));
+    if (Date.now() - lastRun < DAY) return;
+
+    const results = await Promise.allSettled(
+      this.types.map((type) => this.services[TRASH_TYPES[type].service].purgeTrash(config.trash.retentionDays))
+    );
+
+    const purged = results.reduce((sum, r) => sum + (r.status === 'fulfilled' ? r.value.purged : 0), 0);
+    if (results.every((r) => r.status === 'fulfilled')) {
+      SafeStorage.set(PURGE_CHECK_KEY, String(Date.now()));
+    } else {
+      console.warn('Trash purge incomplete:', results.filter((r) => r.status === 'rejected'));
+    }
+
+    if (purged) console.log(`🗑️ Purged ${purged} items older than ${config.trash.retentionDays} days`);
+  }
+
+  /**
+   * Initialize the trash view
+   * @param {Object} services - Firebase services
+   * @param {Object} [options]
+   * @param {string} [options.role] - Staff role; only its collections are shown
+   * @param {Function} [options.onRestore] - (type) => void, e.g. reload the product table
+   */
+  static async init(services, { role, onRestore } = {}) {
+    this.services = services;
+    this.onRestore = onRestore || null;
+    this.types = Object.keys(TRASH_TYPES).filter((type) => can(role, TRASH_TYPES[type].permission));
+    if (!this.types.length) return;
+
+    const tbody = DOMUtils.$('#trashTableBody');
+    if (tbody) {
+      DOMUtils.on('click', '.trash-restore', (e) => {
+        const row = e.delegateTarget.closest('tr');
+        e.delegateTarget.disabled = true;
+        this.restore(row.dataset.type, [row.dataset.id]);
+      }, tbody);
+
+      DOMUtils.on('click', '.trash-purge', (e) => {
+        const row = e.delegateTarget.closest('tr');
+        this.purge(e.delegateTarget, row.dataset.type, row.dataset.id);
+      }, tbody);
+    }
+
+    DOMUtils.$('#refreshTrash')?.addEventListener('click', () => this.load());
+
+    const retention = DOMUtils.$('#trashRetentionDays');
+    if (retention) retention.textContent = config.trash.retentionDays;
+
+    try {
+      await this.purgeExpired();
+    } catch (error) {
+      console.warn('Trash purge skipped:', error);
+    }
+    await this.load();
+  }
+}
+
+export default TrashManager;
@@ -0,0 +1,492 @@
+/**
+ * @file managers/wishlist.js
+ * @description Wishlist - heart toggles, the wishlist page, share links and
+ * sale/back-in-stock alerts for the items a customer asks to hear about
+ * @version 2.0.0
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { useAppState } from '../state/store.js';
+import { validate, wishlistShareSchema, MAX_WISHLIST_ITEMS } from '../utils/validation.js';
+import { hasVariants, isSoldOut } from '../utils/variants.js';
+import { escapeHTML } from '../utils/markdown.js';
+import { SafeStorage } from '../utils/storage.js';
+import { WishlistButton } from '../components/wishlist-button.js';
+
+// Look for sales and restocks at most this often outside the wishlist page
+const ALERT_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const price = (value) => `₹${Number(value).toFixed(2)}`;
+
+/**
+ * Wishlist Manager - Saved products, sharing and alerts
+ */
+export class WishlistManager {
+  static services = null;
+  static products = new Map(); // Current copies of the listed products, by ID
+  static fetched = new Set(); // IDs looked up - missing from products means gone
+  static changes = new Map(); // Sales/restocks spotted this visit, by ID
+  static shareToken = null; // Set when viewing someone else's shared wishlist
+
+  /**
+   * @param {Object} item - Product or wishlist item
+   * @returns {string}
+   */
+  static productPath(item) {
+    return `/products/${encodeURIComponent(item.slug || item.id)}`;
+  }
+
+  /**
+   * @returns {string} The wishlist page, from wherever we are
+   */
+  static pagePath() {
+    return window.location.pathname.includes('/pages/') ? 'wishlist.html' : '/pages/wishlist.html';
+  }
+
+  // ==========================================================================
+  // HEART TOGGLES & COUNT (every shop page)
+  // ==========================================================================
+
+  /**
+   * Save or remove a product
+   * @param {string} id - Product ID
+   */
+  static toggle(id) {
+    const state = useAppState.getState();
+
+    if (state.isInWishlist(id)) {
+      const item = state.wishlist.find((p) => p.id === id);
+      state.removeFromWishlist(id);
+      DOMUtils.showToast(`Removed from wishlist: ${item.name}`, 'info', {
+        duration: 5000,
+        action: { label: 'Undo', onClick: () => useAppState.getState().addToWishlist(item) }
+      });
+      return;
+    }
+
+    const product = state.products.find((p) => p.id === id) || this.products.get(id);
+    if (!product) return;
+
+    if (state.wishlist.length >= MAX_WISHLIST_ITEMS) {
+      DOMUtils.showToast(`Your wishlist holds up to ${MAX_WISHLIST_ITEMS} products - remove one to save this`, 'warning');
+      return;
+    }
+
+    state.addToWishlist(product);
+    DOMUtils.showToast(`Saved to wishlist: ${product.name}`, 'success', {
+      action: { label: 'View', onClick: () => { window.location.href = this.pagePath(); } }
+    });
+  }
+
+  /**
+   * Wishlist size in the navbar
+   */
+  static renderCount() {
+    const count = useAppState.getState().wishlist.length;
+
+    DOMUtils.$$('[data-wishlist-count]').forEach((badge) => {
+      badge.textContent = count;
+      badge.hidden = !count;
+      badge.closest('a')?.setAttribute('aria-label', `Wishlist, ${count} item${count === 1 ? '' : 's'}`);
+    });
+  }
+
+  // ==========================================================================
+  // SALE & BACK-IN-STOCK ALERTS
+  // ==========================================================================
+
+  /**
+   * Compare wishlist items with current copies of their products and
+   * remember what was seen, so each sale or restock is reported once
+   * @param {Array<Object>} products - Current products
+   * @returns {Array<{item: Object, product: Object, onSale: boolean, backInStock: boolean}>}
+   */
+  static refresh(products) {
+    const state = useAppState.getState();
+    const changes = [];
+
+    products.forEach((product) => {
+      const item = state.wishlist.find((p) => p.id === product.id);
+      if (!item) return;
+
+      const soldOut = isSoldOut(product);
+      const onSale = product.price < item.price;
+      const backInStock = item.soldOut && !soldOut;
+
+      if (onSale || backInStock) {
+        const change = { item, product, onSale, backInStock };
+        changes.push(change);
+        this.changes.set(product.id, change);
+      }
+      if (product.price !== item.price || soldOut !== item.soldOut) {
+        state.updateWishlistItem(product.id, { price: product.price, soldOut });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Tell the customer about changes to the items they opted in on
+   * @param {Array<Object>} changes - From refresh
+   */
+  static announce(changes) {
+    const wanted = changes.filter(({ item }) => item.notify);
+    if (!wanted.length) return;
+
+    const view = { label: 'View', onClick: () => { window.location.href = this.pagePath(); } };
+    if (wanted.length > 1) {
+      DOMUtils.showToast(`${wanted.length} items on your wishlist are on sale or back in stock`, 'info', { duration: 8000, action: view });
+      return;
+    }
+
+    const [{ product, backInStock }] = wanted;
+    const message = backInStock
+      ? `${product.name} is back in stock`
+      : `${product.name} is on sale - now ${price(product.price)}`;
+    DOMUtils.showToast(message, 'info', { duration: 8000, action: view });
+  }
+
+  /**
+   * Look up the opted-in items now and then while the customer browses
+   */
+  static async checkAlerts() {
+    const watched = useAppState.getState().wishlist.filter((item) => item.notify);
+    const last = Number(SafeStorage.get('wishlistAlertsCheckedAt', '0'));
+    if (!watched.length || Date.now() - last < ALERT_CHECK_INTERVAL) return;
+
+    SafeStorage.set('wishlistAlertsCheckedAt', String(Date.now()));
+    try {
+      const products = await this.services.productService.getProductsByIds(watched.map((item) => item.id));
+      this.announce(this.refresh(products));
+    } catch (error) {
+      console.error('Failed to check wishlist alerts:', error);
+    }
+  }
+
+  // ==========================================================================
+  // WISHLIST PAGE
+  // ==========================================================================
+
+  /**
+   * @param {Object} item - Wishlist item (or shared item)
+   * @param {boolean} shared - Someone else's list: no alert or remove controls
+   * @returns {string}
+   */
+  static renderItem(item, shared) {
+    const product = this.products.get(item.id);
+    const name = escapeHTML(item.name);
+    const image = escapeHTML(product?.thumbnail || product?.image || item.image || '/assets/images/placeholder.jpg');
+    const change = this.changes.get(item.id);
+
+    if (!product && this.fetched.has(item.id)) {
+      return `
+        <li class="wishlist-item card wishlist-item--gone" data-id="${escapeHTML(item.id)}">
+          <img src="${image}" alt="" width="96" height="96" loading="lazy">
+          <div class="wishlist-item__body">
+            <h3 class="wishlist-item__name">${name}</h3>
+            <p class="state-message">No longer available</p>
+          </div>
+          ${shared ? '' : '<div class="wishlist-item__actions"><button type="button" class="btn" data-wishlist-remove>Remove</button></div>'}
+        </li>
+      `;
+    }
+
+    // Until the product loads, show the item as it was saved
+    const current = product || item;
+    const sold = product ? isSoldOut(product) : item.soldOut;
+    const variants = !!product && hasVariants(product);
+    const path = this.productPath(current);
+    const badges = [
+      change?.onSale && `<span class="wishlist-badge wishlist-badge--sale">Price dropped from ${price(change.item.price)}</span>`,
+      change?.backInStock && '<span class="wishlist-badge wishlist-badge--stock">Back in stock</span>',
+      sold && '<span class="wishlist-badge">Sold out</span>'
+    ].filter(Boolean).join('');
+
+    let buy = `<button type="button" class="btn btn--primary add-to-cart" data-id="${product?.id}">Add to Cart</button>`;
+    if (!product) buy = '';
+    else if (sold) buy = `<button type="button" class="btn notify-me" data-id="${product.id}">Notify me</button>`;
+    else if (variants) buy = `<a class="btn btn--primary" href="${path}">Choose Options</a>`;
+
+    return `
+      <li class="wishlist-item card" data-id="${escapeHTML(item.id)}">
+        <a href="${path}"><img src="${image}" alt="${escapeHTML(current.name)}" width="96" height="96" loading="lazy"></a>
+        <div class="wishlist-item__body">
+          <h3 class="wishlist-item__name"><a href="${path}">${escapeHTML(current.name)}</a></h3>
+          <p class="wishlist-item__price">${variants ? 'From ' : ''}${price(current.price)}</p>
+          ${badges ? `<p class="wishlist-item__badges">${badges}</p>` : ''}
+          ${shared ? '' : `
+            <label class="form-check">
+              <input type="checkbox" data-wishlist-notify ${item.notify ? 'checked' : ''}>
+              Tell me when it's on sale or back in stock
+            </label>
+          `}
+        </div>
+        <div class="wishlist-item__actions">
+          ${buy}
+          ${shared ? WishlistButton.render(current) : '<button type="button" class="btn" data-wishlist-remove>Remove</button>'}
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Draw a list of items with the products loaded so far
+   * @param {Array<Object>} items
+   * @param {boolean} shared
+   */
+  static renderItems(items, shared) {
+    const list = DOMUtils.$('#wishlistItems');
+    const empty = DOMUtils.$('#wishlistEmpty');
+    if (!list) return;
+
+    if (empty) empty.hidden = items.length > 0;
+    list.innerHTML = items.map((item) => this.renderItem(item, shared)).join('');
+  }
+
+  /**
+   * Fetch current copies of the products so prices, stock and Add to Cart
+   * are live, and make them addable to the cart
+   * @param {Array<Object>} items
+   * @returns {Promise<Array<Object>>}
+   */
+  static async loadProducts(items) {
+    const products = await this.services.productService.getProductsByIds(items.map((item) => item.id));
+    items.forEach((item) => this.fetched.add(item.id));
+    products.forEach((product) => this.products.set(product.id, product));
+    useAppState.getState().addProducts(products);
+    return products;
+  }
+
+  /**
+   * The customer's own wishlist
+   */
+  static async renderOwn() {
+    const status = DOMUtils.$('#wishlistStatus');
+    const { wishlist } = useAppState.getState();
+    this.renderItems(wishlist, false);
+    if (!wishlist.length) return;
+
+    try {
+      const products = await this.loadProducts(wishlist);
+      // Every change gets a badge here; opted-in items get a toast as well
+      this.announce(this.refresh(products));
+      SafeStorage.set('wishlistAlertsCheckedAt', String(Date.now()));
+      if (status) status.textContent = '';
+    } catch (error) {
+      console.error('Failed to load wishlist products:', error);
+      if (status) status.textContent = 'Could not check current prices - showing them as you saved them.';
+    }
+    this.renderItems(useAppState.getState().wishlist, false);
+  }
+
+  /**
+   * Someone else's wishlist, opened from their share link
+   * @param {string} token
+   */
+  static async renderShared(token) {
+    const title = DOMUtils.$('#wishlistTitle');
+    const intro = DOMUtils.$('#wishlistIntro');
+    const status = DOMUtils.$('#wishlistStatus');
+    DOMUtils.$('#wishlistShare')?.setAttribute('hidden', '');
+
+    try {
+      const share = await this.services.accountService.getSharedWishlist(token);
+      if (!share) {
+        if (title) title.textContent = 'Wishlist not found';
+        if (status) status.textContent = 'This wishlist is no longer shared. Ask for a new link.';
+        this.renderItems([], true);
+        DOMUtils.$('#wishlistEmpty')?.setAttribute('hidden', '');
+        return;
+      }
+
+      if (title) title.textContent = share.ownerName ? `${share.ownerName}'s wishlist` : 'A shared wishlist';
+      if (intro) intro.textContent = share.note || 'Tap the heart to save any of these to your own wishlist.';
+      this.renderItems(share.items, true);
+      await this.loadProducts(share.items);
+      this.renderItems(share.items, true);
+      if (status) status.textContent = '';
+    } catch (error) {
+      console.error('Failed to load shared wishlist:', error);
+      if (status) status.textContent = `Could not open this wishlist: ${error.message}`;
+    }
+  }
+
+  // ==========================================================================
+  // SHARING
+  // ==========================================================================
+
+  /**
+   * @param {string} token
+   * @returns {string} Absolute share URL
+   */
+  static shareUrl(token) {
+    return new URL(`${this.pagePath()}?share=${encodeURIComponent(token)}`, window.location.href).href;
+  }
+
+  /**
+   * Share panel - sign-in prompt, create form, or the live link
+   */
+  static renderShare() {
+    const panel = DOMUtils.$('#wishlistShare');
+    if (!panel || this.shareToken) return;
+
+    const { user, wishlist } = useAppState.getState();
+    const share = user?.wishlistShare;
+    DOMUtils.$('#wishlistShareSignIn').hidden = !!user;
+    DOMUtils.$('#wishlistShareForm').hidden = !user;
+    DOMUtils.$('#wishlistShareLinkGroup').hidden = !share;
+    if (!user) return;
+
+    DOMUtils.$('#wishlistShareSubmit').textContent = share ? 'Update note' : 'Create share link';
+    DOMUtils.$('#wishlistShareSubmit').disabled = !share && !wishlist.length;
+    const note = DOMUtils.$('#wishlistShareNote');
+    if (document.activeElement !== note) note.value = share?.note || '';
+
+    if (share) {
+      const url = this.shareUrl(share.token);
+      DOMUtils.$('#wishlistShareLink').value = url;
+      DOMUtils.$('#wishlistShareWhatsApp').href = `https://wa.me/?text=${encodeURIComponent(`${share.note || 'Help me choose from my wishlist'} ${url}`)}`;
+    }
+  }
+
+  /**
+   * Store the account's new share state on the signed-in user
+   * @param {Object|null} wishlistShare
+   */
+  static setShare(wishlistShare) {
+    const state = useAppState.getState();
+    state.setUser({ ...state.user, wishlistShare });
+  }
+
+  /**
+   * Setup the share panel's controls
+   */
+  static setupShare() {
+    const form = DOMUtils.$('#wishlistShareForm');
+    if (!form) return;
+
+    const setError = (message) => {
+      const error = DOMUtils.$('#wishlistShareNoteError');
+      error.textContent = message;
+      error.closest('.form-group').classList.toggle('form-group--error', !!message);
+      const note = DOMUtils.$('#wishlistShareNote');
+      if (message) note.setAttribute('aria-invalid', 'true');
+      else note.removeAttribute('aria-invalid');
+    };
+
+    DOMUtils.$('#wishlistShareNote').addEventListener('input', () => setError(''));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const { user } = useAppState.getState();
+      const result = validate(wishlistShareSchema, { note: DOMUtils.$('#wishlistShareNote').value.trim() || undefined });
+      if (!result.success) {
+        setError(result.errors[0].message);
+        return;
+      }
+
+      const submit = DOMUtils.$('#wishlistShareSubmit');
+      submit.disabled = true;
+      try {
+        // The account's copy may be a moment behind - send the latest first
+        await this.services.accountService.saveWishlist(user.uid, useAppState.getState().wishlist, { shareToken: user.wishlistShare?.token });
+        const share = await this.services.accountService.shareWishlist(user.uid, result.data);
+        this.setShare(share);
+        DOMUtils.showToast(user.wishlistShare ? 'Note updated' : 'Share link ready - copy it or send it on WhatsApp', 'success');
+      } catch (error) {
+        console.error('Failed to share wishlist:', error);
+        DOMUtils.showToast(`Could not share your wishlist: ${error.message}`, 'error');
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    DOMUtils.$('#wishlistShareCopy')?.addEventListener('click', async () => {
+      const link = DOMUtils.$('#wishlistShareLink');
+      try {
+        await navigator.clipboard.writeText(link.value);
+        DOMUtils.showToast('Link copied', 'success');
+      } catch {
+        link.select();
+        DOMUtils.showToast('Press Ctrl+C to copy the link', 'info');
+      }
+    });
+
+    const stop = DOMUtils.$('#wishlistShareStop');
+    stop?.addEventListener('click', async () => {
+      const { user } = useAppState.getState();
+      if (!window.confirm('Stop sharing? Anyone with the link will no longer see your wishlist.')) return;
+
+      stop.disabled = true;
+      try {
+        await this.services.accountService.stopSharingWishlist(user.uid);
+        this.setShare(null);
+        DOMUtils.showToast('Your wishlist is no longer shared', 'info');
+      } catch (error) {
+        console.error('Failed to stop sharing:', error);
+        DOMUtils.showToast(`Could not stop sharing: ${error.message}`, 'error');
+      } finally {
+        stop.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Setup the wishlist page
+   */
+  static setupPage() {
+    const list = DOMUtils.$('#wishlistItems');
+    if (!list) return;
+
+    this.shareToken = new URLSearchParams(window.location.search).get('share');
+    if (this.shareToken) {
+      this.renderShared(this.shareToken);
+      return;
+    }
+
+    DOMUtils.on('click', '[data-wishlist-remove]', (e) => {
+      this.toggle(e.delegateTarget.closest('.wishlist-item').dataset.id);
+    }, list);
+
+    DOMUtils.on('change', '[data-wishlist-notify]', (e) => {
+      const input = e.delegateTarget;
+      useAppState.getState().updateWishlistItem(input.closest('.wishlist-item').dataset.id, { notify: input.checked });
+      DOMUtils.showToast(input.checked ? 'We\'ll let you know when it\'s on sale or back in stock' : 'Alerts turned off for this item', 'info');
+    }, list);
+
+    this.setupShare();
+    this.renderShare();
+    this.renderOwn();
+  }
+
+  /**
+   * Initialize wishlist manager
+   * @param {Object} services - Firebase services
+   */
+  static init(services) {
+    this.services = services;
+
+    DOMUtils.on('click', '[data-wishlist-toggle]', (e) => this.toggle(e.delegateTarget.dataset.id));
+
+    useAppState.subscribe((state, prev) => {
+      if (state.wishlist !== prev.wishlist) {
+        WishlistButton.sync();
+        this.renderCount();
+        // Redraw our own list when it changes here or arrives from the account
+        const ids = (list) => list.map((item) => `${item.id}:${item.notify}`).join();
+        if (!this.shareToken && ids(state.wishlist) !== ids(prev.wishlist)) {
+          if (state.wishlist.some((item) => !this.fetched.has(item.id))) this.renderOwn();
+          else this.renderItems(state.wishlist, false);
+        }
+      }
+      if (state.user !== prev.user || state.wishlist.length !== prev.wishlist.length) this.renderShare();
+    });
+
+    this.renderCount();
+    this.setupPage();
+    if (!DOMUtils.$('#wishlistItems')) this.checkAlerts();
+  }
+}
+
+export default WishlistManager;
@@ -254,35 +254,85 @@ export class SettingsManager {
 
 /**
  * Router - Client-side routing
+ *
+ * Paths may contain `:name` segments, e.g. `/products/:slug`. Handlers get the
+ * decoded params and the history state the entry was pushed with, so back and
+ * forward can restore whatever the entry showed.
  */
 export class Router {
-  static routes = {};
+  static routes = [];
 
   /**
    * Register route
-   * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {string} path - Route path, optionally with `:param` segments
+   * @param {Function} handler - Route handler `(params, state) => void`
    */
   static register(path, handler) {
-    this.routes[path] = handler;
+    const keys = [];
+    const pattern = path
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      });
+
+    this.routes.push({ path, keys, regex: new RegExp(`^${pattern}/?$`), handler });
+  }
+
+  /**
+   * Find the route for a path
+   * @param {string} path - Pathname (query and hash are ignored)
+   * @returns {{handler: Function, params: Object}|null}
+   */
+  static match(path) {
+    const pathname = path.split(/[?#]/)[0];
+
+    for (const route of this.routes) {
+      const found = pathname.match(route.regex);
+      if (found) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(found[i + 1]);
+        });
+        return { handler: route.handler, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the handler for a path without touching history
+   * @param {string} path - Route path
+   * @param {Object} [state] - History state of the entry
+   * @returns {boolean} Whether a route matched
+   */
+  static resolve(path, state = {}) {
+    const route = this.match(path);
+    if (!route) return false;
+
+    route.handler(route.params, state || {});
+    return true;
   }
 
   /**
    * Navigate to path
    * @param {string} path - Route path
+   * @param {Object} [state] - History state to store with the entry
    */
-  static navigate(path) {
-    history.pushState({}, '', path);
-    const handler = this.routes[path] || (() => DOMUtils.showToast('Page not found', 'error'));
-    handler();
+  static navigate(path, state = {}) {
+    history.pushState(state, '', path);
+    if (!this.resolve(path, state)) {
+      DOMUtils.showToast('Page not found', 'error');
+    }
   }
 
   /**
    * Initialize router
    */
   static init() {
-    window.addEventListener('popstate', () => {
-      this.navigate(location.pathname);
+    window.addEventListener('popstate', (e) => {
+      this.resolve(location.pathname, e.state);
     });
 
     DOMUtils.on('click', 'a[data-route]', (e) => {
@@ -0,0 +1,307 @@
+/**
+ * @file services/notifier.js
+ * @description Back-in-stock and price-drop alerts for "Notify me" subscriptions,
+ * sent through pluggable channels (email, WhatsApp template, local console stand-in)
+ * @version 2.0.0
+ *
+ * When a product is saved (edited, bulk edited, imported or restored from the
+ * trash), StockNotifier compares it with the copy before, matches restocks and
+ * price drops to active subscriptions, and queues a message for each in the
+ * notificationOutbox collection.
+ *
+ * Real email and WhatsApp messages are sent by the server as soon as they land
+ * in the outbox (deliverMessage in functions/src/notifications.js holds the
+ * provider keys and retries), so alerts go out whether or not anyone keeps
+ * the admin page open. For local work, the console channel stands in and the
+ * admin page delivers the queue itself. A channel implements:
+ *   send(message) → { providerMessageId }
+ */
+
+import { hasVariants, isSoldOut, isVariantSoldOut, variantLabel } from '../utils/variants.js';
+
+// Deliveries tried before a message is marked failed
+export const MAX_ATTEMPTS = 5;
+
+/**
+ * Notification error with a channel-neutral code
+ */
+export class NotificationError extends Error {
+  constructor(message, code = 'send-failed', channel = null) {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+    this.channel = channel;
+  }
+}
+
+/**
+ * Restocks and price drops between two copies of a product. Price drops only
+ * count for things that can be bought - nobody wants to hear about a cheaper
+ * sold-out saree. A product coming back out of the trash counts as a restock.
+ * @param {Object} before - Product before the edit
+ * @param {Object} after - Product after the edit
+ * @returns {Array<{sku: string|null, kind: 'restock'|'price-drop', price: number, previousPrice: number, variant: string|null}>}
+ */
+export function detectStockChanges(before, after) {
+  const changes = [];
+  const check = (sku, variant, was, now, wasSoldOut, nowSoldOut) => {
+    if (nowSoldOut) return;
+    if (wasSoldOut) {
+      changes.push({ sku, kind: 'restock', price: now.price, previousPrice: was.price, variant });
+    } else if (now.price < was.price) {
+      changes.push({ sku, kind: 'price-drop', price: now.price, previousPrice: was.price, variant });
+    }
+  };
+
+  const wasTrashed = !!before.deletedAt;
+  if (after.deletedAt) return changes;
+
+  check(null, null, before, after, wasTrashed || isSoldOut(before), isSoldOut(after));
+
+  if (hasVariants(after)) {
+    after.variants.forEach((variant) => {
+      const previous = before.variants?.find((v) => v.sku === variant.sku);
+      if (!previous) return;
+      check(variant.sku, variantLabel(variant), previous, variant, wasTrashed || isVariantSoldOut(previous), isVariantSoldOut(variant));
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Subject and text for an outbox message: an alert, or the confirmation a
+ * new sign-up gets first (functions/src/subscriptions.js)
+ * @param {Object} message
+ * @returns {{subject: string, text: string}}
+ */
+export function renderMessage({ template, params }) {
+  const name = params.variant ? `${params.productName} (${params.variant})` : params.productName;
+  if (template === 'confirm-subscription') {
+    return {
+      subject: `Confirm your alert for ${name}`,
+      text: `Open this link to hear from Jeelani Textiles when ${name} is back in stock${params.priceDrop ? ' or its price drops' : ''}:\n\n${params.confirmUrl}\n\nDidn't ask for this? Ignore this message - nothing is sent until the link is opened.`
+    };
+  }
+
+  const price = `₹${Number(params.price).toFixed(2)}`;
+
+  const { subject, lead } = template === 'back-in-stock'
+    ? { subject: `Back in stock: ${name}`, lead: `Good news - ${name} is back in stock at ${price}.` }
+    : { subject: `Price drop: ${name}`, lead: `${name} is now ${price} (was ₹${Number(params.previousPrice).toFixed(2)}).` };
+
+  return {
+    subject,
+    text: `${lead}\n\n${params.productUrl}\n\nYou asked Jeelani Textiles to tell you. Stop these alerts: ${params.unsubscribeUrl}`
+  };
+}
+
+/**
+ * Base notification channel - adapters override send
+ */
+export class NotificationChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Channel ID stored on subscriptions (email, whatsapp)
+   * @param {string} options.label
+   */
+  constructor({ id, label }) {
+    this.id = id;
+    this.label = label;
+  }
+
+  async send(message) {
+    throw new NotificationError(`${this.id}: send not implemented`, 'not-implemented', this.id);
+  }
+}
+
+/**
+ * Local stand-in - logs messages instead of sending them, so alerts can be
+ * tried against the emulators without an email or WhatsApp account
+ */
+export class ConsoleChannel extends NotificationChannel {
+  /**
+   * @param {string} id - Channel to stand in for (email, whatsapp)
+   */
+  constructor(id) {
+    super({ id, label: `${id} (console)` });
+    this.sent = [];
+  }
+
+  async send(message) {
+    const { subject, text } = renderMessage(message);
+    console.info(`📨 [${this.id}] to ${message.to}: ${subject}\n${text}`);
+    this.sent.push(message);
+    return { providerMessageId: `console_${message.id}` };
+  }
+}
+
+/**
+ * Stock notifier - turns product edits into queued alerts and delivers them
+ */
+export class StockNotifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.subscriptionService - SubscriptionService
+   * @param {string} [options.siteUrl] - Origin for links in messages
+   * @param {Function} [options.onQueued] - (count) => void, after alerts are queued
+   */
+  constructor({ subscriptionService, siteUrl = window.location.origin, onQueued = null }) {
+    this.subscriptionService = subscriptionService;
+    this.siteUrl = siteUrl;
+    this.onQueued = onQueued;
+    this.channels = new Map();
+    this.flushing = null;
+  }
+
+  /**
+   * @param {NotificationChannel} channel
+   * @returns {StockNotifier} this, for chaining
+   */
+  register(channel) {
+    this.channels.set(channel.id, channel);
+    return this;
+  }
+
+  /**
+   * Outbox entries for the subscriptions a set of changes concerns
+   * @param {Object} product - Product after the edit
+   * @param {Array<Object>} changes - From detectStockChanges
+   * @param {Array<Object>} subscriptions - Active subscriptions for the product
+   * @returns {Array<{message: Object, subscriptionId: string, update?: Object, remove?: boolean}>}
+   */
+  entriesFor(product, changes, subscriptions) {
+    const productUrl = `${this.siteUrl}/products/${encodeURIComponent(product.slug || product.id)}`;
+
+    return subscriptions.flatMap((subscription) => {
+      const own = changes.filter((change) => change.sku === (subscription.sku || null));
+      const restock = own.find((change) => change.kind === 'restock');
+      // Price drops are measured from the price the subscriber last heard about
+      const drop = subscription.events?.includes('price-drop')
+        && own.find((change) => change.kind === 'price-drop' && change.price < (subscription.lastPrice ?? change.previousPrice));
+      const change = restock || drop;
+      if (!change) return [];
+
+      const template = restock ? 'back-in-stock' : 'price-drop';
+      return [{
+        subscriptionId: subscription.id,
+        // A restock ends the subscription, so signing up again starts a new one;
+        // price-drop alerts carry on
+        ...(restock ? { remove: true } : { update: { lastPrice: change.price } }),
+        message: {
+          // Deterministic, so the same alert is only queued once
+          id: `${subscription.id}-${template}-${Math.round(change.price * 100)}`,
+          channel: subscription.channel,
+          to: subscription.contact,
+          template,
+          subscriptionId: subscription.id,
+          productId: product.id,
+          sku: subscription.sku || null,
+          params: {
+            productName: product.name,
+            variant: change.variant,
+            price: change.price,
+            previousPrice: change.previousPrice,
+            productUrl,
+            unsubscribeUrl: `${this.siteUrl}/?unsubscribe=${subscription.id}&token=${encodeURIComponent(subscription.unsubscribeToken)}`
+          }
+        }
+      }];
+    });
+  }
+
+  /**
+   * ProductService.onProductUpdated listener
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Promise<{queued: Array<string>}>}
+   */
+  async productUpdated(before, after) {
+    const changes = detectStockChanges(before, after);
+    if (!changes.length) return { queued: [] };
+
+    const subscriptions = await this.subscriptionService.getActiveSubscriptions(after.id);
+    const entries = this.entriesFor(after, changes, subscriptions);
+    if (!entries.length) return { queued: [] };
+
+    const result = await this.subscriptionService.queueMessages(entries);
+    this.onQueued?.(result.queued.length);
+    await this.flush();
+    return result;
+  }
+
+  /**
+   * Deliver queued messages through the registered channels. Messages for a
+   * channel that isn't registered here stay queued for the server.
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async flush() {
+    // One flush at a time - a second edit waits for the first to finish
+    if (this.flushing) await this.flushing;
+    this.flushing = this.deliverQueued();
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async deliverQueued() {
+    let sent = 0;
+    let failed = 0;
+    if (!this.channels.size) return { sent, failed };
+
+    const messages = await this.subscriptionService.getQueuedMessages();
+
+    for (const message of messages) {
+      const channel = this.channels.get(message.channel);
+      if (!channel) continue;
+
+      try {
+        const { providerMessageId } = await channel.send(message);
+        await this.subscriptionService.recordDelivery(message.id, { status: 'sent', providerMessageId });
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send ${message.template} alert ${message.id}:`, error);
+        const status = (message.attempts || 0) + 1 >= MAX_ATTEMPTS ? 'failed' : 'queued';
+        await this.subscriptionService.recordDelivery(message.id, { status, error: error.message });
+        failed++;
+      }
+    }
+
+    return { sent, failed };
+  }
+}
+
+/**
+ * Build the stock notifier for this site and attach it to product edits.
+ * With the 'functions' channel no channel is registered here: the server
+ * sends whatever is queued.
+ * @param {Object} services - Firebase services (productService, subscriptionService)
+ * @param {Object} config - App config
+ * @param {Object} [options] - StockNotifier options (onQueued)
+ * @returns {StockNotifier}
+ */
+export function createStockNotifier(services, config, options = {}) {
+  const notifier = new StockNotifier({ subscriptionService: services.subscriptionService, ...options });
+
+  if (config.notifications.channel === 'console') {
+    notifier.register(new ConsoleChannel('email')).register(new ConsoleChannel('whatsapp'));
+  }
+
+  services.productService.onProductUpdated((before, after) => notifier.productUpdated(before, after));
+  return notifier;
+}
+
+export default {
+  NotificationError,
+  NotificationChannel,
+  ConsoleChannel,
+  StockNotifier,
+  detectStockChanges,
+  renderMessage,
+  createStockNotifier
+};
@@ -0,0 +1,621 @@
+/**
+ * @file services/payments.js
+ * @description Pluggable payment providers (UPI/Razorpay, Cash on Delivery, Stripe, local mock gateway)
+ * @version 2.0.0
+ *
+ * Every provider implements the same four steps:
+ *   createIntent(order)            → PaymentIntent
+ *   confirm(intent, details)       → PaymentResult (may ask for an action such as 3DS)
+ *   handleWebhookResult(event)     → PaymentResult for an order, from a gateway callback
+ *   refund(payment, amount)        → RefundResult
+ *
+ * Amounts are always integer paise. Secrets never reach the browser: intents,
+ * signature checks and refunds for real gateways go through callable functions.
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { SafeStorage } from '../utils/storage.js';
+import { PERMISSIONS } from '../utils/roles.js';
+
+/**
+ * Normalised payment statuses
+ */
+export const PAYMENT_STATUS = {
+  SUCCEEDED: 'succeeded',
+  PENDING: 'pending',
+  REQUIRES_ACTION: 'requires_action',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * Payment error with a provider-neutral code
+ */
+export class PaymentError extends Error {
+  constructor(message, code = 'payment-failed', provider = null) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Amount to charge for an order, in paise
+ * @param {Object} order - Order with totals (as returned by OrderService.createOrder)
+ * @returns {number}
+ * @throws {PaymentError} If the order has no totals to charge
+ */
+export function orderAmountInPaise(order) {
+  if (!Number.isInteger(order?.totals?.total)) {
+    throw new PaymentError('This order has no total to charge', 'invalid-order');
+  }
+  return order.totals.total;
+}
+
+/**
+ * Load a third-party script once
+ * @param {string} src - Script URL
+ * @param {string} globalName - Global the script defines
+ * @returns {Promise<*>} The global
+ */
+function loadScript(src, globalName) {
+  if (window[globalName]) return Promise.resolve(window[globalName]);
+
+  return new Promise((resolve, reject) => {
+    const script = DOMUtils.createElement('script', { src, async: 'true' });
+    script.onload = () => resolve(window[globalName]);
+    script.onerror = () => reject(new PaymentError(`Failed to load ${globalName}`, 'provider-unavailable'));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Base payment provider - adapters override every method
+ */
+export class PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Provider ID stored on orders
+   * @param {string} options.label - Name shown at checkout
+   */
+  constructor({ id, label }) {
+    this.id = id;
+    this.label = label;
+  }
+
+  /**
+   * Whether the provider has the keys it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether the provider can take this order (amount limits, etc.)
+   * @param {Object} order
+   * @returns {boolean}
+   */
+  isAvailableFor(order) {
+    return true;
+  }
+
+  async createIntent(order) {
+    throw new PaymentError(`${this.id}: createIntent not implemented`, 'not-implemented', this.id);
+  }
+
+  async confirm(intent, details = {}) {
+    throw new PaymentError(`${this.id}: confirm not implemented`, 'not-implemented', this.id);
+  }
+
+  async handleWebhookResult(event) {
+    throw new PaymentError(`${this.id}: handleWebhookResult not implemented`, 'not-implemented', this.id);
+  }
+
+  async refund(payment, amount) {
+    throw new PaymentError(`${this.id}: refund not implemented`, 'not-implemented', this.id);
+  }
+}
+
+/**
+ * Razorpay Checkout - UPI (intent/collect/QR), cards and netbanking
+ */
+export class RazorpayProvider extends PaymentProvider {
+  constructor({ keyId, functionsService }) {
+    super({ id: 'razorpay', label: 'UPI / Cards / Netbanking' });
+    this.keyId = keyId;
+    this.functionsService = functionsService;
+  }
+
+  isConfigured() {
+    return !!this.keyId && !!this.functionsService;
+  }
+
+  async createIntent(order) {
+    // The server prices the order itself and charges that
+    const { razorpayOrderId, amount } = await this.functionsService.call('createRazorpayOrder', { orderId: order.id });
+
+    return {
+      provider: this.id,
+      intentId: razorpayOrderId,
+      orderId: order.id,
+      amount,
+      currency: 'INR',
+      status: PAYMENT_STATUS.REQUIRES_ACTION,
+      customer: order.customer
+    };
+  }
+
+  async confirm(intent) {
+    const Razorpay = await loadScript('https://checkout.razorpay.com/v1/checkout.js', 'Razorpay');
+
+    const response = await new Promise((resolve, reject) => {
+      const checkout = new Razorpay({
+        key: this.keyId,
+        order_id: intent.intentId,
+        amount: intent.amount,
+        currency: intent.currency,
+        name: 'Jeelani Textiles',
+        prefill: {
+          name: intent.customer?.name,
+          email: intent.customer?.email,
+          contact: intent.customer?.phone
+        },
+        // Show UPI first - most of our customers pay that way
+        config: { display: { preferences: { show_default_blocks: true }, sequence: ['block.upi'] } },
+        handler: resolve,
+        modal: { ondismiss: () => reject(new PaymentError('Payment cancelled', 'payment-cancelled', this.id)) }
+      });
+
+      checkout.on('payment.failed', (event) => {
+        reject(new PaymentError(event.error?.description || 'Payment failed', 'payment-failed', this.id));
+      });
+      checkout.open();
+    });
+
+    // The signature can only be checked with the key secret, on the server
+    const { verified } = await this.functionsService.call('verifyRazorpayPayment', {
+      orderId: intent.orderId,
+      razorpayOrderId: response.razorpay_order_id,
+      razorpayPaymentId: response.razorpay_payment_id,
+      razorpaySignature: response.razorpay_signature
+    });
+
+    return {
+      provider: this.id,
+      orderId: intent.orderId,
+      intentId: intent.intentId,
+      paymentId: response.razorpay_payment_id,
+      amount: intent.amount,
+      status: verified ? PAYMENT_STATUS.SUCCEEDED : PAYMENT_STATUS.FAILED
+    };
+  }
+
+  async handleWebhookResult(event) {
+    const payment = event.payload?.payment?.entity || {};
+    const statusByEvent = {
+      'payment.captured': PAYMENT_STATUS.SUCCEEDED,
+      'payment.failed': PAYMENT_STATUS.FAILED,
+      'refund.processed': PAYMENT_STATUS.REFUNDED
+    };
+
+    return {
+      provider: this.id,
+      orderId: payment.notes?.orderId,
+      intentId: payment.order_id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      status: statusByEvent[event.event] || PAYMENT_STATUS.PENDING
+    };
+  }
+
+  async refund(payment, amount = payment.amount) {
+    const { refundId } = await this.functionsService.call('refundPayment', {
+      provider: this.id,
+      paymentId: payment.paymentId,
+      amount
+    });
+
+    return { provider: this.id, refundId, amount, status: PAYMENT_STATUS.REFUNDED };
+  }
+}
+
+/**
+ * Cash on Delivery - the order is placed now and paid to the courier
+ */
+export class CashOnDeliveryProvider extends PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxAmount - Largest order (₹) we accept as COD
+   */
+  constructor({ maxAmount = 20000 } = {}) {
+    super({ id: 'cod', label: 'Cash on Delivery' });
+    this.maxAmount = maxAmount;
+  }
+
+  isAvailableFor(order) {
+    return orderAmountInPaise(order) <= this.maxAmount * 100;
+  }
+
+  async createIntent(order) {
+    if (!this.isAvailableFor(order)) {
+      throw new PaymentError(
+        `Cash on Delivery is available for orders up to ₹${this.maxAmount}`,
+        'provider-unavailable',
+        this.id
+      );
+    }
+
+    return {
+      provider: this.id,
+      intentId: `cod_${order.id}`,
+      orderId: order.id,
+      amount: orderAmountInPaise(order),
+      currency: 'INR',
+      status: PAYMENT_STATUS.PENDING
+    };
+  }
+
+  async confirm(intent) {
+    // Nothing to collect online - the order stays unpaid until delivery
+    return {
+      provider: this.id,
+      orderId: intent.orderId,
+      intentId: intent.intentId,
+      paymentId: intent.intentId,
+      amount: intent.amount,
+      status: PAYMENT_STATUS.PENDING
+    };
+  }
+
+  /**
+   * "Webhook" for COD is the courier's delivery report
+   * @param {Object} event - { orderId, collected: boolean, amount }
+   */
+  async handleWebhookResult(event) {
+    return {
+      provider: this.id,
+      orderId: event.orderId,
+      intentId: `cod_${event.orderId}`,
+      paymentId: `cod_${event.orderId}`,
+      amount: event.amount,
+      status: event.collected ? PAYMENT_STATUS.SUCCEEDED : PAYMENT_STATUS.FAILED
+    };
+  }
+
+  async refund(payment, amount = payment.amount) {
+    // Cash refunds are paid out manually (bank transfer / UPI) by the shop
+    return { provider: this.id, refundId: `manual_${payment.paymentId}`, amount, status: PAYMENT_STATUS.REFUNDED };
+  }
+}
+
+/**
+ * Stripe card payments (Payment Intents + Stripe.js, 3DS handled by Stripe)
+ */
+export class StripeProvider extends PaymentProvider {
+  constructor({ publicKey, functionsService }) {
+    super({ id: 'stripe', label: 'International Cards' });
+    this.publicKey = publicKey;
+    this.functionsService = functionsService;
+    this.stripe = null;
+  }
+
+  isConfigured() {
+    return !!this.publicKey && !!this.functionsService;
+  }
+
+  async getStripe() {
+    if (!this.stripe) {
+      const Stripe = await loadScript('https://js.stripe.com/v3/', 'Stripe');
+      this.stripe = Stripe(this.publicKey);
+    }
+    return this.stripe;
+  }
+
+  async createIntent(order) {
+    const { clientSecret, paymentIntentId, amount } = await this.functionsService.call('createPaymentIntent', { orderId: order.id });
+
+    return {
+      provider: this.id,
+      intentId: paymentIntentId,
+      clientSecret,
+      orderId: order.id,
+      amount,
+      currency: 'INR',
+      status: PAYMENT_STATUS.REQUIRES_ACTION
+    };
+  }
+
+  /**
+   * @param {Object} intent
+   * @param {Object} details - { cardElement }, or { actionResult } from the card-details action
+   */
+  async confirm(intent, details = {}) {
+    const stripe = await this.getStripe();
+    const cardElement = details.cardElement || details.actionResult;
+
+    // Ask the checkout UI to mount a card form first
+    if (!cardElement) {
+      return {
+        provider: this.id,
+        orderId: intent.orderId,
+        intentId: intent.intentId,
+        amount: intent.amount,
+        status: PAYMENT_STATUS.REQUIRES_ACTION,
+        action: { type: 'card-details', stripe }
+      };
+    }
+
+    // Stripe runs any 3DS challenge itself inside confirmCardPayment
+    const { paymentIntent, error } = await stripe.confirmCardPayment(intent.clientSecret, {
+      payment_method: { card: cardElement }
+    });
+
+    if (error) {
+      throw new PaymentError(error.message, 'payment-failed', this.id);
+    }
+
+    return {
+      provider: this.id,
+      orderId: intent.orderId,
+      intentId: intent.intentId,
+      paymentId: paymentIntent.id,
+      amount: paymentIntent.amount,
+      status: paymentIntent.status === 'succeeded' ? PAYMENT_STATUS.SUCCEEDED : PAYMENT_STATUS.PENDING
+    };
+  }
+
+  async handleWebhookResult(event) {
+    const intent = event.data?.object || {};
+    const statusByEvent = {
+      'payment_intent.succeeded': PAYMENT_STATUS.SUCCEEDED,
+      'payment_intent.payment_failed': PAYMENT_STATUS.FAILED,
+      'charge.refunded': PAYMENT_STATUS.REFUNDED
+    };
+
+    return {
+      provider: this.id,
+      orderId: intent.metadata?.orderId,
+      intentId: intent.id,
+      paymentId: intent.id,
+      amount: intent.amount,
+      status: statusByEvent[event.type] || PAYMENT_STATUS.PENDING
+    };
+  }
+
+  async refund(payment, amount = payment.amount) {
+    const { refundId } = await this.functionsService.call('refundPayment', {
+      provider: this.id,
+      paymentId: payment.paymentId,
+      amount
+    });
+
+    return { provider: this.id, refundId, amount, status: PAYMENT_STATUS.REFUNDED };
+  }
+}
+
+/**
+ * Local mock gateway - no real gateway, so checkout can be exercised end to end
+ * against the emulators. The functions emulator's confirmOrder accepts its
+ * payments; deployed functions refuse them.
+ *
+ * Scenarios: 'success', 'failure', '3ds' (challenge the customer approves),
+ * '3ds-fail' (challenge the customer declines). The scenario comes from the
+ * constructor, or from localStorage 'mockPaymentScenario' to switch it by hand.
+ */
+export class MockGatewayProvider extends PaymentProvider {
+  constructor({ scenario = 'success', latency = 300 } = {}) {
+    super({ id: 'mock', label: 'Test Payment (mock gateway)' });
+    this.scenario = scenario;
+    this.latency = latency;
+    this.intents = new Map();
+  }
+
+  getScenario() {
+    return SafeStorage.get('mockPaymentScenario') || this.scenario;
+  }
+
+  async delay() {
+    await new Promise((resolve) => setTimeout(resolve, this.latency));
+  }
+
+  async createIntent(order) {
+    await this.delay();
+
+    const intent = {
+      provider: this.id,
+      intentId: `mock_pi_${Date.now().toString(36)}`,
+      orderId: order.id,
+      amount: orderAmountInPaise(order),
+      currency: 'INR',
+      status: PAYMENT_STATUS.REQUIRES_ACTION,
+      scenario: this.getScenario()
+    };
+
+    this.intents.set(intent.intentId, intent);
+    return intent;
+  }
+
+  /**
+   * @param {Object} intent
+   * @param {Object} details - { actionResult } after a 3DS challenge
+   */
+  async confirm(intent, details = {}) {
+    await this.delay();
+
+    const result = {
+      provider: this.id,
+      orderId: intent.orderId,
+      intentId: intent.intentId,
+      paymentId: intent.intentId.replace('mock_pi_', 'mock_pay_'),
+      amount: intent.amount
+    };
+
+    if (intent.scenario === 'failure') {
+      throw new PaymentError('Card declined (mock)', 'payment-failed', this.id);
+    }
+
+    if (intent.scenario.startsWith('3ds') && details.actionResult === undefined) {
+      return {
+        ...result,
+        status: PAYMENT_STATUS.REQUIRES_ACTION,
+        action: { type: '3ds', expectedOutcome: intent.scenario === '3ds' ? 'approve' : 'decline' }
+      };
+    }
+
+    if (details.actionResult === false) {
+      throw new PaymentError('Authentication failed (mock 3DS)', 'authentication-failed', this.id);
+    }
+
+    return { ...result, status: PAYMENT_STATUS.SUCCEEDED };
+  }
+
+  async handleWebhookResult(event) {
+    return {
+      provider: this.id,
+      orderId: event.orderId,
+      intentId: event.intentId,
+      paymentId: event.paymentId,
+      amount: event.amount,
+      status: event.status
+    };
+  }
+
+  async refund(payment, amount = payment.amount) {
+    await this.delay();
+    return { provider: this.id, refundId: `mock_re_${Date.now().toString(36)}`, amount, status: PAYMENT_STATUS.REFUNDED };
+  }
+}
+
+/**
+ * Payment Service - registry of providers and the pay/confirm loop
+ */
+export class PaymentService {
+  /**
+   * @param {Object} [options]
+   * @param {AuthService} [options.authService] - Checks the staff role before refunds
+   */
+  constructor({ authService = null } = {}) {
+    this.providers = new Map();
+    this.authService = authService;
+  }
+
+  /**
+   * Register a provider (registration order is display order)
+   * @param {PaymentProvider} provider
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  /**
+   * @param {string} id - Provider ID
+   * @returns {PaymentProvider}
+   */
+  get(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new PaymentError(`Unknown payment method: ${id}`, 'provider-unavailable', id);
+    }
+    return provider;
+  }
+
+  /**
+   * Providers that are configured (and can take the order, if given)
+   * @param {Object} [order]
+   * @returns {Array<PaymentProvider>}
+   */
+  availableProviders(order) {
+    return [...this.providers.values()].filter(
+      (provider) => provider.isConfigured() && (!order || provider.isAvailableFor(order))
+    );
+  }
+
+  /**
+   * Take payment for an order
+   * @param {Object} order - Created order (id, totals, customer)
+   * @param {string} providerId - Chosen payment method
+   * @param {Object} options
+   * @param {Object} [options.details] - Provider-specific confirm details
+   * @param {Function} [options.onAction] - async (action) => result, e.g. a 3DS challenge
+   * @returns {Promise<Object>} PaymentResult (succeeded or pending)
+   * @throws {PaymentError} If payment fails or is cancelled
+   */
+  async pay(order, providerId, { details = {}, onAction } = {}) {
+    const provider = this.get(providerId);
+    const intent = await provider.createIntent(order);
+    let result = await provider.confirm(intent, details);
+
+    // Providers may ask for extra steps (3DS, OTP) before they settle
+    while (result.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+      if (!onAction) {
+        throw new PaymentError('Payment needs customer action', 'authentication-required', providerId);
+      }
+      const actionResult = await onAction(result.action);
+      result = await provider.confirm(intent, { ...details, actionResult });
+    }
+
+    if (result.status === PAYMENT_STATUS.FAILED) {
+      throw new PaymentError('Payment failed', 'payment-failed', providerId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalise a gateway callback for the order it belongs to
+   * @param {string} providerId
+   * @param {Object} event - Raw gateway payload
+   */
+  async handleWebhookResult(providerId, event) {
+    return this.get(providerId).handleWebhookResult(event);
+  }
+
+  /**
+   * Refund a payment recorded on an order
+   * @param {Object} payment - order.payment
+   * @param {number} [amount] - Paise to refund (defaults to full amount)
+   * @throws {PaymentError} permission-denied unless the signed-in user is an owner
+   */
+  async refund(payment, amount) {
+    // refundPayment checks the role again server-side; this just fails early
+    if (!(await this.authService?.can(PERMISSIONS.PAYMENTS))) {
+      throw new PaymentError('Only owners can issue refunds', 'permission-denied', payment.provider);
+    }
+    return this.get(payment.provider).refund(payment, amount);
+  }
+}
+
+/**
+ * Build the payment service for this site.
+ * UPI and COD come first - that is how most of our customers pay.
+ * @param {Object} services - Firebase services (functionsService, authService)
+ * @param {Object} config - App config
+ * @returns {PaymentService}
+ */
+export function createPaymentService(services, config) {
+  const paymentService = new PaymentService({ authService: services.authService })
+    .register(new RazorpayProvider({ keyId: config.razorpay.keyId, functionsService: services.functionsService }))
+    .register(new CashOnDeliveryProvider({ maxAmount: config.payments.codMaxAmount }))
+    .register(new StripeProvider({ publicKey: config.stripe.publicKey, functionsService: services.functionsService }));
+
+  if (config.payments.mockGateway) {
+    paymentService.register(new MockGatewayProvider({ scenario: config.payments.mockScenario }));
+  }
+
+  return paymentService;
+}
+
+export default {
+  PAYMENT_STATUS,
+  PaymentError,
+  PaymentProvider,
+  RazorpayProvider,
+  CashOnDeliveryProvider,
+  StripeProvider,
+  MockGatewayProvider,
+  PaymentService,
+  createPaymentService
+};
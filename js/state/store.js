@@ -6,6 +6,141 @@
 
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
+import { PricingEngine, toPaise } from '../utils/pricing.js';
+import { cartItemSchema } from '../utils/validation.js';
+import { variantLabel, isSoldOut } from '../utils/variants.js';
+import { SafeStorage } from '../utils/storage.js';
+import { DEFAULT_FILTERS } from '../utils/filters.js';
+
+/**
+ * Persisted state version. Bump it and add a step to migrateState whenever the
+ * shape of persisted state (cart lines especially) changes.
+ *
+ *   0 - cart lines were whole products plus `quantity` (price in rupees)
+ *   1 - cart lines are cartItemSchema (productId, unitPrice in paise, quantity);
+ *       variant lines add optional sku/variant, so v1 carts need no upgrade
+ *   2 - wishlist entries are toWishlistItem snapshots instead of whole products
+ */
+export const STORE_VERSION = 2;
+
+/**
+ * Cart lines are keyed by variant SKU, or by product ID for products without variants
+ * @param {Object} item - Cart line
+ * @returns {string}
+ */
+export const cartLineKey = (item) => item.sku || item.productId;
+
+/**
+ * Build a v1 cart line from a catalogue product (and chosen variant), or from
+ * a v0 / legacy script.js line (`qty`, `thumbnail`)
+ * @param {Object} source - Product or old cart line
+ * @param {number} quantity - Quantity to use
+ * @param {Object} [variant] - Chosen variant of the product
+ * @returns {Object|null} Valid cart line, or null if it can't be salvaged
+ */
+export const toCartItem = (source, quantity, variant = null) => {
+  const result = cartItemSchema.safeParse({
+    productId: source.productId || source.id,
+    sku: variant?.sku || source.sku || undefined,
+    variant: variant ? variantLabel(variant.options) : source.variant || undefined,
+    name: source.name,
+    unitPrice: source.unitPrice ?? toPaise(variant?.price ?? source.price),
+    quantity,
+    image: variant?.image || source.thumbnail || source.image || undefined,
+    category: source.category || undefined,
+    addedAt: source.addedAt || Date.now()
+  });
+
+  return result.success ? result.data : null;
+};
+
+/**
+ * Upgrade a persisted cart of any earlier version, dropping lines that can't be read
+ * @param {Array} cart - Persisted cart lines
+ * @returns {Array} v1 cart lines
+ */
+const migrateCart = (cart) => {
+  if (!Array.isArray(cart)) return [];
+  return cart
+    .map(item => toCartItem(item, item.quantity ?? item.qty ?? 1))
+    .filter(Boolean);
+};
+
+/**
+ * Combine the cart on this device with the one saved to the customer's
+ * account. Lines in both keep the larger quantity rather than the sum, so
+ * signing in on the device the cart was saved from doesn't double it.
+ * @param {Array} local - Cart lines on this device
+ * @param {Array} remote - Cart lines from the account
+ * @returns {Array} Valid cart lines, local order first
+ */
+export const mergeCarts = (local = [], remote = []) => {
+  const merged = new Map();
+
+  [...local, ...migrateCart(remote)].forEach(item => {
+    const key = cartLineKey(item);
+    const existing = merged.get(key);
+    merged.set(key, existing ? toCartItem(existing, Math.max(existing.quantity, item.quantity)) || existing : item);
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * What the wishlist keeps of a product - enough to show it without loading
+ * the product. `price` and `soldOut` are as last seen, so a sale or restock
+ * can be spotted later; `notify` is the customer's opt-in to hear about it.
+ * @param {Object} product - Catalogue product (or an item already in this shape)
+ * @returns {Object}
+ */
+export const toWishlistItem = (product) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price,
+  image: product.thumbnail || product.image || product.gallery?.[0]?.thumbnail || product.images?.[0] || null,
+  category: product.category || null,
+  slug: product.slug || null,
+  soldOut: product.soldOut ?? isSoldOut(product),
+  notify: !!product.notify,
+  addedAt: product.addedAt || Date.now()
+});
+
+/**
+ * Union of the wishlist on this device and the account's, by product ID
+ * @param {Array} local
+ * @param {Array} remote
+ * @returns {Array}
+ */
+export const mergeWishlists = (local = [], remote = []) => {
+  const ids = new Set(local.map(p => p.id));
+  return [...local, ...remote.filter(p => p?.id && !ids.has(p.id))];
+};
+
+/**
+ * Item count and subtotal (paise) for the cart badge/summary.
+ * Full breakdowns (GST, shipping, coupons) come from PricingEngine.price directly.
+ */
+const summariseCart = (cart) => {
+  const { itemCount, subtotal } = PricingEngine.price(cart);
+  return { cartCount: itemCount, cartTotal: subtotal };
+};
+
+/**
+ * persist `migrate` hook - upgrades state saved by an older version
+ */
+const migrateState = (persisted, version) => {
+  const state = { ...persisted };
+
+  if (version < 1) {
+    state.cart = migrateCart(state.cart);
+  }
+
+  if (version < 2) {
+    state.wishlist = (state.wishlist || []).filter(p => p?.id).map(toWishlistItem);
+  }
+
+  return { ...state, ...summariseCart(state.cart || []) };
+};
 
 /**
  * Main application store using Zustand
@@ -17,78 +152,81 @@ export const useAppState = create(
         // ============================================================================
         // CART STATE
         // ============================================================================
+        // Only these actions change the cart - managers read state and call them.
         cart: [],
         cartCount: 0,
-        cartTotal: 0,
+        cartTotal: 0, // paise
 
-        addToCart: (product, quantity = 1) => {
+        /**
+         * Add a product (or one of its variants) to the cart, merging with an existing line
+         * @returns {boolean} False if the product can't be made into a valid line
+         */
+        addToCart: (product, quantity = 1, variant = null) => {
           const cart = get().cart;
-          const existingIndex = cart.findIndex(item => item.id === product.id);
-
-          let newCart;
-          if (existingIndex > -1) {
-            newCart = cart.map((item, index) =>
-              index === existingIndex
-                ? { ...item, quantity: item.quantity + quantity }
-                : item
-            );
-          } else {
-            newCart = [...cart, { ...product, quantity }];
+          const key = variant?.sku || product.sku || product.productId || product.id;
+          const existing = cart.find(item => cartLineKey(item) === key);
+
+          const line = existing
+            ? toCartItem(existing, existing.quantity + quantity)
+            : toCartItem(product, quantity, variant);
+          if (!line) {
+            console.warn('Invalid cart item:', product);
+            return false;
           }
 
-          const cartTotal = newCart.reduce(
-            (sum, item) => sum + (item.price * item.quantity),
-            0
-          );
+          const newCart = existing
+            ? cart.map(item => (cartLineKey(item) === key ? line : item))
+            : [...cart, line];
 
-          set({
-            cart: newCart,
-            cartCount: newCart.reduce((sum, item) => sum + item.quantity, 0),
-            cartTotal
-          });
+          set({ cart: newCart, ...summariseCart(newCart) });
+          return true;
         },
 
-        removeFromCart: (productId) => {
-          const cart = get().cart;
-          const newCart = cart.filter(item => item.id !== productId);
-          const cartTotal = newCart.reduce(
-            (sum, item) => sum + (item.price * item.quantity),
-            0
-          );
-
-          set({
-            cart: newCart,
-            cartCount: newCart.reduce((sum, item) => sum + item.quantity, 0),
-            cartTotal
-          });
+        /**
+         * @param {string} key - Line key (SKU or product ID), see cartLineKey
+         */
+        removeFromCart: (key) => {
+          const newCart = get().cart.filter(item => cartLineKey(item) !== key);
+          set({ cart: newCart, ...summariseCart(newCart) });
         },
 
-        updateCartQuantity: (productId, quantity) => {
+        updateCartQuantity: (key, quantity) => {
           if (quantity <= 0) {
-            get().removeFromCart(productId);
+            get().removeFromCart(key);
             return;
           }
 
-          const cart = get().cart;
-          const newCart = cart.map(item =>
-            item.id === productId ? { ...item, quantity } : item
-          );
-          const cartTotal = newCart.reduce(
-            (sum, item) => sum + (item.price * item.quantity),
-            0
+          const newCart = get().cart.map(item =>
+            cartLineKey(item) === key ? toCartItem(item, quantity) || item : item
           );
 
-          set({
-            cart: newCart,
-            cartCount: newCart.reduce((sum, item) => sum + item.quantity, 0),
-            cartTotal
-          });
+          set({ cart: newCart, ...summariseCart(newCart) });
         },
 
         clearCart: () => {
           set({ cart: [], cartCount: 0, cartTotal: 0 });
         },
 
+        /**
+         * Swap in a whole cart, e.g. the merged cart after signing in
+         * @param {Array} cart - Cart lines; invalid lines are dropped
+         */
+        replaceCart: (cart) => {
+          const newCart = migrateCart(cart);
+          set({ cart: newCart, ...summariseCart(newCart) });
+        },
+
+        /**
+         * Fold in a cart saved by the old script.js build (localStorage `offlineCart`)
+         */
+        importLegacyCart: () => {
+          const legacy = SafeStorage.getJSON('offlineCart', null);
+          if (!legacy) return;
+
+          migrateCart(legacy).forEach(item => get().addToCart(item, item.quantity));
+          SafeStorage.remove('offlineCart');
+        },
+
         // ============================================================================
         // PRODUCTS STATE
         // ============================================================================
@@ -96,12 +234,37 @@ export const useAppState = create(
         filteredProducts: [],
         activeCategory: 'all',
         searchQuery: '',
+        filters: { ...DEFAULT_FILTERS }, // listing filters/sort, mirrored in the URL (not persisted)
         loading: false,
+        lastVisible: null,
+        hasMore: true,
 
         setProducts: (products) => {
           set({ products, filteredProducts: products });
         },
 
+        /**
+         * Append a page of products, skipping ones already loaded
+         */
+        addProducts: (page) => {
+          const products = get().products;
+          const known = new Set(products.map(p => p.id));
+          const merged = [...products, ...page.filter(p => !known.has(p.id))];
+
+          set({ products: merged, filteredProducts: merged });
+        },
+
+        /**
+         * Store the pagination cursor returned by ProductService.getProducts
+         */
+        setLastVisible: (lastVisible, hasMore = true) => {
+          set({ lastVisible, hasMore });
+        },
+
+        resetProducts: () => {
+          set({ products: [], filteredProducts: [], lastVisible: null, hasMore: true });
+        },
+
         filterByCategory: (category) => {
           const products = get().products;
           const filtered =
@@ -130,6 +293,14 @@ export const useAppState = create(
           });
         },
 
+        setFilters: (update) => {
+          set({ filters: { ...get().filters, ...update } });
+        },
+
+        resetFilters: () => {
+          set({ filters: { ...DEFAULT_FILTERS, sort: get().filters.sort } });
+        },
+
         setLoading: (loading) => {
           set({ loading });
         },
@@ -179,6 +350,21 @@ export const useAppState = create(
           setTimeout(() => set({ toastMessage: null }), 3000);
         },
 
+        // ============================================================================
+        // SETTINGS STATE
+        // ============================================================================
+        settings: { theme: 'light', gridSize: 3, lang: 'en' },
+
+        /**
+         * Update display settings
+         * @param {Function|Object} update - (prev) => next, or a partial object
+         */
+        updateSettings: (update) => {
+          const prev = get().settings;
+          const settings = typeof update === 'function' ? update(prev) : { ...prev, ...update };
+          set({ settings, theme: settings.theme });
+        },
+
         // ============================================================================
         // WISHLIST STATE
         // ============================================================================
@@ -187,7 +373,7 @@ export const useAppState = create(
         addToWishlist: (product) => {
           const wishlist = get().wishlist;
           if (!wishlist.find(p => p.id === product.id)) {
-            set({ wishlist: [...wishlist, product] });
+            set({ wishlist: [...wishlist, toWishlistItem(product)] });
           }
         },
 
@@ -198,16 +384,32 @@ export const useAppState = create(
 
         isInWishlist: (productId) => {
           return get().wishlist.some(p => p.id === productId);
+        },
+
+        /**
+         * @param {string} productId
+         * @param {Object} update - e.g. { notify: true }, or a fresh { price, soldOut }
+         */
+        updateWishlistItem: (productId, update) => {
+          set({ wishlist: get().wishlist.map(p => (p.id === productId ? { ...p, ...update } : p)) });
+        },
+
+        replaceWishlist: (wishlist) => {
+          set({ wishlist: wishlist.filter(p => p?.id).map(toWishlistItem) });
         }
       }),
       {
         name: 'jeelani-textiles-store',
+        version: STORE_VERSION,
+        migrate: migrateState,
+        onRehydrateStorage: () => (state) => state?.importLegacyCart(),
         partialize: (state) => ({
           cart: state.cart,
           cartCount: state.cartCount,
           cartTotal: state.cartTotal,
           wishlist: state.wishlist,
-          theme: state.theme
+          theme: state.theme,
+          settings: state.settings
         })
       }
     ),
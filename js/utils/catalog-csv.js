@@ -0,0 +1,350 @@
+/**
+ * @file utils/catalog-csv.js
+ * @description Catalogue spreadsheet format: export rows, and import planning (validate + diff)
+ * @version 2.0.0
+ *
+ * One product per row. A product with variants takes one row per variant: the
+ * first row carries the product columns plus its first variant, and following
+ * rows leave `name` empty and fill only the `variant_*` columns.
+ *
+ * List columns (`images`, `occasion`) are separated with "|". An `images`
+ * entry is either a URL or a file name to match against uploaded image files.
+ */
+
+import { productSchema } from './validation.js';
+import { VARIANT_OPTIONS } from './variants.js';
+import { galleryOf } from './images.js';
+
+export const CATALOG_COLUMNS = [
+  'id',
+  'slug',
+  'name',
+  'description',
+  'category',
+  'price',
+  'stock',
+  'isnew',
+  'fabric',
+  'colour',
+  'occasion',
+  'images',
+  'variant_sku',
+  ...VARIANT_OPTIONS.map(({ key }) => `variant_${key}`),
+  'variant_price',
+  'variant_stock',
+  'variant_image',
+  'variant_swatch'
+];
+
+// Fields compared to decide between "update" and "unchanged"
+const DIFF_FIELDS = ['name', 'description', 'category', 'price', 'stock', 'isNew', 'fabric', 'colour', 'occasion', 'images', 'variants', 'swatches'];
+
+const LIST_SEPARATOR = '|';
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+const splitList = (value) => (value || '').split(LIST_SEPARATOR).map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Spreadsheet numbers: "₹1,299.00", "1299", " 1 299 " → 1299. Empty → NaN.
+ * @param {string} value
+ * @returns {number}
+ */
+export function parseNumber(value) {
+  const cleaned = String(value ?? '').replace(/[₹,\s]|Rs\.?/gi, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * @param {string} value - TRUE/FALSE, yes/no, 1/0, y/n
+ * @returns {boolean}
+ */
+export function parseBoolean(value) {
+  return /^(true|yes|y|1)$/i.test(String(value || '').trim());
+}
+
+/**
+ * Base name of a path or URL, lower-cased, for matching image files
+ * @param {string} path
+ * @returns {string}
+ */
+export function imageKey(path) {
+  return path.split(/[\\/]/).pop().split('?')[0].toLowerCase();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Catalogue → spreadsheet rows (header first)
+ * @param {Array<Object>} products
+ * @returns {Array<Array<*>>}
+ */
+export function productsToRows(products) {
+  const rows = [CATALOG_COLUMNS];
+
+  products.forEach((product) => {
+    const base = {
+      id: product.id,
+      slug: product.slug || '',
+      name: product.name,
+      description: product.description || '',
+      category: product.category,
+      price: product.price,
+      stock: product.stock ?? '',
+      isnew: product.isNew ? 'TRUE' : 'FALSE',
+      fabric: product.fabric || '',
+      colour: product.colour || '',
+      occasion: (product.occasion || []).join(LIST_SEPARATOR),
+      images: (product.images?.length ? product.images : [product.image].filter(Boolean)).join(LIST_SEPARATOR)
+    };
+
+    const variants = product.variants?.length ? product.variants : [null];
+    variants.forEach((variant, index) => {
+      const record = index === 0 ? { ...base } : {};
+
+      if (variant) {
+        record.variant_sku = variant.sku;
+        VARIANT_OPTIONS.forEach(({ key }) => {
+          record[`variant_${key}`] = variant.options?.[key] || '';
+        });
+        record.variant_price = variant.price;
+        record.variant_stock = variant.stock ?? 0;
+        record.variant_image = variant.image || '';
+        record.variant_swatch = product.swatches?.[variant.options?.colour] || '';
+      }
+
+      rows.push(CATALOG_COLUMNS.map((column) => record[column] ?? ''));
+    });
+  });
+
+  return rows;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Group spreadsheet records into products (variant rows attach to the product above)
+ * @param {Array<Object>} records - From parseCSVRecords
+ * @returns {Array<{lines: Array<number>, record: Object, variantRecords: Array<Object>, errors: Array<string>}>}
+ */
+export function groupRecords(records) {
+  const groups = [];
+  let current = null;
+
+  records.forEach((record, index) => {
+    const line = index + 2; // spreadsheet row number, header is row 1
+
+    if (record.name) {
+      current = { lines: [line], record, variantRecords: record.variant_sku ? [record] : [], errors: [] };
+      groups.push(current);
+    } else if (current) {
+      current.lines.push(line);
+      current.variantRecords.push(record);
+    } else {
+      groups.push({ lines: [line], record, variantRecords: [], errors: ['Variant row without a product row above it'] });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Build a product from a grouped record
+ * @param {Object} group - From groupRecords
+ * @returns {{data: Object, imageRefs: Array<Object>, errors: Array<string>}}
+ */
+function buildProduct(group) {
+  const { record } = group;
+  const errors = [...group.errors];
+  const imageRefs = [];
+
+  const ref = (value) => {
+    const entry = isUrl(value) ? { url: value } : { file: imageKey(value), name: value };
+    imageRefs.push(entry);
+    return entry;
+  };
+
+  const data = {
+    name: record.name,
+    description: record.description,
+    category: (record.category || '').toLowerCase(),
+    price: parseNumber(record.price),
+    stock: parseNumber(record.stock),
+    isNew: parseBoolean(record.isnew)
+  };
+
+  if (record.fabric) data.fabric = record.fabric;
+  if (record.colour) data.colour = record.colour;
+  if (record.occasion) data.occasion = splitList(record.occasion);
+
+  data.images = splitList(record.images).map(ref);
+
+  if (group.variantRecords.length) {
+    const swatches = {};
+
+    data.variants = group.variantRecords.map((variantRecord) => {
+      const options = {};
+      VARIANT_OPTIONS.forEach(({ key }) => {
+        if (variantRecord[`variant_${key}`]) options[key] = variantRecord[`variant_${key}`];
+      });
+
+      if (variantRecord.variant_swatch && options.colour) {
+        swatches[options.colour] = variantRecord.variant_swatch;
+      }
+
+      const price = parseNumber(variantRecord.variant_price);
+      const variant = {
+        sku: (variantRecord.variant_sku || '').toUpperCase(),
+        options,
+        price: Number.isNaN(price) ? data.price : price,
+        stock: Number.isNaN(parseNumber(variantRecord.variant_stock)) ? 0 : parseNumber(variantRecord.variant_stock)
+      };
+      if (variantRecord.variant_image) variant.image = ref(variantRecord.variant_image);
+      return variant;
+    });
+
+    data.swatches = swatches;
+    data.price = Math.min(...data.variants.map((v) => v.price));
+    data.stock = data.variants.reduce((sum, v) => sum + v.stock, 0);
+  }
+
+  if (Number.isNaN(data.stock)) data.stock = 0;
+
+  return { data, imageRefs, errors };
+}
+
+/**
+ * Human-readable changes between the stored product and the imported one
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {Array<string>}
+ */
+export function diffProduct(existing, incoming) {
+  // A missing isNew flag and FALSE in the sheet mean the same thing
+  const normalise = (field, value) => (field === 'isNew' ? !!value : value ?? null);
+
+  return DIFF_FIELDS
+    .filter((field) => field in incoming)
+    .filter((field) => JSON.stringify(normalise(field, existing[field])) !== JSON.stringify(normalise(field, incoming[field])))
+    .map((field) => {
+      if (field === 'variants') return `variants: ${existing.variants?.length || 0} → ${incoming.variants.length}`;
+      if (field === 'images') return `images: ${incoming.images.length} (${incoming.images.filter((i) => !isUrl(i)).length} to upload)`;
+      if (['description', 'swatches'].includes(field)) return `${field} changed`;
+      return `${field}: ${existing[field] ?? '—'} → ${incoming[field] ?? '—'}`;
+    });
+}
+
+/**
+ * Validate and classify every product in an import
+ * @param {Array<Object>} records - From parseCSVRecords
+ * @param {Array<Object>} catalogue - Current products
+ * @param {Map<string, File>} files - Uploaded images keyed by imageKey(name)
+ * @returns {Array<{lines, status: 'create'|'update'|'unchanged'|'rejected', id, name, data, imageRefs, reasons}>}
+ */
+export function planImport(records, catalogue, files = new Map()) {
+  const byId = new Map(catalogue.map((p) => [p.id, p]));
+  const bySlug = new Map(catalogue.filter((p) => p.slug).map((p) => [p.slug, p]));
+  const byName = new Map(catalogue.map((p) => [p.name.trim().toLowerCase(), p]));
+  const seen = new Set();
+
+  return groupRecords(records).map((group) => {
+    const { record, lines } = group;
+    const { data, imageRefs, errors } = buildProduct(group);
+    const reasons = [...errors];
+
+    // Existing product: by id, then slug, then exact name
+    let existing = null;
+    if (record.id) {
+      existing = byId.get(record.id) || null;
+      if (!existing) reasons.push(`No product with id ${record.id}`);
+    } else {
+      existing = (record.slug && bySlug.get(record.slug)) || byName.get((record.name || '').toLowerCase()) || null;
+    }
+
+    const key = existing?.id || (record.name || '').toLowerCase();
+    if (key && seen.has(key)) reasons.push('Duplicate of an earlier row');
+    seen.add(key);
+
+    // Images: URLs are kept, file names must match an uploaded file
+    imageRefs.filter((ref) => ref.file && !files.has(ref.file)).forEach((ref) => {
+      reasons.push(`Image file not found: ${ref.name}`);
+    });
+
+    // URLs already in the product's gallery keep their renditions
+    if (existing) {
+      const sets = new Map(galleryOf(existing).map((set) => [set.image, set]));
+      imageRefs.filter((ref) => ref.url && sets.has(ref.url)).forEach((ref) => {
+        ref.set = sets.get(ref.url);
+      });
+    }
+
+    // Updates without an images column keep their current images
+    const toValidate = { ...data, images: data.images.map((ref) => ref.url || `https://upload.local/${encodeURIComponent(ref.file)}`) };
+    if (existing && !data.images.length) {
+      delete data.images;
+      toValidate.images = existing.images?.length ? existing.images : [existing.image].filter(Boolean);
+    }
+    toValidate.variants = data.variants?.map((v) => ({ ...v, image: v.image && (v.image.url || `https://upload.local/${encodeURIComponent(v.image.file)}`) }));
+    if (!toValidate.variants) delete toValidate.variants;
+
+    const result = productSchema.safeParse(toValidate);
+    if (!result.success) {
+      result.error.errors.forEach((err) => reasons.push(`${err.path.join('.') || 'row'}: ${err.message}`));
+    }
+
+    const base = { lines, id: existing?.id || null, name: data.name || record.name || '', data, imageRefs };
+
+    if (reasons.length) {
+      return { ...base, status: 'rejected', reasons };
+    }
+
+    if (existing) {
+      const comparable = {
+        ...data,
+        images: data.images?.map((ref) => ref.url || ref.name),
+        variants: data.variants?.map((v) => ({ ...v, image: v.image && (v.image.url || v.image.name) }))
+      };
+      if (!data.images) delete comparable.images;
+      if (!data.variants) delete comparable.variants;
+
+      const changes = diffProduct(existing, comparable);
+      return { ...base, status: changes.length ? 'update' : 'unchanged', reasons: changes };
+    }
+
+    return { ...base, status: 'create', reasons: [] };
+  });
+}
+
+/**
+ * Replace image references with uploaded image sets
+ * @param {Object} data - Planned product data
+ * @param {Map<string, Object>} uploaded - imageKey → image set from StorageService.uploadImageSet
+ * @returns {Object} Product data ready to write
+ */
+export function resolveImages(data, uploaded) {
+  // New URLs in the sheet have no renditions - the full image is used everywhere
+  const setFor = (ref) => (ref && (ref.url ? ref.set || { image: ref.url } : uploaded.get(ref.file))) || undefined;
+  const resolved = { ...data };
+
+  if (data.images) {
+    resolved.gallery = data.images.map(setFor);
+    resolved.images = resolved.gallery.map((set) => set.image);
+    resolved.image = resolved.images[0];
+  }
+  if (data.variants) {
+    resolved.variants = data.variants.map((v) => {
+      const variant = { ...v, image: setFor(v.image)?.image };
+      if (!variant.image) delete variant.image;
+      return variant;
+    });
+  }
+  if (!data.variants) resolved.sold = data.stock === 0;
+
+  return resolved;
+}
+
+export default { CATALOG_COLUMNS, productsToRows, groupRecords, planImport, diffProduct, resolveImages };
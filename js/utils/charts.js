@@ -0,0 +1,91 @@
+/**
+ * @file utils/charts.js
+ * @description Small inline SVG charts for the admin dashboard (no chart library or external service)
+ * @version 2.0.0
+ */
+
+import { sanitize } from './validation.js';
+
+const BAR_HEIGHT = 22;
+const BAR_GAP = 8;
+const LABEL_WIDTH = 110;
+const COLUMN_CHART_HEIGHT = 140;
+
+/**
+ * Horizontal bars, one row per item - good for categories and statuses
+ * @param {Array<{label: string, value: number}>} items
+ * @param {Object} [options]
+ * @param {string} [options.title] - Accessible name
+ * @param {Function} [options.format] - (value) => string shown after each bar
+ * @returns {string} SVG markup
+ */
+export function barChart(items, { title = 'Chart', format = String } = {}) {
+  if (!items.length) return '<p class="form-helper">No data yet</p>';
+
+  const width = 400;
+  const max = Math.max(...items.map((item) => item.value), 1);
+  const barSpace = width - LABEL_WIDTH - 60;
+  const height = items.length * (BAR_HEIGHT + BAR_GAP);
+
+  const rows = items.map((item, i) => {
+    const y = i * (BAR_HEIGHT + BAR_GAP);
+    const barWidth = Math.max(item.value > 0 ? 2 : 0, (item.value / max) * barSpace);
+    return `
+      <g class="chart__row">
+        <text x="0" y="${y + BAR_HEIGHT * 0.7}" class="chart__label">${sanitize(item.label)}</text>
+        <rect x="${LABEL_WIDTH}" y="${y}" width="${barWidth.toFixed(1)}" height="${BAR_HEIGHT}" rx="3" class="chart__bar"></rect>
+        <text x="${(LABEL_WIDTH + barWidth + 6).toFixed(1)}" y="${y + BAR_HEIGHT * 0.7}" class="chart__value">${sanitize(format(item.value))}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${sanitize(title)}">
+      <title>${sanitize(title)}</title>
+      ${rows}
+    </svg>
+  `;
+}
+
+/**
+ * Vertical columns over time - good for a value per day
+ * @param {Array<{label: string, value: number}>} items - Oldest first
+ * @param {Object} [options]
+ * @param {string} [options.title] - Accessible name
+ * @param {Function} [options.format] - (value) => string for the column tooltips
+ * @returns {string} SVG markup
+ */
+export function columnChart(items, { title = 'Chart', format = String } = {}) {
+  if (!items.length) return '<p class="form-helper">No data yet</p>';
+
+  const columnWidth = 18;
+  const gap = 6;
+  const axis = 18;
+  const width = items.length * (columnWidth + gap);
+  const max = Math.max(...items.map((item) => item.value), 1);
+  const plot = COLUMN_CHART_HEIGHT - axis;
+
+  const columns = items.map((item, i) => {
+    const x = i * (columnWidth + gap);
+    const height = (item.value / max) * plot;
+    // Label every few columns so they don't overlap
+    const showLabel = i === 0 || i === items.length - 1 || i % 7 === 0;
+    return `
+      <g class="chart__column">
+        <rect x="${x}" y="${(plot - height).toFixed(1)}" width="${columnWidth}" height="${height.toFixed(1)}" rx="2" class="chart__bar">
+          <title>${sanitize(item.label)}: ${sanitize(format(item.value))}</title>
+        </rect>
+        ${showLabel ? `<text x="${x}" y="${COLUMN_CHART_HEIGHT - 4}" class="chart__label">${sanitize(item.label)}</text>` : ''}
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${COLUMN_CHART_HEIGHT}" role="img" aria-label="${sanitize(title)}">
+      <title>${sanitize(title)}</title>
+      ${columns}
+    </svg>
+  `;
+}
+
+export default { barChart, columnChart };
@@ -0,0 +1,120 @@
+/**
+ * @file utils/csv.js
+ * @description Minimal RFC 4180 CSV reader/writer that round-trips with Excel and Google Sheets
+ * @version 2.0.0
+ */
+
+/**
+ * Guess the delimiter from the header line. Excel in many locales saves
+ * "CSV" with semicolons, and "Text (Tab delimited)" uses tabs.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t'];
+  const counts = candidates.map((d) => header.split(d).length);
+  return candidates[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted fields, doubled quotes,
+ * newlines inside quotes, CRLF line endings and a UTF-8 BOM.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text, delimiter) {
+  const input = text.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === sep) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop fully empty lines (trailing newline, spacer rows)
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV into objects keyed by the (trimmed, lower-cased) header row
+ * @param {string} text
+ * @returns {{headers: Array<string>, records: Array<Object>}}
+ */
+export function parseCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const headers = header.map((h) => h.trim().toLowerCase());
+
+  const records = rows.map((row) => Object.fromEntries(
+    headers.map((key, i) => [key, (row[i] ?? '').trim()])
+  ));
+
+  return { headers, records };
+}
+
+/**
+ * Serialise rows to CSV. Starts with a BOM and uses CRLF so Excel opens
+ * UTF-8 (₹, Hindi/Kannada names) correctly.
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n;\t]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return `\uFEFF${rows.map((row) => row.map(escape).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} [type]
+ */
+export function downloadText(text, filename, type = 'text/csv;charset=utf-8') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default { detectDelimiter, parseCSV, parseCSVRecords, toCSV, downloadText };
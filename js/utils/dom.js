@@ -90,21 +90,42 @@ export class DOMUtils {
    * Show toast notification
    * @param {string} message - Message text
    * @param {string} type - Type: success, error, info, warning
+   * @param {Object} [options]
+   * @param {number} [options.duration=3000] - Milliseconds before it fades
+   * @param {{label: string, onClick: Function}} [options.action] - Button, e.g. Undo
+   * @returns {Element} The toast
    */
-  static showToast(message, type = 'success') {
+  static showToast(message, type = 'success', { duration = 3000, action } = {}) {
     const toast = this.createElement('div', {
       class: `toast toast--${type}`,
-      role: 'alert',
-      'aria-live': 'assertive'
+      role: action ? 'status' : 'alert',
+      'aria-live': action ? 'polite' : 'assertive'
     });
-    toast.textContent = message;
-    document.body.appendChild(toast);
 
-    // Auto-dismiss after 3 seconds
-    setTimeout(() => {
+    const dismiss = () => {
       toast.classList.add('fade-out');
       setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    };
+
+    if (action) {
+      const text = this.createElement('span');
+      text.textContent = message;
+      const button = this.createElement('button', { type: 'button', class: 'toast__action' });
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        dismiss();
+        action.onClick();
+      }, { once: true });
+      toast.append(text, button);
+    } else {
+      toast.textContent = message;
+    }
+
+    document.body.appendChild(toast);
+
+    // Auto-dismiss
+    setTimeout(dismiss, duration);
+    return toast;
   }
 
   /**
@@ -0,0 +1,220 @@
+/**
+ * @file utils/filters.js
+ * @description Product listing filters, facet counts, sorting and URL serialisation
+ * @version 2.0.0
+ *
+ * Filters are a plain object (see DEFAULT_FILTERS). Values within one facet are
+ * OR'd, facets are AND'd together. Facet values come from the product itself
+ * (`fabric`, `colour`, `occasion`) and from its variants' options, so a saree
+ * with Maroon and Teal variants counts under both colours.
+ */
+
+import { isSoldOut } from './variants.js';
+
+/**
+ * Price buckets (rupees, catalogue prices) - `max` is exclusive
+ */
+export const PRICE_RANGES = [
+  { id: 'under-1000', label: 'Under ₹1,000', min: 0, max: 1000 },
+  { id: '1000-2500', label: '₹1,000 – ₹2,500', min: 1000, max: 2500 },
+  { id: '2500-5000', label: '₹2,500 – ₹5,000', min: 2500, max: 5000 },
+  { id: '5000-10000', label: '₹5,000 – ₹10,000', min: 5000, max: 10000 },
+  { id: 'over-10000', label: 'Over ₹10,000', min: 10000, max: Infinity }
+];
+
+/**
+ * Multi-select facets, in display order
+ */
+export const FACETS = [
+  { key: 'fabric', label: 'Fabric' },
+  { key: 'colour', label: 'Colour' },
+  { key: 'occasion', label: 'Occasion' },
+  { key: 'price', label: 'Price' }
+];
+
+/**
+ * Sort keys - the same keys ProductService.getProducts accepts
+ */
+export const SORT_OPTIONS = ['latest', 'price-asc', 'price-desc', 'popular', 'name-asc'];
+
+export const DEFAULT_FILTERS = {
+  category: 'all',
+  fabric: [],
+  colour: [],
+  occasion: [],
+  price: [],
+  inStock: false,
+  sort: 'latest',
+  q: ''
+};
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime() || 0;
+};
+
+/**
+ * Product Filter - pure helpers, no DOM
+ */
+export class ProductFilter {
+  /**
+   * Values a product has for a facet
+   * @param {Object} product
+   * @param {string} key - Facet key
+   * @returns {Array<string>}
+   */
+  static valuesOf(product, key) {
+    if (key === 'price') {
+      const range = PRICE_RANGES.find((r) => product.price >= r.min && product.price < r.max);
+      return range ? [range.id] : [];
+    }
+
+    const own = toList(product[key]);
+    const fromVariants = (product.variants || []).map((v) => v.options?.[key]).filter(Boolean);
+    return [...new Set([...own, ...fromVariants])];
+  }
+
+  /**
+   * Whether a product passes the filters
+   * @param {Object} product
+   * @param {Object} filters
+   * @param {string} [ignore] - Facet key to leave out (for that facet's own counts)
+   * @returns {boolean}
+   */
+  static matches(product, filters, ignore) {
+    const { category, inStock } = filters;
+
+    if (category === 'new' && !product.isNew) return false;
+    if (category && category !== 'all' && category !== 'new' && product.category !== category) return false;
+    if (inStock && ignore !== 'inStock' && isSoldOut(product)) return false;
+
+    return FACETS.every(({ key }) => {
+      const selected = filters[key] || [];
+      if (key === ignore || !selected.length) return true;
+      return this.valuesOf(product, key).some((value) => selected.includes(value));
+    });
+  }
+
+  /**
+   * @param {Array} products
+   * @param {Object} filters
+   * @returns {Array}
+   */
+  static apply(products, filters) {
+    return products.filter((product) => this.matches(product, filters));
+  }
+
+  /**
+   * Live counts per facet value. Each facet is counted against the other
+   * active filters only, so ticking "Silk" doesn't zero out "Cotton".
+   * @param {Array} products
+   * @param {Object} filters
+   * @returns {Object} { fabric: { Silk: 4 }, ..., price: { 'under-1000': 2 }, inStock: 9 }
+   */
+  static facetCounts(products, filters) {
+    const counts = { inStock: 0 };
+
+    FACETS.forEach(({ key }) => {
+      counts[key] = {};
+      products
+        .filter((product) => this.matches(product, filters, key))
+        .forEach((product) => {
+          this.valuesOf(product, key).forEach((value) => {
+            counts[key][value] = (counts[key][value] || 0) + 1;
+          });
+        });
+    });
+
+    counts.inStock = products.filter((p) => this.matches(p, filters, 'inStock') && !isSoldOut(p)).length;
+
+    // Keep selected values visible even when nothing matches them any more
+    FACETS.forEach(({ key }) => {
+      (filters[key] || []).forEach((value) => {
+        counts[key][value] = counts[key][value] || 0;
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Sort a copy of the products
+   * @param {Array} products
+   * @param {string} sortBy - One of SORT_OPTIONS
+   * @returns {Array}
+   */
+  static sort(products, sortBy) {
+    const sorted = [...products];
+
+    switch (sortBy) {
+      case 'price-asc':
+        return sorted.sort((a, b) => (a.price || 0) - (b.price || 0));
+      case 'price-desc':
+        return sorted.sort((a, b) => (b.price || 0) - (a.price || 0));
+      case 'popular':
+        return sorted.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+      case 'name-asc':
+        return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      default:
+        return sorted.sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+    }
+  }
+
+  /**
+   * Whether any filter (other than sort) is set
+   * @param {Object} filters
+   * @returns {boolean}
+   */
+  static isActive(filters) {
+    return filters.category !== 'all' ||
+      filters.inStock ||
+      !!filters.q ||
+      FACETS.some(({ key }) => filters[key]?.length);
+  }
+
+  /**
+   * Serialise filters for the address bar, leaving defaults out,
+   * e.g. "category=sarees&fabric=Silk,Cotton&inStock=1&sort=price-asc"
+   * @param {Object} filters
+   * @returns {string} Query string without the leading "?"
+   */
+  static toQueryString(filters) {
+    const params = new URLSearchParams();
+
+    if (filters.q) params.set('q', filters.q);
+    if (filters.category && filters.category !== 'all') params.set('category', filters.category);
+    FACETS.forEach(({ key }) => {
+      if (filters[key]?.length) params.set(key, filters[key].join(','));
+    });
+    if (filters.inStock) params.set('inStock', '1');
+    if (filters.sort && filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+
+    return params.toString();
+  }
+
+  /**
+   * Read filters back from a query string, ignoring unknown or malformed values
+   * @param {string} search - location.search
+   * @returns {Object} Filters
+   */
+  static fromQueryString(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    filters.q = (params.get('q') || '').trim().slice(0, 100);
+    filters.category = params.get('category') || 'all';
+    FACETS.forEach(({ key }) => {
+      filters[key] = (params.get(key) || '').split(',').map((v) => v.trim()).filter(Boolean);
+    });
+    filters.price = filters.price.filter((id) => PRICE_RANGES.some((r) => r.id === id));
+    filters.inStock = params.get('inStock') === '1';
+    filters.sort = SORT_OPTIONS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_FILTERS.sort;
+
+    return filters;
+  }
+}
+
+export default ProductFilter;
@@ -19,7 +19,45 @@ const translations = {
     'Cart updated': 'Cart updated',
     'Loading...': 'Loading...',
     'No items found.': 'No items found.',
-    'No products found.': 'No products found.'
+    'No products found.': 'No products found.',
+    'Syncing offline changes': 'Syncing offline changes',
+    'offline changes synced': 'offline changes synced',
+    'offline changes could not be synced': 'offline changes could not be synced',
+    'Saved offline - will sync when back online': 'Saved offline - will sync when back online',
+    'Invalid coupon code': 'Invalid coupon code',
+    'Coupon applied': 'Coupon applied',
+    'Could not check coupon, please try again': 'Could not check coupon, please try again',
+    'Coupon': 'Coupon',
+    'Remove': 'Remove',
+    'Coupon code': 'Coupon code',
+    'Apply': 'Apply',
+    'Deliver to PIN': 'Deliver to PIN',
+    'Subtotal': 'Subtotal',
+    'Discount': 'Discount',
+    'Shipping': 'Shipping',
+    'estimated': 'estimated',
+    'Free': 'Free',
+    'GST included': 'GST included',
+    'Add': 'Add',
+    'more for free shipping': 'more for free shipping',
+    'Enter a valid 6-digit PIN code': 'Enter a valid 6-digit PIN code',
+    'Could not add this item to your cart': 'Could not add this item to your cart',
+    'Your Cart': 'Your Cart',
+    'Add to Cart': 'Add to Cart',
+    'Please choose your options first': 'Please choose your options first',
+    'Choose Options': 'Choose Options',
+    '{count} products shown': '{count} products shown',
+    'Filters': 'Filters',
+    'Fabric': 'Fabric',
+    'Colour': 'Colour',
+    'Occasion': 'Occasion',
+    'Price': 'Price',
+    'In stock only': 'In stock only',
+    'Clear All Filters': 'Clear All Filters',
+    'Counts cover the {count} products loaded so far': 'Counts cover the {count} products loaded so far',
+    'Share on WhatsApp': 'Share on WhatsApp',
+    'Have a look at this collection': 'Have a look at this collection',
+    'Product not found': 'Product not found'
   },
   es: {
     'Load More': 'Cargar Más',
@@ -32,7 +70,45 @@ const translations = {
     'Cart updated': 'Carrito actualizado',
     'Loading...': 'Cargando...',
     'No items found.': 'No se encontraron artículos.',
-    'No products found.': 'No se encontraron productos.'
+    'No products found.': 'No se encontraron productos.',
+    'Syncing offline changes': 'Sincronizando cambios sin conexión',
+    'offline changes synced': 'cambios sin conexión sincronizados',
+    'offline changes could not be synced': 'cambios sin conexión no se pudieron sincronizar',
+    'Saved offline - will sync when back online': 'Guardado sin conexión: se sincronizará al volver a conectarse',
+    'Invalid coupon code': 'Código de cupón no válido',
+    'Coupon applied': 'Cupón aplicado',
+    'Could not check coupon, please try again': 'No se pudo comprobar el cupón, inténtalo de nuevo',
+    'Coupon': 'Cupón',
+    'Remove': 'Quitar',
+    'Coupon code': 'Código de cupón',
+    'Apply': 'Aplicar',
+    'Deliver to PIN': 'Entregar en el código PIN',
+    'Subtotal': 'Subtotal',
+    'Discount': 'Descuento',
+    'Shipping': 'Envío',
+    'estimated': 'estimado',
+    'Free': 'Gratis',
+    'GST included': 'GST incluido',
+    'Add': 'Añade',
+    'more for free shipping': 'más para envío gratis',
+    'Enter a valid 6-digit PIN code': 'Introduce un código PIN válido de 6 dígitos',
+    'Could not add this item to your cart': 'No se pudo añadir este artículo al carrito',
+    'Your Cart': 'Tu carrito',
+    'Add to Cart': 'Añadir al carrito',
+    'Please choose your options first': 'Elige primero tus opciones',
+    'Choose Options': 'Elegir opciones',
+    '{count} products shown': '{count} productos mostrados',
+    'Filters': 'Filtros',
+    'Fabric': 'Tejido',
+    'Colour': 'Color',
+    'Occasion': 'Ocasión',
+    'Price': 'Precio',
+    'In stock only': 'Solo en stock',
+    'Clear All Filters': 'Borrar todos los filtros',
+    'Counts cover the {count} products loaded so far': 'Los recuentos cubren los {count} productos cargados hasta ahora',
+    'Share on WhatsApp': 'Compartir por WhatsApp',
+    'Have a look at this collection': 'Mira esta colección',
+    'Product not found': 'Producto no encontrado'
   }
 };
 
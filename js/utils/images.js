@@ -0,0 +1,172 @@
+/**
+ * @file utils/images.js
+ * @description Product image pipeline - resize, encode and placeholder in the browser
+ * @version 2.0.0
+ *
+ * Every product photo is stored as an image set:
+ * `{ image, imageMedium, imageSmall, thumbnail, webp: { ...same keys }, placeholder, width, height }`.
+ * The top-level keys are JPEG URLs (every browser), `webp` holds the smaller
+ * WebP copies when the admin's browser can encode them, and `placeholder` is a
+ * tiny inline JPEG shown while the real image loads. A product's gallery is
+ * `product.gallery: [imageSet]`; ProductService copies the first set onto the
+ * product itself, which is what cards, the cart and recommendations read.
+ */
+
+/**
+ * Renditions, smallest first - widths match the srcset in ProductComponent.createCard
+ */
+export const RENDITIONS = [
+  { key: 'thumbnail', width: 160 },
+  { key: 'imageSmall', width: 320 },
+  { key: 'imageMedium', width: 640 },
+  { key: 'image', width: 1280 }
+];
+
+export const SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Originals are only read locally, so phone photos straight off the camera are fine
+export const MAX_SOURCE_SIZE = 25 * 1024 * 1024;
+
+const QUALITY = 0.82;
+const PLACEHOLDER_WIDTH = 16;
+
+/**
+ * Decode a file, applying its EXIF orientation
+ * @param {File|Blob} file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decode(file) {
+  if ('createImageBitmap' in window) {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw a source onto a new canvas at most `width` wide (never upscaled)
+ * @param {CanvasImageSource} source
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {number} width
+ * @returns {HTMLCanvasElement}
+ */
+function drawScaled(source, sourceWidth, sourceHeight, width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.min(width, sourceWidth);
+  canvas.height = Math.max(1, Math.round(sourceHeight * (canvas.width / sourceWidth)));
+
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha - flatten transparent PNGs onto white rather than black
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  return canvas;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @returns {Promise<Blob|null>} null when the browser can't encode the type
+ */
+function encode(canvas, type) {
+  return new Promise((resolve) => {
+    // Browsers without an encoder silently return PNG instead
+    canvas.toBlob((blob) => resolve(blob && blob.type === type ? blob : null), type, QUALITY);
+  });
+}
+
+/**
+ * Resize an uploaded photo into every rendition.
+ *
+ * Re-encoding through a canvas writes no metadata, so EXIF (GPS location,
+ * camera serial numbers) never leaves the admin's machine.
+ *
+ * @param {File} file - JPEG, PNG or WebP
+ * @returns {Promise<{width: number, height: number, placeholder: string,
+ *   renditions: Array<{key: string, width: number, height: number, jpeg: Blob, webp: Blob|null}>}>}
+ */
+export async function processImage(file) {
+  if (!SOURCE_TYPES.includes(file.type)) {
+    throw new Error(`${file.name}: only JPEG, PNG and WebP images are supported`);
+  }
+
+  let source;
+  try {
+    source = await decode(file);
+  } catch {
+    throw new Error(`${file.name}: the image could not be read`);
+  }
+
+  const sourceWidth = source.width || source.naturalWidth;
+  const sourceHeight = source.height || source.naturalHeight;
+  const renditions = [];
+
+  try {
+    // Largest first, each one drawn from the previous - stepping down gives
+    // sharper small renditions than one big jump
+    let previous = { canvas: source, width: sourceWidth, height: sourceHeight };
+
+    for (const { key, width } of [...RENDITIONS].reverse()) {
+      const canvas = drawScaled(previous.canvas, previous.width, previous.height, width);
+      const [jpeg, webp] = await Promise.all([encode(canvas, 'image/jpeg'), encode(canvas, 'image/webp')]);
+      if (!jpeg) throw new Error(`${file.name}: the image could not be encoded`);
+
+      renditions.unshift({ key, width: canvas.width, height: canvas.height, jpeg, webp });
+      previous = { canvas, width: canvas.width, height: canvas.height };
+    }
+
+    const tiny = drawScaled(previous.canvas, previous.width, previous.height, PLACEHOLDER_WIDTH);
+    const placeholder = tiny.toDataURL('image/jpeg', 0.5);
+
+    const { width, height } = renditions[renditions.length - 1];
+    return { width, height, placeholder, renditions };
+  } finally {
+    source.close?.();
+  }
+}
+
+/**
+ * A product's gallery as image sets, including products saved before the
+ * pipeline (plain `images` URLs, renditions only on the first image if at all)
+ * @param {Object} product
+ * @returns {Array<Object>}
+ */
+export function galleryOf(product) {
+  if (product?.gallery?.length) return product.gallery;
+
+  const urls = product?.images?.length ? product.images : [product?.image].filter(Boolean);
+  const fields = ['imageMedium', 'imageSmall', 'thumbnail', 'webp', 'placeholder'];
+
+  return urls.map((url, index) => {
+    const set = { image: url };
+    if (index === 0 && url === product.image) {
+      fields.filter((key) => product[key]).forEach((key) => { set[key] = product[key]; });
+    }
+    return set;
+  });
+}
+
+/**
+ * `srcset` for an image set
+ * @param {Object} set - Image set (or the `webp` part of one)
+ * @returns {string}
+ */
+export function srcsetOf(set) {
+  return RENDITIONS
+    .filter(({ key }) => set?.[key])
+    .map(({ key, width }) => `${set[key]} ${width}w`)
+    .join(', ');
+}
+
+export default { RENDITIONS, processImage, galleryOf, srcsetOf };
@@ -0,0 +1,91 @@
+/**
+ * @file utils/markdown.js
+ * @description Small, safe markdown renderer for FAQ answers
+ * @version 2.0.0
+ *
+ * Supports paragraphs, line breaks, `-`/`*` and `1.` lists, **bold**,
+ * *italic*, `code` and [links](https://...). Everything else is shown as
+ * text: input is HTML-escaped before any markup is added, and links only
+ * accept http(s), mailto, tel and site-relative URLs.
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const SAFE_URL = /^(https?:\/\/|mailto:|tel:|\/|#|\.{1,2}\/)/i;
+const LIST_ITEM = /^\s*([-*]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+/**
+ * Inline markup within one block
+ * @param {string} text - Raw markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  // Code spans and links are set aside so emphasis can't reach inside them
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  const html = escapeHTML(text)
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      // `url` is already escaped, so it can't leave the attribute
+      if (!SAFE_URL.test(url)) return match;
+      const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+      return hold(`<a href="${url}"${external}>${label}</a>`);
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>');
+
+  // eslint-disable-next-line no-control-regex -- NUL can't occur in the text, so it marks the held-out snippets
+  return html.replace(/\u0000(\d+)\u0000/g, (_, i) => held[i]);
+}
+
+/**
+ * One blank-line-separated block: a list if it starts with a list marker,
+ * otherwise a paragraph
+ * @param {string} block
+ * @returns {string} HTML
+ */
+function renderBlock(block) {
+  const lines = block.split('\n');
+  const first = lines[0].match(LIST_ITEM);
+
+  if (!first) {
+    return `<p>${lines.map((line) => renderInline(line.trim())).join('<br>')}</p>`;
+  }
+
+  // Unmarked lines continue the item above
+  const items = [];
+  lines.forEach((line) => {
+    const item = line.match(LIST_ITEM);
+    if (item) items.push(item[2]);
+    else items[items.length - 1] += ` ${line.trim()}`;
+  });
+
+  const tag = /\d/.test(first[1]) ? 'ol' : 'ul';
+  return `<${tag}>${items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`;
+}
+
+/**
+ * Render markdown to HTML that is safe to assign to innerHTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown = '') {
+  return String(markdown)
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    .map((block) => block.replace(/^\n+|\s+$/g, ''))
+    .filter(Boolean)
+    .map(renderBlock)
+    .join('');
+}
+
+export default { escapeHTML, renderMarkdown };
@@ -0,0 +1,272 @@
+/**
+ * @file utils/pricing.js
+ * @description Cart pricing engine: GST, shipping zones, free shipping and coupons
+ * @version 2.0.0
+ *
+ * Every amount in and out of the engine is integer paise (₹1 = 100). Catalogue
+ * prices are stored in rupees, so convert once with toPaise() and only turn
+ * paise back into rupees for display with formatPaise().
+ *
+ * Catalogue prices include GST, so tax is broken out of the price rather than
+ * added on top.
+ */
+
+/**
+ * Convert a rupee amount to integer paise
+ * @param {number|string} rupees
+ * @returns {number}
+ */
+export function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+/**
+ * What a product (or one of its variants) sells for now, in paise. Checkout
+ * and the server price orders with this, never with the price a cart remembered.
+ * @param {Object|null} product - Product document data
+ * @param {string} [sku] - Variant SKU
+ * @returns {number|null} null when the product or variant is no longer sold
+ */
+export function catalogPrice(product, sku) {
+  if (!product || product.deletedAt) return null;
+  if (!sku) return toPaise(product.price);
+
+  const variant = (product.variants || []).find((v) => v.sku === sku);
+  return variant ? toPaise(variant.price ?? product.price) : null;
+}
+
+/**
+ * Format paise for display, e.g. 149950 → "₹1,499.50"
+ * @param {number} paise
+ * @returns {string}
+ */
+export function formatPaise(paise) {
+  return `₹${(paise / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Pricing rules. Thresholds and fees are paise.
+ */
+export const PRICING_RULES = {
+  // GST by tax class. For textiles the slab depends on the per-piece selling price.
+  gst: {
+    textiles: [
+      { upTo: 100000, rate: 5 },
+      { upTo: Infinity, rate: 12 }
+    ],
+    accessories: [{ upTo: Infinity, rate: 18 }]
+  },
+
+  // Product category → tax class (unknown categories are textiles)
+  taxClassByCategory: {
+    sarees: 'textiles',
+    kurtis: 'textiles',
+    lehengas: 'textiles',
+    accessories: 'accessories'
+  },
+
+  // Shipping zones, matched on PIN code prefix (longest prefix wins). We ship from Bengaluru.
+  shippingZones: {
+    local: { label: 'Bengaluru', prefixes: ['560', '561', '562'], fee: 4900, freeAbove: 99900 },
+    regional: { label: 'South India', prefixes: ['5', '6'], fee: 7900, freeAbove: 199900 },
+    national: { label: 'Rest of India', prefixes: ['1', '2', '3', '4', '7', '8'], fee: 9900, freeAbove: 299900 },
+    remote: { label: 'North-East, J&K and islands', prefixes: ['18', '19', '744', '78', '79'], fee: 14900, freeAbove: 499900 }
+  },
+
+  // Used until the customer enters a PIN code
+  defaultZone: 'national'
+};
+
+/**
+ * Pricing Engine - one place that turns cart lines into an itemised breakdown
+ */
+export class PricingEngine {
+  /**
+   * Resolve the shipping zone for a PIN code
+   * @param {string} [pincode] - 6-digit Indian PIN code
+   * @returns {string} Zone key
+   */
+  static getShippingZone(pincode) {
+    if (!/^[1-9]\d{5}$/.test(String(pincode || ''))) {
+      return PRICING_RULES.defaultZone;
+    }
+
+    let match = { zone: PRICING_RULES.defaultZone, length: 0 };
+    Object.entries(PRICING_RULES.shippingZones).forEach(([zone, { prefixes }]) => {
+      prefixes.forEach((prefix) => {
+        if (pincode.startsWith(prefix) && prefix.length > match.length) {
+          match = { zone, length: prefix.length };
+        }
+      });
+    });
+
+    return match.zone;
+  }
+
+  /**
+   * GST rate (percent) for one piece of a category at a given price
+   * @param {string} category - Product category
+   * @param {number} unitPrice - Per-piece price in paise
+   * @returns {number}
+   */
+  static getGstRate(category, unitPrice) {
+    const taxClass = PRICING_RULES.taxClassByCategory[category] || 'textiles';
+    const slabs = PRICING_RULES.gst[taxClass];
+    return slabs.find((slab) => unitPrice <= slab.upTo).rate;
+  }
+
+  /**
+   * Check whether a coupon can be used
+   * @param {Object} coupon - Coupon document (amounts in paise, dates in ms)
+   * @param {number} subtotal - Cart subtotal in paise
+   * @param {number} [now] - Current time in ms
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  static validateCoupon(coupon, subtotal, now = Date.now()) {
+    if (!coupon || coupon.active === false) {
+      return { valid: false, reason: 'This coupon is not valid' };
+    }
+    if (coupon.startsAt && now < coupon.startsAt) {
+      return { valid: false, reason: 'This coupon is not active yet' };
+    }
+    if (coupon.endsAt && now > coupon.endsAt) {
+      return { valid: false, reason: 'This coupon has expired' };
+    }
+    if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) {
+      return { valid: false, reason: 'This coupon has been fully redeemed' };
+    }
+    if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+      return { valid: false, reason: `Add ${formatPaise(coupon.minSubtotal - subtotal)} more to use this coupon` };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Discount per line for a coupon
+   * @param {Object} coupon - { type: 'percent'|'flat'|'bxgy', value, maxDiscount, buy, get, categories }
+   * @param {Array} lines - Priced lines
+   * @returns {Array<number>} Discount in paise, aligned with lines
+   */
+  static allocateDiscount(coupon, lines) {
+    const discounts = lines.map(() => 0);
+    const eligible = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => !coupon.categories?.length || coupon.categories.includes(line.category));
+
+    const eligibleTotal = eligible.reduce((sum, { line }) => sum + line.lineTotal, 0);
+    if (!eligibleTotal) return discounts;
+
+    if (coupon.type === 'bxgy') {
+      // Expand to single units, most expensive first; in every group of buy + get the cheapest `get` are free
+      const units = eligible
+        .flatMap(({ line, index }) => Array.from({ length: line.quantity }, () => ({ index, price: line.unitPrice })))
+        .sort((a, b) => b.price - a.price);
+      const groupSize = coupon.buy + coupon.get;
+
+      units.forEach((unit, position) => {
+        if (position % groupSize >= coupon.buy && position - (position % groupSize) + groupSize <= units.length) {
+          discounts[unit.index] += unit.price;
+        }
+      });
+      return discounts;
+    }
+
+    let total = coupon.type === 'percent'
+      ? Math.floor((eligibleTotal * coupon.value) / 100)
+      : coupon.value;
+    if (coupon.maxDiscount) total = Math.min(total, coupon.maxDiscount);
+    total = Math.min(total, eligibleTotal);
+
+    // Split pro rata; the last eligible line takes the rounding remainder so paise always add up
+    let allocated = 0;
+    eligible.forEach(({ line, index }, position) => {
+      const share = position === eligible.length - 1
+        ? total - allocated
+        : Math.floor((total * line.lineTotal) / eligibleTotal);
+      discounts[index] = share;
+      allocated += share;
+    });
+
+    return discounts;
+  }
+
+  /**
+   * Price a cart
+   * @param {Array<{productId: string, name?: string, category?: string, unitPrice: number, quantity: number}>} items
+   *   Lines with unitPrice in paise (GST inclusive)
+   * @param {Object} [options]
+   * @param {string} [options.pincode] - Delivery PIN code
+   * @param {Object} [options.coupon] - Coupon document to apply
+   * @param {number} [options.now] - Current time in ms (for coupon windows)
+   * @returns {Object} Itemised breakdown, all amounts in paise
+   */
+  static price(items, { pincode, coupon, now = Date.now() } = {}) {
+    const lines = items.map((item) => ({
+      productId: item.productId,
+      name: item.name,
+      category: item.category,
+      unitPrice: item.unitPrice,
+      quantity: item.quantity,
+      lineTotal: item.unitPrice * item.quantity
+    }));
+
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    // Coupon
+    let couponResult = null;
+    let couponError = null;
+    let discounts = lines.map(() => 0);
+
+    if (coupon) {
+      const check = this.validateCoupon(coupon, subtotal, now);
+      if (check.valid) {
+        discounts = this.allocateDiscount(coupon, lines);
+      } else {
+        couponError = check.reason;
+      }
+    }
+
+    const discount = discounts.reduce((sum, amount) => sum + amount, 0);
+    if (coupon && !couponError) {
+      couponResult = discount > 0
+        ? { code: coupon.code, type: coupon.type, discount }
+        : null;
+      if (!discount) couponError = 'This coupon does not apply to items in your cart';
+    }
+
+    // GST, broken out of the discounted (inclusive) line value
+    const pricedLines = lines.map((line, index) => {
+      const net = line.lineTotal - discounts[index];
+      const taxRate = this.getGstRate(line.category, Math.round(net / line.quantity));
+      const tax = net - Math.round((net * 100) / (100 + taxRate));
+      return { ...line, discount: discounts[index], net, taxRate, tax };
+    });
+    const tax = pricedLines.reduce((sum, line) => sum + line.tax, 0);
+
+    // Shipping
+    const shippingZone = this.getShippingZone(pincode);
+    const zone = PRICING_RULES.shippingZones[shippingZone];
+    const merchandise = subtotal - discount;
+    const freeShipping = merchandise >= zone.freeAbove;
+    const shipping = !itemCount || freeShipping ? 0 : zone.fee;
+
+    return {
+      lines: pricedLines,
+      itemCount,
+      subtotal,
+      discount,
+      coupon: couponResult,
+      couponError,
+      tax,
+      shipping,
+      shippingZone,
+      shippingEstimated: !pincode,
+      freeShippingRemaining: freeShipping ? 0 : zone.freeAbove - merchandise,
+      total: merchandise + shipping,
+      currency: 'INR'
+    };
+  }
+}
+
+export default PricingEngine;
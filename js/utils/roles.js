@@ -0,0 +1,78 @@
+/**
+ * @file utils/roles.js
+ * @description Staff roles and what each one may do
+ * @version 2.0.0
+ *
+ * A staff member's role is the `role` custom claim on their ID token, set by
+ * the `setUserRole` callable function. The same map is enforced three times:
+ * the admin UI hides what a role can't use, every service method checks it
+ * before writing, and firestore.rules / storage.rules enforce it on the server.
+ * Keep the three in step when a permission changes.
+ */
+
+export const PERMISSIONS = {
+  STATS: 'stats:view',
+  STATS_REBUILD: 'stats:rebuild',
+  CATALOG: 'catalog:manage',
+  FAQS: 'faqs:manage',
+  INBOX: 'inbox:manage',
+  TESTIMONIALS: 'testimonials:moderate',
+  REVIEWS: 'reviews:moderate',
+  AUDIT: 'audit:view',
+  USERS: 'users:manage',
+  PAYMENTS: 'payments:manage'
+};
+
+/**
+ * Role → permissions. Order is display order in the Team section.
+ */
+export const ROLES = {
+  owner: {
+    label: 'Owner',
+    permissions: Object.values(PERMISSIONS)
+  },
+  catalog_editor: {
+    label: 'Catalog editor',
+    permissions: [PERMISSIONS.STATS, PERMISSIONS.CATALOG]
+  },
+  support: {
+    label: 'Support agent',
+    permissions: [PERMISSIONS.STATS, PERMISSIONS.FAQS, PERMISSIONS.INBOX, PERMISSIONS.TESTIMONIALS, PERMISSIONS.REVIEWS]
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: [PERMISSIONS.STATS]
+  }
+};
+
+/**
+ * Permission needed to change each trashable/audited collection
+ */
+export const COLLECTION_PERMISSIONS = {
+  products: PERMISSIONS.CATALOG,
+  faqs: PERMISSIONS.FAQS,
+  contacts: PERMISSIONS.INBOX
+};
+
+/**
+ * Role from ID token claims. Accounts set up before roles only carry
+ * `admin: true`; they keep full access as owners.
+ * @param {Object} claims - IdTokenResult.claims
+ * @returns {string|null} Key of ROLES, or null for customers and unknown roles
+ */
+export function roleFromClaims(claims = {}) {
+  if (claims.role && ROLES[claims.role]) return claims.role;
+  if (claims.admin === true) return 'owner';
+  return null;
+}
+
+/**
+ * @param {string|null} role - Key of ROLES
+ * @param {string} permission - Value of PERMISSIONS
+ * @returns {boolean}
+ */
+export function can(role, permission) {
+  return !!ROLES[role]?.permissions.includes(permission);
+}
+
+export default { PERMISSIONS, ROLES, COLLECTION_PERMISSIONS, roleFromClaims, can };
@@ -0,0 +1,358 @@
+/**
+ * @file utils/search.js
+ * @description Product search index - synonyms, Devanagari and Kannada
+ * transliteration, plural stemming and weighted fields over Fuse.js
+ * @version 2.0.0
+ *
+ * Products and queries go through the same normalisation, so they meet in
+ * one vocabulary: Indic script is transliterated to Latin, accents and case
+ * are dropped, plurals are stemmed and every known variant is replaced by
+ * its canonical term. "कांजीवरम", "Kanchipuram Sarees" and "ಸೀರೆ" all become
+ * words from SYNONYMS before Fuse compares them, and Fuse's fuzzy matching
+ * covers the spellings the dictionary doesn't.
+ */
+
+import Fuse from 'fuse.js';
+import { ProductFilter } from './filters.js';
+
+/**
+ * Curated synonyms - canonical term first, then its variants (already in
+ * transliterated, lower-case form). Add spellings customers actually use.
+ */
+export const SYNONYMS = [
+  ['saree', 'sari', 'saris', 'saaree', 'saari', 'sadi', 'saadi', 'sire', 'seere'],
+  ['silk', 'resham', 'reshami', 'reshmi', 'reshme', 'pattu', 'pure silk'],
+  ['cotton', 'suti', 'sooti', 'kapas', 'hatti'],
+  ['kanjeevaram', 'kanjivaram', 'kanchivaram', 'conjeevaram', 'kanchipuram', 'kancheepuram', 'kanchi'],
+  ['banarasi', 'benarasi', 'banarsi', 'benarsi', 'varanasi'],
+  ['mysore', 'mysuru', 'maisuru', 'maisur'],
+  ['ilkal', 'ilakal'],
+  ['kurti', 'kurta', 'kurthi', 'kurtha'],
+  ['lehenga', 'lehnga', 'lahenga', 'lehanga', 'lahanga', 'ghagra', 'ghagra choli', 'chaniya choli', 'lehenga choli'],
+  ['blouse', 'choli', 'ravike', 'blauz'],
+  ['dupatta', 'duppatta', 'chunni', 'chunri', 'odhni'],
+  ['accessory', 'jewellery', 'jewelry'],
+  ['handloom', 'handwoven', 'hand woven', 'kaimagga', 'hathkargha'],
+  ['zari', 'jari'],
+  ['wedding', 'bridal', 'shadi', 'shaadi', 'vivah', 'maduve'],
+  ['festive', 'festival', 'tyohar', 'habba'],
+  ['red', 'lal', 'laal', 'kempu'],
+  ['maroon', 'mehroon'],
+  ['green', 'hara', 'hari', 'hasiru'],
+  ['blue', 'nila', 'neela', 'nili', 'neeli'],
+  ['yellow', 'pila', 'peela', 'haladi'],
+  ['black', 'kala', 'kaala', 'kappu'],
+  ['white', 'safed', 'safaid', 'bili'],
+  ['pink', 'gulabi'],
+  ['gold', 'golden', 'sona', 'sunehra', 'chinna']
+];
+
+/**
+ * Fuse keys and their weights - a match in the name counts most
+ */
+export const SEARCH_FIELDS = [
+  { name: 'name', weight: 3 },
+  { name: 'category', weight: 2 },
+  { name: 'attributes', weight: 2 },
+  { name: 'description', weight: 1 }
+];
+
+const FUSE_OPTIONS = {
+  keys: SEARCH_FIELDS,
+  threshold: 0.3,
+  ignoreLocation: true,
+  minMatchCharLength: 2,
+  includeScore: true
+};
+
+// Variant (single word or two-word phrase) → canonical term
+const CANONICAL = new Map(SYNONYMS.flatMap(([canonical, ...variants]) => [canonical, ...variants].map((v) => [v, canonical])));
+
+// ============================================================================
+// TRANSLITERATION
+// ============================================================================
+
+// Unicode lays the Indic blocks out alike, so one table, indexed by offset
+// within the block, covers Devanagari (U+0900) and Kannada (U+0C80)
+const DEVANAGARI = 0x0900;
+const KANNADA = 0x0c80;
+
+const INDEPENDENT_VOWELS = {
+  0x05: 'a', 0x06: 'a', 0x07: 'i', 0x08: 'i', 0x09: 'u', 0x0a: 'u', 0x0b: 'ri', 0x0c: 'li',
+  0x0d: 'e', 0x0e: 'e', 0x0f: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au',
+  0x60: 'ri', 0x61: 'li'
+};
+
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+  0x1a: 'ch', 0x1b: 'chh', 0x1c: 'j', 0x1d: 'jh', 0x1e: 'n',
+  0x1f: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2a: 'p', 0x2b: 'ph', 0x2c: 'b', 0x2d: 'bh', 0x2e: 'm',
+  0x2f: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'l', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h'
+};
+
+// Consonants followed by a nukta (Devanagari loan sounds: ज़ z, ड़ r, फ़ f)
+const NUKTA_CONSONANTS = { 0x15: 'q', 0x16: 'kh', 0x17: 'g', 0x1c: 'z', 0x21: 'r', 0x22: 'rh', 0x2b: 'f', 0x2f: 'y' };
+
+const VOWEL_SIGNS = {
+  0x3e: 'a', 0x3f: 'i', 0x40: 'i', 0x41: 'u', 0x42: 'u', 0x43: 'ri', 0x44: 'ri',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4a: 'o', 0x4b: 'o', 0x4c: 'au',
+  0x62: 'li', 0x63: 'li'
+};
+
+const CHANDRABINDU = 0x01;
+const ANUSVARA = 0x02;
+const VISARGA = 0x03;
+const NUKTA = 0x3c;
+const VIRAMA = 0x4d;
+
+// Consonants an anusvara is said as "m" before (p, ph, b, bh, m)
+const isLabial = (offset) => offset >= 0x2a && offset <= 0x2e;
+
+/**
+ * @param {number} code - Code point
+ * @returns {{base: number, offset: number}|null} Block and offset for Devanagari or Kannada
+ */
+function indicOffset(code) {
+  if (code >= DEVANAGARI && code < DEVANAGARI + 0x80) return { base: DEVANAGARI, offset: code - DEVANAGARI };
+  if (code >= KANNADA && code < KANNADA + 0x80) return { base: KANNADA, offset: code - KANNADA };
+  return null;
+}
+
+/**
+ * Devanagari and Kannada → plain Latin letters, as customers would type the
+ * word ("रेशमी साड़ी" → "reshami sari", "ರೇಷ್ಮೆ ಸೀರೆ" → "reshme sire"). Vowel
+ * length is dropped. Hindi leaves the final inherent "a" unsaid (रेशम is
+ * "resham"), Kannada says it. Other text passes through.
+ * @param {string} text
+ * @returns {string}
+ */
+export function transliterate(text) {
+  // NFC keeps two-part Kannada vowel signs (ೊ, ೈ) whole, and still splits
+  // Devanagari nukta letters (ड़ → ड + ़), which Unicode never composes
+  const chars = Array.from(text.normalize('NFC'));
+  let out = '';
+  // Consonant still waiting to learn its vowel, and which script it was in
+  let pending = null;
+  let vowelsInWord = 0;
+
+  const settle = (wordEnds) => {
+    if (!pending) return;
+    // Final schwa deletion - Hindi only, and never the word's only vowel
+    if (!(wordEnds && pending === DEVANAGARI && vowelsInWord > 0)) {
+      out += 'a';
+      vowelsInWord++;
+    }
+    pending = null;
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const position = indicOffset(chars[i].codePointAt(0));
+    const next = chars[i + 1] ? indicOffset(chars[i + 1].codePointAt(0)) : null;
+
+    if (!position) {
+      settle(true);
+      if (!/\p{L}|\p{N}/u.test(chars[i])) vowelsInWord = 0;
+      out += chars[i];
+      continue;
+    }
+
+    const { base, offset } = position;
+
+    if (CONSONANTS[offset]) {
+      settle(false);
+      if (next?.offset === NUKTA && NUKTA_CONSONANTS[offset]) {
+        out += NUKTA_CONSONANTS[offset];
+        i++;
+      } else {
+        out += CONSONANTS[offset];
+      }
+      pending = base;
+    } else if (base === KANNADA && offset === 0x5e) {
+      settle(false);
+      out += 'l';
+      pending = base;
+    } else if (VOWEL_SIGNS[offset]) {
+      out += VOWEL_SIGNS[offset];
+      pending = null;
+      vowelsInWord++;
+    } else if (offset === VIRAMA) {
+      pending = null;
+    } else if (INDEPENDENT_VOWELS[offset]) {
+      settle(false);
+      out += INDEPENDENT_VOWELS[offset];
+      vowelsInWord++;
+    } else if (offset === ANUSVARA || offset === CHANDRABINDU) {
+      settle(false);
+      out += !next || isLabial(next.offset) ? 'm' : 'n';
+    } else if (offset === VISARGA) {
+      settle(false);
+      out += 'h';
+    } else if (offset >= 0x66 && offset <= 0x6f) {
+      settle(true);
+      out += String(offset - 0x66);
+    } else if (offset === 0x64 || offset === 0x65) {
+      // Danda - sentence break
+      settle(true);
+      vowelsInWord = 0;
+      out += ' ';
+    }
+    // Length marks, avagraha and other signs add nothing
+  }
+
+  settle(true);
+  return out;
+}
+
+// ============================================================================
+// NORMALISATION
+// ============================================================================
+
+/**
+ * Strip a plural ending: sarees → saree, accessories → accessory,
+ * dresses → dress. Short words and -ss/-us/-is endings are left alone.
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length < 4) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(?:ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lower-case Latin words from any text
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return transliterate(String(text || ''))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Word → canonical term, trying it as typed, then stemmed
+ * @param {string} word
+ * @returns {string}
+ */
+function canonicalWord(word) {
+  return CANONICAL.get(word) || CANONICAL.get(stem(word)) || stem(word);
+}
+
+/**
+ * Text → canonical terms. Two-word variants ("ghagra choli") are matched
+ * before single words.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function normalize(text) {
+  const words = tokenize(text);
+  const terms = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const phrase = words[i + 1] && CANONICAL.get(`${words[i]} ${words[i + 1]}`);
+    if (phrase) {
+      terms.push(phrase);
+      i++;
+    } else {
+      terms.push(canonicalWord(words[i]));
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Searchable document for a product - each field in canonical terms
+ * @param {Object} product
+ * @returns {Object}
+ */
+function toDocument(product) {
+  const attributes = ['fabric', 'colour', 'occasion'].flatMap((key) => ProductFilter.valuesOf(product, key));
+
+  return {
+    id: product.id,
+    name: normalize(product.name).join(' '),
+    category: normalize(product.category).join(' '),
+    attributes: normalize(attributes.join(' ')).join(' '),
+    description: normalize(product.description).join(' ')
+  };
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Search index over products. Add pages as they load - only new or changed
+ * products are (re)indexed, never the whole catalogue.
+ */
+export class SearchIndex {
+  constructor() {
+    this.fuse = new Fuse([], FUSE_OPTIONS);
+    this.products = new Map();
+  }
+
+  /**
+   * @returns {number} Products in the index
+   */
+  get size() {
+    return this.products.size;
+  }
+
+  /**
+   * Index products, replacing earlier copies of the same ones
+   * @param {Array<Object>} products
+   */
+  addProducts(products) {
+    products.forEach((product) => {
+      const indexed = this.products.get(product.id);
+      if (indexed === product) return;
+
+      if (indexed) this.fuse.remove((doc) => doc.id === product.id);
+      this.fuse.add(toDocument(product));
+      this.products.set(product.id, product);
+    });
+  }
+
+  /**
+   * Empty the index, e.g. when the listing restarts in a new sort order
+   */
+  clear() {
+    this.fuse.setCollection([]);
+    this.products.clear();
+  }
+
+  /**
+   * Products matching every word of the query, best first
+   * @param {string} query
+   * @returns {Array<Object>}
+   */
+  search(query) {
+    const terms = normalize(query);
+    if (!terms.length) return [];
+
+    const results = this.fuse.search({
+      $and: terms.map((term) => ({
+        $or: SEARCH_FIELDS.map(({ name }) => ({ [name]: term }))
+      }))
+    });
+
+    return results.map(({ item }) => this.products.get(item.id)).filter(Boolean);
+  }
+}
+
+/**
+ * The index behind the header search and the products page
+ */
+export const productSearch = new SearchIndex();
+
+export default { SYNONYMS, SEARCH_FIELDS, transliterate, stem, tokenize, normalize, SearchIndex, productSearch };
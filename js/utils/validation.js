@@ -30,26 +30,292 @@ export const contactSchema = z.object({
 });
 
 /**
- * Product validation schema
+ * Inbox workflow for contact messages - they arrive as `new`
+ */
+export const CONTACT_STATUSES = ['new', 'in-progress', 'resolved', 'spam'];
+
+export const contactStatusSchema = z.enum(CONTACT_STATUSES);
+
+/**
+ * Testimonial moderation - submissions arrive as `pending`
+ */
+export const TESTIMONIAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const testimonialStatusSchema = z.enum(TESTIMONIAL_STATUSES);
+
+// Download URL of a photo in someone's testimonials/{uid}/ storage folder (or
+// the storage emulator's equivalent). Keep in step with the testimonials rules.
+export const TESTIMONIAL_PHOTO_URL = /^(https:\/\/firebasestorage\.googleapis\.com|http:\/\/(127\.0\.0\.1|localhost):\d+)\/v0\/b\/[^/]+\/o\/testimonials%2F[^/%]+%2F[^/?]+\?alt=media(&token=[A-Za-z0-9-]+)?$/;
+
+/**
+ * Customer testimonial (the submission form)
+ */
+export const testimonialSchema = z.object({
+  author: z.string().trim().min(2, 'Name must be at least 2 characters').max(60, 'Name must be under 60 characters'),
+  city: z.string().trim().max(60, 'City must be under 60 characters').optional(),
+  rating: z.number().int().min(1, 'Choose a rating').max(5, 'Choose a rating'),
+  quote: z.string().trim().min(20, 'Please write at least 20 characters').max(1000, 'Please keep it under 1000 characters'),
+  orderRef: z.string().trim().toUpperCase().regex(/^JT-[A-Z0-9]+-\d{4}$/, 'Order numbers look like JT-LX4K2Q9A-1234').optional(),
+  photo: z.string().regex(TESTIMONIAL_PHOTO_URL, 'Add a photo with the upload button').optional()
+});
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const reviewStatusSchema = z.enum(REVIEW_STATUSES);
+
+// Photos a customer can attach to one review
+export const MAX_REVIEW_PHOTOS = 3;
+
+// Download URL of a file in someone's users/{uid}/ storage folder (or the
+// storage emulator's equivalent). Keep in step with validReview in firestore.rules.
+export const USER_PHOTO_URL = /^(https:\/\/firebasestorage\.googleapis\.com|http:\/\/(127\.0\.0\.1|localhost):\d+)\/v0\/b\/[^/]+\/o\/users%2F[^/%]+%2F[^/?]+\?alt=media(&token=[A-Za-z0-9-]+)?$/;
+
+/**
+ * Product review (the write-a-review form)
+ */
+export const reviewSchema = z.object({
+  productId: z.string().min(1),
+  rating: z.number().int().min(1, 'Choose a rating').max(5, 'Choose a rating'),
+  title: z.string().trim().max(80, 'Please keep the title under 80 characters').optional(),
+  body: z.string().trim().min(20, 'Please write at least 20 characters').max(2000, 'Please keep it under 2000 characters'),
+  photos: z.array(z.string().regex(USER_PHOTO_URL, 'Add photos with the upload button')).max(MAX_REVIEW_PHOTOS, `Add up to ${MAX_REVIEW_PHOTOS} photos`).default([])
+});
+
+/**
+ * Product variant schema - one sellable colour/fabric/size/blouse combination
+ */
+export const variantSchema = z.object({
+  sku: z.string().regex(/^[A-Z0-9-]{3,40}$/, 'SKU must be 3-40 characters of A-Z, 0-9 and -'),
+  options: z.object({
+    colour: z.string().min(1).optional(),
+    fabric: z.string().min(1).optional(),
+    size: z.string().min(1).optional(),
+    blouse: z.string().min(1).optional()
+  }).refine((options) => Object.keys(options).length > 0, 'Variant needs at least one option'),
+  price: z.number().positive('Price must be positive'),
+  stock: z.number().int().nonnegative('Stock must be non-negative'),
+  image: z.string().url().optional()
+});
+
+/**
+ * Product image set - renditions of one photo (see utils/images.js)
+ */
+const renditionUrls = {
+  imageMedium: z.string().url().optional(),
+  imageSmall: z.string().url().optional(),
+  thumbnail: z.string().url().optional()
+};
+
+export const imageSetSchema = z.object({
+  image: z.string().url(),
+  ...renditionUrls,
+  webp: z.object({ image: z.string().url().optional(), ...renditionUrls }).optional(),
+  placeholder: z.string().startsWith('data:image/').max(4000).optional(),
+  width: z.number().int().positive().optional(),
+  height: z.number().int().positive().optional()
+});
+
+/**
+ * Product validation schema. With variants, price/stock/sold on the product
+ * are summaries ProductService derives from them.
  */
 export const productSchema = z.object({
   name: z.string().min(3, 'Product name must be at least 3 characters'),
   description: z.string().min(10, 'Description must be at least 10 characters'),
-  price: z.number().positive('Price must be positive'),
-  category: z.enum(['sarees', 'kurtis', 'lehengas', 'accessories']),
-  stock: z.number().int().nonnegative('Stock must be non-negative'),
-  images: z.array(z.string().url()).min(1, 'At least one image required')
+  price: z.number({ invalid_type_error: 'Price must be a number' }).positive('Price must be positive'),
+  category: z.enum(['sarees', 'kurtis', 'lehengas', 'accessories'], {
+    errorMap: () => ({ message: 'Category must be one of sarees, kurtis, lehengas or accessories' })
+  }),
+  stock: z.number({ invalid_type_error: 'Stock must be a number' }).int('Stock must be a whole number').nonnegative('Stock must be non-negative'),
+  images: z.array(z.string().url()).min(1, 'At least one image required').max(8, 'Up to 8 images per product'),
+  gallery: z.array(imageSetSchema).max(8).optional(),
+  // Set on create from the name; never changes so shared links keep working
+  slug: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens').max(80).optional(),
+  // Listing facets (variant colours/fabrics are picked up from the variants as well)
+  fabric: z.string().max(40).optional(),
+  colour: z.string().max(40).optional(),
+  occasion: z.array(z.string().max(40)).max(10).optional(),
+  variants: z.array(variantSchema)
+    .refine((variants) => new Set(variants.map((v) => v.sku)).size === variants.length, 'Variant SKUs must be unique')
+    .optional(),
+  swatches: z.record(z.string(), z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Swatch must be a hex colour')).optional()
 });
 
 /**
- * FAQ validation schema
+ * FAQ categories (key → heading on the FAQ page), in display order
+ */
+export const FAQ_CATEGORIES = {
+  general: 'General',
+  orders: 'Orders & Payment',
+  shipping: 'Shipping & Delivery',
+  returns: 'Returns & Exchanges',
+  products: 'Fabrics & Care',
+  store: 'Visiting the Store'
+};
+
+/**
+ * FAQ icons (key → glyph shown beside the question)
+ */
+export const FAQ_ICONS = {
+  question: '❓',
+  order: '🛍️',
+  payment: '💳',
+  shipping: '🚚',
+  returns: '↩️',
+  fabric: '🧵',
+  care: '🧺',
+  size: '📏',
+  store: '🏬',
+  gift: '🎁',
+  contact: '💬'
+};
+
+/**
+ * FAQ validation schema. Answers are markdown (see utils/markdown.js).
  */
 export const faqSchema = z.object({
-  question: z.string().min(5, 'Question must be at least 5 characters'),
-  answer: z.string().min(10, 'Answer must be at least 10 characters'),
+  question: z.string().min(5, 'Question must be at least 5 characters').max(200, 'Question must be under 200 characters'),
+  answer: z.string().min(10, 'Answer must be at least 10 characters').max(5000, 'Answer must be under 5000 characters'),
+  category: z.enum(Object.keys(FAQ_CATEGORIES), { errorMap: () => ({ message: 'Choose a category' }) }),
+  icon: z.enum(Object.keys(FAQ_ICONS), { errorMap: () => ({ message: 'Choose an icon' }) }).optional(),
   order: z.number().int().nonnegative().optional()
 });
 
+/**
+ * PIN code validation schema (Indian postal code)
+ */
+export const pincodeSchema = z.string().regex(
+  /^[1-9]\d{5}$/,
+  'Invalid PIN code (6 digits)'
+);
+
+/**
+ * Shipping address validation schema
+ */
+export const addressSchema = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters'),
+  phone: phoneSchema,
+  line1: z.string().min(5, 'Address must be at least 5 characters'),
+  line2: z.string().optional(),
+  city: z.string().min(2, 'City is required'),
+  state: z.string().min(2, 'State is required'),
+  pincode: pincodeSchema,
+  country: z.string().default('IN')
+});
+
+/**
+ * Saved addresses per customer account
+ */
+export const MAX_SAVED_ADDRESSES = 10;
+
+/**
+ * Address in a customer's address book (users/{uid}.addresses)
+ */
+export const savedAddressSchema = addressSchema.extend({
+  id: z.string().min(1),
+  label: z.string().trim().max(30, 'Label must be under 30 characters').optional(), // "Home", "Amma's place"
+  isDefault: z.boolean().default(false)
+});
+
+/**
+ * Customer sign-up form
+ */
+export const signUpSchema = z.object({
+  displayName: z.string().trim().min(2, 'Name must be at least 2 characters').max(60, 'Name must be under 60 characters'),
+  email: emailSchema,
+  password: z.string().min(8, 'Password must be at least 8 characters')
+});
+
+/**
+ * Editable profile fields (users/{uid})
+ */
+export const profileSchema = z.object({
+  displayName: z.string().trim().min(2, 'Name must be at least 2 characters').max(60, 'Name must be under 60 characters'),
+  phone: phoneSchema.optional()
+});
+
+/**
+ * Wishlist items per customer
+ */
+export const MAX_WISHLIST_ITEMS = 200;
+
+/**
+ * Shared wishlist link (wishlistShares/{token}) - the note is shown to
+ * whoever opens it
+ */
+export const wishlistShareSchema = z.object({
+  note: z.string().trim().max(140, 'Please keep the note under 140 characters').optional()
+});
+
+/**
+ * Where "Notify me" alerts can go
+ */
+export const NOTIFY_CHANNELS = ['email', 'whatsapp'];
+
+/**
+ * "Notify me" sign-up for a sold-out product or variant (subscriptions).
+ * The contact is an email or a WhatsApp number, depending on the channel.
+ */
+export const stockSubscriptionSchema = z.object({
+  productId: z.string().min(1),
+  sku: z.string().optional(),
+  channel: z.enum(NOTIFY_CHANNELS, { errorMap: () => ({ message: 'Choose email or WhatsApp' }) }),
+  contact: z.string().trim().toLowerCase(),
+  priceDrop: z.boolean().default(false)
+}).superRefine((data, ctx) => {
+  const result = (data.channel === 'whatsapp' ? phoneSchema : emailSchema).safeParse(data.contact);
+  if (!result.success) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['contact'], message: result.error.errors[0].message });
+  }
+});
+
+/**
+ * One-time code sent by SMS for phone sign-in
+ */
+export const otpSchema = z.string().regex(/^\d{6}$/, 'Enter the 6-digit code');
+
+/**
+ * Order validation schema (input to OrderService.createOrder)
+ */
+export const orderSchema = z.object({
+  items: z.array(z.object({
+    productId: z.string().min(1),
+    sku: z.string().optional(),
+    variant: z.string().optional(),
+    name: z.string().min(1),
+    price: z.number().int().nonnegative().optional(), // paise, ignored - priced from the catalogue
+    quantity: z.number().int().positive(),
+    category: z.string().optional(),
+    image: z.string().optional()
+  })).min(1, 'Order must contain at least one item'),
+  customer: z.object({
+    name: z.string().min(2, 'Name must be at least 2 characters'),
+    email: emailSchema,
+    phone: phoneSchema
+  }),
+  address: addressSchema,
+  notes: z.string().max(500).optional(),
+  couponCode: z.string().trim().max(32).optional()
+});
+
+/**
+ * Cart line schema (cart model v1). unitPrice is paise, snapshotted when the
+ * item was added.
+ */
+export const cartItemSchema = z.object({
+  productId: z.string().min(1),
+  sku: z.string().optional(),
+  variant: z.string().optional(), // label, e.g. "Maroon / With blouse"
+  name: z.string().min(1),
+  unitPrice: z.number().int().nonnegative(),
+  quantity: z.number().int().positive().max(99),
+  image: z.string().optional(),
+  category: z.string().optional(),
+  addedAt: z.number().int().optional()
+});
+
+export const cartSchema = z.array(cartItemSchema);
+
 /**
  * Newsletter validation schema
  */
@@ -98,13 +364,89 @@ export function validateField(schema, field, value) {
   }
 }
 
+/**
+ * Strip characters that could break out of HTML context
+ * @param {string} str - Raw input
+ * @returns {string}
+ */
+export function sanitize(str) {
+  return String(str).replace(/[<>&"']/g, '');
+}
+
+/**
+ * Check a value against emailSchema
+ * @param {string} value - Email address
+ * @returns {boolean}
+ */
+export function isValidEmail(value) {
+  return emailSchema.safeParse(value).success;
+}
+
+/**
+ * Check that a value is non-empty after trimming
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+export function isRequired(value) {
+  return value !== null && value !== undefined && String(value).trim().length > 0;
+}
+
+/**
+ * Generate a random CSRF token
+ * @returns {string}
+ */
+export function generateCSRFToken() {
+  const bytes = crypto.getRandomValues(new Uint32Array(4));
+  return Array.from(bytes, (n) => n.toString(36)).join('');
+}
+
+/**
+ * Cookie helpers used for double-submit CSRF tokens
+ */
+export const Cookie = {
+  get(name) {
+    return document.cookie.split('; ').reduce((result, pair) => {
+      const [key, ...rest] = pair.split('=');
+      return key === name ? decodeURIComponent(rest.join('=')) : result;
+    }, '');
+  },
+
+  set(name, value, days) {
+    const expires = new Date(Date.now() + days * 864e5).toUTCString();
+    document.cookie = `${name}=${encodeURIComponent(value)}; expires=${expires}; path=/; SameSite=Strict`;
+  }
+};
+
 export default {
   emailSchema,
   phoneSchema,
   contactSchema,
+  contactStatusSchema,
+  testimonialSchema,
+  testimonialStatusSchema,
+  reviewSchema,
+  reviewStatusSchema,
   productSchema,
+  variantSchema,
+  imageSetSchema,
   faqSchema,
+  pincodeSchema,
+  addressSchema,
+  savedAddressSchema,
+  signUpSchema,
+  profileSchema,
+  wishlistShareSchema,
+  stockSubscriptionSchema,
+  otpSchema,
+  orderSchema,
+  cartItemSchema,
+  cartSchema,
   newsletterSchema,
   validate,
-  validateField
+  validateField,
+  sanitize,
+  isValidEmail,
+  isRequired,
+  generateCSRFToken,
+  Cookie
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * @file utils/variants.js
+ * @description Product variant helpers (colour, fabric, size, blouse option)
+ * @version 2.0.0
+ *
+ * A product with variants carries `variants: [{ sku, options, price, stock }]`
+ * where `options` maps option keys (see VARIANT_OPTIONS) to values, e.g.
+ * { colour: 'Maroon', blouse: 'With blouse' }. Colour swatches come from
+ * `product.swatches: { [colour]: '#hex' }`. Products without variants keep
+ * using their flat `price`, `stock` and `sold` fields.
+ */
+
+/**
+ * Supported variant options, in display order
+ */
+export const VARIANT_OPTIONS = [
+  { key: 'colour', label: 'Colour' },
+  { key: 'fabric', label: 'Fabric' },
+  { key: 'size', label: 'Size' },
+  { key: 'blouse', label: 'Blouse' }
+];
+
+/**
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * Whether a single variant can still be bought
+ * @param {Object} variant
+ * @returns {boolean}
+ */
+export function isVariantSoldOut(variant) {
+  return !variant || (typeof variant.stock === 'number' && variant.stock <= 0);
+}
+
+/**
+ * Product-level sold-out state: all variants sold out, or the flat `sold` flag
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export function isSoldOut(product) {
+  return hasVariants(product) ? product.variants.every(isVariantSoldOut) : !!product?.sold;
+}
+
+/**
+ * Units of a product (or one of its variants) in stock. Products without a
+ * numeric `stock` are single pieces - 1 unless marked sold - and trashed
+ * products have none.
+ * @param {Object} product
+ * @param {string} [sku] - Variant SKU
+ * @returns {number}
+ */
+export function stockOf(product, sku) {
+  if (product.deletedAt) return 0;
+  if (sku) {
+    const variant = findVariantBySku(product, sku);
+    return variant && typeof variant.stock === 'number' ? variant.stock : 0;
+  }
+  if (typeof product.stock === 'number') return product.stock;
+  return product.sold ? 0 : 1;
+}
+
+/**
+ * Stock fields after units are sold (negative quantity) or put back
+ * (positive), with the product-level summary kept in step
+ * @param {Object} product
+ * @param {Array<{sku?: string, quantity: number}>} changes
+ * @returns {Object} Fields to write: { variants, stock, sold }, { stock, sold } or { sold }
+ */
+export function stockAfter(product, changes) {
+  const changeFor = (sku) => changes
+    .filter((change) => (change.sku || null) === sku)
+    .reduce((sum, change) => sum + change.quantity, 0);
+
+  if (hasVariants(product)) {
+    const variants = product.variants.map((variant) => {
+      const change = changeFor(variant.sku);
+      return change && typeof variant.stock === 'number'
+        ? { ...variant, stock: Math.max(variant.stock + change, 0) }
+        : variant;
+    });
+    return {
+      variants,
+      stock: variants.reduce((sum, v) => sum + (v.stock || 0), 0),
+      sold: variants.every(isVariantSoldOut)
+    };
+  }
+
+  const change = changeFor(null);
+  if (typeof product.stock === 'number') {
+    const stock = Math.max(product.stock + change, 0);
+    return { stock, sold: stock === 0 };
+  }
+  // Single piece: selling it marks it sold, putting it back un-marks it
+  return { sold: change ? change < 0 : !!product.sold };
+}
+
+/**
+ * Options used by a product's variants and their values, in first-seen order
+ * @param {Object} product
+ * @returns {Array<{key: string, label: string, values: Array<string>}>}
+ */
+export function getVariantOptions(product) {
+  if (!hasVariants(product)) return [];
+
+  return VARIANT_OPTIONS
+    .map(({ key, label }) => ({
+      key,
+      label,
+      values: [...new Set(product.variants.map((v) => v.options?.[key]).filter(Boolean))]
+    }))
+    .filter((option) => option.values.length);
+}
+
+/**
+ * Find the variant matching a full selection
+ * @param {Object} product
+ * @param {Object} selection - { colour, size, ... }
+ * @returns {Object|null}
+ */
+export function findVariant(product, selection) {
+  if (!hasVariants(product)) return null;
+
+  const keys = getVariantOptions(product).map((option) => option.key);
+  return product.variants.find((v) => keys.every((key) => v.options?.[key] === selection[key])) || null;
+}
+
+/**
+ * @param {Object} product
+ * @param {string} sku
+ * @returns {Object|null}
+ */
+export function findVariantBySku(product, sku) {
+  return hasVariants(product) ? product.variants.find((v) => v.sku === sku) || null : null;
+}
+
+/**
+ * Whether choosing `value` for `key` (keeping the rest of the selection) leads
+ * to a variant that is in stock - used to grey out swatches and sizes
+ * @param {Object} product
+ * @param {Object} selection
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isOptionAvailable(product, selection, key, value) {
+  return product.variants.some((v) =>
+    v.options?.[key] === value &&
+    !isVariantSoldOut(v) &&
+    Object.entries(selection).every(([k, val]) => k === key || !val || v.options?.[k] === val)
+  );
+}
+
+/**
+ * Human-readable variant label, e.g. "Maroon / Silk / With blouse"
+ * @param {Object} options - Variant options
+ * @returns {string}
+ */
+export function variantLabel(options = {}) {
+  return VARIANT_OPTIONS.map(({ key }) => options[key]).filter(Boolean).join(' / ');
+}
+
+/**
+ * Build a SKU from a base code and option values, e.g. JT-SAR-014-MAROON-SILK
+ * @param {string} base
+ * @param {Object} options
+ * @returns {string}
+ */
+export function buildSku(base, options = {}) {
+  const parts = VARIANT_OPTIONS
+    .map(({ key }) => options[key])
+    .filter(Boolean)
+    .map((value) => value.toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 8));
+
+  return [base.toUpperCase().replace(/[^A-Z0-9-]+/g, '-'), ...parts].join('-');
+}
+
+/**
+ * Generate every combination of option values (the admin variant matrix)
+ * @param {string} baseSku - Product SKU prefix
+ * @param {Object} optionValues - { colour: ['Maroon', 'Teal'], size: ['S', 'M'] }
+ * @param {Object} defaults - { price, stock } for new rows
+ * @param {Array} [existing] - Current variants; matching rows keep their price/stock
+ * @returns {Array<Object>} Variants
+ */
+export function generateVariants(baseSku, optionValues, defaults = {}, existing = []) {
+  const keys = VARIANT_OPTIONS.map(({ key }) => key).filter((key) => optionValues[key]?.length);
+  if (!keys.length) return [];
+
+  const combinations = keys.reduce(
+    (combos, key) => combos.flatMap((combo) => optionValues[key].map((value) => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+
+  return combinations.map((options) => {
+    const sku = buildSku(baseSku, options);
+    const previous = existing.find((v) => v.sku === sku);
+
+    return previous
+      ? { ...previous, options }
+      : { sku, options, price: defaults.price, stock: defaults.stock ?? 0 };
+  });
+}
+
+export default {
+  VARIANT_OPTIONS,
+  hasVariants,
+  isVariantSoldOut,
+  isSoldOut,
+  stockOf,
+  stockAfter,
+  getVariantOptions,
+  findVariant,
+  findVariantBySku,
+  isOptionAvailable,
+  variantLabel,
+  buildSku,
+  generateVariants
+};
@@ -0,0 +1,293 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  increment,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch
+} from 'firebase/firestore';
+
+// `npm test` starts the emulators (firebase emulators:exec) and sets this
+const emulated = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulated)('firestore.rules', () => {
+  let testEnv;
+
+  // Signed-in people, as the rules see their ID tokens
+  const owner = () => testEnv.authenticatedContext('owner', { email: 'owner@example.com', role: 'owner' }).firestore();
+  const support = () => testEnv.authenticatedContext('support', { email: 'support@example.com', role: 'support' }).firestore();
+  const alice = () => testEnv.authenticatedContext('alice', {
+    email: 'alice@example.com',
+    firebase: { sign_in_provider: 'password' }
+  }).firestore();
+  const guest = () => testEnv.authenticatedContext('guest', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+  const visitor = () => testEnv.unauthenticatedContext().firestore();
+
+  const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-jeelani-textiles',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+    });
+  });
+
+  beforeEach(() => testEnv.clearFirestore());
+
+  afterAll(() => testEnv.cleanup());
+
+  describe('orders', () => {
+    const order = {
+      userId: 'alice',
+      orderNumber: 'JT-LX4K2Q9A-1234',
+      status: 'pending',
+      items: [{ productId: 'p1', quantity: 1 }],
+      statusHistory: [{ status: 'pending', at: 1, by: 'customer' }]
+    };
+
+    it('lets a shopper place a pending order for themselves', async () => {
+      await assertSucceeds(setDoc(doc(alice(), 'orders/o1'), order));
+      await assertFails(setDoc(doc(alice(), 'orders/o2'), { ...order, userId: 'bob' }));
+    });
+
+    it('leaves totals, payment and productIds to the server', async () => {
+      await assertFails(setDoc(doc(alice(), 'orders/o1'), { ...order, totals: { total: 1 } }));
+      await assertFails(setDoc(doc(alice(), 'orders/o1'), { ...order, payment: { provider: 'mock' } }));
+      await assertFails(setDoc(doc(alice(), 'orders/o1'), { ...order, productIds: ['p1'] }));
+    });
+
+    it('lets a shopper cancel only an order nobody has paid for', async () => {
+      const cancel = { status: 'cancelled', statusHistory: [...order.statusHistory, { status: 'cancelled' }], updatedAt: serverTimestamp() };
+      await seed('orders/o1', order);
+      await seed('orders/o2', { ...order, payment: { provider: 'cod', status: 'pending' } });
+
+      await assertSucceeds(updateDoc(doc(alice(), 'orders/o1'), cancel));
+      await assertFails(updateDoc(doc(alice(), 'orders/o2'), cancel));
+    });
+  });
+
+  describe('stock holds', () => {
+    const holdKey = (uid) => createHash('sha256').update(uid).digest('hex');
+    const hold = (quantity) => ({ quantity, expiresAt: Date.now() + 10 * 60 * 1000 });
+
+    beforeEach(() => seed('products/p1', {
+      name: 'Kanjivaram Saree',
+      price: 1499,
+      stock: 2,
+      held: 1,
+      reservations: { [holdKey('bob')]: hold(1) }
+    }));
+
+    it('lets a shopper hold stock under their own key', async () => {
+      await assertSucceeds(updateDoc(doc(alice(), 'products/p1'), { [`reservations.${holdKey('alice')}`]: hold(1), held: 2 }));
+    });
+
+    it('keeps the held count to the stock', async () => {
+      await assertFails(updateDoc(doc(alice(), 'products/p1'), { [`reservations.${holdKey('alice')}`]: hold(2), held: 3 }));
+    });
+
+    it('moves the held count by exactly the change', async () => {
+      await assertFails(updateDoc(doc(alice(), 'products/p1'), { [`reservations.${holdKey('alice')}`]: hold(1), held: 1 }));
+    });
+
+    it("doesn't let a shopper drop someone else's hold", async () => {
+      await assertFails(updateDoc(doc(alice(), 'products/p1'), { [`reservations.${holdKey('bob')}`]: deleteField(), held: 0 }));
+    });
+
+    it('counts views one at a time', async () => {
+      await assertSucceeds(updateDoc(doc(visitor(), 'products/p1'), { viewCount: 1 }));
+      await assertFails(updateDoc(doc(visitor(), 'products/p1'), { viewCount: 10 }));
+    });
+  });
+
+  describe('FAQ votes', () => {
+    const vote = (db) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'faqs/f1'), { upvotes: increment(1) });
+      batch.set(doc(db, 'faqs/f1/votes/guest'), { vote: 'up', createdAt: serverTimestamp() });
+      return batch.commit();
+    };
+
+    beforeEach(() => seed('faqs/f1', { question: 'Do you ship abroad?', answer: 'Not yet.', upvotes: 0, downvotes: 0 }));
+
+    it('takes one vote per visitor, with its marker', async () => {
+      await assertSucceeds(vote(guest()));
+      await assertFails(vote(guest()));
+    });
+
+    it('turns away a vote without a marker', async () => {
+      await assertFails(updateDoc(doc(guest(), 'faqs/f1'), { upvotes: 1 }));
+    });
+  });
+
+  describe('dashboard counters', () => {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(Date.now());
+    const contact = (db, count) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'contacts/c1'), { name: 'Asha', email: 'asha@example.com', message: 'Hello', status: 'new' });
+      batch.set(doc(db, 'stats/contacts'), {
+        total: increment(count),
+        byStatus: { new: increment(count) },
+        byDay: { [today]: increment(count) },
+        lastContact: 'c1',
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+      return batch.commit();
+    };
+
+    it('lets a visitor count the message they are sending', async () => {
+      await assertSucceeds(contact(visitor(), 1));
+    });
+
+    it('refuses more than one', async () => {
+      await assertFails(contact(visitor(), 2));
+    });
+
+    it('refuses a count with no new message behind it', async () => {
+      await seed('contacts/c1', { name: 'Asha', status: 'new' });
+      await assertFails(setDoc(doc(visitor(), 'stats/contacts'), {
+        total: increment(1),
+        byStatus: { new: increment(1) },
+        byDay: { [today]: increment(1) },
+        lastContact: 'c1',
+        updatedAt: serverTimestamp()
+      }, { merge: true }));
+    });
+  });
+
+  describe('audit log', () => {
+    const entry = (email) => ({
+      actor: { uid: 'support', email },
+      action: 'update',
+      collection: 'contacts',
+      docId: 'c1',
+      changes: {},
+      createdAt: serverTimestamp()
+    });
+
+    it('records the signed-in actor', async () => {
+      await assertSucceeds(setDoc(doc(support(), 'auditLog/a1'), entry('support@example.com')));
+    });
+
+    it("refuses an entry in someone else's name", async () => {
+      await assertFails(setDoc(doc(support(), 'auditLog/a1'), entry('owner@example.com')));
+    });
+  });
+
+  describe('reviews', () => {
+    const review = (overrides = {}) => ({
+      productId: 'p1',
+      productName: 'Kanjivaram Saree',
+      userId: 'alice',
+      author: 'Alice',
+      rating: 5,
+      title: '',
+      body: 'Lovely weave and the colour is true to the photos.',
+      photos: [],
+      verified: true,
+      orderId: 'o1',
+      orderNumber: 'JT-LX4K2Q9A-1234',
+      status: 'pending',
+      helpful: 0,
+      countedRating: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      ...overrides
+    });
+
+    beforeEach(() => seed('orders/o1', { userId: 'alice', status: 'paid', productIds: ['p1'] }));
+
+    it('marks a review verified against a paid order holding the product', async () => {
+      await assertSucceeds(setDoc(doc(alice(), 'reviews/p1_alice'), review()));
+      await assertFails(setDoc(doc(alice(), 'reviews/p2_alice'), review({ productId: 'p2' })));
+    });
+
+    it('takes reviews from signed-in customers only', async () => {
+      await assertFails(setDoc(doc(guest(), 'reviews/p1_guest'), review({ userId: 'guest', verified: false, orderId: null })));
+    });
+
+    it('counts the rating of an approved review, and only that', async () => {
+      const moderate = (status, countedRating) => updateDoc(doc(support(), 'reviews/p1_alice'), {
+        status,
+        countedRating,
+        moderatedBy: 'support@example.com',
+        moderatedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      await seed('reviews/p1_alice', review({ createdAt: 1, updatedAt: 1 }));
+
+      await assertFails(moderate('approved', null));
+      await assertFails(moderate('rejected', 5));
+      await assertSucceeds(moderate('approved', 5));
+    });
+
+    it('keeps a counted review until it is rejected', async () => {
+      await seed('reviews/p1_alice', review({ status: 'approved', countedRating: 5, createdAt: 1, updatedAt: 1 }));
+      await assertFails(deleteDoc(doc(alice(), 'reviews/p1_alice')));
+    });
+  });
+
+  describe('testimonials', () => {
+    const testimonial = (photo) => ({
+      author: 'Asha',
+      city: 'Mysuru',
+      rating: 5,
+      quote: 'Beautiful saree and such careful packing.',
+      ...(photo ? { photo } : {}),
+      status: 'pending',
+      featured: false,
+      createdAt: serverTimestamp()
+    });
+    const photoOf = (uid) => `https://firebasestorage.googleapis.com/v0/b/demo-jeelani-textiles.appspot.com/o/testimonials%2F${uid}%2Fk1%2Fphoto.jpg?alt=media&token=abc-123`;
+
+    it('needs a session', async () => {
+      await assertFails(setDoc(doc(visitor(), 'testimonials/t1'), testimonial()));
+      await assertSucceeds(setDoc(doc(guest(), 'testimonials/t1'), testimonial()));
+    });
+
+    it("only takes a photo from the submitter's own folder", async () => {
+      await assertSucceeds(setDoc(doc(guest(), 'testimonials/t1'), testimonial(photoOf('guest'))));
+      await assertFails(setDoc(doc(guest(), 'testimonials/t2'), testimonial(photoOf('alice'))));
+      await assertFails(setDoc(doc(guest(), 'testimonials/t3'), testimonial('https://example.com/photo.jpg')));
+    });
+  });
+
+  describe('subscriptions', () => {
+    const token = 'a'.repeat(32);
+    const unsubscribe = (db, unsubscribeWith) => updateDoc(doc(db, 'subscriptions/s1'), {
+      status: 'unsubscribed',
+      unsubscribeWith,
+      updatedAt: serverTimestamp()
+    });
+
+    it('leaves sign-ups to the server', async () => {
+      await assertFails(setDoc(doc(visitor(), 'subscriptions/s1'), {
+        productId: 'p1',
+        channel: 'email',
+        contact: 'asha@example.com',
+        events: ['restock'],
+        status: 'active',
+        unsubscribeToken: token
+      }));
+    });
+
+    it('unsubscribes with the token from a message', async () => {
+      await seed('subscriptions/s1', { productId: 'p1', status: 'active', unsubscribeToken: token });
+      await assertFails(unsubscribe(visitor(), 'b'.repeat(32)));
+      await assertSucceeds(unsubscribe(visitor(), token));
+    });
+
+    it('shows subscribers to staff only', async () => {
+      await seed('subscriptions/s1', { productId: 'p1', status: 'active', unsubscribeToken: token });
+      await assertSucceeds(getDoc(doc(owner(), 'subscriptions/s1')));
+      await assertFails(getDoc(doc(visitor(), 'subscriptions/s1')));
+    });
+  });
+});
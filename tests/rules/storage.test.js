@@ -0,0 +1,51 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes } from 'firebase/storage';
+
+// `npm test` starts the emulators (firebase emulators:exec) and sets this
+const emulated = !!process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+describe.skipIf(!emulated)('storage.rules', () => {
+  let testEnv;
+
+  const guest = () => testEnv.authenticatedContext('guest', { firebase: { sign_in_provider: 'anonymous' } }).storage();
+  const visitor = () => testEnv.unauthenticatedContext().storage();
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const upload = (storage, path, contentType = 'image/jpeg') => uploadBytes(ref(storage, path), jpeg, { contentType });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-jeelani-textiles',
+      storage: { rules: readFileSync('storage.rules', 'utf8') }
+    });
+  });
+
+  beforeEach(() => testEnv.clearStorage());
+
+  afterAll(() => testEnv.cleanup());
+
+  describe('testimonial photos', () => {
+    it("go in the uploader's own folder", async () => {
+      await assertSucceeds(upload(guest(), 'testimonials/guest/k1/photo.jpg'));
+      await assertFails(upload(guest(), 'testimonials/alice/k1/photo.jpg'));
+    });
+
+    it('need a session', async () => {
+      await assertFails(upload(visitor(), 'testimonials/guest/k1/photo.jpg'));
+    });
+
+    it('are JPEGs named photo.jpg', async () => {
+      await assertFails(upload(guest(), 'testimonials/guest/k1/photo.png', 'image/png'));
+      await assertFails(upload(guest(), 'testimonials/guest/k1/photo.jpg', 'image/png'));
+    });
+  });
+
+  describe('product images', () => {
+    it('are uploaded by catalogue editors only', async () => {
+      const editor = testEnv.authenticatedContext('editor', { role: 'catalog_editor' }).storage();
+      await assertSucceeds(upload(editor, 'products/p1/k1/800.jpg'));
+      await assertFails(upload(guest(), 'products/p1/k1/800.jpg'));
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { detectStockChanges, renderMessage } from '../../js/services/notifier.js';
+
+describe('detectStockChanges', () => {
+  it('spots a restock', () => {
+    expect(detectStockChanges({ price: 1499, sold: true }, { price: 1499, sold: false })).toEqual([
+      { sku: null, kind: 'restock', price: 1499, previousPrice: 1499, variant: null }
+    ]);
+  });
+
+  it('ignores a cheaper product that is still sold out', () => {
+    expect(detectStockChanges({ price: 1499, sold: true }, { price: 999, sold: true })).toEqual([]);
+  });
+});
+
+describe('renderMessage', () => {
+  it('asks a new sign-up to confirm', () => {
+    const { subject, text } = renderMessage({
+      template: 'confirm-subscription',
+      params: { productName: 'Kanjivaram Saree', variant: 'Maroon', priceDrop: true, confirmUrl: 'https://example.com/?confirmAlert=abc&token=xyz' }
+    });
+    expect(subject).toBe('Confirm your alert for Kanjivaram Saree (Maroon)');
+    expect(text).toContain('back in stock or its price drops');
+    expect(text).toContain('https://example.com/?confirmAlert=abc&token=xyz');
+  });
+});
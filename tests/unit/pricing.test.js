@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { PricingEngine, catalogPrice, toPaise } from '../../js/utils/pricing.js';
+
+describe('catalogPrice', () => {
+  const product = { price: 1499, variants: [{ sku: 'RED', price: 1799 }, { sku: 'BLUE' }] };
+
+  it('prices a product in paise', () => {
+    expect(catalogPrice(product)).toBe(149900);
+  });
+
+  it('prices a variant, falling back to the product price', () => {
+    expect(catalogPrice(product, 'RED')).toBe(179900);
+    expect(catalogPrice(product, 'BLUE')).toBe(149900);
+  });
+
+  it('has no price for what is no longer sold', () => {
+    expect(catalogPrice(product, 'GREEN')).toBeNull();
+    expect(catalogPrice({ ...product, deletedAt: 1 })).toBeNull();
+    expect(catalogPrice(null)).toBeNull();
+  });
+});
+
+describe('PricingEngine', () => {
+  const saree = (quantity, unitPrice = toPaise(1499)) => ({ productId: 'p1', category: 'sarees', unitPrice, quantity });
+
+  it('matches the longest PIN code prefix', () => {
+    expect(PricingEngine.getShippingZone('560001')).toBe('local');
+    expect(PricingEngine.getShippingZone('600001')).toBe('regional');
+    expect(PricingEngine.getShippingZone('190001')).toBe('remote');
+    expect(PricingEngine.getShippingZone('not a pin')).toBe('national');
+  });
+
+  it('breaks GST out of inclusive prices by slab', () => {
+    const { tax, total, shipping } = PricingEngine.price([saree(2)], { pincode: '560001' });
+    // ₹1,499 a piece is in the 12% slab
+    expect(tax).toBe(299800 - Math.round((299800 * 100) / 112));
+    expect(shipping).toBe(0);
+    expect(total).toBe(299800);
+  });
+
+  it('charges shipping below the free threshold', () => {
+    const result = PricingEngine.price([saree(1, 50000)], { pincode: '110001' });
+    expect(result.shipping).toBe(9900);
+    expect(result.total).toBe(59900);
+    expect(result.freeShippingRemaining).toBe(249900);
+  });
+
+  it('caps a percentage coupon', () => {
+    const coupon = { code: 'FESTIVE10', type: 'percent', value: 10, maxDiscount: 20000 };
+    const result = PricingEngine.price([saree(2)], { pincode: '560001', coupon });
+    expect(result.discount).toBe(20000);
+    expect(result.coupon).toEqual({ code: 'FESTIVE10', type: 'percent', discount: 20000 });
+    expect(result.total).toBe(279800);
+  });
+
+  it('refuses an expired coupon', () => {
+    const now = Date.now();
+    const coupon = { code: 'OLD', type: 'flat', value: 10000, endsAt: now - 1 };
+    const result = PricingEngine.price([saree(1)], { coupon, now });
+    expect(result.discount).toBe(0);
+    expect(result.couponError).toBe('This coupon has expired');
+  });
+
+  it('gives the cheaper piece free with buy one get one', () => {
+    const coupon = { code: 'BOGO', type: 'bxgy', buy: 1, get: 1 };
+    const lines = [saree(1, 100000), { ...saree(1, 60000), productId: 'p2' }];
+    expect(PricingEngine.price(lines, { coupon }).discount).toBe(60000);
+  });
+
+  it('splits a flat discount so the paise add up', () => {
+    const lines = [{ unitPrice: 30000, quantity: 1 }, { unitPrice: 10000, quantity: 1 }];
+    expect(PricingEngine.allocateDiscount({ type: 'flat', value: 1000 }, lines.map((l) => ({ ...l, lineTotal: l.unitPrice }))))
+      .toEqual([750, 250]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { stockAfter, stockOf } from '../../js/utils/variants.js';
+
+describe('stockOf', () => {
+  it('counts numbered stock, and single pieces as one', () => {
+    expect(stockOf({ stock: 3 })).toBe(3);
+    expect(stockOf({})).toBe(1);
+    expect(stockOf({ sold: true })).toBe(0);
+  });
+
+  it('has nothing in the trash', () => {
+    expect(stockOf({ stock: 3, deletedAt: 1 })).toBe(0);
+  });
+
+  it('counts a variant by SKU', () => {
+    const product = { variants: [{ sku: 'RED', stock: 2 }, { sku: 'BLUE' }] };
+    expect(stockOf(product, 'RED')).toBe(2);
+    expect(stockOf(product, 'BLUE')).toBe(0);
+    expect(stockOf(product, 'GREEN')).toBe(0);
+  });
+});
+
+describe('stockAfter', () => {
+  it('sells and restocks numbered stock without going below zero', () => {
+    expect(stockAfter({ stock: 2 }, [{ quantity: -2 }])).toEqual({ stock: 0, sold: true });
+    expect(stockAfter({ stock: 1 }, [{ quantity: -3 }])).toEqual({ stock: 0, sold: true });
+    expect(stockAfter({ stock: 0, sold: true }, [{ quantity: 1 }])).toEqual({ stock: 1, sold: false });
+  });
+
+  it('marks a single piece sold and back', () => {
+    expect(stockAfter({}, [{ quantity: -1 }])).toEqual({ sold: true });
+    expect(stockAfter({ sold: true }, [{ quantity: 1 }])).toEqual({ sold: false });
+  });
+
+  it('keeps the product summary in step with its variants', () => {
+    const product = { variants: [{ sku: 'RED', stock: 1 }, { sku: 'BLUE', stock: 0 }] };
+    expect(stockAfter(product, [{ sku: 'RED', quantity: -1 }])).toEqual({
+      variants: [{ sku: 'RED', stock: 0 }, { sku: 'BLUE', stock: 0 }],
+      stock: 0,
+      sold: true
+    });
+  });
+});
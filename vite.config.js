@@ -2,6 +2,15 @@ import { defineConfig } from 'vite';
 import legacy from '@vitejs/plugin-legacy';
 import postcssPresetEnv from 'postcss-preset-env';
 
+// Product deep links (/products/:slug) are rendered client-side by the products page.
+// Firebase Hosting serves dist/ with the same rewrite (firebase.json "hosting.rewrites").
+const productDeepLinks = (req, res, next) => {
+  if (/^\/products\/[^/.]+\/?(\?.*)?$/.test(req.url)) {
+    req.url = '/pages/products.html';
+  }
+  next();
+};
+
 export default defineConfig({
   root: './',
   base: '/',
@@ -12,7 +21,16 @@ export default defineConfig({
       additionalLegacyPolyfills: ['regenerator-runtime/runtime'],
       renderLegacyChunks: true,
       modernPolyfills: true
-    })
+    }),
+    {
+      name: 'product-deep-links',
+      configureServer(server) {
+        server.middlewares.use(productDeepLinks);
+      },
+      configurePreviewServer(server) {
+        server.middlewares.use(productDeepLinks);
+      }
+    }
   ],
   
   build: {
@@ -28,6 +46,8 @@ export default defineConfig({
         contact: './pages/contact.html',
         faq: './pages/faq.html',
         products: './pages/products.html',
+        account: './pages/account.html',
+        wishlist: './pages/wishlist.html',
         // Add missing pages
         privacy: './pages/privacy.html',
         terms: './pages/terms.html'
@@ -0,0 +1,19 @@
+/**
+ * @file vitest.config.js
+ * @description Unit tests for the shared utilities and specs for the security rules
+ *
+ * The rules specs (tests/rules) talk to the emulators, so `npm test` runs
+ * everything inside `firebase emulators:exec`; without them they are skipped.
+ */
+
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    environment: 'node',
+    // Rules specs share one emulator and clear it between tests
+    fileParallelism: false,
+    testTimeout: 15000
+  }
+});